@@ -0,0 +1,288 @@
+(function (global) {
+  const CMYK = ["C", "M", "Y", "K"];
+  const CHANNEL_NAMES = { C: "Cyan", M: "Magenta", Y: "Yellow", K: "Black" };
+
+  // GCR and UCR in percent, the ink limit in percent of one full-strength
+  // channel (400 = no limit for four channels)
+  const DEFAULT_SETTINGS = { gcr: 100, ucr: 100, inkLimit: 300 };
+
+  const IDENTITY_CURVE = [
+    { x: 0, y: 0 },
+    { x: 1, y: 1 },
+  ];
+
+  // Splits RGB pixels into cyan, magenta, yellow and black ink amounts
+  // (0-1 per pixel, 1 = full ink). The grey component (the ink CMY have in
+  // common) is moved to black by grey component replacement: `gcr` sets how
+  // much of it becomes black, `ucr` how much of that black is taken back out
+  // of CMY (under-colour removal; 0 prints black on top of the full colour
+  // inks for rich shadows). Each channel then goes through its tone curve
+  // and the total ink per pixel is capped by the ink limit, scaling down
+  // CMY and keeping black for detail.
+  class ColorSeparation {
+    // Settings with defaults filled in and values clamped, e.g. from a
+    // saved configuration
+    static normalize(settings = {}) {
+      const number = (value, fallback, max) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? Math.min(max, Math.max(0, parsed)) : fallback;
+      };
+      const curves = {};
+      CMYK.forEach((channel) => {
+        const points = settings?.curves?.[channel];
+        if (Array.isArray(points) && points.length >= 2) {
+          curves[channel] = points.map((point) => ({ x: point.x, y: point.y }));
+        }
+      });
+      return {
+        gcr: number(settings?.gcr, DEFAULT_SETTINGS.gcr, 100),
+        ucr: number(settings?.ucr, DEFAULT_SETTINGS.ucr, 100),
+        inkLimit: number(settings?.inkLimit, DEFAULT_SETTINGS.inkLimit, 400),
+        curves,
+      };
+    }
+
+    // Ink amounts [c, m, y, k] for one pixel; r, g, b and gcr, ucr are 0-1
+    static separatePixel(r, g, b, gcr, ucr) {
+      const c = 1 - r;
+      const m = 1 - g;
+      const y = 1 - b;
+      const k = gcr * Math.min(c, m, y);
+      const removed = ucr * k;
+      return [
+        Math.max(0, c - removed),
+        Math.max(0, m - removed),
+        Math.max(0, y - removed),
+        k,
+      ];
+    }
+
+    // Ink maps for RGBA pixels keyed by channel id. The ink limit is shared
+    // by the channels in `channels` (e.g. the enabled ones); the rest are
+    // left out of the result.
+    static separate(data, width, height, settings = {}, channels = CMYK) {
+      const { gcr, ucr, inkLimit, curves } = ColorSeparation.normalize(settings);
+      const included = CMYK.filter((channel) => channels.includes(channel));
+      const maps = Object.fromEntries(
+        included.map((channel) => [channel, new Float32Array(width * height)])
+      );
+      const tables = included.map((channel) =>
+        curves[channel] ? ColorSeparation.curveTable(curves[channel]) : null
+      );
+      const indices = included.map((channel) => CMYK.indexOf(channel));
+
+      for (let i = 0; i < width * height; i++) {
+        const inks = ColorSeparation.separatePixel(
+          data[i * 4] / 255,
+          data[i * 4 + 1] / 255,
+          data[i * 4 + 2] / 255,
+          gcr / 100,
+          ucr / 100
+        );
+        included.forEach((channel, j) => {
+          const ink = inks[indices[j]];
+          maps[channel][i] = tables[j] ? tables[j][Math.round(ink * 255)] : ink;
+        });
+      }
+
+      ColorSeparation.limitInk(maps, inkLimit / 100);
+      return maps;
+    }
+
+    // Caps the summed ink of every pixel at `limit` (1 = one full channel),
+    // in place. Black is kept where it fits and the colour inks share what
+    // is left.
+    static limitInk(maps, limit) {
+      const colours = Object.keys(maps).filter((channel) => channel !== "K");
+      const black = maps.K;
+      const length = Object.values(maps)[0]?.length || 0;
+
+      for (let i = 0; i < length; i++) {
+        const k = black ? Math.min(black[i], limit) : 0;
+        let colour = 0;
+        colours.forEach((channel) => (colour += maps[channel][i]));
+        if (black) black[i] = k;
+        if (colour + k <= limit || colour === 0) continue;
+
+        const scale = Math.max(0, limit - k) / colour;
+        colours.forEach((channel) => (maps[channel][i] *= scale));
+      }
+      return maps;
+    }
+
+    // 256-entry lookup from ink to ink through a tone curve, using
+    // CurveEditor's interpolation so it matches the curve in the panel
+    static curveTable(points = IDENTITY_CURVE) {
+      const controlPoints = points.map((point) => ({ x: point.x, y: point.y }));
+      controlPoints.sort((a, b) => a.x - b.x);
+      const curve = { controlPoints };
+      const table = new Float32Array(256);
+      for (let i = 0; i < 256; i++) {
+        table[i] = Math.min(
+          1,
+          Math.max(0, global.CurveEditor.prototype.evaluate.call(curve, i / 255))
+        );
+      }
+      return table;
+    }
+
+    static isIdentityCurve(points) {
+      return (
+        !points ||
+        (points.length === 2 &&
+          points.every((point, i) => point.x === IDENTITY_CURVE[i].x && point.y === IDENTITY_CURVE[i].y))
+      );
+    }
+
+    // One-line summary for G-code metadata
+    static describe(settings = {}) {
+      const { gcr, ucr, inkLimit, curves } = ColorSeparation.normalize(settings);
+      const curved = CMYK.filter(
+        (channel) => curves[channel] && !ColorSeparation.isIdentityCurve(curves[channel])
+      );
+      return (
+        `GCR ${gcr}%, UCR ${ucr}%, ink limit ${inkLimit}%` +
+        (curved.length ? `, curves ${curved.join(" ")}` : "")
+      );
+    }
+  }
+
+  // Renders the CMYK separation settings into `container`: GCR, UCR and
+  // ink limit inputs, a tone curve per channel (one editor, switched with
+  // a channel picker) and a grayscale thumbnail of each separated channel.
+  // `onChange` gets the settings after every edit.
+  class SeparationPanel {
+    constructor(container, options = {}) {
+      this.container = container;
+      this.onChange = options.onChange || (() => {});
+      this.thumbnailWidth = options.thumbnailWidth || 120;
+      this.settings = ColorSeparation.normalize();
+      this.curveChannel = CMYK[0];
+      this.curveEditor = null;
+
+      this.render();
+    }
+
+    render() {
+      const numberRow = (field, label, max, step) => `
+        <div class="input-row">
+          <label>${label}:</label>
+          <input type="number" data-field="${field}" min="0" max="${max}" step="${step}">
+          <span class="unit-label">%</span>
+        </div>`;
+
+      this.container.classList.add("separation-panel");
+      this.container.innerHTML = `
+        <h3>CMYK Separation</h3>
+        ${numberRow("gcr", "GCR", 100, 5)}
+        ${numberRow("ucr", "UCR", 100, 5)}
+        ${numberRow("inkLimit", "Ink Limit", 400, 10)}
+        <div class="input-row">
+          <label>Tone Curve:</label>
+          <select data-field="curveChannel">
+            ${CMYK.map((channel) => `<option value="${channel}">${CHANNEL_NAMES[channel]}</option>`).join("")}
+          </select>
+          <button type="button" class="action-btn" data-action="resetCurve">Reset</button>
+        </div>
+        <div class="separation-curve"></div>
+        <div class="separation-preview">
+          ${CMYK.map(
+            (channel) => `
+          <figure>
+            <canvas data-preview="${channel}"></canvas>
+            <figcaption>${CHANNEL_NAMES[channel]}</figcaption>
+          </figure>`
+          ).join("")}
+        </div>
+      `;
+
+      ["gcr", "ucr", "inkLimit"].forEach((field) => {
+        const input = this.container.querySelector(`[data-field="${field}"]`);
+        input.addEventListener("input", () => {
+          const value = parseFloat(input.value);
+          if (!Number.isFinite(value)) return;
+          this.settings[field] = value;
+          this.notify();
+        });
+      });
+
+      const channelSelect = this.container.querySelector('[data-field="curveChannel"]');
+      channelSelect.addEventListener("change", () => {
+        this.curveChannel = channelSelect.value;
+        this.curveEditor.setCurve(this.settings.curves[this.curveChannel] || IDENTITY_CURVE);
+      });
+      this.container.querySelector('[data-action="resetCurve"]').addEventListener("click", () => {
+        delete this.settings.curves[this.curveChannel];
+        this.curveEditor.setCurve(IDENTITY_CURVE);
+        this.notify();
+      });
+
+      this.curveEditor = new global.CurveEditor(this.container.querySelector(".separation-curve"), {
+        width: 160,
+        height: 120,
+        backgroundColor: "#ffffff",
+      });
+      this.curveEditor.on("change", (curveData) => {
+        this.settings.curves[this.curveChannel] = curveData.points;
+        this.notify();
+      });
+
+      this.updateControls();
+    }
+
+    updateControls() {
+      ["gcr", "ucr", "inkLimit"].forEach((field) => {
+        this.container.querySelector(`[data-field="${field}"]`).value = this.settings[field];
+      });
+      this.container.querySelector('[data-field="curveChannel"]').value = this.curveChannel;
+      this.curveEditor.setCurve(this.settings.curves[this.curveChannel] || IDENTITY_CURVE);
+    }
+
+    notify() {
+      this.onChange(this.getSettings());
+    }
+
+    getSettings() {
+      return ColorSeparation.normalize(this.settings);
+    }
+
+    // Replaces the settings without calling onChange, e.g. when loading a
+    // configuration
+    setSettings(settings) {
+      this.settings = ColorSeparation.normalize(settings);
+      this.updateControls();
+    }
+
+    // Draws each separated ink map (see ColorSeparation.separate) as a
+    // grayscale thumbnail, white where there is no ink
+    setPreview(maps, width, height) {
+      CMYK.forEach((channel) => {
+        const canvas = this.container.querySelector(`[data-preview="${channel}"]`);
+        const map = maps[channel];
+        canvas.style.visibility = map ? "visible" : "hidden";
+        if (!map) return;
+
+        const scratch = document.createElement("canvas");
+        scratch.width = width;
+        scratch.height = height;
+        const scratchContext = scratch.getContext("2d");
+        const image = scratchContext.createImageData(width, height);
+        for (let i = 0; i < map.length; i++) {
+          const value = Math.round((1 - map[i]) * 255);
+          image.data[i * 4] = value;
+          image.data[i * 4 + 1] = value;
+          image.data[i * 4 + 2] = value;
+          image.data[i * 4 + 3] = 255;
+        }
+        scratchContext.putImageData(image, 0, 0);
+
+        canvas.width = this.thumbnailWidth;
+        canvas.height = Math.max(1, Math.round((this.thumbnailWidth * height) / width));
+        canvas.getContext("2d").drawImage(scratch, 0, 0, canvas.width, canvas.height);
+      });
+    }
+  }
+
+  global.ColorSeparation = ColorSeparation;
+  global.SeparationPanel = SeparationPanel;
+})(typeof window !== "undefined" ? window : globalThis);
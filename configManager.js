@@ -1,6 +1,7 @@
 class ConfigManager {
     constructor() {
         this.storageKey = 'penPlotterConfigs';
+        this.machineProfilesKey = 'penPlotterMachineProfiles';
     }
 
     /**
@@ -508,6 +509,120 @@ class ConfigManager {
         }
     }
 
+    /**
+     * Get the stored machine profiles and the profile last selected in each tool.
+     * Kept under a separate key so profiles don't show up as tool configurations.
+     * @returns {Object} Object with `profiles` (Array) and `selectedByTool` (Object)
+     */
+    getMachineProfileStore() {
+        try {
+            const stored = localStorage.getItem(this.machineProfilesKey);
+            const parsed = stored ? JSON.parse(stored) : {};
+            // Entries without an ID can't be selected, so they are dropped
+            const profiles = Array.isArray(parsed.profiles)
+                ? parsed.profiles.filter(profile => profile && typeof profile === 'object' && profile.id)
+                : [];
+            return {
+                profiles,
+                selectedByTool: parsed.selectedByTool && typeof parsed.selectedByTool === 'object'
+                    ? parsed.selectedByTool
+                    : {}
+            };
+        } catch (error) {
+            console.error('Error loading machine profiles:', error);
+            return { profiles: [], selectedByTool: {} };
+        }
+    }
+
+    /**
+     * Save the machine profile store to localStorage
+     * @param {Object} store - Object with `profiles` and `selectedByTool`
+     */
+    saveMachineProfileStore(store) {
+        try {
+            localStorage.setItem(this.machineProfilesKey, JSON.stringify(store));
+        } catch (error) {
+            console.error('Error saving machine profiles:', error);
+            alert('Failed to save machine profile. Your browser storage might be full.');
+        }
+    }
+
+    /**
+     * Get all saved machine profiles
+     * @returns {Array} Array of machine profiles
+     */
+    getMachineProfiles() {
+        return this.getMachineProfileStore().profiles;
+    }
+
+    /**
+     * Get a saved machine profile by ID
+     * @param {string} profileId - The machine profile ID
+     * @returns {Object|null} The machine profile or null if not found
+     */
+    getMachineProfile(profileId) {
+        return this.getMachineProfiles().find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Save a machine profile, replacing any saved profile with the same ID
+     * @param {Object} profile - Machine profile settings (pen commands, dwell, homing, templates, axis inversion)
+     * @returns {string} The machine profile ID
+     */
+    saveMachineProfile(profile) {
+        const store = this.getMachineProfileStore();
+        const saved = {
+            ...profile,
+            id: profile.id || this.generateId(),
+            timestamp: new Date().toISOString()
+        };
+
+        const index = store.profiles.findIndex(existing => existing.id === saved.id);
+        if (index === -1) {
+            store.profiles.push(saved);
+        } else {
+            store.profiles[index] = saved;
+        }
+
+        this.saveMachineProfileStore(store);
+        return saved.id;
+    }
+
+    /**
+     * Delete a machine profile
+     * @param {string} profileId - The machine profile ID
+     */
+    deleteMachineProfile(profileId) {
+        const store = this.getMachineProfileStore();
+        store.profiles = store.profiles.filter(profile => profile.id !== profileId);
+        Object.keys(store.selectedByTool).forEach(toolId => {
+            if (store.selectedByTool[toolId] === profileId) {
+                delete store.selectedByTool[toolId];
+            }
+        });
+        this.saveMachineProfileStore(store);
+    }
+
+    /**
+     * Get the machine profile last selected in a tool
+     * @param {string} toolId - The tool identifier
+     * @returns {string|null} The machine profile ID or null if none was selected
+     */
+    getSelectedMachineProfileId(toolId) {
+        return this.getMachineProfileStore().selectedByTool[toolId] || null;
+    }
+
+    /**
+     * Remember the machine profile selected in a tool
+     * @param {string} toolId - The tool identifier
+     * @param {string} profileId - The machine profile ID
+     */
+    setSelectedMachineProfileId(toolId, profileId) {
+        const store = this.getMachineProfileStore();
+        store.selectedByTool[toolId] = profileId;
+        this.saveMachineProfileStore(store);
+    }
+
     /**
      * Generate a unique ID for configurations
      * @returns {string} A unique identifier
@@ -596,4 +711,9 @@ class ConfigManager {
         input.click();
         document.body.removeChild(input);
     }
-}
\ No newline at end of file
+}
+
+// Export for headless use (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfigManager;
+}
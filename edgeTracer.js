@@ -0,0 +1,273 @@
+(function (global) {
+  const DEFAULT_BLUR = 1.4;
+  const DEFAULT_LOW = 0.1;
+  const DEFAULT_HIGH = 0.25;
+  const DEFAULT_SMOOTHING = 2;
+
+  // 8-connected neighbours, edge-sharing ones first so chains prefer
+  // straight steps over diagonal ones
+  const NEIGHBOURS = [
+    [1, 0],
+    [0, 1],
+    [-1, 0],
+    [0, -1],
+    [1, 1],
+    [-1, 1],
+    [-1, -1],
+    [1, -1],
+  ];
+
+  // Canny edge detection on image luminance, traced into polylines for
+  // outline drawings: gaussian blur, Sobel gradients, non-maximum
+  // suppression to one-pixel-wide ridges, hysteresis (weak edges are kept
+  // only where they connect to strong ones), then the edge pixels are
+  // chained into polylines and smoothed. Coordinates are pixel centres.
+  class EdgeTracer {
+    // Edge polylines as arrays of { x, y }. Options: `blur` (gaussian
+    // sigma, px), `low`/`high` hysteresis thresholds as fractions of the
+    // strongest gradient, `minLength` (px) to drop specks, `smoothing`
+    // (passes of neighbour averaging) and `mask` (0-1 per pixel; edges are
+    // only kept where it is at least 0.5).
+    static trace(luminance, width, height, options = {}) {
+      const blurred = EdgeTracer.gaussianBlur(
+        luminance,
+        width,
+        height,
+        options.blur ?? DEFAULT_BLUR
+      );
+      const { magnitude, gx, gy } = EdgeTracer.sobel(blurred, width, height);
+      if (options.mask) {
+        for (let i = 0; i < magnitude.length; i++) {
+          if (options.mask[i] < 0.5) magnitude[i] = 0;
+        }
+      }
+      const ridges = EdgeTracer.suppressNonMaxima(magnitude, gx, gy, width, height);
+
+      let strongest = 0;
+      for (let i = 0; i < ridges.length; i++) strongest = Math.max(strongest, ridges[i]);
+      if (strongest === 0) return [];
+      const high = (options.high ?? DEFAULT_HIGH) * strongest;
+      const low = Math.min(high, (options.low ?? DEFAULT_LOW) * strongest);
+
+      const edges = EdgeTracer.hysteresis(ridges, width, height, low, high);
+      const minLength = options.minLength ?? 0;
+      const smoothing = options.smoothing ?? DEFAULT_SMOOTHING;
+      return EdgeTracer.chain(edges, width, height)
+        .filter((line) => EdgeTracer.length(line) >= minLength)
+        .map((line) => EdgeTracer.smooth(line, smoothing));
+    }
+
+    // Separable gaussian blur with edge pixels repeated
+    static gaussianBlur(values, width, height, sigma) {
+      if (!(sigma > 0)) return Float32Array.from(values);
+
+      const radius = Math.ceil(sigma * 3);
+      const kernel = [];
+      let sum = 0;
+      for (let i = -radius; i <= radius; i++) {
+        const weight = Math.exp(-(i * i) / (2 * sigma * sigma));
+        kernel.push(weight);
+        sum += weight;
+      }
+      const weights = kernel.map((weight) => weight / sum);
+
+      const pass = (source, horizontal) => {
+        const result = new Float32Array(source.length);
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            let total = 0;
+            for (let k = -radius; k <= radius; k++) {
+              const sx = horizontal ? Math.min(width - 1, Math.max(0, x + k)) : x;
+              const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + k));
+              total += source[sy * width + sx] * weights[k + radius];
+            }
+            result[y * width + x] = total;
+          }
+        }
+        return result;
+      };
+      return pass(pass(values, true), false);
+    }
+
+    // Sobel gradients and their magnitude; the one-pixel border is zero
+    static sobel(values, width, height) {
+      const gx = new Float32Array(width * height);
+      const gy = new Float32Array(width * height);
+      const magnitude = new Float32Array(width * height);
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          const i = y * width + x;
+          const at = (dx, dy) => values[i + dy * width + dx];
+          const dx =
+            at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+          const dy =
+            at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+          gx[i] = dx;
+          gy[i] = dy;
+          magnitude[i] = Math.hypot(dx, dy);
+        }
+      }
+      return { magnitude, gx, gy };
+    }
+
+    // Keeps a pixel's magnitude only where it is a maximum across the edge,
+    // comparing with the two neighbours nearest the gradient direction
+    static suppressNonMaxima(magnitude, gx, gy, width, height) {
+      const ridges = new Float32Array(width * height);
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          const i = y * width + x;
+          const value = magnitude[i];
+          if (value === 0) continue;
+
+          // Gradient direction folded into 0-180° and snapped to 45° steps
+          const angle = ((Math.atan2(gy[i], gx[i]) * 180) / Math.PI + 180) % 180;
+          let offset;
+          if (angle < 22.5 || angle >= 157.5) offset = 1;
+          else if (angle < 67.5) offset = width + 1;
+          else if (angle < 112.5) offset = width;
+          else offset = width - 1;
+
+          // Ties go to the first pixel so flat ridges stay one pixel wide
+          if (value > magnitude[i - offset] && value >= magnitude[i + offset]) {
+            ridges[i] = value;
+          }
+        }
+      }
+      return ridges;
+    }
+
+    // Edge pixels (1) that are above `high`, or above `low` and connected
+    // through other such pixels to one above `high`
+    static hysteresis(ridges, width, height, low, high) {
+      const edges = new Uint8Array(width * height);
+      const stack = [];
+      for (let i = 0; i < ridges.length; i++) {
+        if (ridges[i] >= high && ridges[i] > 0) {
+          edges[i] = 1;
+          stack.push(i);
+        }
+      }
+      while (stack.length) {
+        const i = stack.pop();
+        const x = i % width;
+        const y = (i - x) / width;
+        NEIGHBOURS.forEach(([dx, dy]) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+          const n = ny * width + nx;
+          if (!edges[n] && ridges[n] >= low && ridges[n] > 0) {
+            edges[n] = 1;
+            stack.push(n);
+          }
+        });
+      }
+      return edges;
+    }
+
+    // Edge pixels linked into polylines. Chains start at line ends and
+    // junctions (pixels without exactly two edge neighbours) so open edges
+    // are traced end to end; loops left over are traced from any pixel.
+    // Chains that come back next to their start are closed.
+    static chain(edges, width, height) {
+      const visited = new Uint8Array(width * height);
+      const neighboursOf = (i) => {
+        const x = i % width;
+        const y = (i - x) / width;
+        const result = [];
+        NEIGHBOURS.forEach(([dx, dy]) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) return;
+          const n = ny * width + nx;
+          if (edges[n]) result.push(n);
+        });
+        return result;
+      };
+      const point = (i) => ({ x: (i % width) + 0.5, y: Math.floor(i / width) + 0.5 });
+
+      const unvisitedNeighbour = (i) =>
+        neighboursOf(i).find((n) => !visited[n]);
+      const follow = (start) => {
+        const line = [point(start)];
+        visited[start] = 1;
+        let next = unvisitedNeighbour(start);
+        while (next !== undefined) {
+          visited[next] = 1;
+          line.push(point(next));
+          next = unvisitedNeighbour(next);
+        }
+        return line;
+      };
+
+      // A chain that ends next to where it started is a loop
+      const closeLoop = (line) => {
+        const first = line[0];
+        const last = line[line.length - 1];
+        if (
+          line.length > 3 &&
+          Math.abs(first.x - last.x) <= 1 &&
+          Math.abs(first.y - last.y) <= 1
+        ) {
+          line.push({ ...first });
+        }
+        return line;
+      };
+
+      const lines = [];
+      for (let i = 0; i < edges.length; i++) {
+        if (!edges[i] || visited[i] || neighboursOf(i).length === 2) continue;
+        // A junction starts one branch per unvisited neighbour
+        visited[i] = 1;
+        let next = unvisitedNeighbour(i);
+        while (next !== undefined) {
+          lines.push(closeLoop([point(i), ...follow(next)]));
+          next = unvisitedNeighbour(i);
+        }
+      }
+      for (let i = 0; i < edges.length; i++) {
+        if (!edges[i] || visited[i]) continue;
+        const line = closeLoop(follow(i));
+        if (line.length > 1) lines.push(line);
+      }
+      return lines;
+    }
+
+    // Neighbour averaging ([1, 2, 1] / 4) that takes the pixel staircase
+    // out of traced edges; open ends stay put, closed lines stay closed
+    static smooth(points, passes) {
+      if (points.length < 3 || !(passes > 0)) return points;
+      const closed =
+        points[0].x === points[points.length - 1].x &&
+        points[0].y === points[points.length - 1].y;
+
+      let current = points;
+      for (let pass = 0; pass < passes; pass++) {
+        const next = current.map((point) => ({ ...point }));
+        const count = closed ? current.length - 1 : current.length;
+        for (let i = 0; i < count; i++) {
+          const isEnd = !closed && (i === 0 || i === count - 1);
+          if (isEnd) continue;
+          const before = current[(i - 1 + count) % count];
+          const after = current[(i + 1) % count];
+          next[i].x = (before.x + 2 * current[i].x + after.x) / 4;
+          next[i].y = (before.y + 2 * current[i].y + after.y) / 4;
+        }
+        if (closed) next[next.length - 1] = { ...next[0] };
+        current = next;
+      }
+      return current;
+    }
+
+    static length(points) {
+      let length = 0;
+      for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+      }
+      return length;
+    }
+  }
+
+  global.EdgeTracer = EdgeTracer;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -25,6 +25,10 @@ class FieldLines {
         this.previewArea = document.querySelector('.preview-area');
         this.interactiveCanvas = new InteractiveCanvas(this.previewArea);
 
+        // Layer lines are drawn to one canvas over the field points SVG; see previewCanvas.js
+        this.previewCanvas = document.getElementById('previewCanvas');
+        this.preview = new PreviewCanvas(this.previewCanvas).attach(this.interactiveCanvas);
+
         // Configuration management
         this.configManager = new ConfigManager();
         this.toolId = 'fieldlines';
@@ -193,6 +197,14 @@ class FieldLines {
         // Download buttons
         document.getElementById('downloadSvgBtn').addEventListener('click', () => this.downloadCombinedSvg());
         document.getElementById('downloadIndividualSvgBtn').addEventListener('click', () => this.downloadIndividualSvgs());
+        document.getElementById('downloadGcodeBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.downloadCombinedGcode();
+        });
+        document.getElementById('downloadIndividualGcodeBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.downloadIndividualGcodes();
+        });
 
         // SVG interaction
         this.fieldPointsSvg.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
@@ -341,12 +353,9 @@ class FieldLines {
         // Update field points SVG
         this.fieldPointsSvg.setAttribute('viewBox', `0 0 ${widthPx} ${heightPx}`);
         
-        // Update all layer SVGs
-        this.layers.forEach(layer => {
-            if (layer.svg) {
-                layer.svg.setAttribute('viewBox', `0 0 ${widthPx} ${heightPx}`);
-            }
-        });
+        // The line preview covers the same box as the field points SVG
+        this.previewCanvas.style.aspectRatio = `${widthPx} / ${heightPx}`;
+        this.preview.setViewBox(0, 0, widthPx, heightPx);
     }
 
     // Removed - replaced by layer-based line generation
@@ -356,10 +365,8 @@ class FieldLines {
         this.layers = [];
         for (let i = 0; i < this.numLayers; i++) {
             this.layers.push({
-                svg: null,
-                group: null,
-                svgContent: "",
                 lines: [],
+                renderedLines: [],
                 color: this.getLayerColor(i),
                 offsetX: 0,
                 offsetY: 0,
@@ -368,7 +375,7 @@ class FieldLines {
                 maxSegmentLength: 2, // mm
             });
         }
-        this.updateSvgStack();
+        this.updatePreviewLayers();
         this.updateLayerPanel();
 
         // Update InteractiveCanvas content
@@ -406,44 +413,20 @@ class FieldLines {
         return colors[index % colors.length];
     }
 
-    updateSvgStack() {
-        const svgStack = document.getElementById("svgContainer");
-        svgStack.innerHTML = "";
-
-        // Add the field points SVG first (background layer for interaction)
-        svgStack.appendChild(this.fieldPointsSvg);
-
-        for (let i = 0; i < this.layers.length; i++) {
-            const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-            svg.id = `outputSvgLayer${i}`;
-            svg.classList.add("layer-svg");
-            svg.setAttribute(
-                "viewBox",
-                `0 0 ${this.width} ${this.height}`
-            );
-            svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
-            svg.style.position = "absolute";
-            svg.style.top = "0";
-            svg.style.left = "0";
-            svg.style.pointerEvents = "none";
-
-            const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
-            group.id = `pen-plotter-lines-Layer${i}`;
-            group.setAttribute("stroke", this.layers[i].color);
-            group.setAttribute("fill", "none");
-            group.setAttribute("stroke-linecap", "round");
-            group.setAttribute("stroke-linejoin", "round");
-
-            if (i > 0) {
-                group.setAttribute("opacity", "0.8");
-            }
-
-            svg.appendChild(group);
-            svgStack.appendChild(svg);
-
-            this.layers[i].svg = svg;
-            this.layers[i].group = group;
-        }
+    // One preview layer per line layer, drawn in layer order; the layers
+    // above the first let it show through
+    updatePreviewLayers() {
+        const penDiameter = parseFloat(document.getElementById('penDiameterValue').value) || 1;
+        this.preview.clear();
+        this.layers.forEach((layer, i) => {
+            this.preview.setLayer(i, {
+                lines: layer.renderedLines || [],
+                color: layer.color,
+                lineWidth: penDiameter,
+                penWidth: penDiameter * this.pixelsPerMm, // True width for simulated ink
+                opacity: i > 0 ? 0.8 : 1
+            });
+        });
     }
 
     updateLayerPanel() {
@@ -524,9 +507,9 @@ class FieldLines {
         
         this.layers[this.selectedLayerIndex][property] = value;
         
-        // Update SVG stroke color if color changed
-        if (property === 'color' && this.layers[this.selectedLayerIndex].group) {
-            this.layers[this.selectedLayerIndex].group.setAttribute('stroke', value);
+        // Update preview color if color changed
+        if (property === 'color') {
+            this.preview.updateLayer(this.selectedLayerIndex, { color: value });
             document.getElementById("currentLayerColor").style.backgroundColor = value;
         }
         
@@ -554,10 +537,8 @@ class FieldLines {
         // Add new layer data to layers array
         const newLayerIndex = this.numLayers - 1;
         this.layers.push({
-            svg: null,
-            group: null,
-            svgContent: "",
             lines: [],
+            renderedLines: [],
             color: this.getLayerColor(newLayerIndex),
             offsetX: 0,
             offsetY: 0,
@@ -566,7 +547,7 @@ class FieldLines {
             maxSegmentLength: 2, // mm
         });
 
-        this.updateSvgStack();
+        this.updatePreviewLayers();
         this.updateLayerPanel();
         
         // Update InteractiveCanvas content
@@ -597,7 +578,7 @@ class FieldLines {
             document.getElementById("layerEditor").style.display = "none";
         }
 
-        this.updateSvgStack();
+        this.updatePreviewLayers();
         this.updateLayerPanel();
 
         // Update InteractiveCanvas content
@@ -792,12 +773,6 @@ class FieldLines {
         this.fieldPointsGroup.innerHTML = '';
         this.drawnLinesGroup.innerHTML = '';
 
-        // Clear all layer groups
-        this.layers.forEach(layer => {
-            if (layer.group) {
-                layer.group.innerHTML = '';
-            }
-        });
 
         // Draw the line currently being drawn
         if (this.isDrawing && this.currentDrawing.length > 1) {
@@ -829,8 +804,8 @@ class FieldLines {
 
         // Draw all layers
         this.layers.forEach(layer => {
-            if (!layer.group) return;
-            
+            layer.renderedLines = [];
+
             layer.lines.forEach(line => {
                 // First pass: calculate deformation for each point
                 const deformedLine = line.map(p => {
@@ -909,21 +884,12 @@ class FieldLines {
                 // Third pass: remove redundant clamped points for cleaner SVG
                 const cleanedLine = this.removeRedundantClampedPointsForSvg(finalLine);
                 
-                if (cleanedLine.length >= 2) { // Only create path if we have at least 2 points
-                    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                    let d = `M ${cleanedLine[0].x} ${cleanedLine[0].y}`;
-                    for (let i = 1; i < cleanedLine.length; i++) {
-                        d += ` L ${cleanedLine[i].x} ${cleanedLine[i].y}`;
-                    }
-                    path.setAttribute('d', d);
-                    path.setAttribute('stroke', layer.color);
-                    path.setAttribute('fill', 'none');
-                    const penDiameter = document.getElementById('penDiameterValue').value;
-                    path.setAttribute('stroke-width', penDiameter);
-                    layer.group.appendChild(path);
+                if (cleanedLine.length >= 2) { // Only keep lines with at least 2 points
+                    layer.renderedLines.push(cleanedLine.map(({ x, y }) => ({ x, y })));
                 }
             });
         });
+        this.updatePreviewLayers();
 
         // Draw points
         const showVisualization = document.getElementById('showVisualization').checked;
@@ -1163,6 +1129,13 @@ class FieldLines {
             
             // Pen settings
             penDiameter: document.getElementById('penDiameterValue').value,
+            penDownZ: document.getElementById('penDownZValue').value,
+            penUpZ: document.getElementById('penUpZValue').value,
+            preventZhop: document.getElementById('preventZhopValue').value,
+            feedRate: document.getElementById('feedRateValue').value,
+            pauseBetweenLayers: document.getElementById('pauseBetweenLayers').checked,
+            arcFitting: document.getElementById('arcFittingEnabled').checked,
+            arcTolerance: document.getElementById('arcToleranceValue').value,
             
             // New point defaults
             newPointForce: document.getElementById('newPointForceValue').value,
@@ -1202,6 +1175,13 @@ class FieldLines {
         
         // Apply pen settings
         document.getElementById('penDiameterValue').value = params.penDiameter || "0.5";
+        document.getElementById('penDownZValue').value = params.penDownZ !== undefined ? params.penDownZ : "0";
+        document.getElementById('penUpZValue').value = params.penUpZ !== undefined ? params.penUpZ : "2";
+        document.getElementById('preventZhopValue').value = params.preventZhop !== undefined ? params.preventZhop : "0.5";
+        document.getElementById('feedRateValue').value = params.feedRate || "1500";
+        document.getElementById('pauseBetweenLayers').checked = params.pauseBetweenLayers !== undefined ? params.pauseBetweenLayers : true;
+        document.getElementById('arcFittingEnabled').checked = params.arcFitting || false;
+        document.getElementById('arcToleranceValue').value = params.arcTolerance !== undefined ? params.arcTolerance : "0.02";
         
         // Apply new point defaults
         document.getElementById('newPointForceValue').value = params.newPointForce || "50";
@@ -1224,18 +1204,12 @@ class FieldLines {
         // Apply visualization setting
         document.getElementById('showVisualization').checked = params.showVisualization !== undefined ? params.showVisualization : false;
         
-        // Clear existing layers and their SVGs
-        this.layers.forEach(layer => {
-            if (layer.svg) layer.svg.remove();
-        });
-        
         // Apply layers
         if (params.layers && params.layers.length > 0) {
             this.layers = params.layers.map(layerData => ({
                 ...layerData,
                 lines: [],
-                svg: null,
-                group: null
+                renderedLines: []
             }));
             this.activeLayerIndex = params.activeLayerIndex || 0;
         } else {
@@ -1250,16 +1224,15 @@ class FieldLines {
                 offsetY: 0,
                 maxSegmentLength: 2,
                 lines: [],
-                svg: null,
-                group: null
+                renderedLines: []
             }];
             this.activeLayerIndex = 0;
         }
         
         this.numLayers = this.layers.length;
         
-        // Recreate layer SVGs and update UI
-        this.updateSvgStack();
+        // Recreate preview layers and update UI
+        this.updatePreviewLayers();
         this.updateLayerPanel();
         
         // Update InteractiveCanvas content
@@ -1300,15 +1273,13 @@ class FieldLines {
         
         // Add each layer's paths
         this.layers.forEach((layer, index) => {
-            if (layer.group) {
-                const paths = layer.group.querySelectorAll('path');
-                if (paths.length > 0) {
-                    svg += `  <g id="layer-${index + 1}" stroke="${layer.color}" fill="none" stroke-linecap="round" stroke-linejoin="round" stroke-width="${document.getElementById('penDiameterValue').value}">\n`;
-                    paths.forEach(path => {
-                        svg += `    <path d="${path.getAttribute('d')}" />\n`;
-                    });
-                    svg += `  </g>\n`;
-                }
+            const paths = this.getLayerPathData(layer);
+            if (paths.length > 0) {
+                svg += `  <g id="layer-${index + 1}" stroke="${layer.color}" fill="none" stroke-linecap="round" stroke-linejoin="round" stroke-width="${document.getElementById('penDiameterValue').value}">\n`;
+                paths.forEach(d => {
+                    svg += `    <path d="${d}" />\n`;
+                });
+                svg += `  </g>\n`;
             }
         });
         
@@ -1325,18 +1296,109 @@ class FieldLines {
   <g id="layer-${index + 1}" stroke="${layer.color}" fill="none" stroke-linecap="round" stroke-linejoin="round" stroke-width="${document.getElementById('penDiameterValue').value}">
 `;
         
-        if (layer.group) {
-            const paths = layer.group.querySelectorAll('path');
-            paths.forEach(path => {
-                svg += `    <path d="${path.getAttribute('d')}" />\n`;
-            });
-        }
+        this.getLayerPathData(layer).forEach(d => {
+            svg += `    <path d="${d}" />\n`;
+        });
         
         svg += `  </g>
 </svg>`;
         return svg;
     }
 
+    downloadCombinedGcode() {
+        const layerIndices = this.layers.map((_, index) => index);
+        const gcode = this.buildGcodeForLayers(layerIndices);
+        if (!gcode) {
+            alert('No G-code to export yet. Generate some lines first.');
+            return;
+        }
+        this.downloadFile(gcode, 'fieldlines_combined.gcode', 'text/plain');
+    }
+
+    downloadIndividualGcodes() {
+        this.layers.forEach((layer, index) => {
+            const gcode = this.buildGcodeForLayers([index]);
+            if (!gcode) return;
+            this.downloadFile(gcode, `fieldlines_layer_${index + 1}.gcode`, 'text/plain');
+        });
+    }
+
+    // Path data for the layer's rendered lines, built at export time
+    getLayerPathData(layer) {
+        return (layer.renderedLines || []).map(line =>
+            line.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ')
+        );
+    }
+
+    getLayerPathInfos(layer) {
+        // Use the rendered lines so the toolpath matches the preview exactly
+        return (layer.renderedLines || [])
+            .map(line => ({ pathData: [line] }))
+            .filter(pathInfo => pathInfo.pathData.some(segment => segment.length >= 2));
+    }
+
+    buildGcodeForLayers(layerIndices) {
+        if (typeof GCodeGenerator === 'undefined') {
+            alert('G-code generator not available.');
+            return '';
+        }
+
+        const layerPasses = layerIndices
+            .map(index => ({ index, layer: this.layers[index] }))
+            .filter(({ layer }) => layer)
+            .map(pass => ({ ...pass, pathInfos: this.getLayerPathInfos(pass.layer) }))
+            .filter(pass => pass.pathInfos.length > 0);
+
+        if (layerPasses.length === 0) return '';
+
+        const penDownZ = parseFloat(document.getElementById('penDownZValue').value);
+        const penUpZ = parseFloat(document.getElementById('penUpZValue').value);
+        const preventZhop = parseFloat(document.getElementById('preventZhopValue').value);
+        const feedRate = parseFloat(document.getElementById('feedRateValue').value);
+        const pauseBetweenLayers = document.getElementById('pauseBetweenLayers').checked;
+        const arcTolerance = parseFloat(document.getElementById('arcToleranceValue').value);
+
+        const generator = new GCodeGenerator({
+            feedRate: Number.isFinite(feedRate) && feedRate > 0 ? feedRate : 1500,
+            penDownZ: Number.isFinite(penDownZ) ? penDownZ : 0,
+            penUpZ: Number.isFinite(penUpZ) ? penUpZ : 2,
+            preventZhop: Number.isFinite(preventZhop) ? preventZhop : 0.5,
+            arcFitting: document.getElementById('arcFittingEnabled').checked,
+            arcTolerance: arcTolerance > 0 ? arcTolerance : 0.02,
+            toolName: 'FieldLines',
+            canvasWidth: this.getCanvasWidth(),
+            canvasHeight: this.getCanvasHeight()
+        });
+
+        generator.beginProgram({
+            headerLines: [`Layers: ${layerPasses.map(({ index }) => index + 1).join(', ')}`]
+        });
+
+        layerPasses.forEach(({ index, layer, pathInfos }, passIndex) => {
+            const layerName = `Layer ${index + 1} (${layer.color})`;
+
+            if (passIndex > 0 && pauseBetweenLayers) {
+                generator.pauseProgram(`Change pen for ${layerName}`);
+            }
+            generator.addComment(`--- ${layerName} ---`);
+
+            const orderedPaths = this.optimizePathOrder(pathInfos);
+            orderedPaths.forEach(pathInfo => {
+                pathInfo.pathData.forEach(segment => {
+                    const points = this.removeRedundantClampedPoints(segment)
+                        .map(point => this.pixelPointToMillimeters(point));
+                    generator.drawPolyline(points);
+                });
+            });
+
+            // Each layer is its own pen pass
+            generator.ensurePenUp({ force: true });
+        });
+
+        generator.finishProgram();
+        return generator.toString();
+    }
+
     pixelPointToMillimeters(point) {
         const canvasWidthMm = this.getCanvasWidth();
         const canvasHeightMm = this.getCanvasHeight();
@@ -1370,314 +1432,26 @@ class FieldLines {
     }
 
     // Path optimization methods
-    parsePathData(pathData) {
-        const segments = [];
-        const commands = pathData.match(/[MLZ][^MLZ]*/gi) || [];
-        
-        let currentSegment = [];
-        
-        commands.forEach(command => {
-            const type = command[0];
-            const coords = command.slice(1).trim().split(/[\s,]+/).map(parseFloat);
-            
-            if (type === 'M' && coords.length >= 2) {
-                // Start new segment
-                if (currentSegment.length > 0) {
-                    segments.push([...currentSegment]);
-                }
-                currentSegment = [{x: coords[0], y: coords[1]}];
-            } else if (type === 'L' && coords.length >= 2) {
-                // Add point to current segment
-                currentSegment.push({x: coords[0], y: coords[1]});
-            }
-        });
-        
-        // Add final segment
-        if (currentSegment.length > 0) {
-            segments.push(currentSegment);
-        }
-        
-        return segments;
-    }
-
-    optimizePathOrderSafe(pathInfos) {
-        if (pathInfos.length <= 1) return pathInfos;
-        
-        // Limit the number of paths we try to optimize to prevent crashes
-        if (pathInfos.length > 100) {
-            console.log(`Too many paths (${pathInfos.length}) for optimization, using simple nearest neighbor`);
-            return this.optimizePathOrderSimple(pathInfos);
-        }
-        
-        return this.optimizePathOrder(pathInfos);
-    }
-
+    // Orders paths to minimise pen-up travel, starting from the origin. Paths
+    // may be drawn backwards; reversed paths are returned as copies.
     optimizePathOrder(pathInfos) {
-        if (pathInfos.length <= 1) return pathInfos;
-        
-        // For large numbers of paths, use a more sophisticated approach
-        if (pathInfos.length > 50) {
-            return this.optimizePathOrderAdvanced(pathInfos);
-        }
-        
-        const optimized = [];
-        const remaining = [...pathInfos];
-        let currentPosition = {x: 0, y: 0}; // Start at origin
-        
-        while (remaining.length > 0) {
-            let closestIndex = 0;
-            let shortestDistance = Infinity;
-            let shouldReverse = false;
-            
-            // Find the closest path start or end
-            remaining.forEach((pathInfo, index) => {
-                if (pathInfo.pathData.length === 0) return;
-                
-                // Check first segment
-                const firstSegment = pathInfo.pathData[0];
+        const drawable = pathInfos.filter(pathInfo =>
+            pathInfo.pathData.length > 0 &&
+            pathInfo.pathData[0].length > 0 &&
+            pathInfo.pathData[pathInfo.pathData.length - 1].length > 0
+        );
+
+        return PathOptimizer.order(drawable, {
+            getStart: pathInfo => pathInfo.pathData[0][0],
+            getEnd: pathInfo => {
                 const lastSegment = pathInfo.pathData[pathInfo.pathData.length - 1];
-                
-                if (firstSegment.length === 0) return;
-                
-                // Distance to start of path
-                const startPoint = firstSegment[0];
-                const distToStart = Math.sqrt(
-                    Math.pow(currentPosition.x - startPoint.x, 2) + 
-                    Math.pow(currentPosition.y - startPoint.y, 2)
-                );
-                
-                // Distance to end of path (if we can reverse)
-                const endPoint = lastSegment[lastSegment.length - 1];
-                const distToEnd = Math.sqrt(
-                    Math.pow(currentPosition.x - endPoint.x, 2) + 
-                    Math.pow(currentPosition.y - endPoint.y, 2)
-                );
-                
-                if (distToStart < shortestDistance) {
-                    shortestDistance = distToStart;
-                    closestIndex = index;
-                    shouldReverse = false;
-                } else if (distToEnd < shortestDistance) {
-                    shortestDistance = distToEnd;
-                    closestIndex = index;
-                    shouldReverse = true;
-                }
-            });
-            
-            // Add the closest path to optimized list
-            const selectedPath = remaining.splice(closestIndex, 1)[0];
-            
-            if (shouldReverse) {
-                // Reverse all segments and points within segments
-                selectedPath.pathData = selectedPath.pathData.map(segment => 
-                    [...segment].reverse()
-                ).reverse();
-            }
-            
-            optimized.push(selectedPath);
-            
-            // Update current position to end of this path
-            if (selectedPath.pathData.length > 0) {
-                const lastSegment = selectedPath.pathData[selectedPath.pathData.length - 1];
-                if (lastSegment.length > 0) {
-                    currentPosition = lastSegment[lastSegment.length - 1];
-                }
-            }
-        }
-        
-        return optimized;
-    }
-
-    optimizePathOrderAdvanced(pathInfos) {
-        // For large numbers of paths, use spatial clustering and local optimization
-        const clusters = this.clusterPathsSpatially(pathInfos, 4); // Create 4 spatial clusters
-        const optimizedClusters = [];
-        let currentPosition = {x: 0, y: 0};
-        
-        // Process each cluster in order of proximity
-        const remainingClusters = [...clusters];
-        
-        while (remainingClusters.length > 0) {
-            // Find closest cluster
-            let closestClusterIndex = 0;
-            let shortestDistanceToCluster = Infinity;
-            
-            remainingClusters.forEach((cluster, index) => {
-                const clusterCenter = this.getClusterCenter(cluster);
-                const distanceToCenter = Math.sqrt(
-                    Math.pow(currentPosition.x - clusterCenter.x, 2) + 
-                    Math.pow(currentPosition.y - clusterCenter.y, 2)
-                );
-                
-                if (distanceToCenter < shortestDistanceToCluster) {
-                    shortestDistanceToCluster = distanceToCenter;
-                    closestClusterIndex = index;
-                }
-            });
-            
-            // Optimize within the closest cluster
-            const selectedCluster = remainingClusters.splice(closestClusterIndex, 1)[0];
-            const optimizedCluster = this.optimizePathOrder(selectedCluster);
-            optimizedClusters.push(...optimizedCluster);
-            
-            // Update position to end of cluster
-            if (optimizedCluster.length > 0) {
-                const lastPath = optimizedCluster[optimizedCluster.length - 1];
-                if (lastPath.pathData.length > 0) {
-                    const lastSegment = lastPath.pathData[lastPath.pathData.length - 1];
-                    if (lastSegment.length > 0) {
-                        currentPosition = lastSegment[lastSegment.length - 1];
-                    }
-                }
-            }
-        }
-        
-        return optimizedClusters;
-    }
-
-    clusterPathsSpatially(pathInfos, numClusters) {
-        if (pathInfos.length <= numClusters) {
-            return pathInfos.map(path => [path]);
-        }
-        
-        // Initialize clusters with k-means style approach
-        const clusters = [];
-        for (let i = 0; i < numClusters; i++) {
-            clusters.push([]);
-        }
-        
-        // Assign each path to nearest cluster center
-        pathInfos.forEach(pathInfo => {
-            if (pathInfo.pathData.length === 0) return;
-            
-            const pathCenter = this.getPathCenter(pathInfo);
-            let closestCluster = 0;
-            let shortestDistance = Infinity;
-            
-            for (let i = 0; i < numClusters; i++) {
-                // Use grid-based cluster centers
-                const clusterCenterX = (i % 2) * this.width;
-                const clusterCenterY = Math.floor(i / 2) * this.height;
-                
-                const distance = Math.sqrt(
-                    Math.pow(pathCenter.x - clusterCenterX, 2) + 
-                    Math.pow(pathCenter.y - clusterCenterY, 2)
-                );
-                
-                if (distance < shortestDistance) {
-                    shortestDistance = distance;
-                    closestCluster = i;
-                }
-            }
-            
-            clusters[closestCluster].push(pathInfo);
-        });
-        
-        return clusters.filter(cluster => cluster.length > 0);
-    }
-
-    getPathCenter(pathInfo) {
-        if (pathInfo.pathData.length === 0) return {x: 0, y: 0};
-        
-        let totalX = 0, totalY = 0, totalPoints = 0;
-        
-        pathInfo.pathData.forEach(segment => {
-            segment.forEach(point => {
-                totalX += point.x;
-                totalY += point.y;
-                totalPoints++;
-            });
-        });
-        
-        return totalPoints > 0 ? {
-            x: totalX / totalPoints,
-            y: totalY / totalPoints
-        } : {x: 0, y: 0};
-    }
-
-    getClusterCenter(cluster) {
-        if (cluster.length === 0) return {x: 0, y: 0};
-        
-        let totalX = 0, totalY = 0;
-        
-        cluster.forEach(pathInfo => {
-            const center = this.getPathCenter(pathInfo);
-            totalX += center.x;
-            totalY += center.y;
+                return lastSegment[lastSegment.length - 1];
+            },
+            reverse: pathInfo => ({
+                ...pathInfo,
+                pathData: pathInfo.pathData.map(segment => [...segment].reverse()).reverse()
+            })
         });
-        
-        return {
-            x: totalX / cluster.length,
-            y: totalY / cluster.length
-        };
-    }
-
-    optimizePathOrderSimple(pathInfos) {
-        // Very simple optimization: just use nearest neighbor without complex calculations
-        if (pathInfos.length <= 1) return pathInfos;
-        
-        const optimized = [];
-        const remaining = [...pathInfos];
-        let currentPosition = {x: 0, y: 0}; // Start at origin
-        
-        // Process in batches to avoid hanging the browser
-        const batchSize = 20;
-        let processed = 0;
-        
-        while (remaining.length > 0 && processed < pathInfos.length) {
-            let closestIndex = 0;
-            let shortestDistance = Infinity;
-            
-            // Only check a limited number of paths to find the closest
-            const searchLimit = Math.min(batchSize, remaining.length);
-            
-            for (let i = 0; i < searchLimit; i++) {
-                const pathInfo = remaining[i];
-                if (pathInfo.pathData.length === 0) continue;
-                
-                const firstSegment = pathInfo.pathData[0];
-                if (firstSegment.length === 0) continue;
-                
-                // Just check distance to start of path (no reversal optimization)
-                const startPoint = firstSegment[0];
-                const distToStart = Math.sqrt(
-                    Math.pow(currentPosition.x - startPoint.x, 2) + 
-                    Math.pow(currentPosition.y - startPoint.y, 2)
-                );
-                
-                if (distToStart < shortestDistance) {
-                    shortestDistance = distToStart;
-                    closestIndex = i;
-                }
-            }
-            
-            // Add the closest path to optimized list
-            const selectedPath = remaining.splice(closestIndex, 1)[0];
-            optimized.push(selectedPath);
-            
-            // Update current position to end of this path
-            if (selectedPath.pathData.length > 0) {
-                const lastSegment = selectedPath.pathData[selectedPath.pathData.length - 1];
-                if (lastSegment.length > 0) {
-                    currentPosition = lastSegment[lastSegment.length - 1];
-                }
-            }
-            
-            processed++;
-            
-            // Give browser a chance to breathe
-            if (processed % 10 === 0) {
-                console.log(`Simple optimization progress: ${processed}/${pathInfos.length}`);
-            }
-        }
-        
-        // Add any remaining paths without optimization
-        if (remaining.length > 0) {
-            console.log(`Adding ${remaining.length} remaining paths without optimization`);
-            optimized.push(...remaining);
-        }
-        
-        return optimized;
     }
 
     removeRedundantClampedPoints(segment) {
@@ -1837,4 +1611,11 @@ class FieldLines {
     }
 }
 
-document.addEventListener('DOMContentLoaded', () => new FieldLines());
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => new FieldLines());
+}
+
+// Export for headless use (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FieldLines;
+}
@@ -0,0 +1,289 @@
+(function (global) {
+  const DEFAULT_SMOOTHING = 4;
+  const DEFAULT_BIAS = 0.25;
+  const DEFAULT_TEST_RATIO = 0.5;
+
+  // Edge tangent flow for hatching that wraps around shapes instead of
+  // running at one fixed angle. Directions come from the smoothed structure
+  // tensor of the image luminance, so they run along edges; where the image
+  // is flat they settle on `baseAngle`. Angles are in degrees like the tools'
+  // line angles; directions are orientations, so (x, y) and (-x, -y) are the
+  // same line.
+  class FlowField {
+    constructor(width, height, angles) {
+      this.width = width;
+      this.height = height;
+      this.angles = angles;
+    }
+
+    // `imageData` is RGBA (canvas ImageData or { width, height, data }).
+    // `smoothing` is the tensor blur radius in pixels; `bias` is how strongly
+    // flat areas are pulled towards `baseAngle`, relative to the average
+    // gradient energy.
+    static fromImageData(imageData, options = {}) {
+      const { width, height } = imageData;
+      return FlowField.fromLuminance(FlowField.luminance(imageData), width, height, options);
+    }
+
+    // Per-pixel luminance (0-1) of RGBA image data, the input to
+    // fromLuminance when the field is built somewhere else (e.g. a worker)
+    static luminance(imageData) {
+      const { width, height, data } = imageData;
+      const luminance = new Float32Array(width * height);
+      for (let i = 0; i < luminance.length; i++) {
+        luminance[i] =
+          (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+      }
+      return luminance;
+    }
+
+    static fromLuminance(luminance, width, height, options = {}) {
+      const smoothing = Math.max(0, Math.round(options.smoothing ?? DEFAULT_SMOOTHING));
+      const bias = Math.max(0, options.bias ?? DEFAULT_BIAS);
+      const baseAngle = ((options.baseAngle || 0) * Math.PI) / 180;
+
+      const size = width * height;
+      const jxx = new Float32Array(size);
+      const jyy = new Float32Array(size);
+      const jxy = new Float32Array(size);
+      const at = (x, y) =>
+        luminance[
+          Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))
+        ];
+
+      // Sobel gradients
+      let energy = 0;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const gx =
+            at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) -
+            at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+          const gy =
+            at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) -
+            at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+          const index = y * width + x;
+          jxx[index] = gx * gx;
+          jyy[index] = gy * gy;
+          jxy[index] = gx * gy;
+          energy += jxx[index] + jyy[index];
+        }
+      }
+
+      [jxx, jyy, jxy].forEach((channel) => FlowField.boxBlur(channel, width, height, smoothing));
+
+      // A constant tensor across the base direction's normal decides the
+      // orientation wherever the image itself has no structure
+      const meanEnergy = size ? energy / size : 0;
+      const weight = meanEnergy > 0 ? bias * meanEnergy : 1;
+      const normalX = -Math.sin(baseAngle);
+      const normalY = Math.cos(baseAngle);
+      const biasXX = weight * normalX * normalX;
+      const biasYY = weight * normalY * normalY;
+      const biasXY = weight * normalX * normalY;
+
+      const angles = new Float32Array(size);
+      for (let i = 0; i < size; i++) {
+        const xx = jxx[i] + biasXX;
+        const yy = jyy[i] + biasYY;
+        const xy = jxy[i] + biasXY;
+        // Dominant gradient orientation; the tangent runs across it
+        angles[i] = 0.5 * Math.atan2(2 * xy, xx - yy) + Math.PI / 2;
+      }
+
+      return new FlowField(width, height, angles);
+    }
+
+    // In-place separable box blur with clamped edges
+    static boxBlur(values, width, height, radius) {
+      if (radius < 1) return values;
+      const span = radius * 2 + 1;
+      const line = new Float32Array(Math.max(width, height));
+
+      const blurLine = (length, read, write) => {
+        for (let i = 0; i < length; i++) line[i] = read(i);
+        let sum = 0;
+        for (let i = -radius; i <= radius; i++) {
+          sum += line[Math.min(length - 1, Math.max(0, i))];
+        }
+        for (let i = 0; i < length; i++) {
+          write(i, sum / span);
+          sum +=
+            line[Math.min(length - 1, i + radius + 1)] -
+            line[Math.max(0, i - radius)];
+        }
+      };
+
+      for (let y = 0; y < height; y++) {
+        blurLine(
+          width,
+          (x) => values[y * width + x],
+          (x, value) => (values[y * width + x] = value)
+        );
+      }
+      for (let x = 0; x < width; x++) {
+        blurLine(
+          height,
+          (y) => values[y * width + x],
+          (y, value) => (values[y * width + x] = value)
+        );
+      }
+      return values;
+    }
+
+    // Unit direction at (x, y), turned by `angleOffset` degrees
+    direction(x, y, angleOffset = 0) {
+      const column = Math.min(this.width - 1, Math.max(0, Math.floor(x)));
+      const row = Math.min(this.height - 1, Math.max(0, Math.floor(y)));
+      const angle = this.angles[row * this.width + column] + (angleOffset * Math.PI) / 180;
+      return { x: Math.cos(angle), y: Math.sin(angle) };
+    }
+
+    // Evenly spaced streamlines (Jobard & Lefer) covering the field. Lines
+    // are `separation` px apart and stop when they come closer than
+    // `separation * testRatio` to another line. Returns arrays of { x, y }.
+    streamlines(options = {}) {
+      const separation = Math.max(1, options.separation || 10);
+      const testDistance = separation * (options.testRatio ?? DEFAULT_TEST_RATIO);
+      const step = Math.max(0.25, options.step || Math.min(2, separation / 4));
+      const minLength = options.minLength ?? separation;
+      const angleOffset = options.angleOffset || 0;
+      const maxSteps = Math.ceil((2 * (this.width + this.height)) / step);
+
+      const grid = new StreamlineGrid(this.width, this.height, separation);
+      const lines = [];
+      const seeds = [];
+
+      const inside = (x, y) => x >= 0 && y >= 0 && x < this.width && y < this.height;
+
+      const integrate = (startX, startY, sign, id) => {
+        const points = [];
+        let x = startX;
+        let y = startY;
+        let previous = this.direction(x, y, angleOffset);
+        previous = { x: previous.x * sign, y: previous.y * sign };
+
+        for (let i = 0; i < maxSteps; i++) {
+          // Midpoint step, keeping the orientation consistent along the line
+          const first = this.orient(this.direction(x, y, angleOffset), previous);
+          const midX = x + (first.x * step) / 2;
+          const midY = y + (first.y * step) / 2;
+          const second = this.orient(this.direction(midX, midY, angleOffset), first);
+          const nextX = x + second.x * step;
+          const nextY = y + second.y * step;
+
+          if (!inside(nextX, nextY)) break;
+          if (grid.isNear(nextX, nextY, testDistance, id)) break;
+
+          points.push({ x: nextX, y: nextY });
+          x = nextX;
+          y = nextY;
+          previous = second;
+        }
+        return points;
+      };
+
+      const traceFrom = (seedX, seedY) => {
+        if (!inside(seedX, seedY) || grid.isNear(seedX, seedY, separation * 0.99, -1)) {
+          return;
+        }
+
+        const id = lines.length;
+        const forward = integrate(seedX, seedY, 1, id);
+        const backward = integrate(seedX, seedY, -1, id);
+        const points = [...backward.reverse(), { x: seedX, y: seedY }, ...forward];
+
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+          length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        if (points.length < 2 || length < minLength) return;
+
+        lines.push(points);
+        points.forEach((point) => grid.add(point.x, point.y, id));
+
+        // New seeds one separation away on both sides
+        const seedEvery = Math.max(1, Math.round(separation / step / 2));
+        for (let i = 0; i < points.length; i += seedEvery) {
+          const { x, y } = points[i];
+          const along = this.direction(x, y, angleOffset);
+          seeds.push(
+            { x: x - along.y * separation, y: y + along.x * separation },
+            { x: x + along.y * separation, y: y - along.x * separation }
+          );
+        }
+      };
+
+      const drainSeeds = () => {
+        while (seeds.length) {
+          const seed = seeds.shift();
+          traceFrom(seed.x, seed.y);
+        }
+      };
+
+      traceFrom(this.width / 2, this.height / 2);
+      drainSeeds();
+
+      // Regions cut off from the first line get seeded from a coarse grid
+      for (let y = separation / 2; y < this.height; y += separation) {
+        for (let x = separation / 2; x < this.width; x += separation) {
+          traceFrom(x, y);
+          drainSeeds();
+        }
+      }
+
+      return lines;
+    }
+
+    orient(direction, previous) {
+      return direction.x * previous.x + direction.y * previous.y < 0
+        ? { x: -direction.x, y: -direction.y }
+        : direction;
+    }
+  }
+
+  // Streamline points bucketed by cell for distance tests. A line is not
+  // tested against its own points near the tracing head.
+  class StreamlineGrid {
+    constructor(width, height, cellSize) {
+      this.cellSize = cellSize;
+      this.cols = Math.max(1, Math.ceil(width / cellSize));
+      this.rows = Math.max(1, Math.ceil(height / cellSize));
+      this.cells = new Map();
+    }
+
+    key(column, row) {
+      return row * this.cols + column;
+    }
+
+    add(x, y, id) {
+      const key = this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+      if (!this.cells.has(key)) this.cells.set(key, []);
+      this.cells.get(key).push(x, y, id);
+    }
+
+    isNear(x, y, distance, ignoreId) {
+      const column = Math.floor(x / this.cellSize);
+      const row = Math.floor(y / this.cellSize);
+      const reach = Math.ceil(distance / this.cellSize);
+      const distanceSquared = distance * distance;
+
+      for (let r = row - reach; r <= row + reach; r++) {
+        if (r < 0 || r >= this.rows) continue;
+        for (let c = column - reach; c <= column + reach; c++) {
+          if (c < 0 || c >= this.cols) continue;
+          const points = this.cells.get(this.key(c, r));
+          if (!points) continue;
+          for (let i = 0; i < points.length; i += 3) {
+            if (points[i + 2] === ignoreId) continue;
+            const dx = points[i] - x;
+            const dy = points[i + 1] - y;
+            if (dx * dx + dy * dy < distanceSquared) return true;
+          }
+        }
+      }
+      return false;
+    }
+  }
+
+  global.FlowField = FlowField;
+})(typeof window !== "undefined" ? window : globalThis);
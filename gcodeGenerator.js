@@ -1,5 +1,7 @@
 (function (global) {
   const DEFAULT_DECIMALS = 3;
+  const MIN_ARC_POINTS = 4;
+  const MAX_ARC_RADIUS = 10000;
 
   class GCodeGenerator {
     constructor(options = {}) {
@@ -20,6 +22,18 @@
         homeCommand: "G28 ; Home all axes",
         liftCommand: "G0",
         plungeCommand: "G1",
+        pauseCommand: "M0",
+        penUpCommand: "",
+        penDownCommand: "",
+        penDwell: 0,
+        dwellUnits: "seconds",
+        headerTemplate: "",
+        footerTemplate: "",
+        invertX: false,
+        invertY: false,
+        machineProfileName: null,
+        arcFitting: false,
+        arcTolerance: 0.02,
         headerLines: [],
         footerLines: [],
       };
@@ -32,6 +46,8 @@
       this.programBegan = false;
       this.programFinished = false;
       this.feedRate = this.options.feedRate;
+      this.pendingDraws = null;
+      this.sections = [];
     }
 
     beginProgram(meta = {}) {
@@ -47,6 +63,9 @@
       if (this.isFiniteNumber(canvasWidth) && this.isFiniteNumber(canvasHeight)) {
         headerLines.push(`Canvas size: ${canvasWidth}mm x ${canvasHeight}mm`);
       }
+      if (this.options.machineProfileName) {
+        headerLines.push(`Machine profile: ${this.options.machineProfileName}`);
+      }
 
       if (Array.isArray(this.options.headerLines)) {
         headerLines.push(...this.options.headerLines.map(String));
@@ -63,17 +82,20 @@
       if (this.options.absolutePositioning) {
         this.addCommand("G90", "Use absolute coordinates");
       }
+      this.expandTemplateLines(this.options.headerTemplate).forEach((line) =>
+        this.addCommand(line)
+      );
       if (this.options.includeHome && this.options.homeCommand) {
         this.commands.push(this.options.homeCommand);
       }
 
       const penUpZ = meta.penUpZ ?? this.options.penUpZ;
-      if (this.isFiniteNumber(penUpZ)) {
-        const feed = this.feedRate ? ` F${this.formatNumber(this.feedRate)}` : "";
-        this.addCommand(
-          `${this.options.liftCommand} Z${this.formatNumber(penUpZ)}${feed}`,
-          "Pen up"
-        );
+      if (this.options.penUpCommand || this.isFiniteNumber(penUpZ)) {
+        this.ensurePenUp({
+          force: true,
+          penUpZ,
+          feedRate: this.feedRate || undefined,
+        });
       }
 
       this.programBegan = true;
@@ -87,6 +109,9 @@
       if (this.isFiniteNumber(penUpZ)) {
         this.ensurePenUp({ force: true, penUpZ });
       }
+      this.expandTemplateLines(this.options.footerTemplate, { penUpZ }).forEach((line) =>
+        this.addCommand(line)
+      );
 
       const footerLines = [];
       if (Array.isArray(this.options.footerLines)) {
@@ -96,6 +121,7 @@
         footerLines.push(...meta.footerLines);
       }
 
+      this.flushPendingDraws();
       footerLines.forEach((line) => {
         if (typeof line === "function") {
           const resolved = line(this);
@@ -108,13 +134,26 @@
       this.programFinished = true;
     }
 
+    // Marks where a layer or channel starts so the command stream can be
+    // summarised per section (see PlotTimeEstimator).
+    beginSection(name) {
+      this.flushPendingDraws();
+      this.sections.push({ name, commandIndex: this.commands.length });
+    }
+
     addComment(text) {
       if (!text) return;
+      this.flushPendingDraws();
       this.commands.push(`; ${text}`);
     }
 
     addCommand(command, comment) {
       if (!command) return;
+      this.flushPendingDraws();
+      this.pushCommand(command, comment);
+    }
+
+    pushCommand(command, comment) {
       if (comment) {
         this.commands.push(`${command} ; ${comment}`);
       } else {
@@ -136,14 +175,24 @@
         const feedSuffix = this.isFiniteNumber(feed)
           ? ` F${this.formatNumber(feed)}`
           : "";
-        this.addCommand(
-          `${this.options.liftCommand} Z${this.formatNumber(penUpZ)}${feedSuffix}`,
-          options.comment || "Pen up"
-        );
+        const command = this.options.penUpCommand
+          ? this.expandTemplate(this.options.penUpCommand, { penUpZ })
+          : `${this.options.liftCommand} Z${this.formatNumber(penUpZ)}${feedSuffix}`;
+        this.addPenCommand(command, options.comment || "Pen up");
         this.penState = "up";
       }
     }
 
+    pauseProgram(message, options = {}) {
+      if (!this.programBegan) this.beginProgram();
+      if (!this.options.pauseCommand) return;
+
+      if (options.liftPen !== false) {
+        this.ensurePenUp({ comment: "Pen up for pause" });
+      }
+      this.addCommand(this.options.pauseCommand, message || "Pause");
+    }
+
     ensurePenDown(options = {}) {
       const penDownZ = this.isFiniteNumber(options.penDownZ)
         ? options.penDownZ
@@ -153,14 +202,81 @@
         const feedSuffix = this.isFiniteNumber(feed)
           ? ` F${this.formatNumber(feed)}`
           : "";
-        this.addCommand(
-          `${this.options.plungeCommand} Z${this.formatNumber(penDownZ)}${feedSuffix}`,
-          options.comment || "Pen down"
-        );
+        const command = this.options.penDownCommand
+          ? this.expandTemplate(this.options.penDownCommand, { penDownZ })
+          : `${this.options.plungeCommand} Z${this.formatNumber(penDownZ)}${feedSuffix}`;
+        this.addPenCommand(command, options.comment || "Pen down");
         this.penState = "down";
       }
     }
 
+    // Pen commands from a machine profile may span several lines (e.g. a
+    // servo command followed by its own dwell), so only the first is commented.
+    addPenCommand(command, comment) {
+      String(command)
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .forEach((line, index) => this.addCommand(line, index === 0 ? comment : undefined));
+
+      const dwell = Number(this.options.penDwell);
+      if (Number.isFinite(dwell) && dwell > 0) {
+        // GRBL reads G4 P as seconds, Marlin as milliseconds
+        const duration = this.options.dwellUnits === "milliseconds"
+          ? String(Math.round(dwell * 1000))
+          : this.formatNumber(dwell);
+        this.addCommand(`G4 P${duration}`, "Wait for pen");
+      }
+    }
+
+    // Replaces {placeholders} in header/footer and pen command templates.
+    // Unknown placeholders are left untouched.
+    expandTemplate(template, values = {}) {
+      const fields = {
+        toolName: this.options.toolName,
+        canvasWidth: this.options.canvasWidth,
+        canvasHeight: this.options.canvasHeight,
+        feedRate: this.feedRate,
+        penUpZ: this.options.penUpZ,
+        penDownZ: this.options.penDownZ,
+        ...values,
+      };
+      return String(template || "").replace(/\{(\w+)\}/g, (match, key) => {
+        const value = fields[key];
+        if (value === undefined || value === null) return match;
+        // Trailing zeros are dropped so servo values read as S90 rather than S90.000
+        return typeof value === "number"
+          ? String(Number(this.formatNumber(value)))
+          : String(value);
+      });
+    }
+
+    expandTemplateLines(template, values) {
+      return this.expandTemplate(template, values)
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+    }
+
+    // Mirrors coordinates for machines whose axes run the other way. With a
+    // known canvas size the drawing stays in the same area; otherwise the
+    // axis is simply negated.
+    machineX(x) {
+      if (!this.options.invertX) return x;
+      const width = Number(this.options.canvasWidth);
+      return this.options.canvasWidth !== null && Number.isFinite(width) ? width - x : -x;
+    }
+
+    machineY(y) {
+      if (!this.options.invertY) return y;
+      const height = Number(this.options.canvasHeight);
+      return this.options.canvasHeight !== null && Number.isFinite(height) ? height - y : -y;
+    }
+
+    formatTarget(x, y) {
+      return `X${this.formatNumber(this.machineX(x))} Y${this.formatNumber(this.machineY(y))}`;
+    }
+
     moveTo(x, y, options = {}) {
       if (!this.isFiniteNumber(x) || !this.isFiniteNumber(y)) return;
 
@@ -172,7 +288,7 @@
         : "";
 
       this.addCommand(
-        `${commandType} X${this.formatNumber(x)} Y${this.formatNumber(y)}${feedSuffix}`,
+        `${commandType} ${this.formatTarget(x, y)}${feedSuffix}`,
         options.comment
       );
 
@@ -190,15 +306,62 @@
         : "";
 
       this.ensurePenDown(options);
-      this.addCommand(
-        `G1 X${this.formatNumber(x)} Y${this.formatNumber(y)}${feedSuffix}`,
-        options.comment || "Draw"
-      );
+
+      if (this.options.arcFitting) {
+        // Held back so runs of points on a circle can be emitted as G2/G3
+        if (!this.pendingDraws || this.pendingDraws.feed !== feed) {
+          this.flushPendingDraws();
+          this.pendingDraws = {
+            feed,
+            points: [{ x: this.currentX, y: this.currentY }],
+          };
+        }
+        this.pendingDraws.points.push({ x, y, comment: options.comment || "Draw" });
+      } else {
+        this.addCommand(
+          `G1 ${this.formatTarget(x, y)}${feedSuffix}`,
+          options.comment || "Draw"
+        );
+      }
 
       this.currentX = x;
       this.currentY = y;
     }
 
+    flushPendingDraws() {
+      const pending = this.pendingDraws;
+      if (!pending) return;
+      this.pendingDraws = null;
+
+      const feedSuffix = this.isFiniteNumber(pending.feed)
+        ? ` F${this.formatNumber(pending.feed)}`
+        : "";
+      const points = pending.points;
+      const signX = this.options.invertX ? -1 : 1;
+      const signY = this.options.invertY ? -1 : 1;
+      // Mirroring a single axis reverses the direction of travel around arcs
+      const mirrored = signX !== signY;
+
+      GCodeGenerator.fitArcs(points, {
+        tolerance: this.options.arcTolerance,
+      }).forEach((move) => {
+        const end = points[move.end];
+        const target = this.formatTarget(end.x, end.y);
+        if (move.type === "arc") {
+          const start = points[move.start];
+          const i = this.formatNumber((move.centerX - start.x) * signX);
+          const j = this.formatNumber((move.centerY - start.y) * signY);
+          const clockwise = move.clockwise !== mirrored;
+          this.pushCommand(
+            `${clockwise ? "G2" : "G3"} ${target} I${i} J${j}${feedSuffix}`,
+            "Arc"
+          );
+        } else {
+          this.pushCommand(`G1 ${target}${feedSuffix}`, end.comment);
+        }
+      });
+    }
+
     drawPolyline(points, options = {}) {
       if (!Array.isArray(points) || points.length < 2) return;
       if (!this.programBegan) this.beginProgram();
@@ -248,6 +411,25 @@
       }
     }
 
+    // Pen tap: moves to (x, y) with the pen up, then lowers and lifts the
+    // pen in place, e.g. for stipple dots
+    drawDot(x, y, options = {}) {
+      if (!this.isFiniteNumber(x) || !this.isFiniteNumber(y)) return;
+      if (!this.programBegan) this.beginProgram();
+
+      this.ensurePenUp({ feedRate: options.feedRate });
+      const epsilon = options.epsilon ?? 0.001;
+      if (GCodeGenerator.distance(this.currentX, this.currentY, x, y) > epsilon) {
+        this.moveTo(x, y, { rapid: true, comment: "Move to dot" });
+      }
+      this.ensurePenDown({
+        feedRate: options.feedRate,
+        penDownZ: options.penDownZ,
+        comment: options.comment || "Dot",
+      });
+      this.ensurePenUp({ feedRate: options.feedRate, comment: "Pen up from dot" });
+    }
+
     renderLineSegments(lines, options = {}) {
       if (!Array.isArray(lines) || lines.length === 0) return;
 
@@ -299,6 +481,7 @@
     }
 
     toString() {
+      this.flushPendingDraws();
       return this.commands.join("\n");
     }
 
@@ -320,59 +503,114 @@
       return Math.sqrt(dx * dx + dy * dy);
     }
 
-    static optimizeLineOrder(lines, startX = 0, startY = 0) {
-      if (!Array.isArray(lines) || lines.length <= 1) return lines ? [...lines] : [];
-
-      const remaining = lines.map((line) => ({ ...line }));
-      const optimized = [];
-      let currentX = startX;
-      let currentY = startY;
-
-      while (remaining.length > 0) {
-        let bestIndex = 0;
-        let bestDistance = Infinity;
-        let bestReversed = false;
-
-        for (let i = 0; i < remaining.length; i++) {
-          const line = remaining[i];
-          if (!line) continue;
-          const distToStart = GCodeGenerator.distance(currentX, currentY, line.x1, line.y1);
-          if (distToStart < bestDistance) {
-            bestDistance = distToStart;
-            bestIndex = i;
-            bestReversed = false;
-          }
-
-          const distToEnd = GCodeGenerator.distance(currentX, currentY, line.x2, line.y2);
-          if (distToEnd < bestDistance) {
-            bestDistance = distToEnd;
-            bestIndex = i;
-            bestReversed = true;
-          }
+    // Splits a pen-down run into straight moves and circular arcs. Returns
+    // moves that reference indices into `points`: { type: "line", start, end }
+    // or { type: "arc", start, end, centerX, centerY, clockwise }. An arc is
+    // only used when every point it replaces lies within `tolerance` of it.
+    static fitArcs(points, options = {}) {
+      const moves = [];
+      if (!Array.isArray(points) || points.length < 2) return moves;
+
+      const tolerance = options.tolerance > 0 ? options.tolerance : 0.02;
+      const minPoints = Math.max(3, options.minPoints || MIN_ARC_POINTS);
+      const maxRadius = options.maxRadius || MAX_ARC_RADIUS;
+
+      let start = 0;
+      while (start < points.length - 1) {
+        let best = null;
+
+        for (let end = start + minPoints - 1; end < points.length; end++) {
+          const circle = GCodeGenerator.circleThroughPoints(
+            points[start],
+            points[Math.floor((start + end) / 2)],
+            points[end]
+          );
+          if (!circle || circle.radius > maxRadius) break;
+
+          const arc = GCodeGenerator.measureArc(points, start, end, circle, tolerance);
+          if (!arc) break;
+          best = { end, circle, clockwise: arc.clockwise };
         }
 
-        const bestLine = remaining.splice(bestIndex, 1)[0];
-        if (!bestLine) continue;
-
-        if (bestReversed) {
-          const reversed = {
-            ...bestLine,
-            x1: bestLine.x2,
-            y1: bestLine.y2,
-            x2: bestLine.x1,
-            y2: bestLine.y1,
-          };
-          optimized.push(reversed);
-          currentX = reversed.x2;
-          currentY = reversed.y2;
+        if (best) {
+          moves.push({
+            type: "arc",
+            start,
+            end: best.end,
+            centerX: best.circle.x,
+            centerY: best.circle.y,
+            clockwise: best.clockwise,
+          });
+          start = best.end;
         } else {
-          optimized.push(bestLine);
-          currentX = bestLine.x2;
-          currentY = bestLine.y2;
+          moves.push({ type: "line", start, end: start + 1 });
+          start += 1;
         }
       }
 
-      return optimized;
+      return moves;
+    }
+
+    static circleThroughPoints(a, b, c) {
+      const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+      if (Math.abs(d) < 1e-12) return null;
+
+      const a2 = a.x * a.x + a.y * a.y;
+      const b2 = b.x * b.x + b.y * b.y;
+      const c2 = c.x * c.x + c.y * c.y;
+      const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+      const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+      return { x, y, radius: GCodeGenerator.distance(x, y, a.x, a.y) };
+    }
+
+    // Checks that points[start..end] follow `circle` in one direction and
+    // sweep less than a full turn (a full circle has an ambiguous endpoint).
+    static measureArc(points, start, end, circle, tolerance) {
+      let direction = 0;
+      let sweep = 0;
+
+      for (let i = start; i <= end; i++) {
+        const point = points[i];
+        const radialError = Math.abs(
+          GCodeGenerator.distance(circle.x, circle.y, point.x, point.y) - circle.radius
+        );
+        if (radialError > tolerance) return null;
+        if (i === start) continue;
+
+        const previous = points[i - 1];
+        const startAngle = Math.atan2(previous.y - circle.y, previous.x - circle.x);
+        const endAngle = Math.atan2(point.y - circle.y, point.x - circle.x);
+        let step = endAngle - startAngle;
+        if (step > Math.PI) step -= 2 * Math.PI;
+        if (step < -Math.PI) step += 2 * Math.PI;
+        if (Math.abs(step) < 1e-9) return null;
+
+        const stepDirection = Math.sign(step);
+        if (direction === 0) direction = stepDirection;
+        if (stepDirection !== direction) return null;
+
+        // The arc between two points bulges away from their chord
+        const chord = GCodeGenerator.distance(previous.x, previous.y, point.x, point.y);
+        const halfChord = Math.min(chord / 2, circle.radius);
+        const sagitta =
+          circle.radius - Math.sqrt(circle.radius * circle.radius - halfChord * halfChord);
+        if (sagitta > tolerance) return null;
+
+        sweep += Math.abs(step);
+        if (sweep >= 2 * Math.PI - 1e-6) return null;
+      }
+
+      return { clockwise: direction < 0, sweep };
+    }
+
+    // Path ordering lives in PathOptimizer (pathOptimizer.js), which must be
+    // loaded before any program that optimizes its segments is rendered.
+    static optimizeLineOrder(lines, startX = 0, startY = 0, options = {}) {
+      return PathOptimizer.orderSegments(lines, startX, startY, options);
+    }
+
+    static optimizePolylineOrder(polylines, startX = 0, startY = 0, options = {}) {
+      return PathOptimizer.orderPolylines(polylines, startX, startY, options);
     }
   }
 
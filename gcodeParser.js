@@ -0,0 +1,277 @@
+(function (global) {
+  const DEFAULT_ARC_SEGMENT_LENGTH = 0.5;
+  const MAX_ARC_SEGMENTS = 720;
+
+  // Reads G-code from this or any other generator back into toolpath geometry:
+  // draw and travel segments, pen up/down events and an ordered list of moves
+  // for replay. Coordinates are returned in millimetres as written (no Y flip).
+  //
+  // The pen state is inferred from whatever the file uses to lift the pen:
+  // - Z moves: below the midpoint of the lowest and highest Z is pen down
+  // - Servo commands: M3/M4 is pen down when the file also uses M5; otherwise
+  //   the first M3/M280 value seen is taken to be pen up
+  // - Neither: G0 moves are travel and G1/G2/G3 moves are drawing
+  class GCodeParser {
+    static parse(text, options = {}) {
+      const arcSegmentLength =
+        options.arcSegmentLength > 0 ? options.arcSegmentLength : DEFAULT_ARC_SEGMENT_LENGTH;
+      const sourceLines = Array.isArray(text) ? text : String(text || "").split(/\r?\n/);
+      const parsedLines = sourceLines.map((line) => GCodeParser.parseLine(line));
+      const penMode = GCodeParser.detectPenMode(parsedLines);
+
+      const result = {
+        penMode: penMode.mode,
+        moves: [],
+        draws: [],
+        travels: [],
+        strokes: [],
+        penUpEvents: [],
+        penDownEvents: [],
+        drawLength: 0,
+        travelLength: 0,
+        bounds: null,
+      };
+
+      const state = {
+        x: 0,
+        y: 0,
+        z: null,
+        unitScale: 1,
+        relative: false,
+        motion: "G0",
+        penDown: false,
+      };
+      let stroke = null;
+
+      const includeInBounds = (point) => {
+        if (!result.bounds) {
+          result.bounds = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y };
+          return;
+        }
+        result.bounds.minX = Math.min(result.bounds.minX, point.x);
+        result.bounds.minY = Math.min(result.bounds.minY, point.y);
+        result.bounds.maxX = Math.max(result.bounds.maxX, point.x);
+        result.bounds.maxY = Math.max(result.bounds.maxY, point.y);
+      };
+
+      const setPen = (down, line) => {
+        if (down === state.penDown) return;
+        state.penDown = down;
+        const point = { x: state.x, y: state.y };
+        result.moves.push({ type: down ? "penDown" : "penUp", point, line });
+        (down ? result.penDownEvents : result.penUpEvents).push(point);
+        if (!down) stroke = null;
+      };
+
+      const addSegment = (from, to, draw, line) => {
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        if (length < 1e-9) return;
+        const segment = [from, to];
+        result.moves.push({ type: draw ? "draw" : "travel", from, to, line });
+        includeInBounds(from);
+        includeInBounds(to);
+
+        if (draw) {
+          result.draws.push(segment);
+          result.drawLength += length;
+          if (!stroke) {
+            stroke = [from];
+            result.strokes.push(stroke);
+          }
+          stroke.push(to);
+        } else {
+          result.travels.push(segment);
+          result.travelLength += length;
+          stroke = null;
+        }
+      };
+
+      parsedLines.forEach((words, index) => {
+        if (!words.length) return;
+        const line = index + 1;
+        const value = (letter) => {
+          const word = words.find((item) => item.letter === letter);
+          return word ? word.value : undefined;
+        };
+
+        let motion = null;
+        let homing = false;
+        words.forEach((word) => {
+          if (word.letter !== "G") return;
+          if (word.value === 20) state.unitScale = 25.4;
+          else if (word.value === 21) state.unitScale = 1;
+          else if (word.value === 90) state.relative = false;
+          else if (word.value === 91) state.relative = true;
+          else if (word.value === 28) homing = true;
+          else if ([0, 1, 2, 3].includes(word.value)) motion = `G${word.value}`;
+        });
+
+        const mCode = words.find((word) => word.letter === "M");
+        if (mCode) {
+          if (penMode.mode === "servo") {
+            const down = GCodeParser.isServoPenDown(mCode.value, value("S"), penMode);
+            if (down !== null) setPen(down, line);
+          }
+          return;
+        }
+
+        if (homing) {
+          addSegment({ x: state.x, y: state.y }, { x: 0, y: 0 }, false, line);
+          state.x = 0;
+          state.y = 0;
+          return;
+        }
+
+        if (motion) state.motion = motion;
+        if (!["G0", "G1", "G2", "G3"].includes(state.motion)) return;
+
+        const scale = state.unitScale;
+        const z = value("Z");
+        if (z !== undefined) {
+          state.z = state.relative ? (state.z || 0) + z * scale : z * scale;
+          if (penMode.mode === "z") setPen(state.z < penMode.threshold, line);
+        }
+
+        const x = value("X");
+        const y = value("Y");
+        if (x === undefined && y === undefined) return;
+
+        const from = { x: state.x, y: state.y };
+        const to = {
+          x: x === undefined ? state.x : state.relative ? state.x + x * scale : x * scale,
+          y: y === undefined ? state.y : state.relative ? state.y + y * scale : y * scale,
+        };
+        const draw = penMode.mode === "motion" ? state.motion !== "G0" : state.penDown;
+
+        if (state.motion === "G2" || state.motion === "G3") {
+          const points = GCodeParser.flattenArc(from, to, {
+            clockwise: state.motion === "G2",
+            i: value("I"),
+            j: value("J"),
+            r: value("R"),
+            scale,
+            segmentLength: arcSegmentLength,
+          });
+          let previous = from;
+          points.forEach((point) => {
+            addSegment(previous, point, draw, line);
+            previous = point;
+          });
+        } else {
+          addSegment(from, to, draw, line);
+        }
+
+        state.x = to.x;
+        state.y = to.y;
+      });
+
+      return result;
+    }
+
+    static detectPenMode(parsedLines) {
+      let minZ = Infinity;
+      let maxZ = -Infinity;
+      let usesM5 = false;
+      let firstServoValue;
+
+      parsedLines.forEach((words) => {
+        words.forEach((word) => {
+          if (word.letter === "Z") {
+            minZ = Math.min(minZ, word.value);
+            maxZ = Math.max(maxZ, word.value);
+          } else if (word.letter === "M") {
+            if (word.value === 5) usesM5 = true;
+            if ([3, 4, 280].includes(word.value) && firstServoValue === undefined) {
+              const s = words.find((item) => item.letter === "S");
+              if (s) firstServoValue = s.value;
+            }
+          }
+        });
+      });
+
+      if (maxZ - minZ > 1e-6) {
+        return { mode: "z", threshold: (minZ + maxZ) / 2 };
+      }
+      if (usesM5 || firstServoValue !== undefined) {
+        return { mode: "servo", usesM5, penUpValue: firstServoValue };
+      }
+      return { mode: "motion" };
+    }
+
+    // Returns true/false for pen commands and null for anything else
+    static isServoPenDown(code, s, penMode) {
+      if (code === 5) return false;
+      if (code !== 3 && code !== 4 && code !== 280) return null;
+      if (penMode.usesM5 && code !== 280) return true;
+      if (s === undefined) return null;
+      return s !== penMode.penUpValue;
+    }
+
+    // Approximates a G2/G3 arc with points spaced about `segmentLength` apart,
+    // ending exactly at `to`. Supports both I/J centre offsets and R radius.
+    static flattenArc(from, to, arc) {
+      let offsetX = (arc.i || 0) * arc.scale;
+      let offsetY = (arc.j || 0) * arc.scale;
+
+      if (arc.i === undefined && arc.j === undefined && arc.r !== undefined) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const radius = arc.r * arc.scale;
+        const chord = Math.hypot(dx, dy);
+        if (chord < 1e-9) return [to];
+        let h = -Math.sqrt(Math.max(0, 4 * radius * radius - chord * chord)) / chord;
+        if (!arc.clockwise) h = -h;
+        if (radius < 0) h = -h;
+        offsetX = 0.5 * (dx - dy * h);
+        offsetY = 0.5 * (dy + dx * h);
+      }
+
+      const centerX = from.x + offsetX;
+      const centerY = from.y + offsetY;
+      const radius = Math.hypot(offsetX, offsetY);
+      if (radius < 1e-9) return [to];
+
+      const startAngle = Math.atan2(from.y - centerY, from.x - centerX);
+      const endAngle = Math.atan2(to.y - centerY, to.x - centerX);
+      let sweep = arc.clockwise ? startAngle - endAngle : endAngle - startAngle;
+      while (sweep <= 1e-9) sweep += Math.PI * 2;
+
+      const segments = Math.min(
+        MAX_ARC_SEGMENTS,
+        Math.max(1, Math.ceil((radius * sweep) / arc.segmentLength))
+      );
+      const direction = arc.clockwise ? -1 : 1;
+      const points = [];
+      for (let step = 1; step < segments; step++) {
+        const angle = startAngle + direction * sweep * (step / segments);
+        points.push({
+          x: centerX + radius * Math.cos(angle),
+          y: centerY + radius * Math.sin(angle),
+        });
+      }
+      points.push({ x: to.x, y: to.y });
+      return points;
+    }
+
+    // Splits a G-code line into letter/value words, dropping comments and
+    // non-standard lines such as GRBL's $H.
+    static parseLine(line) {
+      const code = String(line || "")
+        .replace(/\([^)]*\)/g, "")
+        .split(";")[0]
+        .trim()
+        .toUpperCase();
+      if (!code || code.startsWith("$")) return [];
+
+      const words = [];
+      const pattern = /([A-Z])\s*([-+]?(?:\d+\.?\d*|\.\d+))/g;
+      let match;
+      while ((match = pattern.exec(code)) !== null) {
+        words.push({ letter: match[1], value: Number(match[2]) });
+      }
+      return words;
+    }
+  }
+
+  global.GCodeParser = GCodeParser;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,294 @@
+(function (global) {
+  const DEFAULT_JOIN_TOLERANCE = 0.01;
+  const DEFAULT_SIMPLIFY_TOLERANCE = 0.01;
+  const ANGLE_BUCKET = 1e-4;
+
+  // Turns loose line segments into as few polylines as possible before
+  // export, so each chain can be drawn with a single pen-down:
+  // - overlapping and duplicate collinear segments are merged
+  // - segments whose endpoints meet (within `joinTolerance`) are chained
+  // - chains are simplified with Ramer–Douglas–Peucker (`simplifyTolerance`)
+  // Segments are { x1, y1, x2, y2 }; polylines are arrays of { x, y }.
+  class GeometryCleanup {
+    static cleanup(segments, options = {}) {
+      const joinTolerance = Math.max(0, options.joinTolerance ?? DEFAULT_JOIN_TOLERANCE);
+      const simplifyTolerance = Math.max(
+        0,
+        options.simplifyTolerance ?? DEFAULT_SIMPLIFY_TOLERANCE
+      );
+
+      let cleaned = GeometryCleanup.validSegments(segments);
+      if (options.removeOverlaps !== false) {
+        cleaned = GeometryCleanup.mergeOverlaps(cleaned, joinTolerance);
+      }
+
+      const polylines = GeometryCleanup.joinSegments(cleaned, joinTolerance);
+      if (simplifyTolerance <= 0) return polylines;
+      return polylines.map((polyline) => GeometryCleanup.simplify(polyline, simplifyTolerance));
+    }
+
+    static cleanupPolylines(polylines, options = {}) {
+      return GeometryCleanup.cleanup(GeometryCleanup.polylinesToSegments(polylines), options);
+    }
+
+    static polylinesToSegments(polylines) {
+      const segments = [];
+      (polylines || []).forEach((polyline) => {
+        if (!Array.isArray(polyline)) return;
+        for (let i = 1; i < polyline.length; i++) {
+          const from = polyline[i - 1];
+          const to = polyline[i];
+          if (!from || !to) continue;
+          segments.push({ x1: from.x, y1: from.y, x2: to.x, y2: to.y });
+        }
+      });
+      return segments;
+    }
+
+    static validSegments(segments) {
+      return (segments || []).filter(
+        (segment) =>
+          segment &&
+          Number.isFinite(segment.x1) &&
+          Number.isFinite(segment.y1) &&
+          Number.isFinite(segment.x2) &&
+          Number.isFinite(segment.y2) &&
+          (segment.x1 !== segment.x2 || segment.y1 !== segment.y2)
+      );
+    }
+
+    // Groups segments lying on the same line and merges any whose extents
+    // overlap or touch, which also drops exact duplicates in either direction.
+    static mergeOverlaps(segments, tolerance = DEFAULT_JOIN_TOLERANCE) {
+      const offsetBucket = Math.max(tolerance, 1e-6);
+      const angleBuckets = Math.round(Math.PI / ANGLE_BUCKET);
+      const buckets = new Map();
+      const groups = [];
+      const merged = [];
+
+      // A line within `tolerance` of both ends of the segment, looked up in
+      // the neighbouring angle and offset buckets too so lines that round
+      // into different buckets still meet. The last angle bucket wraps round
+      // to the first, where the same line has the opposite offset.
+      const findGroup = (angleKey, offsetKey, x1, y1, x2, y2) => {
+        for (let da = -1; da <= 1; da++) {
+          const wrapped = angleKey + da < 0 || angleKey + da >= angleBuckets;
+          const angleIndex = (angleKey + da + angleBuckets) % angleBuckets;
+          const centre = wrapped ? -offsetKey : offsetKey;
+          for (let dOffset = -1; dOffset <= 1; dOffset++) {
+            const bucket = buckets.get(`${angleIndex}:${centre + dOffset}`);
+            if (!bucket) continue;
+            const group = bucket.find(
+              ({ dirX, dirY, offset }) =>
+                Math.abs(x1 * dirY - y1 * dirX - offset) <= tolerance &&
+                Math.abs(x2 * dirY - y2 * dirX - offset) <= tolerance
+            );
+            if (group) return group;
+          }
+        }
+        return null;
+      };
+
+      segments.forEach((segment) => {
+        // Orient every segment the same way so reversed copies share a key
+        let { x1, y1, x2, y2 } = segment;
+        if (y2 < y1 || (y2 === y1 && x2 < x1)) {
+          [x1, y1, x2, y2] = [x2, y2, x1, y1];
+        }
+        const length = Math.hypot(x2 - x1, y2 - y1);
+        if (length <= tolerance) {
+          merged.push({ x1, y1, x2, y2 });
+          return;
+        }
+
+        // Directions now lie in [0, π); those that round up to π point the
+        // other way so they share the bucket at 0 with their near-horizontal
+        // neighbours
+        let dirX = (x2 - x1) / length;
+        let dirY = (y2 - y1) / length;
+        if (Math.round(Math.atan2(dirY, dirX) / ANGLE_BUCKET) >= angleBuckets) {
+          dirX = -dirX;
+          dirY = -dirY;
+        }
+        const offset = x1 * dirY - y1 * dirX;
+        const angleKey = Math.round(Math.atan2(dirY, dirX) / ANGLE_BUCKET);
+        const offsetKey = Math.round(offset / offsetBucket);
+
+        let group = findGroup(angleKey, offsetKey, x1, y1, x2, y2);
+        if (!group) {
+          group = { dirX, dirY, offset, spans: [] };
+          groups.push(group);
+          const key = `${angleKey}:${offsetKey}`;
+          if (!buckets.has(key)) buckets.set(key, []);
+          buckets.get(key).push(group);
+        }
+        const along1 = x1 * group.dirX + y1 * group.dirY;
+        const along2 = x2 * group.dirX + y2 * group.dirY;
+        group.spans.push([Math.min(along1, along2), Math.max(along1, along2)]);
+      });
+
+      groups.forEach(({ dirX, dirY, offset, spans }) => {
+        spans.sort((a, b) => a[0] - b[0]);
+        // The point on the line at distance `along` from its foot
+        const pointAt = (along) => ({
+          x: along * dirX + offset * dirY,
+          y: along * dirY - offset * dirX,
+        });
+
+        let [start, end] = spans[0];
+        const flush = () => {
+          const from = pointAt(start);
+          const to = pointAt(end);
+          merged.push({ x1: from.x, y1: from.y, x2: to.x, y2: to.y });
+        };
+        for (let i = 1; i < spans.length; i++) {
+          if (spans[i][0] <= end + tolerance) {
+            end = Math.max(end, spans[i][1]);
+          } else {
+            flush();
+            [start, end] = spans[i];
+          }
+        }
+        flush();
+      });
+
+      return merged;
+    }
+
+    // Chains segments into polylines through shared endpoints. Endpoints within
+    // `tolerance` of each other are snapped together; at junctions the walk
+    // continues along the straightest unused segment.
+    static joinSegments(segments, tolerance = DEFAULT_JOIN_TOLERANCE) {
+      const nodes = [];
+      const edges = [];
+      const cellSize = Math.max(tolerance, 1e-9);
+      const cells = new Map();
+
+      const nodeAt = (x, y) => {
+        const cx = Math.floor(x / cellSize);
+        const cy = Math.floor(y / cellSize);
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dy = -1; dy <= 1; dy++) {
+            const bucket = cells.get(`${cx + dx},${cy + dy}`);
+            if (!bucket) continue;
+            for (const index of bucket) {
+              const node = nodes[index];
+              if (Math.hypot(node.x - x, node.y - y) <= tolerance) return index;
+            }
+          }
+        }
+        const key = `${cx},${cy}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(nodes.length);
+        nodes.push({ x, y, edges: [] });
+        return nodes.length - 1;
+      };
+
+      segments.forEach((segment) => {
+        const a = nodeAt(segment.x1, segment.y1);
+        const b = nodeAt(segment.x2, segment.y2);
+        if (a === b) return;
+        const edge = { a, b, used: false };
+        nodes[a].edges.push(edges.length);
+        nodes[b].edges.push(edges.length);
+        edges.push(edge);
+      });
+
+      const nextEdge = (nodeIndex, previousIndex) => {
+        const node = nodes[nodeIndex];
+        let best = -1;
+        let bestScore = -Infinity;
+        for (const edgeIndex of node.edges) {
+          const edge = edges[edgeIndex];
+          if (edge.used) continue;
+          if (previousIndex < 0) return edgeIndex;
+
+          const other = nodes[edge.a === nodeIndex ? edge.b : edge.a];
+          const previous = nodes[previousIndex];
+          const inX = node.x - previous.x;
+          const inY = node.y - previous.y;
+          const outX = other.x - node.x;
+          const outY = other.y - node.y;
+          const score =
+            (inX * outX + inY * outY) / (Math.hypot(inX, inY) * Math.hypot(outX, outY) || 1);
+          if (score > bestScore) {
+            bestScore = score;
+            best = edgeIndex;
+          }
+        }
+        return best;
+      };
+
+      const walk = (startIndex) => {
+        const polyline = [{ x: nodes[startIndex].x, y: nodes[startIndex].y }];
+        let current = startIndex;
+        let previous = -1;
+        let edgeIndex = nextEdge(current, previous);
+        while (edgeIndex >= 0) {
+          const edge = edges[edgeIndex];
+          edge.used = true;
+          previous = current;
+          current = edge.a === current ? edge.b : edge.a;
+          polyline.push({ x: nodes[current].x, y: nodes[current].y });
+          edgeIndex = nextEdge(current, previous);
+        }
+        return polyline;
+      };
+
+      // Open chains start at dead ends and junctions; what remains are loops
+      const polylines = [];
+      const unusedCount = (node) => node.edges.filter((index) => !edges[index].used).length;
+      nodes.forEach((node, index) => {
+        while (unusedCount(node) % 2 === 1) polylines.push(walk(index));
+      });
+      nodes.forEach((node, index) => {
+        while (unusedCount(node) > 0) polylines.push(walk(index));
+      });
+
+      return polylines;
+    }
+
+    // Ramer–Douglas–Peucker, iterative so long chains can't overflow the stack
+    static simplify(points, tolerance = DEFAULT_SIMPLIFY_TOLERANCE) {
+      if (!Array.isArray(points) || points.length <= 2 || !(tolerance > 0)) return points;
+
+      const keep = new Uint8Array(points.length);
+      keep[0] = 1;
+      keep[points.length - 1] = 1;
+      const stack = [[0, points.length - 1]];
+
+      while (stack.length) {
+        const [first, last] = stack.pop();
+        let farthest = -1;
+        let farthestDistance = tolerance;
+        for (let i = first + 1; i < last; i++) {
+          const distance = GeometryCleanup.distanceToSegment(points[i], points[first], points[last]);
+          if (distance > farthestDistance) {
+            farthestDistance = distance;
+            farthest = i;
+          }
+        }
+        if (farthest >= 0) {
+          keep[farthest] = 1;
+          stack.push([first, farthest], [farthest, last]);
+        }
+      }
+
+      return points.filter((_, index) => keep[index]);
+    }
+
+    static distanceToSegment(point, from, to) {
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const lengthSquared = dx * dx + dy * dy;
+      if (lengthSquared === 0) return Math.hypot(point.x - from.x, point.y - from.y);
+      const t = Math.max(
+        0,
+        Math.min(1, ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared)
+      );
+      return Math.hypot(point.x - (from.x + t * dx), point.y - (from.y + t * dy));
+    }
+  }
+
+  global.GeometryCleanup = GeometryCleanup;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,122 @@
+(function (global) {
+  // Length of the straight pieces that approximate circles and spirals (px)
+  const CURVE_STEP = 1;
+  const MIN_CIRCLE_SEGMENTS = 8;
+  const MAX_CIRCLE_SEGMENTS = 64;
+
+  // Geometry for halftone screens: a grid of dots whose size follows the
+  // tone, drawn as circle outlines or as small spirals that fill the dot,
+  // and the Archimedean spiral that single-line spiral halftones wobble
+  // along (see WaveLines). Everything is in pixels and returns polylines
+  // as arrays of { x, y }.
+  class Halftone {
+    // Centres of a square grid of `cellSize` cells covering width x height,
+    // rotated by `angle` degrees about the centre and shifted by `offset`
+    // cells along both grid axes
+    static gridCells(width, height, cellSize, angle = 0, offset = 0) {
+      const angleRad = (angle * Math.PI) / 180;
+      const ux = Math.cos(angleRad);
+      const uy = Math.sin(angleRad);
+      const half = Math.ceil(Math.hypot(width, height) / 2 / cellSize) + 1;
+
+      const cells = [];
+      for (let row = -half; row <= half; row++) {
+        for (let column = -half; column <= half; column++) {
+          const u = (column + offset) * cellSize;
+          const v = (row + offset) * cellSize;
+          const x = width / 2 + u * ux - v * uy;
+          const y = height / 2 + u * uy + v * ux;
+          if (x >= 0 && x < width && y >= 0 && y < height) {
+            cells.push({ x, y });
+          }
+        }
+      }
+      return cells;
+    }
+
+    // Radius of a dot covering `intensity` (0-1) of its cell's area; dots
+    // of neighbouring cells start to touch from about 0.79
+    static dotRadius(intensity, cellSize) {
+      return cellSize * Math.sqrt(Math.max(0, intensity) / Math.PI);
+    }
+
+    // Closed circle outline
+    static circle(cx, cy, radius) {
+      const segments = Math.min(
+        MAX_CIRCLE_SEGMENTS,
+        Math.max(
+          MIN_CIRCLE_SEGMENTS,
+          Math.ceil((2 * Math.PI * radius) / CURVE_STEP)
+        )
+      );
+      const points = [];
+      for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push({
+          x: cx + Math.cos(angle) * radius,
+          y: cy + Math.sin(angle) * radius,
+        });
+      }
+      points.push({ ...points[0] });
+      return points;
+    }
+
+    // A dot filled by a spiral from its centre out to `radius`, with turns
+    // `pitch` apart (the pen width), closed by a last full circle
+    static dotSpiral(cx, cy, radius, pitch) {
+      const points = Halftone.archimedeanSpiral(cx, cy, radius, pitch);
+      const end = Math.atan2(
+        points[points.length - 1].y - cy,
+        points[points.length - 1].x - cx
+      );
+      const segments = Halftone.circle(cx, cy, radius).length - 1;
+      for (let i = 1; i <= segments; i++) {
+        const angle = end + (i / segments) * Math.PI * 2;
+        points.push({
+          x: cx + Math.cos(angle) * radius,
+          y: cy + Math.sin(angle) * radius,
+        });
+      }
+      return points;
+    }
+
+    // Spiral r = startRadius + pitch * turns from (cx, cy) out to
+    // `maxRadius`, in steps of about CURVE_STEP along the curve
+    static archimedeanSpiral(cx, cy, maxRadius, pitch, startRadius = 0) {
+      const points = [];
+      const growth = pitch / (2 * Math.PI);
+      let angle = 0;
+      let radius = startRadius;
+      while (radius <= maxRadius) {
+        points.push({
+          x: cx + Math.cos(angle) * radius,
+          y: cy + Math.sin(angle) * radius,
+        });
+        angle += CURVE_STEP / Math.max(radius, pitch, CURVE_STEP);
+        radius = startRadius + growth * angle;
+      }
+      return points;
+    }
+
+    // The parts of a finely stepped polyline inside width x height
+    static clipToBounds(points, width, height) {
+      const pieces = [];
+      let piece = null;
+      points.forEach((point) => {
+        const { x, y } = point;
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          if (!piece) {
+            piece = [];
+            pieces.push(piece);
+          }
+          piece.push(point);
+        } else {
+          piece = null;
+        }
+      });
+      return pieces.filter((part) => part.length >= 2);
+    }
+  }
+
+  global.Halftone = Halftone;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,28 @@
+// Hatches one channel off the main thread. Receives a job from
+// PenPlotterConverter.getChannelJob() and answers with progress messages and
+// the packed hatch polylines (see WorkerRunner).
+importScripts(
+  "../flowField.js",
+  "../stippler.js",
+  "../waveLines.js",
+  "../halftone.js",
+  "../edgeTracer.js",
+  "../geometryCleanup.js",
+  "../pathOptimizer.js",
+  "../workerRunner.js",
+  "script.js"
+);
+
+self.onmessage = (e) => {
+  const job = e.data;
+  const converter = Object.create(PenPlotterConverter.prototype);
+  converter.pixelsPerMm = job.pixelsPerMm;
+
+  const result = converter.generateChannelHatch(job, (progress) =>
+    self.postMessage({ type: "progress", progress })
+  );
+  self.postMessage(
+    { type: "result", result },
+    WorkerRunner.transferList(result)
+  );
+};
@@ -1,59 +1,88 @@
+// Process colours for CMYK separation, with classic print screen angles
+const CMYK_CHANNELS = [
+  { id: "C", name: "Cyan", color: "#00FFFF", angle: 15, enabled: false },
+  { id: "M", name: "Magenta", color: "#FF00FF", angle: 75, enabled: false },
+  { id: "Y", name: "Yellow", color: "#FFFF00", angle: 0, enabled: false },
+  { id: "K", name: "Black", color: "#000000", angle: 45, enabled: true },
+];
+
+// Starting pen box for palette separation
+const DEFAULT_PALETTE = [
+  { name: "Brown", color: "#8B4513" },
+  { name: "Dark Blue", color: "#1F3A93" },
+  { name: "Orange", color: "#FF8C00" },
+  { name: "Gray", color: "#808080" },
+];
+
+// Edge outlines traced from the image, plotted as their own pen pass on
+// top of the tone channels in either separation mode
+const OUTLINE_CHANNEL = {
+  id: "O",
+  name: "Outline",
+  color: "#000000",
+  angle: 0,
+  enabled: false,
+  outline: true,
+};
+
+// Image centred and fitted to the page, uncropped, with no paper margin.
+// Offsets and margin are in mm, crop insets in percent of the image.
+const DEFAULT_PLACEMENT = {
+  scale: 100,
+  offsetX: 0,
+  offsetY: 0,
+  rotation: 0,
+  flipX: false,
+  flipY: false,
+  cropShape: "none",
+  cropLeft: 0,
+  cropTop: 0,
+  cropRight: 0,
+  cropBottom: 0,
+  margin: 0,
+};
+
+// Time spent shortening the path that connects stipple dots, per channel
+const STIPPLE_PATH_TIME_BUDGET_MS = 2000;
+// Segments of a stipple dot drawn as a small circle in G-code
+const DOT_CIRCLE_SEGMENTS = 12;
+
 class PenPlotterConverter {
   constructor() {
     this.originalCanvas = document.createElement("canvas"); // Hidden canvas for processing
     this.originalCtx = this.originalCanvas.getContext("2d");
     this.thumbnail = document.getElementById("imageThumbnail");
     this.imageData = null;
+    this.sourceImageData = null; // Fitted image before preprocessing
+    this.imageBounds = null;
+    this.imageCoverage = null; // Per-pixel image alpha after placement
+    this.preprocessingChanged = false;
+    this.placementChanged = false;
+    this.placementMode = false;
+    this.placementOverlay = document.getElementById("placementOverlay");
     this.originalImage = null;
     this.originalFilename = null; // Store original filename for downloads
     this.pixelsPerMm = 96 / 25.4; // Standard web DPI conversion
 
-    // CMYK channel data
-    this.channels = {
-      C: {
-        svg: document.getElementById("outputSvgC"),
-        group: document.getElementById("pen-plotter-lines-C"),
-        svgContent: "",
-        lineCount: 0,
-        lineSegments: [],
-        color: "#00FFFF",
-        renderColor: "#00FFFF",
-      },
-      M: {
-        svg: document.getElementById("outputSvgM"),
-        group: document.getElementById("pen-plotter-lines-M"),
-        svgContent: "",
-        lineCount: 0,
-        lineSegments: [],
-        color: "#FF00FF",
-        renderColor: "#FF00FF",
-      },
-      Y: {
-        svg: document.getElementById("outputSvgY"),
-        group: document.getElementById("pen-plotter-lines-Y"),
-        svgContent: "",
-        lineCount: 0,
-        lineSegments: [],
-        color: "#FFFF00",
-        renderColor: "#FFFF00",
-      },
-      K: {
-        svg: document.getElementById("outputSvgK"),
-        group: document.getElementById("pen-plotter-lines-K"),
-        svgContent: "",
-        lineCount: 0,
-        lineSegments: [],
-        color: "#000000",
-        renderColor: "#000000",
-      },
-    };
+    // Channel data keyed by channel id: C/M/Y/K, or P1..PN for a pen palette,
+    // plus O for the outline. Filled in by buildChannels() for the current
+    // separation mode.
+    this.channels = {};
+    this.separationMode = "cmyk";
+    this.palette = DEFAULT_PALETTE.map((pen) => ({ ...pen }));
+    this.paletteCache = null;
+    this.separationCache = null;
 
     // Render order from top to bottom (last item is bottom-most)
-    this.channelOrder = ["C", "M", "Y", "K"];
+    this.channelOrder = CMYK_CHANNELS.map((channel) => channel.id);
 
-    // Chunked processing state
+    // Processing state. Channels are hatched in workers (hatchWorker.js),
+    // or on the main thread where workers are unavailable.
     this.isProcessing = false;
     this.processingCancelled = false;
+    this.hatchWorkers = new WorkerRunner("hatchWorker.js", (job, onProgress) =>
+      this.generateChannelHatch(job, onProgress)
+    );
 
     // Track manual adjustments to avoid overriding user changes
     this.lastManualAdjustment = 0;
@@ -66,6 +95,46 @@ class PenPlotterConverter {
     this.configManager = new ConfigManager();
     this.toolId = "hatchmaker";
 
+    // Pen lift commands, homing and templates for the target machine
+    this.machineProfilePanel = new MachineProfilePanel(
+      document.getElementById("machineProfilePanel"),
+      {
+        toolId: this.toolId,
+        configManager: this.configManager,
+        onChange: () => this.invalidateTimeEstimate(),
+      }
+    );
+
+    // Levels, curves, blur etc. applied before intensity mapping
+    this.preprocessPanel = new PreprocessPanel(
+      document.getElementById("preprocessPanel"),
+      {
+        onChange: () => {
+          this.preprocessingChanged = true;
+          this.debouncedProcessImage();
+        },
+      }
+    );
+
+    // GCR/UCR, ink limit and tone curves for CMYK separation
+    this.separationPanel = new SeparationPanel(
+      document.getElementById("separationPanel"),
+      { onChange: () => this.debouncedProcessImage() }
+    );
+
+    // Brush-painted or loaded masks that scale a channel's intensity map
+    this.maskOverlay = document.getElementById("maskOverlay");
+    this.maskPanel = new MaskPanel(document.getElementById("maskPanel"), {
+      overlay: this.maskOverlay,
+      getPage: () => ({
+        width: this.originalCanvas.width,
+        height: this.originalCanvas.height,
+        pixelsPerMm: this.pixelsPerMm,
+      }),
+      onChange: (target) =>
+        this.debouncedProcessImage(this.channels[target] ? target : null),
+    });
+
     // Initialize InteractiveCanvas for preview area
     this.previewArea = document.querySelector(".preview-area");
     this.interactiveCanvas = new InteractiveCanvas(this.previewArea, {
@@ -75,11 +144,15 @@ class PenPlotterConverter {
       enableZoom: true,
     });
 
+    // Channels are drawn as layers of one canvas; see previewCanvas.js
+    this.previewCanvas = document.getElementById("previewCanvas");
+    this.preview = new PreviewCanvas(this.previewCanvas).attach(
+      this.interactiveCanvas
+    );
+
     this.setupEventListeners();
-    this.renderChannelOrderControls();
-    this.applyChannelOrder();
-    this.updateSvgSize();
-    this.initializeChannelColors();
+    this.renderPaletteControls();
+    this.buildChannels();
     // Initial auto-computation
     this.autoComputeSpacingParameters();
     
@@ -117,8 +190,16 @@ class PenPlotterConverter {
     this.setupNumberInput("preventZhopValue", () => {
       this.showStatus("Prevent Z-hop threshold updated.", "complete");
     });
-    this.setupNumberInput("lineAngleValue", () => {
-      this.debouncedProcessImage();
+    this.setupNumberInput("arcToleranceValue", () => {
+      this.showStatus("Arc tolerance updated for next G-code export.", "complete");
+    });
+    this.setupNumberInput("joinToleranceValue", () => {
+      this.showStatus("Join tolerance updated for next G-code export.", "complete");
+      this.invalidateTimeEstimate();
+    });
+    this.setupNumberInput("simplifyToleranceValue", () => {
+      this.showStatus("Simplify tolerance updated for next G-code export.", "complete");
+      this.invalidateTimeEstimate();
     });
     this.setupNumberInput("sectionWidthValue", () => {
       this.debouncedProcessImage();
@@ -138,37 +219,101 @@ class PenPlotterConverter {
     this.setupNumberInput("maxLinesPerChannelValue", () => {
       this.autoComputeSpacingParameters();
     });
+    document.getElementById("patternType").addEventListener("change", (e) => {
+      this.setPatternType(e.target.value);
+      this.debouncedProcessImage();
+    });
+    document.getElementById("hatchDirection").addEventListener("change", () => {
+      this.debouncedProcessImage();
+    });
+    this.setupNumberInput("flowSmoothingValue", () => {
+      this.debouncedProcessImage();
+    });
 
-    // CMYK channel checkboxes
-    ["C", "M", "Y", "K"].forEach((channel) => {
-      document
-        .getElementById(`enable${channel}`)
-        .addEventListener("change", () => {
-          this.updateChannelVisibility();
-          this.autoComputeSpacingParameters();
-        });
+    // Cross-hatch mode and its passes apply to every channel
+    document
+      .getElementById("crossHatchEnabled")
+      .addEventListener("change", () => {
+        this.debouncedProcessImage();
+      });
+    [1, 2, 3].forEach((pass) => {
+      this.setupNumberInput(`crossHatchAngle${pass}Value`, () => {
+        this.debouncedProcessImage();
+      });
+      this.setupNumberInput(`crossHatchThreshold${pass}Value`, () => {
+        this.debouncedProcessImage();
+      });
+    });
 
-      // Color picker event listeners
-      document
-        .getElementById(`renderColor${channel}`)
-        .addEventListener("change", (e) => {
-          this.updateChannelRenderColor(channel, e.target.value);
-          this.renderChannelOrderControls();
-        });
+    // Stipple dots; dot size and G-code dot style only change the output
+    ["stippleSpacingValue", "stippleIterationsValue"].forEach((id) => {
+      this.setupNumberInput(id, () => this.debouncedProcessImage());
+    });
+    document.getElementById("stippleConnect").addEventListener("change", () => {
+      this.debouncedProcessImage();
+    });
+    this.setupNumberInput("stippleDotSizeValue", () => {
+      Object.keys(this.channels).forEach((channel) => {
+        const channelData = this.channels[channel];
+        channelData.dotSize = this.getStippleDotSize();
+        this.preview.updateLayer(channel, { dotSize: channelData.dotSize });
+      });
+      this.invalidateTimeEstimate();
+    });
+    document
+      .getElementById("stippleDotStyle")
+      .addEventListener("change", () => this.invalidateTimeEstimate());
+
+    // Wave lines
+    ["waveSpacingValue", "waveAmplitudeValue", "waveWavelengthValue"].forEach(
+      (id) => {
+        this.setupNumberInput(id, () => this.debouncedProcessImage());
+      }
+    );
+    document.getElementById("waveModulation").addEventListener("change", () => {
+      this.debouncedProcessImage();
+    });
 
-      // White point controls - sync slider and number input
-      this.syncInputs(
-        `whitePoint${channel}`,
-        `whitePoint${channel}Value`,
-        channel
+    // Halftone dots and spirals
+    ["halftoneCellValue", "halftoneWobbleValue"].forEach((id) => {
+      this.setupNumberInput(id, () => this.debouncedProcessImage());
+    });
+    document.getElementById("halftoneStyle").addEventListener("change", () => {
+      this.debouncedProcessImage();
+    });
+
+    // Outline edge detection only changes the outline channel
+    [
+      "outlineBlurValue",
+      "outlineLowValue",
+      "outlineHighValue",
+      "outlineMinLengthValue",
+      "outlineSmoothingValue",
+    ].forEach((id) => {
+      this.setupNumberInput(id, () =>
+        this.debouncedProcessImage(OUTLINE_CHANNEL.id)
       );
-      document
-        .getElementById(`whitePoint${channel}Value`)
-        .addEventListener("input", () => {
-          this.debouncedProcessImage(channel);
-        });
     });
 
+    // Separation mode and pen palette
+    document
+      .getElementById("separationMode")
+      .addEventListener("change", (e) => {
+        this.setSeparationMode(e.target.value);
+        this.autoComputeSpacingParameters();
+      });
+    document.getElementById("paletteMethod").addEventListener("change", () => {
+      this.debouncedProcessImage();
+    });
+    document.getElementById("addPenBtn").addEventListener("click", () => {
+      this.palette.push({
+        name: `Pen ${this.palette.length + 1}`,
+        color: "#000000",
+      });
+      this.applyPalette(this.getChannelParameters());
+    });
+    this.setupPaletteControls();
+
     // Channel order controls
     this.setupChannelOrderControls();
 
@@ -185,6 +330,11 @@ class PenPlotterConverter {
       this.calculateOptimalValues();
     });
 
+    // Plot time is estimated on request (see invalidateTimeEstimate)
+    document.getElementById("estimateTimeBtn").addEventListener("click", () => {
+      this.requestTimeEstimate();
+    });
+
     // Save/Load configuration buttons
     document.getElementById("saveConfigBtn").addEventListener("click", () => {
       this.saveConfiguration();
@@ -210,10 +360,383 @@ class PenPlotterConverter {
       }
     });
 
+    this.setupPlacementControls();
+
     // Setup dropdown functionality
     this.setupDropdowns();
   }
 
+  // Channel definitions for the current separation mode, then the outline
+  getChannelDefinitions() {
+    if (this.separationMode !== "palette") {
+      return [...CMYK_CHANNELS, OUTLINE_CHANNEL];
+    }
+
+    const pens = this.palette.map((pen, index) => ({
+      id: `P${index + 1}`,
+      name: pen.name || `Pen ${index + 1}`,
+      color: pen.color,
+      // Spread screen angles evenly so no two pens hatch in the same direction
+      angle: Math.round(15 + (index * 180) / this.palette.length) % 180,
+      enabled: true,
+      pen: true,
+    }));
+    return [...pens, OUTLINE_CHANNEL];
+  }
+
+  // The enabled channels that hatch tone, which share the line spacing; the
+  // outline draws edges and stays out of the interleaving
+  getToneChannels(channels = this.getEnabledChannelsInOrder()) {
+    return channels.filter(
+      (channel) => !this.channels[channel]?.definition.outline
+    );
+  }
+
+  // (Re)create the per-channel controls, preview layers and download links
+  // for the current separation mode. Control values start at their defaults;
+  // callers restore saved ones with applyChannelParameters().
+  buildChannels() {
+    document
+      .querySelectorAll("[data-channel-id]")
+      .forEach((element) => element.remove());
+
+    this.preview.clear();
+    this.channels = {};
+
+    this.getChannelDefinitions().forEach((definition) => {
+      const { id, name, color } = definition;
+
+      // Pen names and colours are user input, so they are set as text and
+      // properties rather than written into the markup
+      document.getElementById("channelEnableList").insertAdjacentHTML(
+        "beforeend",
+        `<label data-channel-id="${id}"><input type="checkbox" id="enable${id}" value="${id}" ${
+          definition.enabled ? "checked" : ""
+        }> <span></span></label>`
+      );
+      const enableName = document.getElementById(`enable${id}`).nextElementSibling;
+      enableName.style.color = color;
+      enableName.textContent = definition.pen || definition.outline ? name : id;
+      document.getElementById("renderColorControls").insertAdjacentHTML(
+        "beforeend",
+        `<div class="color-control" data-channel-id="${id}">
+          <label for="renderColor${id}">${id}:</label>
+          <input type="color" id="renderColor${id}">
+        </div>`
+      );
+      document.getElementById(`renderColor${id}`).value = color;
+      // Tone settings do not apply to the outline
+      if (!definition.outline) {
+        document.getElementById("whitePointControls").insertAdjacentHTML(
+          "beforeend",
+          `<div class="white-point-control" data-channel-id="${id}">
+            <label for="whitePoint${id}">${id}:</label>
+            <input type="range" id="whitePoint${id}" min="0" max="1" step="0.01" value="0.05">
+            <input type="number" id="whitePoint${id}Value" min="0" max="1" step="0.01" value="0.05">
+          </div>`
+        );
+        document.getElementById("screenAngleControls").insertAdjacentHTML(
+          "beforeend",
+          `<div class="screen-control" data-channel-id="${id}">
+            <label for="lineAngle${id}Value">${id}:</label>
+            <input type="number" id="lineAngle${id}Value" min="0" max="360" step="0.1" value="${definition.angle}">
+            <input type="number" id="lineSpacing${id}Value" min="0.01" max="10" step="0.05" placeholder="auto">
+            <input type="number" id="sectionWidth${id}Value" min="0.1" max="100" step="0.5" placeholder="auto">
+          </div>`
+        );
+        document.getElementById(`lineAngle${id}Value`).title =
+          `${name} screen angle (°)`;
+        document.getElementById(`lineSpacing${id}Value`).title =
+          `${name} line spacing override (mm)`;
+        document.getElementById(`sectionWidth${id}Value`).title =
+          `${name} section width override (mm)`;
+      }
+      document
+        .getElementById("svgDropdown")
+        .insertAdjacentHTML(
+          "beforeend",
+          `<a href="#" id="download${id}Btn" data-channel-id="${id}"></a>`
+        );
+      document.getElementById(`download${id}Btn`).textContent = `${name} SVG`;
+      document
+        .getElementById("gcodeDropdown")
+        .insertAdjacentHTML(
+          "beforeend",
+          `<a href="#" id="download${id}GcodeBtn" class="disabled" data-channel-id="${id}"></a>`
+        );
+      document.getElementById(`download${id}GcodeBtn`).textContent =
+        `${name} G-code`;
+
+      this.channels[id] = {
+        hatch: null, // Packed hatch polylines (see WorkerRunner)
+        strokeWidth: 1,
+        dotSize: 1, // Diameter of stipple dots (single-point polylines)
+        lineCount: 0,
+        lineSegments: [],
+        name,
+        color,
+        renderColor: color,
+        definition,
+      };
+      this.preview.setLayer(id, { color, lines: [] });
+
+      this.setupChannelControls(id);
+    });
+
+    this.maskPanel.setTargets(
+      Object.entries(this.channels).map(([id, { name }]) => ({ id, name }))
+    );
+    this.paletteCache = null;
+    this.channelOrder = this.sanitizeChannelOrder(this.channelOrder);
+    this.applyChannelOrder();
+    this.renderChannelOrderControls();
+    this.updateSvgSize();
+    this.updateChannelVisibility();
+  }
+
+  setupChannelControls(channel) {
+    document
+      .getElementById(`enable${channel}`)
+      .addEventListener("change", () => {
+        this.updateChannelVisibility();
+        this.autoComputeSpacingParameters();
+      });
+
+    // Color picker event listeners
+    document
+      .getElementById(`renderColor${channel}`)
+      .addEventListener("change", (e) => {
+        this.updateChannelRenderColor(channel, e.target.value);
+        this.renderChannelOrderControls();
+      });
+
+    if (!this.channels[channel].definition.outline) {
+      // White point controls - sync slider and number input
+      this.syncInputs(
+        `whitePoint${channel}`,
+        `whitePoint${channel}Value`,
+        channel
+      );
+      document
+        .getElementById(`whitePoint${channel}Value`)
+        .addEventListener("input", () => {
+          this.debouncedProcessImage(channel);
+        });
+
+      // Screen angle and optional spacing overrides only affect this channel
+      [
+        `lineAngle${channel}Value`,
+        `lineSpacing${channel}Value`,
+        `sectionWidth${channel}Value`,
+      ].forEach((inputId) => {
+        this.setupNumberInput(inputId, () => {
+          this.debouncedProcessImage(channel);
+        });
+      });
+    }
+
+    // Per-channel download links
+    document
+      .getElementById(`download${channel}Btn`)
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadChannelSVG(channel);
+      });
+    const gcodeLink = document.getElementById(`download${channel}GcodeBtn`);
+    gcodeLink.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (gcodeLink.classList.contains("disabled")) return;
+      this.downloadChannelGcode(channel);
+    });
+  }
+
+  // Per-channel control values, keyed the same way as saved parameters
+  // (enableC, whitePointC, lineAngleP2, ...)
+  getChannelParameters() {
+    const params = {};
+    Object.keys(this.channels).forEach((channel) => {
+      params[`enable${channel}`] = document.getElementById(
+        `enable${channel}`
+      ).checked;
+      params[`renderColor${channel}`] = document.getElementById(
+        `renderColor${channel}`
+      ).value;
+      if (this.channels[channel].definition.outline) return;
+      params[`whitePoint${channel}`] = document.getElementById(
+        `whitePoint${channel}Value`
+      ).value;
+      params[`lineAngle${channel}`] = document.getElementById(
+        `lineAngle${channel}Value`
+      ).value;
+      params[`lineSpacing${channel}`] = document.getElementById(
+        `lineSpacing${channel}Value`
+      ).value;
+      params[`sectionWidth${channel}`] = document.getElementById(
+        `sectionWidth${channel}Value`
+      ).value;
+    });
+    return params;
+  }
+
+  // Restore per-channel control values, falling back to each channel's
+  // defaults. Older configurations stored one lineAngle for every channel,
+  // so it takes precedence over the default screen angles.
+  applyChannelParameters(params) {
+    Object.entries(this.channels).forEach(([channel, { definition }]) => {
+      document.getElementById(`enable${channel}`).checked =
+        params[`enable${channel}`] ?? definition.enabled;
+      document.getElementById(`renderColor${channel}`).value =
+        params[`renderColor${channel}`] || definition.color;
+      if (definition.outline) return;
+      const whitePoint = params[`whitePoint${channel}`] || "0.05";
+      document.getElementById(`whitePoint${channel}Value`).value = whitePoint;
+      document.getElementById(`whitePoint${channel}`).value = whitePoint;
+      document.getElementById(`lineAngle${channel}Value`).value =
+        params[`lineAngle${channel}`] ?? params.lineAngle ?? definition.angle;
+      document.getElementById(`lineSpacing${channel}Value`).value =
+        params[`lineSpacing${channel}`] || "";
+      document.getElementById(`sectionWidth${channel}Value`).value =
+        params[`sectionWidth${channel}`] || "";
+    });
+
+    this.updateChannelRenderColors();
+    this.updateChannelVisibility();
+  }
+
+  setSeparationMode(mode) {
+    this.separationMode = mode === "palette" ? "palette" : "cmyk";
+    document.getElementById("separationMode").value = this.separationMode;
+    document.getElementById("paletteControls").style.display =
+      this.separationMode === "palette" ? "block" : "none";
+    document.getElementById("separationPanel").style.display =
+      this.separationMode === "palette" ? "none" : "block";
+
+    this.channelOrder = [];
+    this.buildChannels();
+  }
+
+  // Hatch lines, stipple dots, wave lines or halftone; shows the matching
+  // controls. Wave lines and halftones keep the hatch controls for the
+  // screen angles (and direction).
+  setPatternType(type) {
+    const pattern = ["stipple", "wave", "halftone"].includes(type)
+      ? type
+      : "hatch";
+    document.getElementById("patternType").value = pattern;
+    document.getElementById("hatchControls").style.display =
+      pattern === "stipple" ? "none" : "block";
+    document.getElementById("stippleControls").style.display =
+      pattern === "stipple" ? "block" : "none";
+    document.getElementById("waveControls").style.display =
+      pattern === "wave" ? "block" : "none";
+    document.getElementById("halftoneControls").style.display =
+      pattern === "halftone" ? "block" : "none";
+  }
+
+  isStippling() {
+    return document.getElementById("patternType").value === "stipple";
+  }
+
+  isWaveLines() {
+    return document.getElementById("patternType").value === "wave";
+  }
+
+  isHalftone() {
+    return document.getElementById("patternType").value === "halftone";
+  }
+
+  // Stipple dot diameter in page pixels
+  getStippleDotSize() {
+    const size = parseFloat(
+      document.getElementById("stippleDotSizeValue").value
+    );
+    return (size > 0 ? size : 0.5) * this.pixelsPerMm;
+  }
+
+  // Rebuild the pen channels after the palette changed, keeping the given
+  // per-channel settings where the pen ids still match
+  applyPalette(channelParams = {}) {
+    this.renderPaletteControls();
+    if (this.separationMode !== "palette") return;
+
+    this.buildChannels();
+    this.applyChannelParameters(channelParams);
+    this.autoComputeSpacingParameters();
+  }
+
+  renderPaletteControls() {
+    const list = document.getElementById("paletteList");
+    list.innerHTML = "";
+
+    this.palette.forEach((pen, index) => {
+      const row = document.createElement("div");
+      row.className = "palette-row";
+      row.dataset.index = index;
+      row.innerHTML = `
+        <span class="channel-order-note">P${index + 1}</span>
+        <input type="text" class="palette-name" title="Pen name">
+        <input type="color" class="palette-color" title="Pen colour">
+        <button type="button" class="reorder-btn" data-action="remove" title="Remove pen" ${
+          this.palette.length <= 1 ? "disabled" : ""
+        }>×</button>
+      `;
+      row.querySelector(".palette-name").value = pen.name;
+      row.querySelector(".palette-color").value = pen.color;
+      list.appendChild(row);
+    });
+  }
+
+  setupPaletteControls() {
+    const list = document.getElementById("paletteList");
+
+    list.addEventListener("change", (e) => {
+      const row = e.target.closest(".palette-row");
+      if (!row) return;
+      const index = Number(row.dataset.index);
+      const channelParams = this.getChannelParameters();
+
+      if (e.target.classList.contains("palette-name")) {
+        this.palette[index].name = e.target.value.trim();
+      } else if (e.target.classList.contains("palette-color")) {
+        this.palette[index].color = e.target.value;
+        // The preview follows the new pen colour
+        delete channelParams[`renderColorP${index + 1}`];
+      }
+      this.applyPalette(channelParams);
+    });
+
+    list.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-action='remove']");
+      if (!button) return;
+      this.removePen(Number(button.closest(".palette-row").dataset.index));
+    });
+  }
+
+  removePen(index) {
+    if (this.palette.length <= 1) return;
+
+    const channelParams = this.getChannelParameters();
+    this.palette.splice(index, 1);
+
+    // Pens after the removed one move up an id; carry their settings along
+    const removedId = `P${index + 1}`;
+    const renumber = (channel) => {
+      const number = Number(channel.slice(1));
+      return number > index + 1 ? `P${number - 1}` : channel;
+    };
+    const shiftedParams = {};
+    Object.entries(channelParams).forEach(([key, value]) => {
+      const match = key.match(/^(.*?)(P\d+)$/);
+      if (!match || match[2] === removedId) return;
+      shiftedParams[match[1] + renumber(match[2])] = value;
+    });
+    this.channelOrder = this.channelOrder
+      .filter((channel) => channel !== removedId)
+      .map(renumber);
+
+    this.applyPalette(shiftedParams);
+  }
+
   setupNumberInput(inputId, callback) {
     const input = document.getElementById(inputId);
     input.addEventListener("input", callback);
@@ -277,18 +800,20 @@ class PenPlotterConverter {
     this.originalCanvas.width = widthPx;
     this.originalCanvas.height = heightPx;
 
-    // Update all channel SVGs
-    Object.keys(this.channels).forEach((channel) => {
-      const channelData = this.channels[channel];
-      channelData.svg.setAttribute("viewBox", `0 0 ${widthPx} ${heightPx}`);
-      channelData.svg.setAttribute("width", widthMm + "mm");
-      channelData.svg.setAttribute("height", heightMm + "mm");
-      channelData.svg.style.width = widthPx + "px";
-      channelData.svg.style.height = heightPx + "px";
-
-      // Clear SVG lines
-      channelData.group.innerHTML = "";
-    });
+    // Size the channel preview to the page and clear its lines
+    this.previewCanvas.style.width = widthPx + "px";
+    this.previewCanvas.style.height = heightPx + "px";
+    this.preview.setViewBox(0, 0, widthPx, heightPx);
+    Object.keys(this.channels).forEach((channel) => this.clearChannel(channel));
+
+    // The placement overlay covers the same page
+    this.placementOverlay.setAttribute("viewBox", `0 0 ${widthPx} ${heightPx}`);
+    this.placementOverlay.style.width = widthPx + "px";
+    this.placementOverlay.style.height = heightPx + "px";
+    this.updatePlacementOverlay();
+    this.maskOverlay.style.width = widthPx + "px";
+    this.maskOverlay.style.height = heightPx + "px";
+    this.maskPanel.drawOverlay();
 
     // Apply zoom
     this.updateSvgZoom();
@@ -299,15 +824,15 @@ class PenPlotterConverter {
   }
 
   updateSvgZoom() {
-    const kSvg = this.channels.K.svg;
-    if (!kSvg || !kSvg.parentElement) return;
+    const layerSvg = this.previewCanvas;
+    if (!layerSvg.parentElement) return;
 
     // Get current zoom value
     const zoom =
       parseFloat(document.getElementById("canvasZoomValue").value) || 1;
 
     // Calculate auto-fit scale to prevent SVG from being too big by default
-    const previewContainer = kSvg.parentElement.parentElement; // svg-stack -> preview-area
+    const previewContainer = layerSvg.parentElement.parentElement; // svg-stack -> preview-area
     const containerWidth = previewContainer.clientWidth - 40;
     const containerHeight = previewContainer.clientHeight - 40;
 
@@ -318,8 +843,8 @@ class PenPlotterConverter {
       return;
     }
 
-    const svgWidth = parseInt(kSvg.style.width) || 200;
-    const svgHeight = parseInt(kSvg.style.height) || 200;
+    const svgWidth = parseInt(layerSvg.style.width) || 200;
+    const svgHeight = parseInt(layerSvg.style.height) || 200;
 
     // Make sure SVG has dimensions
     if (svgWidth <= 0 || svgHeight <= 0) return;
@@ -330,18 +855,16 @@ class PenPlotterConverter {
 
     // Apply both auto-fit and user zoom
     const finalScale = autoFitScale * zoom;
-    Object.keys(this.channels).forEach((channel) => {
-      const channelSvg = this.channels[channel].svg;
-      channelSvg.style.transformOrigin = "center center";
-      channelSvg.style.transform = `translateX(-50%) scale(${finalScale})`;
+    [this.previewCanvas, this.maskOverlay, this.placementOverlay].forEach((svg) => {
+      svg.style.transformOrigin = "center center";
+      svg.style.transform = `translateX(-50%) scale(${finalScale})`;
     });
   }
 
   updateChannelVisibility() {
-    ["C", "M", "Y", "K"].forEach((channel) => {
+    Object.keys(this.channels).forEach((channel) => {
       const isEnabled = document.getElementById(`enable${channel}`).checked;
-      const channelSvg = this.channels[channel].svg;
-      channelSvg.style.display = isEnabled ? "block" : "none";
+      this.preview.updateLayer(channel, { visible: isEnabled });
 
       // Update download buttons
       const downloadBtn = document.getElementById(`download${channel}Btn`);
@@ -379,7 +902,7 @@ class PenPlotterConverter {
     }
 
     // Per-channel links get disabled via updateChannelVisibility; keep them in sync when no lines exist
-    ["C", "M", "Y", "K"].forEach((channel) => {
+    Object.keys(this.channels).forEach((channel) => {
       const link = document.getElementById(`download${channel}GcodeBtn`);
       if (link) {
         const channelEnabled =
@@ -392,8 +915,9 @@ class PenPlotterConverter {
   }
 
   getEnabledChannelsInOrder() {
+    const channelIds = Object.keys(this.channels);
     const enabledSet = new Set(
-      ["C", "M", "Y", "K"].filter(
+      channelIds.filter(
         (channel) => document.getElementById(`enable${channel}`).checked
       )
     );
@@ -402,7 +926,7 @@ class PenPlotterConverter {
     const ordered = this.channelOrder.filter((channel) =>
       enabledSet.has(channel)
     );
-    ["C", "M", "Y", "K"].forEach((channel) => {
+    channelIds.forEach((channel) => {
       if (enabledSet.has(channel) && !ordered.includes(channel)) {
         ordered.push(channel);
       }
@@ -412,7 +936,7 @@ class PenPlotterConverter {
   }
 
   sanitizeChannelOrder(order) {
-    const allowed = ["C", "M", "Y", "K"];
+    const allowed = Object.keys(this.channels);
     const deduped = [];
 
     (order || []).forEach((channel) => {
@@ -421,14 +945,16 @@ class PenPlotterConverter {
       }
     });
 
-    // Append any missing channels
+    // Append any missing channels; a new outline goes on top
     allowed.forEach((channel) => {
-      if (!deduped.includes(channel)) {
-        deduped.push(channel);
-      }
+      if (deduped.includes(channel)) return;
+      if (channel === OUTLINE_CHANNEL.id) deduped.unshift(channel);
+      else deduped.push(channel);
     });
 
-    // Keep K as the base layer to preserve the paper background
+    // Keep K as the base layer to preserve the paper background. Pen
+    // palettes have no such channel and can be ordered freely.
+    if (!allowed.includes("K")) return deduped;
     const filtered = deduped.filter((channel) => channel !== "K");
     filtered.push("K");
     return filtered;
@@ -437,26 +963,22 @@ class PenPlotterConverter {
   applyChannelOrder() {
     this.channelOrder = this.sanitizeChannelOrder(this.channelOrder);
 
-    // Highest z-index should be first item (top of stack)
-    this.channelOrder.forEach((channel, index) => {
-      const svg = this.channels[channel]?.svg;
-      if (svg) {
-        svg.style.zIndex = this.channelOrder.length - index;
-      }
+    // The first item is the top of the stack, drawn last. Layers above the
+    // bottom one let it show through.
+    const bottomUp = [...this.channelOrder].reverse();
+    bottomUp.forEach((channel, index) => {
+      this.preview.updateLayer(channel, { opacity: index === 0 ? 1 : 0.8 });
     });
+    this.preview.setLayerOrder(bottomUp);
   }
 
   renderChannelOrderControls() {
     const list = document.getElementById("channelOrderList");
     if (!list) return;
 
-    const names = {
-      C: "Cyan",
-      M: "Magenta",
-      Y: "Yellow",
-      K: "Black",
-    };
-    const maxMovableIndex = this.channelOrder.length - 2; // Last slot reserved for K
+    // Last slot reserved for K when there is one
+    const maxMovableIndex =
+      this.channelOrder.length - (this.channels.K ? 2 : 1);
 
     list.innerHTML = "";
 
@@ -474,8 +996,8 @@ class PenPlotterConverter {
       row.dataset.channel = channel;
       row.innerHTML = `
         <div class="channel-order-label">
-          <span class="channel-order-swatch" style="background: ${color};"></span>
-          <span>${channel} (${names[channel] || channel})</span>
+          <span class="channel-order-swatch"></span>
+          <span class="channel-order-name"></span>
           ${
             isBlackChannel
               ? '<span class="channel-order-note">Paper/base</span>'
@@ -491,6 +1013,10 @@ class PenPlotterConverter {
       }>↓</button>
         </div>
       `;
+      row.querySelector(".channel-order-swatch").style.background = color;
+      row.querySelector(".channel-order-name").textContent = `${channel} (${
+        this.channels[channel]?.name || channel
+      })`;
 
       list.appendChild(row);
     });
@@ -519,7 +1045,8 @@ class PenPlotterConverter {
     const currentIndex = this.channelOrder.indexOf(channel);
     if (currentIndex === -1) return;
 
-    const maxIndex = this.channelOrder.length - 2; // Prevent moving past K
+    // Prevent moving past K
+    const maxIndex = this.channelOrder.length - (this.channels.K ? 2 : 1);
     const targetIndex = currentIndex + delta;
     if (targetIndex < 0 || targetIndex > maxIndex) return;
 
@@ -538,33 +1065,8 @@ class PenPlotterConverter {
     // Update the renderColor for this channel
     this.channels[channel].renderColor = newColor;
 
-    // Update the stroke color of the SVG group for preview
-    const channelGroup = this.channels[channel].group;
-    if (channelGroup) {
-      channelGroup.setAttribute("stroke", newColor);
-    }
-
-    // Update all existing line elements in this channel to use the new color
-    const lines = channelGroup.querySelectorAll("line");
-    lines.forEach((line) => {
-      line.setAttribute("stroke", newColor);
-    });
-  }
-
-  initializeChannelColors() {
-    // Initialize the color picker values and update SVG groups
-    ["C", "M", "Y", "K"].forEach((channel) => {
-      const colorInput = document.getElementById(`renderColor${channel}`);
-      const channelData = this.channels[channel];
-
-      // Set color input to match the initial renderColor
-      colorInput.value = channelData.renderColor;
-
-      // Set initial stroke color on SVG groups
-      if (channelData.group) {
-        channelData.group.setAttribute("stroke", channelData.renderColor);
-      }
-    });
+    // Redraw the channel's preview layer in the new colour
+    this.preview.updateLayer(channel, { color: newColor });
   }
 
   generateMetadataComment() {
@@ -578,7 +1080,12 @@ class PenPlotterConverter {
       penUpZ: document.getElementById("penUpZValue").value + "mm",
       preventZhop:
         document.getElementById("preventZhopValue").value + "mm threshold",
-      lineAngle: document.getElementById("lineAngleValue").value + "°",
+      arcFitting: document.getElementById("arcFittingEnabled").checked
+        ? document.getElementById("arcToleranceValue").value + "mm tolerance"
+        : "off",
+      joinTolerance: document.getElementById("joinToleranceValue").value + "mm",
+      simplifyTolerance: document.getElementById("simplifyToleranceValue").value + "mm",
+      machineProfile: this.machineProfilePanel.getProfile().name,
       sectionWidth: document.getElementById("sectionWidthValue").value + "mm",
       lineSpacing: document.getElementById("lineSpacingValue").value + "mm",
       minLineLength: document.getElementById("minLineLengthValue").value + "mm",
@@ -587,10 +1094,73 @@ class PenPlotterConverter {
         document.getElementById("maxMergeDistanceValue").value + "mm",
       maxLinesPerChannel:
         document.getElementById("maxLinesPerChannelValue").value + " lines",
-      whitePointC: document.getElementById("whitePointCValue").value,
-      whitePointM: document.getElementById("whitePointMValue").value,
-      whitePointY: document.getElementById("whitePointYValue").value,
-      whitePointK: document.getElementById("whitePointKValue").value,
+      hatchDirection: this.isFlowHatching()
+        ? `follow contours (${
+            document.getElementById("flowSmoothingValue").value
+          }mm smoothing)`
+        : "straight",
+      pattern: this.isStippling()
+        ? `stipple (${
+            document.getElementById("stippleSpacingValue").value
+          }mm spacing, ${
+            document.getElementById("stippleIterationsValue").value
+          } relaxation steps, ${
+            document.getElementById("stippleConnect").checked
+              ? "connected"
+              : document.getElementById("stippleDotStyle").value + " dots"
+          })`
+        : this.isWaveLines()
+        ? `wave lines (${
+            document.getElementById("waveModulation").value
+          } modulation, ${
+            document.getElementById("waveSpacingValue").value
+          }mm rows, ${
+            document.getElementById("waveAmplitudeValue").value
+          }mm amplitude, ${
+            document.getElementById("waveWavelengthValue").value
+          }mm wavelength)`
+        : this.isHalftone()
+        ? `halftone ${document.getElementById("halftoneStyle").value} (${
+            document.getElementById("halftoneCellValue").value
+          }mm cells${
+            document.getElementById("halftoneStyle").value === "spiral"
+              ? `, ${
+                  document.getElementById("halftoneWobbleValue").value
+                }mm wobble`
+              : ""
+          })`
+        : "hatch",
+      crossHatch: document.getElementById("crossHatchEnabled").checked
+        ? [1, 2, 3]
+            .map(
+              (pass) =>
+                `+${document.getElementById(`crossHatchAngle${pass}Value`).value}° > ` +
+                document.getElementById(`crossHatchThreshold${pass}Value`).value
+            )
+            .join(", ")
+        : "off",
+      separation:
+        this.separationMode === "palette"
+          ? `pen palette (${
+              document.getElementById("paletteMethod").value
+            }): ` +
+            Object.entries(this.channels)
+              .map(([channel, { name, color }]) => `${channel} ${name} ${color}`)
+              .join(", ")
+          : `CMYK (${ColorSeparation.describe(
+              this.separationPanel.getSettings()
+            )})`,
+      placement: this.describePlacement(),
+      preprocessing: ImagePreprocessor.describe(
+        this.preprocessPanel.getSteps()
+      ),
+      masks: Object.keys(this.maskPanel.getMasks()).join(", ") || "none",
+      outline: document.getElementById(`enable${OUTLINE_CHANNEL.id}`).checked
+        ? `${document.getElementById("outlineBlurValue").value}mm blur, ` +
+          `${document.getElementById("outlineLowValue").value}-` +
+          `${document.getElementById("outlineHighValue").value} thresholds, ` +
+          `${document.getElementById("outlineMinLengthValue").value}mm min length`
+        : "off",
       generatedAt: new Date().toISOString(),
     };
 
@@ -599,6 +1169,16 @@ class PenPlotterConverter {
 
     params.channelOrder = this.channelOrder.join(" > ");
 
+    this.getToneChannels(Object.keys(this.channels)).forEach((channel) => {
+      params[`whitePoint${channel}`] = document.getElementById(
+        `whitePoint${channel}Value`
+      ).value;
+      const screen = this.getChannelScreen(channel);
+      params[`screen${channel}`] =
+        `${screen.angle}° angle, ${screen.lineSpacing}mm spacing, ` +
+        `${screen.sectionWidth}mm section`;
+    });
+
     return { params, enabledChannels };
   }
 
@@ -608,8 +1188,8 @@ class PenPlotterConverter {
       document.getElementById("penDiameterValue").value
     );
 
-    // Get enabled channels count
-    const enabledChannels = this.getEnabledChannelsInOrder();
+    // Get enabled tone channels count
+    const enabledChannels = this.getToneChannels();
     const channelCount = enabledChannels.length;
 
     if (channelCount === 0) {
@@ -652,8 +1232,8 @@ class PenPlotterConverter {
       document.getElementById("penDiameterValue").value
     );
 
-    // Get enabled channels count
-    const enabledChannels = this.getEnabledChannelsInOrder();
+    // Get enabled tone channels count
+    const enabledChannels = this.getToneChannels();
     const channelCount = enabledChannels.length;
 
     if (channelCount === 0) return;
@@ -770,56 +1350,387 @@ class PenPlotterConverter {
   redrawImage() {
     if (!this.originalImage) return;
 
+    this.drawPlacedImage();
+    this.updatePlacementOverlay();
+    this.processImage();
+
+    // Fit content to canvas after image is loaded
+    setTimeout(() => {
+      this.interactiveCanvas.fitToContent();
+    }, 100);
+  }
+
+  // Draw the image onto the page with the current placement, then run the
+  // preprocessing chain. Pixels the image does not cover stay paper white.
+  drawPlacedImage() {
+    this.placementChanged = false;
+    if (!this.originalImage) return;
+
     const canvasWidth = this.originalCanvas.width;
     const canvasHeight = this.originalCanvas.height;
+    const geometry = this.getPlacementGeometry(
+      this.getPlacement(),
+      this.originalImage.width,
+      this.originalImage.height,
+      canvasWidth,
+      canvasHeight
+    );
+    const { crop, margin } = geometry;
+    const ctx = this.originalCtx;
+
+    ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    ctx.save();
+
+    // Nothing is drawn inside the paper margin
+    ctx.beginPath();
+    ctx.rect(margin, margin, canvasWidth - margin * 2, canvasHeight - margin * 2);
+    ctx.clip();
+
+    ctx.translate(geometry.centerX, geometry.centerY);
+    ctx.rotate((geometry.rotation * Math.PI) / 180);
+    ctx.scale(
+      geometry.scale * (geometry.flipX ? -1 : 1),
+      geometry.scale * (geometry.flipY ? -1 : 1)
+    );
+    ctx.translate(-(crop.x + crop.width / 2), -(crop.y + crop.height / 2));
+
+    ctx.beginPath();
+    if (geometry.shape === "ellipse") {
+      ctx.ellipse(
+        crop.x + crop.width / 2,
+        crop.y + crop.height / 2,
+        crop.width / 2,
+        crop.height / 2,
+        0,
+        0,
+        Math.PI * 2
+      );
+    } else {
+      ctx.rect(crop.x, crop.y, crop.width, crop.height);
+    }
+    ctx.clip();
+    ctx.drawImage(this.originalImage, 0, 0);
+    ctx.restore();
+
+    // Composite onto white paper, keeping the image alpha so preprocessing
+    // can restore the paper around the image
+    const imageData = ctx.getImageData(0, 0, canvasWidth, canvasHeight);
+    const { data } = imageData;
+    const coverage = new Uint8ClampedArray(canvasWidth * canvasHeight);
+    for (let i = 0; i < coverage.length; i++) {
+      const alpha = data[i * 4 + 3];
+      coverage[i] = alpha;
+      for (let c = 0; c < 3; c++) {
+        data[i * 4 + c] = Math.round(
+          (data[i * 4 + c] * alpha + 255 * (255 - alpha)) / 255
+        );
+      }
+      data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
 
-    // Clear canvas with white background
-    this.originalCtx.fillStyle = "white";
-    this.originalCtx.fillRect(0, 0, canvasWidth, canvasHeight);
+    this.sourceImageData = imageData;
+    this.imageCoverage = coverage;
+    this.imageBounds = this.getPlacementBounds(
+      geometry,
+      canvasWidth,
+      canvasHeight
+    );
+    this.applyPreprocessing();
+  }
 
-    // Calculate fit dimensions (maintain aspect ratio, fit inside canvas)
-    const imgAspect = this.originalImage.width / this.originalImage.height;
-    const canvasAspect = canvasWidth / canvasHeight;
+  // Where the (cropped) image lands on a canvas of the given size in px.
+  // Scale 100% fits the crop inside the margins; the offset moves its centre
+  // away from the page centre.
+  getPlacementGeometry(
+    placement,
+    imageWidth,
+    imageHeight,
+    canvasWidth,
+    canvasHeight
+  ) {
+    const inset = (value) => Math.min(99, Math.max(0, value || 0)) / 100;
+    const cropping = placement.cropShape && placement.cropShape !== "none";
+    const left = cropping ? inset(placement.cropLeft) : 0;
+    const top = cropping ? inset(placement.cropTop) : 0;
+    const right = cropping ? inset(placement.cropRight) : 0;
+    const bottom = cropping ? inset(placement.cropBottom) : 0;
+
+    const crop = {
+      x: imageWidth * left,
+      y: imageHeight * top,
+      width: imageWidth * Math.max(0.01, 1 - left - right),
+      height: imageHeight * Math.max(0.01, 1 - top - bottom),
+    };
 
-    let drawWidth, drawHeight, drawX, drawY;
+    const margin = Math.min(
+      Math.max(0, (placement.margin || 0) * this.pixelsPerMm),
+      Math.min(canvasWidth, canvasHeight) / 2 - 1
+    );
+    const fitScale = Math.min(
+      (canvasWidth - margin * 2) / crop.width,
+      (canvasHeight - margin * 2) / crop.height
+    );
 
-    if (imgAspect > canvasAspect) {
-      // Image is wider - fit to width
-      drawWidth = canvasWidth;
-      drawHeight = canvasWidth / imgAspect;
-      drawX = 0;
-      drawY = (canvasHeight - drawHeight) / 2;
-    } else {
-      // Image is taller - fit to height
-      drawHeight = canvasHeight;
-      drawWidth = canvasHeight * imgAspect;
-      drawX = (canvasWidth - drawWidth) / 2;
-      drawY = 0;
-    }
+    return {
+      crop,
+      shape: cropping ? placement.cropShape : "rectangle",
+      margin,
+      centerX: canvasWidth / 2 + (placement.offsetX || 0) * this.pixelsPerMm,
+      centerY: canvasHeight / 2 + (placement.offsetY || 0) * this.pixelsPerMm,
+      scale: fitScale * ((placement.scale || 100) / 100),
+      rotation: placement.rotation || 0,
+      flipX: Boolean(placement.flipX),
+      flipY: Boolean(placement.flipY),
+    };
+  }
+
+  // Bounding box of the placed crop, limited to the area inside the margins
+  getPlacementBounds(geometry, canvasWidth, canvasHeight) {
+    const { crop, margin } = geometry;
+    const angle = (geometry.rotation * Math.PI) / 180;
+    const halfWidth = (crop.width / 2) * geometry.scale;
+    const halfHeight = (crop.height / 2) * geometry.scale;
+    const extentX =
+      Math.abs(halfWidth * Math.cos(angle)) +
+      Math.abs(halfHeight * Math.sin(angle));
+    const extentY =
+      Math.abs(halfWidth * Math.sin(angle)) +
+      Math.abs(halfHeight * Math.cos(angle));
+
+    const x1 = Math.max(margin, geometry.centerX - extentX);
+    const y1 = Math.max(margin, geometry.centerY - extentY);
+    const x2 = Math.min(canvasWidth - margin, geometry.centerX + extentX);
+    const y2 = Math.min(canvasHeight - margin, geometry.centerY + extentY);
+
+    return {
+      x: x1,
+      y: y1,
+      width: Math.max(0, x2 - x1),
+      height: Math.max(0, y2 - y1),
+    };
+  }
 
-    // Draw image fitted to canvas
-    this.originalCtx.drawImage(
-      this.originalImage,
-      drawX,
-      drawY,
-      drawWidth,
-      drawHeight
+  // SVG transform from image coordinates to page coordinates
+  getPlacementTransform(geometry) {
+    const { crop } = geometry;
+    const scaleX = geometry.scale * (geometry.flipX ? -1 : 1);
+    const scaleY = geometry.scale * (geometry.flipY ? -1 : 1);
+    return (
+      `translate(${geometry.centerX} ${geometry.centerY}) ` +
+      `rotate(${geometry.rotation}) scale(${scaleX} ${scaleY}) ` +
+      `translate(${-(crop.x + crop.width / 2)} ${-(crop.y + crop.height / 2)})`
     );
+  }
 
-    // Get image data for processing (entire canvas including white areas)
-    this.imageData = this.originalCtx.getImageData(
-      0,
-      0,
+  // One-line summary for G-code metadata
+  describePlacement() {
+    const placement = this.getPlacement();
+    const flips = [placement.flipX && "H", placement.flipY && "V"].filter(
+      Boolean
+    );
+    return (
+      `${placement.scale}% at ${placement.offsetX},${placement.offsetY}mm, ` +
+      `${placement.rotation}°` +
+      (flips.length ? `, flipped ${flips.join("+")}` : "") +
+      (placement.cropShape !== "none"
+        ? `, ${placement.cropShape} crop ${placement.cropLeft}/${placement.cropTop}/` +
+          `${placement.cropRight}/${placement.cropBottom}%`
+        : "") +
+      `, ${placement.margin}mm margin`
+    );
+  }
+
+  getPlacement() {
+    const number = (id) => parseFloat(document.getElementById(id).value);
+    return {
+      scale: number("imageScaleValue") || 100,
+      offsetX: number("imageOffsetXValue") || 0,
+      offsetY: number("imageOffsetYValue") || 0,
+      rotation: number("imageRotationValue") || 0,
+      flipX: document.getElementById("imageFlipX").checked,
+      flipY: document.getElementById("imageFlipY").checked,
+      cropShape: document.getElementById("imageCropShape").value,
+      cropLeft: number("cropLeftValue") || 0,
+      cropTop: number("cropTopValue") || 0,
+      cropRight: number("cropRightValue") || 0,
+      cropBottom: number("cropBottomValue") || 0,
+      margin: number("imageMarginValue") || 0,
+    };
+  }
+
+  setPlacement(placement) {
+    const values = { ...DEFAULT_PLACEMENT, ...(placement || {}) };
+    document.getElementById("imageScaleValue").value = values.scale;
+    document.getElementById("imageOffsetXValue").value = values.offsetX;
+    document.getElementById("imageOffsetYValue").value = values.offsetY;
+    document.getElementById("imageRotationValue").value = values.rotation;
+    document.getElementById("imageFlipX").checked = values.flipX === true;
+    document.getElementById("imageFlipY").checked = values.flipY === true;
+    document.getElementById("imageCropShape").value = values.cropShape;
+    document.getElementById("cropLeftValue").value = values.cropLeft;
+    document.getElementById("cropTopValue").value = values.cropTop;
+    document.getElementById("cropRightValue").value = values.cropRight;
+    document.getElementById("cropBottomValue").value = values.cropBottom;
+    document.getElementById("imageMarginValue").value = values.margin;
+  }
+
+  setupPlacementControls() {
+    [
+      "imageScaleValue",
+      "imageOffsetXValue",
+      "imageOffsetYValue",
+      "imageRotationValue",
+      "cropLeftValue",
+      "cropTopValue",
+      "cropRightValue",
+      "cropBottomValue",
+      "imageMarginValue",
+    ].forEach((id) => {
+      this.setupNumberInput(id, () => this.onPlacementChange());
+    });
+    ["imageFlipX", "imageFlipY", "imageCropShape"].forEach((id) => {
+      document
+        .getElementById(id)
+        .addEventListener("change", () => this.onPlacementChange());
+    });
+
+    document.getElementById("placeImageBtn").addEventListener("click", () => {
+      this.placementMode = !this.placementMode;
+      document.getElementById("placeImageBtn").textContent = this
+        .placementMode
+        ? "Done"
+        : "Edit in Preview";
+      this.updatePlacementOverlay();
+    });
+    document
+      .getElementById("resetPlacementBtn")
+      .addEventListener("click", () => {
+        this.setPlacement(DEFAULT_PLACEMENT);
+        this.onPlacementChange();
+      });
+
+    // Drag to move; the overlay only shows in placement mode
+    const overlay = this.placementOverlay;
+    let drag = null;
+    overlay.addEventListener("pointerdown", (e) => {
+      if (e.button !== 0) return;
+      const placement = this.getPlacement();
+      drag = {
+        x: e.clientX,
+        y: e.clientY,
+        offsetX: placement.offsetX,
+        offsetY: placement.offsetY,
+      };
+      overlay.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+    overlay.addEventListener("pointermove", (e) => {
+      if (!drag) return;
+      // Screen px per page px, including preview zoom
+      const screenScale =
+        overlay.getBoundingClientRect().width / this.originalCanvas.width;
+      const toMm = (delta) => delta / screenScale / this.pixelsPerMm;
+      document.getElementById("imageOffsetXValue").value = (
+        drag.offsetX + toMm(e.clientX - drag.x)
+      ).toFixed(1);
+      document.getElementById("imageOffsetYValue").value = (
+        drag.offsetY + toMm(e.clientY - drag.y)
+      ).toFixed(1);
+      this.updatePlacementOverlay();
+    });
+    const endDrag = () => {
+      if (!drag) return;
+      drag = null;
+      this.onPlacementChange();
+    };
+    overlay.addEventListener("pointerup", endDrag);
+    overlay.addEventListener("pointercancel", endDrag);
+
+    // Scroll to scale, Shift+scroll to rotate. Cmd/Ctrl+scroll still zooms
+    // the preview.
+    overlay.addEventListener(
+      "wheel",
+      (e) => {
+        if (e.metaKey || e.ctrlKey) return;
+        e.preventDefault();
+        const delta = e.deltaY || e.deltaX;
+        if (!delta) return;
+        if (e.shiftKey) {
+          const rotation = document.getElementById("imageRotationValue");
+          rotation.value =
+            ((parseFloat(rotation.value) || 0) + (delta > 0 ? 2 : -2)) % 360;
+        } else {
+          const scale = document.getElementById("imageScaleValue");
+          scale.value = Math.max(
+            1,
+            Math.round((parseFloat(scale.value) || 100) * (delta > 0 ? 0.95 : 1.05))
+          );
+        }
+        this.onPlacementChange();
+      },
+      { passive: false }
+    );
+  }
+
+  onPlacementChange() {
+    this.updatePlacementOverlay();
+    if (!this.originalImage) return;
+    this.placementChanged = true;
+    this.debouncedProcessImage();
+  }
+
+  // Outline of the placed image and the margin, drawn over the channel
+  // layers while placing
+  updatePlacementOverlay() {
+    const overlay = this.placementOverlay;
+    if (!overlay) return;
+
+    const active = this.placementMode && Boolean(this.originalImage);
+    overlay.classList.toggle("active", active);
+    if (!active) {
+      overlay.innerHTML = "";
+      return;
+    }
+
+    const canvasWidth = this.originalCanvas.width;
+    const canvasHeight = this.originalCanvas.height;
+    const geometry = this.getPlacementGeometry(
+      this.getPlacement(),
+      this.originalImage.width,
+      this.originalImage.height,
       canvasWidth,
       canvasHeight
     );
+    const { crop, margin } = geometry;
+    const shape = (attributes) =>
+      geometry.shape === "ellipse"
+        ? `<ellipse cx="${crop.x + crop.width / 2}" cy="${crop.y + crop.height / 2}" rx="${crop.width / 2}" ry="${crop.height / 2}" ${attributes}/>`
+        : `<rect x="${crop.x}" y="${crop.y}" width="${crop.width}" height="${crop.height}" ${attributes}/>`;
+
+    overlay.innerHTML = `
+      <defs><clipPath id="placementClip">${shape("")}</clipPath></defs>
+      <rect class="placement-margin" x="${margin}" y="${margin}" width="${canvasWidth - margin * 2}" height="${canvasHeight - margin * 2}"/>
+      <g transform="${this.getPlacementTransform(geometry)}">
+        <image width="${this.originalImage.width}" height="${this.originalImage.height}" opacity="0.5" clip-path="url(#placementClip)" preserveAspectRatio="none"/>
+        ${shape('class="placement-outline" vector-effect="non-scaling-stroke"')}
+      </g>`;
+    overlay.querySelector("image").setAttribute("href", this.originalImage.src);
+  }
 
-    this.processImage();
-
-    // Fit content to canvas after image is loaded
-    setTimeout(() => {
-      this.interactiveCanvas.fitToContent();
-    }, 100);
+  // Run the preprocessing chain over the image area and refresh the
+  // before/after thumbnails
+  applyPreprocessing() {
+    this.preprocessingChanged = false;
+    if (!this.sourceImageData) return;
+
+    this.imageData = ImagePreprocessor.apply(
+      this.sourceImageData,
+      this.preprocessPanel.getSteps(),
+      this.imageBounds,
+      this.imageCoverage
+    );
+    this.preprocessPanel.setPreview(this.sourceImageData, this.imageData);
   }
 
   async processImage() {
@@ -835,23 +1746,35 @@ class PenPlotterConverter {
       const enabledChannels = this.getEnabledChannelsInOrder();
 
       // Clear all channels first
-      enabledChannels.forEach((channel) => {
-        const data = this.channels[channel];
-        data.group.innerHTML = "";
-        data.lineCount = 0;
-      });
+      enabledChannels.forEach((channel) => this.clearChannel(channel));
 
-      // Process each enabled channel with chunked rendering
-      for (let i = 0; i < enabledChannels.length; i++) {
-        if (this.processingCancelled) break;
-
-        const channel = enabledChannels[i];
+      // Hatch all enabled channels side by side, one worker each
+      const progress = enabledChannels.map(() => 0);
+      const reportProgress = () => {
+        const done = progress.reduce((sum, value) => sum + value, 0);
         this.updateProgress(
-          `Processing ${channel} channel (${i + 1}/${enabledChannels.length})`
+          `Processing ${enabledChannels.length} channel${
+            enabledChannels.length > 1 ? "s" : ""
+          } ${Math.round((done / enabledChannels.length) * 100)}%`
         );
+      };
+      reportProgress();
 
-        await this.processChannelChunked(channel, i, enabledChannels.length);
-      }
+      // Tone channels interleave their lines; the outline has no slot
+      const toneChannels = this.getToneChannels(enabledChannels);
+      await Promise.all(
+        enabledChannels.map((channel, i) =>
+          this.hatchChannel(
+            channel,
+            Math.max(0, toneChannels.indexOf(channel)),
+            Math.max(1, toneChannels.length),
+            (value) => {
+              progress[i] = value;
+              reportProgress();
+            }
+          )
+        )
+      );
 
       if (!this.processingCancelled) {
         // Update line count display (sum of all channels)
@@ -860,6 +1783,7 @@ class PenPlotterConverter {
         }, 0);
         document.getElementById("lineCount").textContent =
           totalLines.toLocaleString();
+        this.invalidateTimeEstimate();
 
         // Enable download buttons
         document.getElementById("downloadBtn").disabled = false;
@@ -868,6 +1792,7 @@ class PenPlotterConverter {
         this.showStatus("Conversion complete!", "complete");
       }
     } catch (error) {
+      if (WorkerRunner.isCancellation(error)) return;
       console.error("Processing error:", error);
       this.showStatus("Processing error occurred", "error");
     } finally {
@@ -876,34 +1801,23 @@ class PenPlotterConverter {
     }
   }
 
-  async processChannelChunked(channel, channelIndex, totalChannels) {
-    const penDiameter = parseFloat(
-      document.getElementById("penDiameterValue").value
-    );
-    const lineAngle = parseInt(document.getElementById("lineAngleValue").value);
-    const sectionWidth = parseFloat(
-      document.getElementById("sectionWidthValue").value
-    );
-    const contrast = parseFloat(document.getElementById("contrastValue").value);
-    const canvasWidthMm = parseFloat(
-      document.getElementById("canvasWidthValue").value
-    );
-    const canvasHeightMm = parseFloat(
-      document.getElementById("canvasHeightValue").value
-    );
-    const lineSpacing = parseFloat(
-      document.getElementById("lineSpacingValue").value
-    );
+  // Everything one channel's hatching needs, read from the controls. Jobs
+  // are plain data with typed arrays so they can be posted to a worker.
+  getChannelJob(channel, channelIndex, totalChannels) {
+    if (this.channels[channel].definition.outline) {
+      return this.getOutlineJob(channel);
+    }
 
+    const { angle, sectionWidth, lineSpacing } = this.getChannelScreen(channel);
+    const contrast = parseFloat(document.getElementById("contrastValue").value);
     const { width, height, data } = this.imageData;
-    const channelData = this.channels[channel];
+    const stipple = this.isStippling();
+    const wave = this.isWaveLines();
+    const halftone = this.isHalftone();
+    const flow = !stipple && !halftone && this.isFlowHatching();
 
-    // Clear channel data
-    channelData.group.innerHTML = "";
-    channelData.lineCount = 0;
-    channelData.lineSegments = [];
-
-    // Create channel-specific intensity map using CMYK conversion
+    // Channel-specific intensity map using CMYK or palette separation,
+    // scaled by the channel's mask
     const intensityMap = this.createChannelIntensityMap(
       data,
       width,
@@ -911,124 +1825,561 @@ class PenPlotterConverter {
       channel,
       contrast
     );
+    const mask = this.maskPanel.getValues(channel, width, height);
+    if (mask) ImageMask.multiply(intensityMap, mask);
 
-    // Generate SVG header for this channel
-    channelData.svgContent = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
-<svg width="${canvasWidthMm}mm" height="${canvasHeightMm}mm" 
-     viewBox="0 0 ${width} ${height}" 
-     version="1.1" 
-     xmlns="http://www.w3.org/2000/svg" 
-     xmlns:xlink="http://www.w3.org/1999/xlink">
-  <defs/>
-  <g id="pen-plotter-lines-${channel}" stroke="${channelData.color}" fill="none" stroke-linecap="round" stroke-linejoin="round">
-`;
-
-    // Calculate line spacing in pixels for absolute positioning
-    const lineSpacingPx = lineSpacing * this.pixelsPerMm;
+    return {
+      channel,
+      channelIndex,
+      totalChannels,
+      width,
+      height,
+      pixelsPerMm: this.pixelsPerMm,
+      intensityMap,
+      // Stipple mode places dots instead of hatching (see
+      // generateChannelStipple)
+      stipple: stipple
+        ? {
+            spacing:
+              parseFloat(
+                document.getElementById("stippleSpacingValue").value
+              ) || 1.5,
+            iterations:
+              parseInt(
+                document.getElementById("stippleIterationsValue").value
+              ) || 0,
+            connect: document.getElementById("stippleConnect").checked,
+          }
+        : null,
+      // Wave mode draws one squiggle per row instead (see
+      // generateChannelWaves); sizes in mm
+      wave: wave
+        ? {
+            spacing:
+              parseFloat(document.getElementById("waveSpacingValue").value) ||
+              1.5,
+            amplitude:
+              parseFloat(
+                document.getElementById("waveAmplitudeValue").value
+              ) || 0,
+            wavelength:
+              parseFloat(
+                document.getElementById("waveWavelengthValue").value
+              ) || 1,
+            modulation: document.getElementById("waveModulation").value,
+          }
+        : null,
+      // Halftone mode draws dots on a grid at the screen angle, or one
+      // spiral (see generateChannelHalftone); sizes in mm
+      halftone: halftone
+        ? {
+            style: document.getElementById("halftoneStyle").value,
+            cellSize:
+              parseFloat(
+                document.getElementById("halftoneCellValue").value
+              ) || 2,
+            wobbleWavelength:
+              parseFloat(
+                document.getElementById("halftoneWobbleValue").value
+              ) || 0.5,
+            penWidth:
+              parseFloat(document.getElementById("penDiameterValue").value) ||
+              0.3,
+          }
+        : null,
+      // Flow mode traces lines along the image contours instead of one
+      // angle; the screen angle still decides the direction where the image
+      // is flat
+      luminance: flow ? FlowField.luminance(this.imageData) : null,
+      flowSmoothing: flow
+        ? parseFloat(document.getElementById("flowSmoothingValue").value) || 0
+        : null,
+      lineAngle: angle,
+      lineSpacing,
+      sectionWidth,
+      // Parallel mode stacks offset lines along the screen angle; cross-hatch
+      // mode adds a pass at another angle for each tone threshold reached
+      passes: this.getHatchPasses(angle),
+      maxLinesPerChannel: parseInt(
+        document.getElementById("maxLinesPerChannelValue").value
+      ),
+      maxMergeDistance: parseFloat(
+        document.getElementById("maxMergeDistanceValue").value
+      ),
+      minLineLength: parseFloat(
+        document.getElementById("minLineLengthValue").value
+      ),
+    };
+  }
 
-    // Convert angle to radians
-    const angleRad = (lineAngle * Math.PI) / 180;
-    const dx = Math.cos(angleRad);
-    const dy = Math.sin(angleRad);
+  // Edge detection settings and the preprocessed image's luminance for
+  // the outline channel (see generateChannelOutline); sizes in mm
+  getOutlineJob(channel) {
+    const { width, height } = this.imageData;
+    const readNumber = (id, fallback) => {
+      const value = parseFloat(document.getElementById(id).value);
+      return Number.isFinite(value) ? value : fallback;
+    };
 
-    // Calculate section spacing - no adjustment needed for interleaved channels
-    const sectionSpacing = sectionWidth * this.pixelsPerMm;
+    return {
+      channel,
+      width,
+      height,
+      pixelsPerMm: this.pixelsPerMm,
+      outline: {
+        luminance: FlowField.luminance(this.imageData),
+        mask: this.maskPanel.getValues(channel, width, height),
+        blur: readNumber("outlineBlurValue", 0.4),
+        low: readNumber("outlineLowValue", 0.1),
+        high: readNumber("outlineHighValue", 0.25),
+        minLength: readNumber("outlineMinLengthValue", 2),
+        smoothing: readNumber("outlineSmoothingValue", 2),
+        simplify: readNumber("simplifyToleranceValue", 0.01),
+      },
+    };
+  }
 
-    // Generate lines perpendicular to the main angle
-    const perpAngle = angleRad + Math.PI / 2;
-    const perpDx = Math.cos(perpAngle);
-    const perpDy = Math.sin(perpAngle);
+  // Hatch one channel in a worker (see hatchWorker.js) and draw the result
+  async hatchChannel(channel, channelIndex, totalChannels, onProgress) {
+    const job = this.getChannelJob(channel, channelIndex, totalChannels);
+    // The outline's mask is not transferred: it can be the mask panel's
+    // cached array, which would be detached for every later job
+    const transfer = [job.intensityMap, job.luminance, job.outline?.luminance]
+      .filter(Boolean)
+      .map((values) => values.buffer);
+
+    const result = await this.hatchWorkers.run(job, { transfer, onProgress });
+    this.renderChannelHatch(channel, result);
+  }
 
-    // Calculate how many sections we need
-    const diagonal = Math.sqrt(width * width + height * height);
-    const numSections = Math.ceil(diagonal / sectionSpacing) * 2;
+  // Hatch lines for one channel as packed polylines (see
+  // WorkerRunner.packPolylines) tagged with the stack line or pass that drew
+  // them. Reads nothing from the DOM so it can run in a worker.
+  generateChannelHatch(job, onProgress = () => {}) {
+    if (job.stipple) return this.generateChannelStipple(job, onProgress);
+    if (job.wave) return this.generateChannelWaves(job, onProgress);
+    if (job.halftone) return this.generateChannelHalftone(job, onProgress);
+    if (job.outline) return this.generateChannelOutline(job, onProgress);
 
-    // Process sections in chunks to prevent freezing
-    const CHUNK_SIZE = 50; // Process 50 sections at a time
-    const MAX_CPU_TIME = 30; // Max 30ms per chunk (30% of 100ms frame)
+    const { width, height, intensityMap, passes, lineAngle } = job;
 
-    for (
-      let chunkStart = 0;
-      chunkStart < numSections;
-      chunkStart += CHUNK_SIZE
-    ) {
-      if (this.processingCancelled) break;
+    // Calculate line spacing in pixels for absolute positioning
+    const lineSpacingPx = job.lineSpacing * job.pixelsPerMm;
 
-      const chunkEnd = Math.min(chunkStart + CHUNK_SIZE, numSections);
-      const progress = Math.round((chunkStart / numSections) * 100);
-      this.updateProgress(`Processing ${channel} channel ${progress}%`);
+    // Calculate section spacing - no adjustment needed for interleaved channels
+    const sectionSpacing = job.sectionWidth * job.pixelsPerMm;
+
+    // For interleaved channels, distribute lines within each section
+    // Each channel gets its position based on absolute line spacing
+    const channelOffsetWithinSection = job.channelIndex * lineSpacingPx;
+
+    const flowField = this.getChannelFlowField(job);
+    const curved = Boolean(flowField);
+
+    // Cross-hatch passes lay their lines at the channel's line pitch and
+    // draw more of them the further the tone is above the pass threshold
+    const crossHatchSpacing = lineSpacingPx * job.totalChannels;
+    const crossHatchLevels = this.getCrossHatchLevels(job.maxLinesPerChannel);
+
+    const polylines = [];
+    const lineOrders = [];
+    passes.forEach((pass, passIndex) => {
+      const spacing =
+        pass.threshold === null ? sectionSpacing : crossHatchSpacing;
+      const hatchLines = flowField
+        ? flowField.streamlines({
+            separation: spacing,
+            angleOffset: pass.angle - lineAngle,
+          })
+        : this.getStraightHatchLines(
+            pass.angle,
+            spacing,
+            channelOffsetWithinSection,
+            width,
+            height
+          );
 
-      // Process chunk with CPU time limiting
-      const startTime = performance.now();
+      hatchLines.forEach((line, lineIndex) => {
+        const samples = flowField
+          ? this.samplePolylineIntensities(
+              line,
+              intensityMap,
+              width,
+              height,
+              channelOffsetWithinSection
+            )
+          : this.sampleLineIntensities(
+              line[0].x,
+              line[0].y,
+              line[1].x,
+              line[1].y,
+              intensityMap,
+              width,
+              height
+            );
+
+        const runs =
+          pass.threshold === null
+            ? this.traceChannelRuns(
+                samples,
+                job.lineSpacing * job.totalChannels,
+                job,
+                curved
+              )
+            : this.traceCrossHatchRuns(
+                samples,
+                pass.threshold,
+                passIndex,
+                job,
+                curved,
+                this.getCrossHatchLevel(
+                  line,
+                  pass.angle,
+                  spacing,
+                  channelOffsetWithinSection,
+                  crossHatchLevels,
+                  width,
+                  height
+                )
+              );
+        runs.forEach(({ points, lineOrder }) => {
+          polylines.push(points);
+          lineOrders.push(lineOrder);
+        });
 
-      for (let section = chunkStart; section < chunkEnd; section++) {
-        // Check CPU time every 10 sections
-        if (
-          section % 10 === 0 &&
-          performance.now() - startTime > MAX_CPU_TIME
-        ) {
-          // If we're taking too long, yield control and continue in next chunk
-          await this.yield();
-          continue;
+        if (lineIndex % 50 === 0) {
+          onProgress((passIndex + lineIndex / hatchLines.length) / passes.length);
         }
+      });
+    });
 
-        // Calculate the center line for this section
-        const baseOffset = (section - numSections / 2) * sectionSpacing;
-
-        // For interleaved channels, distribute lines within each section
-        // Each channel gets its position based on absolute line spacing
-        const channelOffsetWithinSection = channelIndex * lineSpacingPx;
-        const offset = baseOffset + channelOffsetWithinSection;
+    return WorkerRunner.packPolylines(polylines, lineOrders);
+  }
 
-        const centerX = width / 2 + perpDx * offset;
-        const centerY = height / 2 + perpDy * offset;
+  // Contour-following field for flow mode jobs, or null for straight lines
+  getChannelFlowField(job) {
+    return job.luminance
+      ? FlowField.fromLuminance(job.luminance, job.width, job.height, {
+          baseAngle: job.lineAngle,
+          smoothing: job.flowSmoothing * job.pixelsPerMm,
+        })
+      : null;
+  }
 
-        // Find the line segment within the image bounds
-        const linePoints = this.clipLineToCanvas(
-          centerX,
-          centerY,
-          dx,
-          dy,
+  // Wave lines for one channel (see WaveLines): one continuous squiggle per
+  // row at the screen angle, or along the flow lines in flow mode, so the
+  // pen stays down across each row. Channels shift their rows by a fraction
+  // of the row spacing so they do not sit on top of each other.
+  generateChannelWaves(job, onProgress = () => {}) {
+    const { width, height, intensityMap, pixelsPerMm } = job;
+    const { spacing, amplitude, wavelength, modulation } = job.wave;
+    const spacingPx = spacing * pixelsPerMm;
+
+    const flowField = this.getChannelFlowField(job);
+    const rows = flowField
+      ? flowField.streamlines({ separation: spacingPx })
+      : this.getStraightHatchLines(
+          job.lineAngle,
+          spacingPx,
+          (job.channelIndex * spacingPx) / job.totalChannels,
           width,
           height
         );
 
-        if (linePoints.length === 2) {
-          const [start, end] = linePoints;
-          this.drawChannelLine(
-            start.x,
-            start.y,
-            end.x,
-            end.y,
-            intensityMap,
-            width,
-            height,
-            penDiameter,
-            channel,
-            lineSpacing * totalChannels
-          );
+    const polylines = [];
+    rows.forEach((row, rowIndex) => {
+      const wave = WaveLines.trace(
+        row,
+        (x, y) => this.sampleIntensity(x, y, intensityMap, width, height),
+        {
+          amplitude: amplitude * pixelsPerMm,
+          wavelength: wavelength * pixelsPerMm,
+          modulation,
+          width,
+          height,
         }
+      );
+      if (wave.length >= 2) polylines.push(wave);
+
+      if (rowIndex % 50 === 0) onProgress(rowIndex / rows.length);
+    });
+
+    return WorkerRunner.packPolylines(polylines);
+  }
+
+  // Outline polylines traced from the image's edges (see EdgeTracer),
+  // smoothed and then simplified with the G-code simplify tolerance so the
+  // pixel steps do not reach the SVG or the plotter
+  generateChannelOutline(job, onProgress = () => {}) {
+    const { width, height, pixelsPerMm, outline } = job;
+    const lines = EdgeTracer.trace(outline.luminance, width, height, {
+      blur: outline.blur * pixelsPerMm,
+      low: outline.low,
+      high: Math.max(outline.low, outline.high),
+      minLength: outline.minLength * pixelsPerMm,
+      smoothing: Math.round(outline.smoothing),
+      mask: outline.mask,
+    });
+    onProgress(0.9);
+
+    const polylines = lines.map((line) =>
+      GeometryCleanup.simplify(line, outline.simplify * pixelsPerMm)
+    );
+    onProgress(1);
+    return WorkerRunner.packPolylines(polylines);
+  }
+
+  // Halftone for one channel (see Halftone). "circles" and "spirals" put a
+  // dot in every grid cell at the screen angle, as an outline or filled by
+  // a spiral with turns one pen width apart; its area follows the tone.
+  // "spiral" is one Archimedean spiral from the page centre with the tone
+  // faked by its wobble, cut only where it leaves the page. Channels shift
+  // their grid or spiral turns by a fraction of the cell size.
+  generateChannelHalftone(job, onProgress = () => {}) {
+    const { width, height, intensityMap, pixelsPerMm } = job;
+    const { style, cellSize, wobbleWavelength, penWidth } = job.halftone;
+    const cellPx = cellSize * pixelsPerMm;
+    const penPx = penWidth * pixelsPerMm;
+    const shift = job.channelIndex / job.totalChannels;
+    const intensityAt = (x, y) =>
+      this.sampleIntensity(x, y, intensityMap, width, height);
+
+    const polylines = [];
+    if (style === "spiral") {
+      const spiral = Halftone.archimedeanSpiral(
+        width / 2,
+        height / 2,
+        Math.hypot(width, height) / 2,
+        cellPx,
+        shift * cellPx
+      );
+      const pieces = Halftone.clipToBounds(spiral, width, height);
+      pieces.forEach((piece, index) => {
+        const wave = WaveLines.trace(piece, intensityAt, {
+          amplitude: cellPx * 0.45,
+          wavelength: wobbleWavelength * pixelsPerMm,
+          modulation: "amplitude",
+          width,
+          height,
+        });
+        if (wave.length >= 2) polylines.push(wave);
+        onProgress((index + 1) / pieces.length);
+      });
+      return WorkerRunner.packPolylines(polylines);
+    }
+
+    const cells = Halftone.gridCells(
+      width,
+      height,
+      cellPx,
+      job.lineAngle,
+      shift
+    );
+    cells.forEach(({ x, y }, index) => {
+      const radius = Halftone.dotRadius(intensityAt(x, y), cellPx);
+      // Dots thinner than the pen would only be a blot
+      if (radius >= penPx / 2) {
+        polylines.push(
+          style === "spirals"
+            ? Halftone.dotSpiral(x, y, radius, penPx)
+            : Halftone.circle(x, y, radius)
+        );
       }
+      if (index % 500 === 0) onProgress(index / cells.length);
+    });
+    return WorkerRunner.packPolylines(polylines);
+  }
+
+  // Stipple dots for one channel (see Stippler) as packed single-point
+  // polylines, or as one polyline visiting every dot when they are
+  // connected. Each channel gets its own random seed so dots of different
+  // channels do not line up.
+  generateChannelStipple(job, onProgress = () => {}) {
+    const { spacing, iterations, connect } = job.stipple;
+    const dots = Stippler.stipple(job.intensityMap, job.width, job.height, {
+      spacing: spacing * job.pixelsPerMm,
+      iterations,
+      seed: job.channelIndex + 1,
+      onProgress: (progress) => onProgress(connect ? progress * 0.9 : progress),
+    });
+
+    const points = [];
+    for (let i = 0; i < dots.length; i += 2) {
+      points.push({ x: dots[i], y: dots[i + 1] });
+    }
+    if (!connect) {
+      return WorkerRunner.packPolylines(points.map((point) => [point]));
+    }
+
+    // Travelling-salesman path through the dots for a continuous line
+    const path = PathOptimizer.orderPoints(points, 0, 0, {
+      timeBudget: STIPPLE_PATH_TIME_BUDGET_MS,
+    });
+    onProgress(1);
+    return WorkerRunner.packPolylines(path.length ? [path] : []);
+  }
+
+  // Show packed hatch polylines in the channel's preview layer and keep
+  // them for export; the SVG is built from them only when downloading
+  renderChannelHatch(channel, hatch) {
+    const channelData = this.channels[channel];
+    const penDiameter = parseFloat(
+      document.getElementById("penDiameterValue").value
+    );
+    const penWidthPx = penDiameter * this.pixelsPerMm;
+
+    const { points, starts, tags } = hatch;
+    const lineSegments = [];
+    for (let i = 0; i < starts.length - 1; i++) {
+      // Keep raw coordinates for G-code ordering
+      for (let p = starts[i] + 1; p < starts[i + 1]; p++) {
+        lineSegments.push({
+          x1: points[(p - 1) * 2],
+          y1: points[(p - 1) * 2 + 1],
+          x2: points[p * 2],
+          y2: points[p * 2 + 1],
+          lineOrder: tags[i],
+        });
+      }
+    }
+
+    channelData.hatch = hatch;
+    channelData.strokeWidth = isFinite(penWidthPx) ? penWidthPx : 1;
+    channelData.dotSize = this.getStippleDotSize();
+    channelData.lineSegments = lineSegments;
+    channelData.lineCount = starts.length - 1;
+    this.preview.setLayer(channel, {
+      lines: hatch,
+      color: channelData.renderColor,
+      lineWidth: channelData.strokeWidth,
+      dotSize: channelData.dotSize,
+    });
+  }
+
+  clearChannel(channel) {
+    const channelData = this.channels[channel];
+    channelData.hatch = null;
+    channelData.lineSegments = [];
+    channelData.lineCount = 0;
+    this.preview.setLayer(channel, { lines: [] });
+  }
 
-      // Yield control between chunks
-      await this.yield();
+  // The channel's hatch as SVG elements: two-point runs become <line>s,
+  // curved runs <polyline>s and stipple dots filled <circle>s
+  getChannelSvgElements(channel) {
+    const channelData = this.channels[channel];
+    if (!channelData.hatch) return [];
+
+    const { points, starts } = channelData.hatch;
+    const strokeWidth = channelData.strokeWidth.toFixed(3);
+    const dotRadius = (channelData.dotSize / 2).toFixed(3);
+    const elements = [];
+    for (let i = 0; i < starts.length - 1; i++) {
+      const first = starts[i];
+      const count = starts[i + 1] - first;
+      const x = (p) => points[(first + p) * 2].toFixed(3);
+      const y = (p) => points[(first + p) * 2 + 1].toFixed(3);
+
+      if (count === 1) {
+        elements.push(
+          `<circle cx="${x(0)}" cy="${y(0)}" r="${dotRadius}" fill="${channelData.color}" stroke="none"/>`
+        );
+      } else if (count === 2) {
+        elements.push(
+          `<line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke-width="${strokeWidth}"/>`
+        );
+      } else {
+        const pointList = [];
+        for (let p = 0; p < count; p++) {
+          pointList.push(`${x(p)},${y(p)}`);
+        }
+        elements.push(
+          `<polyline points="${pointList.join(" ")}" stroke-width="${strokeWidth}"/>`
+        );
+      }
     }
+    return elements;
+  }
+
+  // Stand-alone SVG for one channel
+  buildChannelSvg(channel) {
+    const channelData = this.channels[channel];
+    const { width, height } = this.imageData;
+    const canvasWidthMm = parseFloat(
+      document.getElementById("canvasWidthValue").value
+    );
+    const canvasHeightMm = parseFloat(
+      document.getElementById("canvasHeightValue").value
+    );
+    const body = this.getChannelSvgElements(channel)
+      .map((element) => `    ${element}\n`)
+      .join("");
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<svg width="${canvasWidthMm}mm" height="${canvasHeightMm}mm" 
+     viewBox="0 0 ${width} ${height}" 
+     version="1.1" 
+     xmlns="http://www.w3.org/2000/svg" 
+     xmlns:xlink="http://www.w3.org/1999/xlink">
+  <defs/>
+  <g id="pen-plotter-lines-${channel}" stroke="${channelData.color}" fill="none" stroke-linecap="round" stroke-linejoin="round">
+${body}  </g>
+</svg>`;
+  }
 
-    channelData.svgContent += `  </g>\n</svg>`;
+  // Screen angle, line spacing and section width for one channel. Spacing
+  // and section width fall back to the shared values when left blank.
+  getChannelScreen(channel) {
+    const readOverride = (inputId, fallbackId) => {
+      const value = parseFloat(document.getElementById(inputId).value);
+      return value > 0
+        ? value
+        : parseFloat(document.getElementById(fallbackId).value);
+    };
 
-    // Store the base SVG content without drag lines for individual downloads
-    // Drag lines will be added dynamically during download
+    return {
+      angle:
+        parseFloat(document.getElementById(`lineAngle${channel}Value`).value) ||
+        0,
+      lineSpacing: readOverride(
+        `lineSpacing${channel}Value`,
+        "lineSpacingValue"
+      ),
+      sectionWidth: readOverride(
+        `sectionWidth${channel}Value`,
+        "sectionWidthValue"
+      ),
+    };
   }
 
-  // Yield control back to the browser to prevent freezing
-  yield() {
-    return new Promise((resolve) => setTimeout(resolve, 0));
+  // Hatch passes for one channel as { angle, threshold }. A null threshold
+  // is the parallel mode, where tone sets how many offset lines are stacked.
+  getHatchPasses(screenAngle) {
+    if (!document.getElementById("crossHatchEnabled").checked) {
+      return [{ angle: screenAngle, threshold: null }];
+    }
+
+    const passes = [];
+    for (let pass = 1; pass <= 3; pass++) {
+      const offset = parseFloat(
+        document.getElementById(`crossHatchAngle${pass}Value`).value
+      );
+      const threshold = parseFloat(
+        document.getElementById(`crossHatchThreshold${pass}Value`).value
+      );
+      // A blank threshold, or one the tone can never exceed, skips the pass
+      if (Number.isFinite(threshold) && threshold < 1) {
+        passes.push({ angle: screenAngle + (offset || 0), threshold });
+      }
+    }
+    return passes;
   }
 
   // Cancel current processing if parameters change
   cancelProcessing() {
     if (this.isProcessing) {
       this.processingCancelled = true;
+      this.hatchWorkers.cancelAll();
       this.hideProgress();
     }
   }
@@ -1044,6 +2395,11 @@ class PenPlotterConverter {
 
     // Set new timer
     this.debounceTimer = setTimeout(() => {
+      if (this.placementChanged) {
+        this.drawPlacedImage();
+      } else if (this.preprocessingChanged) {
+        this.applyPreprocessing();
+      }
       if (this.imageData) {
         if (channel) {
           // Process only the specific channel
@@ -1069,22 +2425,24 @@ class PenPlotterConverter {
       // Get enabled channels to find the index
       const enabledChannels = this.getEnabledChannelsInOrder();
 
-      const channelIndex = enabledChannels.indexOf(targetChannel);
-      if (channelIndex === -1) {
+      if (!enabledChannels.includes(targetChannel)) {
         // Channel is not enabled, just clear it
-        const data = this.channels[targetChannel];
-        data.group.innerHTML = "";
-        data.lineCount = 0;
+        this.clearChannel(targetChannel);
         this.hideProgress();
         this.isProcessing = false;
         return;
       }
 
       // Process only the target channel
-      await this.processChannelChunked(
+      const toneChannels = this.getToneChannels(enabledChannels);
+      await this.hatchChannel(
         targetChannel,
-        channelIndex,
-        enabledChannels.length
+        Math.max(0, toneChannels.indexOf(targetChannel)),
+        Math.max(1, toneChannels.length),
+        (value) =>
+          this.updateProgress(
+            `Processing ${targetChannel} channel ${Math.round(value * 100)}%`
+          )
       );
 
       if (!this.processingCancelled) {
@@ -1095,6 +2453,7 @@ class PenPlotterConverter {
         );
         document.getElementById("lineCount").textContent =
           totalLines.toLocaleString();
+        this.invalidateTimeEstimate();
 
         // Update download button states
         this.updateChannelVisibility();
@@ -1102,6 +2461,7 @@ class PenPlotterConverter {
         this.showStatus(`${targetChannel} channel updated!`, "complete");
       }
     } catch (error) {
+      if (WorkerRunner.isCancellation(error)) return;
       console.error("Channel processing error:", error);
       this.showStatus(`Error updating ${targetChannel} channel`, "error");
     } finally {
@@ -1112,99 +2472,231 @@ class PenPlotterConverter {
 
   createChannelIntensityMap(data, width, height, channel, contrast) {
     const intensityMap = new Float32Array(width * height);
+    const whitePoint = parseFloat(
+      document.getElementById(`whitePoint${channel}Value`).value
+    );
 
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i] / 255;
-      const g = data[i + 1] / 255;
-      const b = data[i + 2] / 255;
-
-      // Convert RGB to CMYK
-      const k = 1 - Math.max(r, g, b);
-      const c = k >= 1 ? 0 : (1 - r - k) / (1 - k);
-      const m = k >= 1 ? 0 : (1 - g - k) / (1 - k);
-      const y = k >= 1 ? 0 : (1 - b - k) / (1 - k);
-
-      // Get intensity for the specific channel
-      let intensity = 0;
-      switch (channel) {
-        case "C":
-          intensity = c;
-          break;
-        case "M":
-          intensity = m;
-          break;
-        case "Y":
-          intensity = y;
-          break;
-        case "K":
-          intensity = k;
-          break;
-      }
+    // Inks are separated for all channels at once
+    const inkMap = this.channels[channel]?.definition.pen
+      ? this.getPaletteIntensityMaps()[channel]
+      : this.getCmykIntensityMaps()[channel];
 
-      // Apply white point thresholding - values below white point become 0
-      const whitePoint = parseFloat(
-        document.getElementById(`whitePoint${channel}Value`).value
+    for (let i = 0; i < intensityMap.length; i++) {
+      intensityMap[i] = this.applyTone(
+        inkMap ? inkMap[i] : 0,
+        whitePoint,
+        contrast
       );
-      if (intensity <= whitePoint) {
-        intensity = 0;
-      } else {
-        // Rescale intensity from white point to 1
-        intensity = (intensity - whitePoint) / (1 - whitePoint);
-      }
+    }
 
-      // Apply contrast adjustment
-      intensity = Math.pow(intensity, contrast);
-      intensity = Math.max(0, Math.min(1, intensity)); // Clamp between 0 and 1
+    return intensityMap;
+  }
 
-      intensityMap[i / 4] = intensity;
+  applyTone(intensity, whitePoint, contrast) {
+    // Apply white point thresholding - values below white point become 0
+    if (intensity <= whitePoint) {
+      intensity = 0;
+    } else {
+      // Rescale intensity from white point to 1
+      intensity = (intensity - whitePoint) / (1 - whitePoint);
     }
 
-    return intensityMap;
+    // Apply contrast adjustment
+    intensity = Math.pow(intensity, contrast);
+    return Math.max(0, Math.min(1, intensity)); // Clamp between 0 and 1
   }
 
-  drawChannelLine(
-    x1,
-    y1,
-    x2,
-    y2,
-    intensityMap,
-    width,
-    height,
-    penDiameter,
-    channel,
-    lineSpacing
-  ) {
-    // This is a modified version of drawOptimizedVariableThicknessLine for channels
-    const length = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-    const steps = Math.ceil(length / 2);
+  // CMYK ink maps after GCR/UCR, tone curves and the ink limit (which is
+  // shared by the enabled channels), cached until the image, the enabled
+  // channels or the separation settings change. Refreshes the panel's
+  // channel thumbnails.
+  getCmykIntensityMaps() {
+    const settings = this.separationPanel.getSettings();
+    const channels = CMYK_CHANNELS.map((channel) => channel.id).filter(
+      (channel) => document.getElementById(`enable${channel}`)?.checked
+    );
+    const key = `${channels.join("")}|${JSON.stringify(settings)}`;
 
-    // Sample intensity along the entire line
-    const intensities = [];
-    for (let i = 0; i < steps; i++) {
-      const t = i / (steps - 1);
-      const x = x1 + (x2 - x1) * t;
-      const y = y1 + (y2 - y1) * t;
-      const intensity = this.sampleIntensity(x, y, intensityMap, width, height);
-      intensities.push({ x, y, intensity, t });
+    if (
+      !this.separationCache ||
+      this.separationCache.imageData !== this.imageData ||
+      this.separationCache.key !== key
+    ) {
+      const { width, height, data } = this.imageData;
+      const maps = ColorSeparation.separate(
+        data,
+        width,
+        height,
+        settings,
+        channels
+      );
+      this.separationCache = { imageData: this.imageData, key, maps };
+      this.separationPanel.setPreview(maps, width, height);
     }
 
-    // Calculate perpendicular direction for line spacing
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    const lineLength = Math.sqrt(dx * dx + dy * dy);
-    const perpX = -dy / lineLength;
-    const perpY = dx / lineLength;
+    return this.separationCache.maps;
+  }
 
-    const penWidthPx = penDiameter * this.pixelsPerMm;
-    const lineSpacingPx = lineSpacing * this.pixelsPerMm;
+  // Per-pen intensity maps for the enabled pens, cached until the image,
+  // the pens or the assignment method change
+  getPaletteIntensityMaps() {
+    const method = document.getElementById("paletteMethod").value;
+    const pens = Object.keys(this.channels).filter(
+      (channel) => document.getElementById(`enable${channel}`).checked
+    );
+    const key = `${method}|${pens
+      .map((channel) => `${channel}${this.channels[channel].color}`)
+      .join(",")}`;
+
+    if (
+      !this.paletteCache ||
+      this.paletteCache.imageData !== this.imageData ||
+      this.paletteCache.key !== key
+    ) {
+      const { width, height, data } = this.imageData;
+      const maps = this.separatePalette(
+        data,
+        width,
+        height,
+        pens.map((channel) => this.hexToRgb(this.channels[channel].color)),
+        method
+      );
+      this.paletteCache = {
+        imageData: this.imageData,
+        key,
+        maps: Object.fromEntries(pens.map((channel, i) => [channel, maps[i]])),
+      };
+    }
+
+    return this.paletteCache.maps;
+  }
+
+  // Split RGBA pixels into one intensity map per pen colour (RGB, 0-1).
+  // "match" gives each pixel to the pen whose blend with white paper comes
+  // closest, with the blend amount as intensity. "dither" assigns whole
+  // pixels to a pen or to paper with Floyd-Steinberg error diffusion, so the
+  // averaged coverage reproduces colours no single pen matches.
+  separatePalette(data, width, height, penColors, method = "match") {
+    const pixelCount = width * height;
+    const maps = penColors.map(() => new Float32Array(pixelCount));
+    if (!penColors.length) return maps;
+
+    if (method === "dither") {
+      const paper = [1, 1, 1];
+      const candidates = [paper, ...penColors];
+      const rgb = new Float32Array(pixelCount * 3);
+      for (let i = 0; i < pixelCount; i++) {
+        rgb[i * 3] = data[i * 4] / 255;
+        rgb[i * 3 + 1] = data[i * 4 + 1] / 255;
+        rgb[i * 3 + 2] = data[i * 4 + 2] / 255;
+      }
+
+      const spread = (x, y, error, weight) => {
+        if (x < 0 || x >= width || y >= height) return;
+        const index = (y * width + x) * 3;
+        for (let c = 0; c < 3; c++) rgb[index + c] += error[c] * weight;
+      };
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const pixel = y * width + x;
+          const color = rgb.subarray(pixel * 3, pixel * 3 + 3);
+
+          let best = 0;
+          let bestDistance = Infinity;
+          candidates.forEach((candidate, index) => {
+            const distance =
+              (color[0] - candidate[0]) ** 2 +
+              (color[1] - candidate[1]) ** 2 +
+              (color[2] - candidate[2]) ** 2;
+            if (distance < bestDistance) {
+              bestDistance = distance;
+              best = index;
+            }
+          });
+
+          if (best > 0) maps[best - 1][pixel] = 1;
+          const chosen = candidates[best];
+          const error = [
+            color[0] - chosen[0],
+            color[1] - chosen[1],
+            color[2] - chosen[2],
+          ];
+          spread(x + 1, y, error, 7 / 16);
+          spread(x - 1, y + 1, error, 3 / 16);
+          spread(x, y + 1, error, 5 / 16);
+          spread(x + 1, y + 1, error, 1 / 16);
+        }
+      }
+      return maps;
+    }
+
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+      const color = [
+        data[pixel * 4] / 255,
+        data[pixel * 4 + 1] / 255,
+        data[pixel * 4 + 2] / 255,
+      ];
+
+      let best = -1;
+      let bestAmount = 0;
+      let bestDistance = Infinity;
+      penColors.forEach((pen, index) => {
+        // Paper-to-pen blend: white - amount * (white - pen)
+        const ink = [1 - pen[0], 1 - pen[1], 1 - pen[2]];
+        const inkLength = ink[0] ** 2 + ink[1] ** 2 + ink[2] ** 2;
+        if (inkLength === 0) return; // A white pen never adds tone
+
+        const amount = Math.max(
+          0,
+          Math.min(
+            1,
+            ((1 - color[0]) * ink[0] +
+              (1 - color[1]) * ink[1] +
+              (1 - color[2]) * ink[2]) /
+              inkLength
+          )
+        );
+        const distance =
+          (1 - amount * ink[0] - color[0]) ** 2 +
+          (1 - amount * ink[1] - color[1]) ** 2 +
+          (1 - amount * ink[2] - color[2]) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = index;
+          bestAmount = amount;
+        }
+      });
+
+      if (best >= 0) maps[best][pixel] = bestAmount;
+    }
+    return maps;
+  }
+
+  hexToRgb(hex) {
+    const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+    return [
+      ((value >> 16) & 255) / 255,
+      ((value >> 8) & 255) / 255,
+      (value & 255) / 255,
+    ];
+  }
+
+  // Stack offset copies of a hatch line, more where the tone is darker.
+  // Returns the runs to draw as { points, lineOrder }.
+  traceChannelRuns(intensities, lineSpacing, settings, curved) {
+    // This is a modified version of drawOptimizedVariableThicknessLine for channels
+    const lineSpacingPx = lineSpacing * settings.pixelsPerMm;
 
     // Determine maximum number of lines needed
-    const maxLinesPerChannel = parseInt(
-      document.getElementById("maxLinesPerChannelValue").value
+    const { maxLinesPerChannel } = settings;
+    const maxIntensity = intensities.reduce(
+      (max, point) => Math.max(max, point.intensity),
+      0
     );
-    const maxIntensity = Math.max(...intensities.map((p) => p.intensity));
     const maxLines = Math.ceil(maxLinesPerChannel * maxIntensity);
 
+    const runs = [];
     // For each possible line position (center + alternating)
     for (let lineIndex = 0; lineIndex < maxLines; lineIndex++) {
       // Calculate offset using center + alternating pattern
@@ -1219,133 +2711,273 @@ class PenPlotterConverter {
           : -segmentIndex * lineSpacingPx;
       }
 
-      // Build the path for this line by collecting segments where it should exist
-      let pathSegments = [];
-      let currentSegment = null;
-
-      for (let i = 0; i < intensities.length; i++) {
-        const point = intensities[i];
-        const requiredLines = Math.ceil(maxLinesPerChannel * point.intensity);
-        const shouldDrawLine = lineIndex < requiredLines;
-
-        if (shouldDrawLine) {
-          const segmentX = point.x + perpX * offset;
-          const segmentY = point.y + perpY * offset;
-
-          if (!currentSegment) {
-            // Start new segment
-            currentSegment = {
-              startX: segmentX,
-              startY: segmentY,
-              endX: segmentX,
-              endY: segmentY,
-              startT: point.t,
-              endT: point.t,
-            };
-          } else {
-            // Extend current segment
-            currentSegment.endX = segmentX;
-            currentSegment.endY = segmentY;
-            currentSegment.endT = point.t;
-          }
-        } else if (currentSegment) {
-          // End current segment and add to path
-          pathSegments.push(currentSegment);
-          currentSegment = null;
-        }
+      const pathSegments = this.traceLineSegments(
+        intensities,
+        offset,
+        (intensity) => lineIndex < Math.ceil(maxLinesPerChannel * intensity),
+        settings
+      );
+      runs.push(...this.getSegmentRuns(pathSegments, lineIndex, curved));
+    }
+    return runs;
+  }
+
+  // One line of a cross-hatch pass: drawn wherever the tone is above the
+  // pass threshold by more than the line's level (0-1 of the way from the
+  // threshold to full tone, see getCrossHatchLevels). Darker areas collect
+  // more passes at different angles and denser lines within each pass.
+  traceCrossHatchRuns(
+    intensities,
+    threshold,
+    passIndex,
+    settings,
+    curved,
+    level = 0
+  ) {
+    const pathSegments = this.traceLineSegments(
+      intensities,
+      0,
+      (intensity) => (intensity - threshold) / (1 - threshold) > level,
+      settings
+    );
+    return this.getSegmentRuns(pathSegments, passIndex, curved);
+  }
+
+  // Level of one cross-hatch line, picked by how many line pitches its mean
+  // point sits from the canvas centre across the pass angle. Flow lines come
+  // out in tracing order rather than side by side, and clipped straight lines
+  // leave gaps, so their index in the pass can't be used.
+  getCrossHatchLevel(line, angle, spacing, offset, levels, width, height) {
+    const perpAngle = ((angle + 90) * Math.PI) / 180;
+    const perpDx = Math.cos(perpAngle);
+    const perpDy = Math.sin(perpAngle);
+    let across = 0;
+    line.forEach(({ x, y }) => {
+      across += (x - width / 2) * perpDx + (y - height / 2) * perpDy;
+    });
+    const index = Math.round((across / line.length - offset) / spacing);
+    return levels[((index % levels.length) + levels.length) % levels.length];
+  }
+
+  // Levels for each run of `count` neighbouring cross-hatch lines, in line
+  // order. Lines join in turn as the tone rises, placed by the van der
+  // Corput sequence (0, 1/2, 1/4, 3/4...) so each tone is hatched about
+  // evenly: the first line of a run draws just above the threshold and all
+  // of them at full tone.
+  getCrossHatchLevels(count) {
+    const size = Math.max(1, count || 1);
+    const levels = new Array(size).fill(null);
+    for (let rank = 0; rank < size; rank++) {
+      let fraction = 0;
+      for (let bits = rank, weight = 0.5; bits; bits >>= 1, weight /= 2) {
+        if (bits & 1) fraction += weight;
       }
+      let position = Math.round(fraction * size) % size;
+      while (levels[position] !== null) position = (position + 1) % size;
+      levels[position] = rank / size;
+    }
+    return levels;
+  }
 
-      // Don't forget the last segment
-      if (currentSegment) {
-        pathSegments.push(currentSegment);
+  // Sample intensity every 2px along the line, with the line's normal
+  sampleLineIntensities(x1, y1, x2, y2, intensityMap, width, height) {
+    const length = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+    const steps = Math.ceil(length / 2);
+    const nx = -(y2 - y1) / length;
+    const ny = (x2 - x1) / length;
+
+    const intensities = [];
+    for (let i = 0; i < steps; i++) {
+      const t = i / (steps - 1);
+      const x = x1 + (x2 - x1) * t;
+      const y = y1 + (y2 - y1) * t;
+      const intensity = this.sampleIntensity(x, y, intensityMap, width, height);
+      intensities.push({ x, y, intensity, t, nx, ny });
+    }
+    return intensities;
+  }
+
+  // Sample intensity every 2px along a curved hatch line, shifted sideways
+  // by `normalOffset` px. t is the distance along the line.
+  samplePolylineIntensities(
+    points,
+    intensityMap,
+    width,
+    height,
+    normalOffset = 0
+  ) {
+    const intensities = [];
+    let travelled = 0;
+    let nextSample = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const from = points[i - 1];
+      const to = points[i];
+      const length = Math.hypot(to.x - from.x, to.y - from.y);
+      if (length === 0) continue;
+
+      const nx = -(to.y - from.y) / length;
+      const ny = (to.x - from.x) / length;
+      while (nextSample <= travelled + length) {
+        const along = (nextSample - travelled) / length;
+        const x = from.x + (to.x - from.x) * along + nx * normalOffset;
+        const y = from.y + (to.y - from.y) * along + ny * normalOffset;
+        intensities.push({
+          x,
+          y,
+          intensity: this.sampleIntensity(x, y, intensityMap, width, height),
+          t: nextSample,
+          nx,
+          ny,
+        });
+        nextSample += 2;
       }
+      travelled += length;
+    }
+    return intensities;
+  }
 
-      // Merge close segments BEFORE filtering by minimum length
-      const maxMergeDistanceMm = parseFloat(
-        document.getElementById("maxMergeDistanceValue").value
+  // Straight hatch lines across the canvas at `angle`, one per section,
+  // shifted sideways by `offset` px. Each line is [start, end].
+  getStraightHatchLines(angle, sectionSpacing, offset, width, height) {
+    // Convert angle to radians
+    const angleRad = (angle * Math.PI) / 180;
+    const dx = Math.cos(angleRad);
+    const dy = Math.sin(angleRad);
+
+    // Generate lines perpendicular to the main angle
+    const perpAngle = angleRad + Math.PI / 2;
+    const perpDx = Math.cos(perpAngle);
+    const perpDy = Math.sin(perpAngle);
+
+    // Calculate how many sections we need
+    const diagonal = Math.sqrt(width * width + height * height);
+    const numSections = Math.ceil(diagonal / sectionSpacing) * 2;
+
+    const lines = [];
+    for (let section = 0; section < numSections; section++) {
+      // Calculate the center line for this section
+      const sectionOffset =
+        (section - numSections / 2) * sectionSpacing + offset;
+      const centerX = width / 2 + perpDx * sectionOffset;
+      const centerY = height / 2 + perpDy * sectionOffset;
+
+      // Find the line segment within the image bounds
+      const linePoints = this.clipLineToCanvas(
+        centerX,
+        centerY,
+        dx,
+        dy,
+        width,
+        height
       );
-      const maxMergeDistancePx = maxMergeDistanceMm * this.pixelsPerMm;
+      if (linePoints.length === 2) lines.push(linePoints);
+    }
+    return lines;
+  }
 
-      if (maxMergeDistanceMm > 0 && pathSegments.length > 1) {
-        pathSegments = this.mergeCloseSegments(
-          pathSegments,
-          maxMergeDistancePx
-        );
+  isFlowHatching() {
+    return document.getElementById("hatchDirection").value === "flow";
+  }
+
+  // Collect the runs of sample points where shouldDraw(intensity) holds,
+  // shifted by `offset` along each sample's normal, then merge and
+  // length-filter them
+  traceLineSegments(intensities, offset, shouldDraw, settings) {
+    let pathSegments = [];
+    let currentSegment = null;
+
+    for (let i = 0; i < intensities.length; i++) {
+      const point = intensities[i];
+
+      if (shouldDraw(point.intensity)) {
+        const segmentX = point.x + point.nx * offset;
+        const segmentY = point.y + point.ny * offset;
+
+        if (!currentSegment) {
+          // Start new segment
+          currentSegment = {
+            startX: segmentX,
+            startY: segmentY,
+            endX: segmentX,
+            endY: segmentY,
+            startT: point.t,
+            endT: point.t,
+            points: [{ x: segmentX, y: segmentY }],
+          };
+        } else {
+          // Extend current segment
+          currentSegment.endX = segmentX;
+          currentSegment.endY = segmentY;
+          currentSegment.endT = point.t;
+          currentSegment.points.push({ x: segmentX, y: segmentY });
+        }
+      } else if (currentSegment) {
+        // End current segment and add to path
+        pathSegments.push(currentSegment);
+        currentSegment = null;
       }
+    }
 
-      // Filter out segments shorter than minimum length AFTER merging
-      const minLineLengthMm = parseFloat(
-        document.getElementById("minLineLengthValue").value
-      );
-      const filteredSegments = pathSegments.filter((segment) => {
-        const startMmX = segment.startX / this.pixelsPerMm;
-        const startMmY = segment.startY / this.pixelsPerMm;
-        const endMmX = segment.endX / this.pixelsPerMm;
-        const endMmY = segment.endY / this.pixelsPerMm;
-
-        const lineLengthMm = Math.sqrt(
-          (endMmX - startMmX) ** 2 + (endMmY - startMmY) ** 2
-        );
+    // Don't forget the last segment
+    if (currentSegment) {
+      pathSegments.push(currentSegment);
+    }
 
-        return lineLengthMm >= minLineLengthMm;
-      });
+    // Merge close segments BEFORE filtering by minimum length
+    const { pixelsPerMm } = settings;
+    const maxMergeDistanceMm = settings.maxMergeDistance;
+    const maxMergeDistancePx = maxMergeDistanceMm * pixelsPerMm;
 
-      pathSegments = filteredSegments;
-
-      // Draw and output each segment for this line
-      pathSegments.forEach((segment) => {
-        // Keep raw coordinates for G-code ordering
-        const rawSegment = {
-          x1: segment.startX,
-          y1: segment.startY,
-          x2: segment.endX,
-          y2: segment.endY,
-          lineOrder: lineIndex,
-        };
+    if (maxMergeDistanceMm > 0 && pathSegments.length > 1) {
+      pathSegments = this.mergeCloseSegments(pathSegments, maxMergeDistancePx);
+    }
 
-        // Validate coordinates before adding to SVG
-        const x1 = isFinite(segment.startX) ? segment.startX.toFixed(3) : "0";
-        const y1 = isFinite(segment.startY) ? segment.startY.toFixed(3) : "0";
-        const x2 = isFinite(segment.endX) ? segment.endX.toFixed(3) : "0";
-        const y2 = isFinite(segment.endY) ? segment.endY.toFixed(3) : "0";
-        const strokeWidth = isFinite(penWidthPx) ? penWidthPx.toFixed(3) : "1";
+    // Filter out segments shorter than minimum length AFTER merging
+    const minLineLengthMm = settings.minLineLength;
+    return pathSegments.filter((segment) => {
+      let lengthPx = 0;
+      for (let i = 1; i < segment.points.length; i++) {
+        lengthPx += Math.hypot(
+          segment.points[i].x - segment.points[i - 1].x,
+          segment.points[i].y - segment.points[i - 1].y
+        );
+      }
 
-        // Only add if line has non-zero length
-        if (
-          Math.abs(parseFloat(x2) - parseFloat(x1)) > 0.001 ||
-          Math.abs(parseFloat(y2) - parseFloat(y1)) > 0.001
-        ) {
-          // Add to channel SVG content string
-          this.channels[
-            channel
-          ].svgContent += `    <line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke-width="${strokeWidth}"/>
-`;
+      return lengthPx / pixelsPerMm >= minLineLengthMm;
+    });
+  }
 
-          // Draw directly to channel SVG DOM using renderColor for preview
-          const lineElement = document.createElementNS(
-            "http://www.w3.org/2000/svg",
-            "line"
-          );
-          lineElement.setAttribute("x1", x1);
-          lineElement.setAttribute("y1", y1);
-          lineElement.setAttribute("x2", x2);
-          lineElement.setAttribute("y2", y2);
-          lineElement.setAttribute("stroke-width", strokeWidth);
-          lineElement.setAttribute(
-            "stroke",
-            this.channels[channel].renderColor
-          );
-          this.channels[channel].group.appendChild(lineElement);
-          this.channels[channel].lineSegments.push(rawSegment);
+  // The point runs to draw for traced segments, tagged with `lineOrder`.
+  // Curved segments keep all their points; straight ones their two ends.
+  getSegmentRuns(pathSegments, lineOrder, curved) {
+    const runs = [];
+    pathSegments.forEach((segment) => {
+      // Validate coordinates before drawing
+      const points = (
+        curved && segment.points
+          ? segment.points
+          : [
+              { x: segment.startX, y: segment.startY },
+              { x: segment.endX, y: segment.endY },
+            ]
+      ).filter((point) => isFinite(point.x) && isFinite(point.y));
+      if (points.length < 2) return;
+
+      // Only add if line has non-zero length
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (
+        points.length === 2 &&
+        Math.abs(last.x - first.x) <= 0.001 &&
+        Math.abs(last.y - first.y) <= 0.001
+      ) {
+        return;
+      }
 
-          if (typeof this.channels[channel].lineCount === "number") {
-            this.channels[channel].lineCount += 1;
-          } else {
-            this.channels[channel].lineCount = 1;
-          }
-        }
-      });
-    }
+      runs.push({ points, lineOrder });
+    });
+    return runs;
   }
 
   clipLineToCanvas(centerX, centerY, dx, dy, width, height) {
@@ -1439,6 +3071,11 @@ class PenPlotterConverter {
         currentSegment.endX = nextSegment.endX;
         currentSegment.endY = nextSegment.endY;
         currentSegment.endT = nextSegment.endT;
+        if (currentSegment.points && nextSegment.points) {
+          currentSegment.points = currentSegment.points.concat(
+            nextSegment.points
+          );
+        }
       } else {
         // Gap is too large, finish current segment and start new one
         mergedSegments.push(currentSegment);
@@ -1508,10 +3145,8 @@ ${Object.entries(params)
       const channelData = this.channels[channel];
       combinedSvg += `  <g id="pen-plotter-lines-${channel}" stroke="${channelData.color}" fill="none" stroke-linecap="round" stroke-linejoin="round">\n`;
 
-      // Extract just the line elements from the channel's SVG content
-      const lines = channelData.svgContent.match(/<line[^>]*\/>/g) || [];
-      lines.forEach((line) => {
-        combinedSvg += `    ${line}\n`;
+      this.getChannelSvgElements(channel).forEach((element) => {
+        combinedSvg += `    ${element}\n`;
       });
 
       combinedSvg += `  </g>\n`;
@@ -1532,13 +3167,12 @@ ${Object.entries(params)
   }
 
   downloadChannelSVG(channel) {
-    const channelData = this.channels[channel];
-    if (!channelData.svgContent) return;
+    if (!this.channels[channel].hatch) return;
 
     const { params } = this.generateMetadataComment();
 
     // Add metadata and drag lines to SVG content
-    let svgWithMetadata = channelData.svgContent.replace(
+    let svgWithMetadata = this.buildChannelSvg(channel).replace(
       '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
       `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
 <!-- Generated by HatchMaker - CMYK Hatch Pattern Generator -->
@@ -1577,20 +3211,10 @@ ${Object.entries(params)
 
   getChannelSegmentsInMm(channel) {
     const channelData = this.channels[channel];
-    if (!channelData || !channelData.group) return [];
+    if (!channelData) return [];
 
     const pxToMm = 1 / this.pixelsPerMm;
-    const sourceSegments =
-      (channelData.lineSegments && channelData.lineSegments.length > 0
-        ? channelData.lineSegments
-        : Array.from(channelData.group.querySelectorAll("line")).map(
-            (line) => ({
-              x1: parseFloat(line.getAttribute("x1")),
-              y1: parseFloat(line.getAttribute("y1")),
-              x2: parseFloat(line.getAttribute("x2")),
-              y2: parseFloat(line.getAttribute("y2")),
-            })
-          )) || [];
+    const sourceSegments = channelData.lineSegments || [];
 
     return sourceSegments
       .map((segment) => {
@@ -1619,12 +3243,62 @@ ${Object.entries(params)
       .filter(Boolean);
   }
 
+  // Stipple dots (single-point polylines) of a channel in mm
+  getChannelDotsInMm(channel) {
+    const hatch = this.channels[channel]?.hatch;
+    if (!hatch) return [];
+
+    const { points, starts } = hatch;
+    const dots = [];
+    for (let i = 0; i < starts.length - 1; i++) {
+      if (starts[i + 1] - starts[i] !== 1) continue;
+      dots.push({
+        x: points[starts[i] * 2] / this.pixelsPerMm,
+        y: points[starts[i] * 2 + 1] / this.pixelsPerMm,
+      });
+    }
+    return dots;
+  }
+
+  // Dots are pen taps, or small circles filling the dot size where the
+  // pen is thinner than the dot
+  drawChannelDots(generator, dots, channel) {
+    const penDiameter =
+      parseFloat(document.getElementById("penDiameterValue").value) || 0;
+    const radius = (this.getStippleDotSize() / this.pixelsPerMm - penDiameter) / 2;
+    const circles =
+      document.getElementById("stippleDotStyle").value === "circle" &&
+      radius > 0.01;
+
+    dots.forEach(({ x, y }) => {
+      if (!circles) {
+        generator.drawDot(x, y, { comment: `Channel ${channel} dot` });
+        return;
+      }
+      const circle = [];
+      for (let i = 0; i <= DOT_CIRCLE_SEGMENTS; i++) {
+        const angle = (i / DOT_CIRCLE_SEGMENTS) * Math.PI * 2;
+        circle.push({
+          x: x + Math.cos(angle) * radius,
+          y: y + Math.sin(angle) * radius,
+        });
+      }
+      generator.drawPolyline(circle, {
+        preventZhop: generator.options.preventZhop,
+        segmentComment: `Channel ${channel} dot`,
+      });
+    });
+  }
+
   buildGcodeForChannels(channels) {
     if (typeof GCodeGenerator === "undefined") {
       alert("G-code generator not available.");
       return "";
     }
+    return this.createGcodeGenerator(channels).toString();
+  }
 
+  createGcodeGenerator(channels) {
     const canvasWidthMm = parseFloat(
       document.getElementById("canvasWidthValue").value
     );
@@ -1638,40 +3312,127 @@ ${Object.entries(params)
     const preventZhop = parseFloat(
       document.getElementById("preventZhopValue").value
     );
+    const arcTolerance = parseFloat(
+      document.getElementById("arcToleranceValue").value
+    );
 
     const generator = new GCodeGenerator({
       feedRate: 1500,
       penDownZ: Number.isFinite(penDownZ) ? penDownZ : 0,
       penUpZ: Number.isFinite(penUpZ) ? penUpZ : 2,
       preventZhop: Number.isFinite(preventZhop) ? preventZhop : 0.5,
+      arcFitting: document.getElementById("arcFittingEnabled").checked,
+      arcTolerance: arcTolerance > 0 ? arcTolerance : 0.02,
       toolName: "HatchMaker",
       canvasWidth: canvasWidthMm,
       canvasHeight: canvasHeightMm,
+      ...this.machineProfilePanel.getGeneratorOptions(),
     });
 
     generator.beginProgram({
       headerLines: [`Channels: ${channels.join(", ")}`],
     });
 
+    const joinTolerance = parseFloat(
+      document.getElementById("joinToleranceValue").value
+    );
+    const simplifyTolerance = parseFloat(
+      document.getElementById("simplifyToleranceValue").value
+    );
+
     channels.forEach((channel) => {
-      const segments = this.optimizeSegmentsNearest(
-        this.getChannelSegmentsInMm(channel),
+      // Hatch lines that meet end to end become one pen-down stroke
+      const polylines = GeometryCleanup.cleanup(this.getChannelSegmentsInMm(channel), {
+        joinTolerance: joinTolerance >= 0 ? joinTolerance : 0.01,
+        simplifyTolerance: simplifyTolerance >= 0 ? simplifyTolerance : 0.01,
+      });
+      const orderedPolylines = PathOptimizer.orderPolylines(
+        polylines,
         generator.currentX,
         generator.currentY
       );
-      if (!segments.length) return;
-      generator.addComment(`--- Channel ${channel} ---`);
-      generator.renderLineSegments(segments, {
-        optimize: false, // already optimized
-        startX: generator.currentX,
-        startY: generator.currentY,
-        preventZhop: generator.options.preventZhop,
+      const dots = PathOptimizer.orderPoints(
+        this.getChannelDotsInMm(channel),
+        generator.currentX,
+        generator.currentY
+      );
+      if (!orderedPolylines.length && !dots.length) return;
+      generator.beginSection(channel);
+      generator.addComment(
+        `--- Channel ${channel} (${this.channels[channel].name}) ---`
+      );
+      orderedPolylines.forEach((points) => {
+        generator.drawPolyline(points, {
+          preventZhop: generator.options.preventZhop,
+          segmentComment: `Channel ${channel}`,
+        });
       });
+      this.drawChannelDots(generator, dots, channel);
       generator.ensurePenUp({ force: true });
     });
 
     generator.finishProgram();
-    return generator.toString();
+    return generator;
+  }
+
+  // The estimate needs the whole export pipeline (path ordering and G-code
+  // generation), which takes seconds for dense channels, so it is only
+  // worked out on request or on export. Changes to the lines or settings clear it.
+  invalidateTimeEstimate() {
+    document.getElementById("plotTimeEstimate").textContent = "–";
+    document.getElementById("channelTimeEstimates").innerHTML = "";
+  }
+
+  // Runs the estimate from the "Estimate" button, after the status has had
+  // a chance to show
+  requestTimeEstimate() {
+    this.showStatus("Estimating plot time...", "processing");
+    setTimeout(() => {
+      this.updateTimeEstimate();
+      this.showStatus("Plot time estimated.", "complete");
+    }, 0);
+  }
+
+  // Estimates plot time from the same G-code the combined export produces;
+  // pass the export's `generator` to reuse it
+  updateTimeEstimate(generator = null) {
+    const totalEl = document.getElementById("plotTimeEstimate");
+    const channelList = document.getElementById("channelTimeEstimates");
+    channelList.innerHTML = "";
+
+    const channels = this.getEnabledChannelsInOrder();
+    const hasLines = channels.some((channel) => this.channels[channel].lineCount > 0);
+    if (
+      !hasLines ||
+      typeof GCodeGenerator === "undefined" ||
+      typeof PlotTimeEstimator === "undefined"
+    ) {
+      totalEl.textContent = "–";
+      return;
+    }
+
+    const estimate = PlotTimeEstimator.fromGenerator(
+      generator || this.createGcodeGenerator(channels),
+      this.machineProfilePanel.getEstimatorOptions()
+    );
+    totalEl.textContent = PlotTimeEstimator.formatDuration(estimate.totalTime);
+
+    estimate.sections.forEach((section) => {
+      const item = document.createElement("div");
+      item.className = "stat-item";
+      item.title =
+        `Drawing ${PlotTimeEstimator.formatDuration(section.drawTime)}, ` +
+        `travel ${PlotTimeEstimator.formatDuration(section.travelTime)}, ` +
+        `${section.penActions} pen lifts/lowers`;
+
+      const label = document.createElement("label");
+      label.textContent = `${section.name} Channel:`;
+      const value = document.createElement("span");
+      value.textContent = PlotTimeEstimator.formatDuration(section.totalTime);
+
+      item.append(label, value);
+      channelList.appendChild(item);
+    });
   }
 
   downloadCombinedGcode() {
@@ -1680,7 +3441,14 @@ ${Object.entries(params)
       alert("Enable at least one channel before exporting G-code.");
       return;
     }
-    const gcode = this.buildGcodeForChannels(channels);
+    if (typeof GCodeGenerator === "undefined") {
+      alert("G-code generator not available.");
+      return;
+    }
+    // The combined export is what the estimate measures, so refresh it
+    const generator = this.createGcodeGenerator(channels);
+    this.updateTimeEstimate(generator);
+    const gcode = generator.toString();
     if (!gcode || !gcode.trim()) {
       alert("No G-code to export yet. Generate lines first.");
       return;
@@ -1702,47 +3470,6 @@ ${Object.entries(params)
     this.downloadTextFile(gcode, filename);
   }
 
-  optimizeSegmentsNearest(segments, startX = 0, startY = 0) {
-    if (!Array.isArray(segments) || !segments.length) return [];
-
-    // If the generator's optimizer is available, use it (it can reverse segments when beneficial)
-    if (
-      typeof GCodeGenerator !== "undefined" &&
-      typeof GCodeGenerator.optimizeLineOrder === "function"
-    ) {
-      return GCodeGenerator.optimizeLineOrder(segments, startX, startY);
-    }
-
-    // Fallback: simple nearest-neighbor without reversal
-    const remaining = [...segments];
-    const ordered = [];
-    let cx = startX;
-    let cy = startY;
-
-    while (remaining.length) {
-      let bestIdx = 0;
-      let bestDist = Infinity;
-
-      for (let i = 0; i < remaining.length; i++) {
-        const { x1, y1 } = remaining[i];
-        const dx = x1 - cx;
-        const dy = y1 - cy;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < bestDist) {
-          bestDist = dist;
-          bestIdx = i;
-        }
-      }
-
-      const next = remaining.splice(bestIdx, 1)[0];
-      ordered.push(next);
-      cx = next.x2;
-      cy = next.y2;
-    }
-
-    return ordered;
-  }
-
   /**
    * Save current configuration
    */
@@ -1828,27 +3555,23 @@ ${Object.entries(params)
       penDownZ: document.getElementById("penDownZValue").value,
       penUpZ: document.getElementById("penUpZValue").value,
       preventZhop: document.getElementById("preventZhopValue").value,
-
-      // CMYK settings
-      enableC: document.getElementById("enableC").checked,
-      enableM: document.getElementById("enableM").checked,
-      enableY: document.getElementById("enableY").checked,
-      enableK: document.getElementById("enableK").checked,
-
-      // Render colors
-      renderColorC: document.getElementById("renderColorC").value,
-      renderColorM: document.getElementById("renderColorM").value,
-      renderColorY: document.getElementById("renderColorY").value,
-      renderColorK: document.getElementById("renderColorK").value,
-
-      // White points
-      whitePointC: document.getElementById("whitePointCValue").value,
-      whitePointM: document.getElementById("whitePointMValue").value,
-      whitePointY: document.getElementById("whitePointYValue").value,
-      whitePointK: document.getElementById("whitePointKValue").value,
+      arcFitting: document.getElementById("arcFittingEnabled").checked,
+      arcTolerance: document.getElementById("arcToleranceValue").value,
+      joinTolerance: document.getElementById("joinToleranceValue").value,
+      simplifyTolerance: document.getElementById("simplifyToleranceValue").value,
+      machineProfile: this.machineProfilePanel.getProfile(),
+
+      // Separation mode and pen palette
+      separationMode: this.separationMode,
+      paletteMethod: document.getElementById("paletteMethod").value,
+      separation: this.separationPanel.getSettings(),
+      palette: this.palette.map((pen) => ({ ...pen })),
+
+      // Per-channel enable, render color, white point, screen angle and
+      // spacing overrides (blank = shared)
+      ...this.getChannelParameters(),
 
       // Line pattern
-      lineAngle: document.getElementById("lineAngleValue").value,
       sectionWidth: document.getElementById("sectionWidthValue").value,
       lineSpacing: document.getElementById("lineSpacingValue").value,
       minLineLength: document.getElementById("minLineLengthValue").value,
@@ -1856,7 +3579,53 @@ ${Object.entries(params)
       maxMergeDistance: document.getElementById("maxMergeDistanceValue").value,
       maxLinesPerChannel: document.getElementById("maxLinesPerChannelValue")
         .value,
+      hatchDirection: document.getElementById("hatchDirection").value,
+      flowSmoothing: document.getElementById("flowSmoothingValue").value,
+
+      // Hatch lines, stipple dots, wave lines or halftone, and their settings
+      patternType: document.getElementById("patternType").value,
+      stippleSpacing: document.getElementById("stippleSpacingValue").value,
+      stippleDotSize: document.getElementById("stippleDotSizeValue").value,
+      stippleIterations: document.getElementById("stippleIterationsValue")
+        .value,
+      stippleConnect: document.getElementById("stippleConnect").checked,
+      stippleDotStyle: document.getElementById("stippleDotStyle").value,
+      waveSpacing: document.getElementById("waveSpacingValue").value,
+      waveAmplitude: document.getElementById("waveAmplitudeValue").value,
+      waveWavelength: document.getElementById("waveWavelengthValue").value,
+      waveModulation: document.getElementById("waveModulation").value,
+      halftoneStyle: document.getElementById("halftoneStyle").value,
+      halftoneCell: document.getElementById("halftoneCellValue").value,
+      halftoneWobble: document.getElementById("halftoneWobbleValue").value,
+
+      // Outline edge detection
+      outlineBlur: document.getElementById("outlineBlurValue").value,
+      outlineLow: document.getElementById("outlineLowValue").value,
+      outlineHigh: document.getElementById("outlineHighValue").value,
+      outlineMinLength: document.getElementById("outlineMinLengthValue").value,
+      outlineSmoothing: document.getElementById("outlineSmoothingValue").value,
+
+      // Cross-hatch passes (angle offset from the screen angle, tone threshold)
+      crossHatchEnabled: document.getElementById("crossHatchEnabled").checked,
+      crossHatchAngle1: document.getElementById("crossHatchAngle1Value").value,
+      crossHatchAngle2: document.getElementById("crossHatchAngle2Value").value,
+      crossHatchAngle3: document.getElementById("crossHatchAngle3Value").value,
+      crossHatchThreshold1: document.getElementById("crossHatchThreshold1Value")
+        .value,
+      crossHatchThreshold2: document.getElementById("crossHatchThreshold2Value")
+        .value,
+      crossHatchThreshold3: document.getElementById("crossHatchThreshold3Value")
+        .value,
       channelOrder: this.channelOrder,
+
+      // Preprocessing chain, applied in order before intensity mapping
+      preprocessing: this.preprocessPanel.getSteps(),
+
+      // Image position, rotation, flip, crop and paper margin
+      placement: this.getPlacement(),
+
+      // Include/exclude masks keyed by channel id, or "all"
+      masks: this.maskPanel.getMasks(),
     };
   }
 
@@ -1883,40 +3652,30 @@ ${Object.entries(params)
       params.penUpZ !== undefined ? params.penUpZ : "2";
     document.getElementById("preventZhopValue").value =
       params.preventZhop !== undefined ? params.preventZhop : "0.5";
-
-    // Apply CMYK settings
-    document.getElementById("enableC").checked = params.enableC || false;
-    document.getElementById("enableM").checked = params.enableM || false;
-    document.getElementById("enableY").checked = params.enableY || false;
-    document.getElementById("enableK").checked =
-      params.enableK !== undefined ? params.enableK : true;
-
-    // Apply render colors
-    document.getElementById("renderColorC").value =
-      params.renderColorC || "#00FFFF";
-    document.getElementById("renderColorM").value =
-      params.renderColorM || "#FF00FF";
-    document.getElementById("renderColorY").value =
-      params.renderColorY || "#FFFF00";
-    document.getElementById("renderColorK").value =
-      params.renderColorK || "#000000";
-
-    // Apply white points
-    document.getElementById("whitePointCValue").value =
-      params.whitePointC || "0.05";
-    document.getElementById("whitePointC").value = params.whitePointC || "0.05";
-    document.getElementById("whitePointMValue").value =
-      params.whitePointM || "0.05";
-    document.getElementById("whitePointM").value = params.whitePointM || "0.05";
-    document.getElementById("whitePointYValue").value =
-      params.whitePointY || "0.05";
-    document.getElementById("whitePointY").value = params.whitePointY || "0.05";
-    document.getElementById("whitePointKValue").value =
-      params.whitePointK || "0.05";
-    document.getElementById("whitePointK").value = params.whitePointK || "0.05";
+    document.getElementById("arcFittingEnabled").checked =
+      params.arcFitting || false;
+    document.getElementById("arcToleranceValue").value =
+      params.arcTolerance !== undefined ? params.arcTolerance : "0.02";
+    document.getElementById("joinToleranceValue").value =
+      params.joinTolerance !== undefined ? params.joinTolerance : "0.01";
+    document.getElementById("simplifyToleranceValue").value =
+      params.simplifyTolerance !== undefined ? params.simplifyTolerance : "0.01";
+    this.machineProfilePanel.applyProfile(params.machineProfile);
+
+    // Apply separation mode and pens, then the per-channel settings
+    document.getElementById("paletteMethod").value =
+      params.paletteMethod || "match";
+    this.palette = (
+      Array.isArray(params.palette) && params.palette.length
+        ? params.palette
+        : DEFAULT_PALETTE
+    ).map((pen) => ({ ...pen }));
+    this.renderPaletteControls();
+    this.separationPanel.setSettings(params.separation);
+    this.setSeparationMode(params.separationMode);
+    this.applyChannelParameters(params);
 
     // Apply line pattern
-    document.getElementById("lineAngleValue").value = params.lineAngle || "45";
     document.getElementById("sectionWidthValue").value =
       params.sectionWidth || "5";
     document.getElementById("lineSpacingValue").value =
@@ -1928,11 +3687,84 @@ ${Object.entries(params)
       params.maxMergeDistance || "2";
     document.getElementById("maxLinesPerChannelValue").value =
       params.maxLinesPerChannel || "5";
+    document.getElementById("hatchDirection").value =
+      params.hatchDirection || "straight";
+    document.getElementById("flowSmoothingValue").value =
+      params.flowSmoothing || "2";
+
+    // Apply pattern type and its settings (older configs hatch)
+    this.setPatternType(params.patternType);
+    document.getElementById("stippleSpacingValue").value =
+      params.stippleSpacing || "1.5";
+    document.getElementById("stippleDotSizeValue").value =
+      params.stippleDotSize || "0.5";
+    document.getElementById("stippleIterationsValue").value =
+      params.stippleIterations ?? "20";
+    document.getElementById("stippleConnect").checked =
+      params.stippleConnect === true;
+    document.getElementById("stippleDotStyle").value =
+      params.stippleDotStyle === "circle" ? "circle" : "tap";
+    document.getElementById("waveSpacingValue").value =
+      params.waveSpacing || "1.5";
+    document.getElementById("waveAmplitudeValue").value =
+      params.waveAmplitude ?? "0.7";
+    document.getElementById("waveWavelengthValue").value =
+      params.waveWavelength || "1";
+    document.getElementById("waveModulation").value =
+      WaveLines.normalizeModulation(params.waveModulation);
+    document.getElementById("halftoneStyle").value = [
+      "circles",
+      "spirals",
+      "spiral",
+    ].includes(params.halftoneStyle)
+      ? params.halftoneStyle
+      : "spirals";
+    document.getElementById("halftoneCellValue").value =
+      params.halftoneCell || "2";
+    document.getElementById("halftoneWobbleValue").value =
+      params.halftoneWobble || "0.5";
+
+    // Apply outline edge detection settings
+    document.getElementById("outlineBlurValue").value =
+      params.outlineBlur ?? "0.4";
+    document.getElementById("outlineLowValue").value =
+      params.outlineLow ?? "0.1";
+    document.getElementById("outlineHighValue").value =
+      params.outlineHigh ?? "0.25";
+    document.getElementById("outlineMinLengthValue").value =
+      params.outlineMinLength ?? "2";
+    document.getElementById("outlineSmoothingValue").value =
+      params.outlineSmoothing ?? "2";
+
+    // Apply cross-hatch passes
+    document.getElementById("crossHatchEnabled").checked =
+      params.crossHatchEnabled === true;
+    const defaultPasses = [
+      ["0", "0"],
+      ["90", "0.33"],
+      ["-45", "0.66"],
+    ];
+    defaultPasses.forEach(([angle, threshold], index) => {
+      const pass = index + 1;
+      document.getElementById(`crossHatchAngle${pass}Value`).value =
+        params[`crossHatchAngle${pass}`] ?? angle;
+      document.getElementById(`crossHatchThreshold${pass}Value`).value =
+        params[`crossHatchThreshold${pass}`] ?? threshold;
+    });
+
+    // Apply preprocessing chain
+    this.preprocessPanel.setSteps(params.preprocessing || []);
+    this.preprocessingChanged = true;
+
+    // Apply image placement (older configs centre-fit the image)
+    this.setPlacement(params.placement);
+    this.placementChanged = true;
+
+    // Apply masks (older configs have none)
+    this.maskPanel.setMasks(params.masks);
 
     // Apply channel order (top -> bottom), keeping K at the base
-    this.channelOrder = this.sanitizeChannelOrder(
-      params.channelOrder || ["C", "M", "Y", "K"]
-    );
+    this.channelOrder = this.sanitizeChannelOrder(params.channelOrder || []);
     this.applyChannelOrder();
     this.renderChannelOrderControls();
 
@@ -1963,7 +3795,7 @@ ${Object.entries(params)
    * Update channel render colors from current UI values
    */
   updateChannelRenderColors() {
-    ["C", "M", "Y", "K"].forEach((channel) => {
+    Object.keys(this.channels).forEach((channel) => {
       const color = document.getElementById(`renderColor${channel}`).value;
       this.updateChannelRenderColor(channel, color);
     });
@@ -2022,22 +3854,8 @@ ${Object.entries(params)
       e.preventDefault();
       this.downloadSVG();
     });
-    document.getElementById("downloadCBtn").addEventListener("click", (e) => {
-      e.preventDefault();
-      this.downloadChannelSVG("C");
-    });
-    document.getElementById("downloadMBtn").addEventListener("click", (e) => {
-      e.preventDefault();
-      this.downloadChannelSVG("M");
-    });
-    document.getElementById("downloadYBtn").addEventListener("click", (e) => {
-      e.preventDefault();
-      this.downloadChannelSVG("Y");
-    });
-    document.getElementById("downloadKBtn").addEventListener("click", (e) => {
-      e.preventDefault();
-      this.downloadChannelSVG("K");
-    });
+
+    // Per-channel items are added by buildChannels()
 
     // G-code dropdown items
     const downloadGcodeCombined =
@@ -2049,21 +3867,17 @@ ${Object.entries(params)
         this.downloadCombinedGcode();
       });
     }
-
-    ["C", "M", "Y", "K"].forEach((channel) => {
-      const link = document.getElementById(`download${channel}GcodeBtn`);
-      if (link) {
-        link.addEventListener("click", (e) => {
-          e.preventDefault();
-          if (link.classList.contains("disabled")) return;
-          this.downloadChannelGcode(channel);
-        });
-      }
-    });
   }
 }
 
 // Initialize the converter when the page loads
-document.addEventListener("DOMContentLoaded", () => {
-  new PenPlotterConverter();
-});
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", () => {
+    new PenPlotterConverter();
+  });
+}
+
+// Export for headless use (tests)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PenPlotterConverter;
+}
@@ -0,0 +1,506 @@
+(function (global) {
+  const DEFAULT_BRUSH = { mode: "exclude", size: 10, feather: 2 };
+  // Tint over excluded areas while painting
+  const OVERLAY_COLOR = [231, 76, 60];
+  const OVERLAY_ALPHA = 0.5;
+
+  // Masks say how much of each pixel may be hatched: 1 keeps the line
+  // density, 0 leaves the paper blank. A mask is plain data so it saves with
+  // the configuration as it is:
+  //   { fill: 1, image: null, strokes: [{ mode, size, feather, points }] }
+  // `fill` is the starting value, or `image` (a data URL, stretched over the
+  // page, white includes) replaces it. Brush strokes are then applied in
+  // order; sizes and points are in mm so they survive page size changes.
+  class ImageMask {
+    static create(fill = 1) {
+      return { fill, image: null, strokes: [] };
+    }
+
+    // A mask from saved data, dropping anything malformed
+    static normalize(mask) {
+      if (!mask || typeof mask !== "object") return ImageMask.create();
+      return {
+        fill: mask.fill === 0 ? 0 : 1,
+        image: typeof mask.image === "string" ? mask.image : null,
+        strokes: (Array.isArray(mask.strokes) ? mask.strokes : [])
+          .filter((stroke) => stroke && Array.isArray(stroke.points) && stroke.points.length)
+          .map((stroke) => ({
+            mode: stroke.mode === "include" ? "include" : "exclude",
+            size: Math.max(0.1, Number(stroke.size) || DEFAULT_BRUSH.size),
+            feather: Math.max(0, Number(stroke.feather) || 0),
+            points: stroke.points.map((point) => ({ x: Number(point.x) || 0, y: Number(point.y) || 0 })),
+          })),
+      };
+    }
+
+    // True when the mask leaves every pixel as it is
+    static isEmpty(mask) {
+      return !mask || (mask.fill !== 0 && !mask.image && !mask.strokes.length);
+    }
+
+    // Per-pixel mask values (0-1) for a width x height page. `imageValues`
+    // are the decoded mask image at that size (see fromImageData), if any.
+    static render(mask, width, height, pixelsPerMm, imageValues = null) {
+      const values = imageValues ? Float32Array.from(imageValues) : new Float32Array(width * height).fill(mask.fill);
+      const coverage = new Float32Array(width * height);
+
+      mask.strokes.forEach((stroke) => {
+        const radius = (stroke.size / 2) * pixelsPerMm;
+        const feather = stroke.feather * pixelsPerMm;
+        const toPx = (point) => ({ x: point.x * pixelsPerMm, y: point.y * pixelsPerMm });
+
+        // Coverage is the strongest brush alpha over the whole stroke, so
+        // overlapping segments do not darken the feathered edge
+        let area = null;
+        stroke.points.forEach((point, i) => {
+          const from = toPx(stroke.points[Math.max(0, i - 1)]);
+          area = ImageMask.unionArea(
+            area,
+            ImageMask.paintSegment(coverage, width, height, from, toPx(point), radius, feather)
+          );
+        });
+        if (!area) return;
+
+        ImageMask.blend(values, values, coverage, stroke.mode === "include" ? 1 : 0, area, width);
+        for (let y = area.y0; y <= area.y1; y++) {
+          coverage.fill(0, y * width + area.x0, y * width + area.x1 + 1);
+        }
+      });
+
+      return values;
+    }
+
+    // Raise `coverage` to the brush alpha along one segment (page px).
+    // Returns the pixel area touched, or null if it misses the page.
+    static paintSegment(coverage, width, height, from, to, radius, feather) {
+      radius = Math.max(0.5, radius);
+      const x0 = Math.max(0, Math.floor(Math.min(from.x, to.x) - radius));
+      const y0 = Math.max(0, Math.floor(Math.min(from.y, to.y) - radius));
+      const x1 = Math.min(width - 1, Math.ceil(Math.max(from.x, to.x) + radius));
+      const y1 = Math.min(height - 1, Math.ceil(Math.max(from.y, to.y) + radius));
+      if (x0 > x1 || y0 > y1) return null;
+
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const lengthSq = dx * dx + dy * dy;
+
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          // Distance from the pixel centre to the segment
+          const px = x + 0.5 - from.x;
+          const py = y + 0.5 - from.y;
+          const t = lengthSq ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq)) : 0;
+          const distance = Math.hypot(px - t * dx, py - t * dy);
+
+          const alpha = ImageMask.brushAlpha(distance, radius, feather);
+          const index = y * width + x;
+          if (alpha > coverage[index]) coverage[index] = alpha;
+        }
+      }
+      return { x0, y0, x1, y1 };
+    }
+
+    // 1 inside the brush, easing to 0 over the last `feather` px of radius
+    static brushAlpha(distance, radius, feather) {
+      if (distance >= radius) return 0;
+      if (feather <= 0 || distance <= radius - feather) return 1;
+      const t = (radius - distance) / Math.min(feather, radius);
+      return t * t * (3 - 2 * t);
+    }
+
+    // values = base moved towards `target` by coverage, within `area`.
+    // `values` and `base` may be the same array.
+    static blend(values, base, coverage, target, area, width) {
+      for (let y = area.y0; y <= area.y1; y++) {
+        for (let x = area.x0; x <= area.x1; x++) {
+          const index = y * width + x;
+          values[index] = base[index] + (target - base[index]) * coverage[index];
+        }
+      }
+    }
+
+    static unionArea(a, b) {
+      if (!a) return b;
+      if (!b) return a;
+      return {
+        x0: Math.min(a.x0, b.x0),
+        y0: Math.min(a.y0, b.y0),
+        x1: Math.max(a.x1, b.x1),
+        y1: Math.max(a.y1, b.y1),
+      };
+    }
+
+    // Mask values from an image: white includes, black excludes and
+    // transparent pixels count as white
+    static fromImageData(imageData) {
+      const { data } = imageData;
+      const values = new Float32Array(imageData.width * imageData.height);
+      for (let i = 0; i < values.length; i++) {
+        const luminance = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) / 255;
+        const alpha = data[i * 4 + 3] / 255;
+        values[i] = luminance * alpha + (1 - alpha);
+      }
+      return values;
+    }
+
+    // Product of two value arrays, either of which may be null
+    static combine(a, b) {
+      if (!a) return b;
+      if (!b) return a;
+      return a.map((value, i) => value * b[i]);
+    }
+
+    // Scale line intensities (0 = no lines) in place
+    static multiply(intensities, values) {
+      for (let i = 0; i < intensities.length; i++) {
+        intensities[i] *= values[i];
+      }
+      return intensities;
+    }
+
+    // Fade grayscale values (0-255, white = no lines) towards white in place
+    static multiplyDarkness(gray, values) {
+      for (let i = 0; i < gray.length; i++) {
+        gray[i] = 255 - (255 - gray[i]) * values[i];
+      }
+      return gray;
+    }
+  }
+
+  // Sidebar controls for painting masks on the preview. Each target (a
+  // channel or layer, plus "all") has its own mask; a target's effective
+  // mask is its own times the "all" mask.
+  //
+  // Options: `overlay` is a canvas over the preview covering the page,
+  // `getPage()` returns { width, height, pixelsPerMm } of the page in image
+  // pixels and `onChange(targetId)` fires when a mask is edited.
+  class MaskPanel {
+    constructor(container, options = {}) {
+      this.container = container;
+      this.overlay = options.overlay;
+      this.getPage = options.getPage;
+      this.onChange = options.onChange || (() => {});
+      this.masks = { all: ImageMask.create() };
+      this.targets = [{ id: "all", name: "All" }];
+      this.target = "all";
+      this.brush = { ...DEFAULT_BRUSH };
+      this.painting = false;
+      this.stroke = null;
+      // Rendered values per target: { width, height, values }, values null
+      // when the mask is empty
+      this.cache = new Map();
+      // Decoded mask images by data URL
+      this.images = new Map();
+
+      this.render();
+      this.setupPainting();
+    }
+
+    render() {
+      this.container.classList.add("mask-panel");
+      this.container.innerHTML = `
+        <h3>Mask</h3>
+        <div class="input-row">
+          <label>Mask for:</label>
+          <select data-field="target"></select>
+        </div>
+        <div class="input-row">
+          <label>Brush:</label>
+          <select data-field="mode">
+            <option value="exclude">Exclude</option>
+            <option value="include">Include</option>
+          </select>
+        </div>
+        <div class="input-row">
+          <label>Size:</label>
+          <input type="number" data-field="size" min="0.5" max="200" step="0.5">
+          <span class="unit-label">mm</span>
+        </div>
+        <div class="input-row">
+          <label>Feather:</label>
+          <input type="number" data-field="feather" min="0" max="100" step="0.5">
+          <span class="unit-label">mm</span>
+        </div>
+        <div class="input-row">
+          <button type="button" class="action-btn" data-action="paint">Paint in Preview</button>
+          <button type="button" class="action-btn" data-action="undo">Undo</button>
+        </div>
+        <div class="input-row">
+          <button type="button" class="action-btn" data-action="load">Load Image</button>
+          <button type="button" class="action-btn" data-action="includeAll">Include All</button>
+          <button type="button" class="action-btn" data-action="excludeAll">Exclude All</button>
+          <input type="file" accept="image/*" data-field="image" hidden>
+        </div>
+      `;
+
+      const field = (name) => this.container.querySelector(`[data-field="${name}"]`);
+      const action = (name) => this.container.querySelector(`[data-action="${name}"]`);
+
+      field("target").addEventListener("change", (e) => {
+        this.target = e.target.value;
+        this.drawOverlay();
+      });
+      field("mode").value = this.brush.mode;
+      field("mode").addEventListener("change", (e) => {
+        this.brush.mode = e.target.value;
+      });
+      ["size", "feather"].forEach((name) => {
+        field(name).value = this.brush[name];
+        field(name).addEventListener("input", (e) => {
+          const value = parseFloat(e.target.value);
+          if (Number.isFinite(value) && value >= 0) this.brush[name] = value;
+        });
+      });
+
+      action("paint").addEventListener("click", () => {
+        this.painting = !this.painting;
+        action("paint").textContent = this.painting ? "Done" : "Paint in Preview";
+        this.drawOverlay();
+      });
+      action("undo").addEventListener("click", () => {
+        const mask = this.masks[this.target];
+        if (!mask || !mask.strokes.length) return;
+        mask.strokes.pop();
+        this.changed(this.target);
+      });
+      action("includeAll").addEventListener("click", () => this.reset(1));
+      action("excludeAll").addEventListener("click", () => this.reset(0));
+      action("load").addEventListener("click", () => field("image").click());
+      field("image").addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        e.target.value = "";
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+          this.masks[this.target] = { ...ImageMask.create(), image: reader.result };
+          this.changed(this.target);
+        };
+        reader.readAsDataURL(file);
+      });
+
+      this.renderTargets();
+    }
+
+    renderTargets() {
+      const select = this.container.querySelector('[data-field="target"]');
+      // Names are pen and layer names the user typed, so they go in as text
+      select.replaceChildren(
+        ...this.targets.map(({ id, name }) => {
+          const option = document.createElement("option");
+          option.value = id;
+          option.textContent = name;
+          return option;
+        })
+      );
+      select.value = this.target;
+    }
+
+    // Channels or layers that can have their own mask, as [{ id, name }].
+    // Masks of targets that go away are kept in case they come back.
+    setTargets(targets) {
+      this.targets = [{ id: "all", name: "All" }, ...targets];
+      if (!this.targets.some(({ id }) => id === this.target)) this.target = "all";
+      this.renderTargets();
+      this.drawOverlay();
+    }
+
+    // Start the current target's mask over, fully included or excluded
+    reset(fill) {
+      this.masks[this.target] = ImageMask.create(fill);
+      this.changed(this.target);
+    }
+
+    changed(target) {
+      this.cache.delete(target);
+      this.drawOverlay();
+      this.onChange(target);
+    }
+
+    setupPainting() {
+      const overlay = this.overlay;
+      const toMm = (e) => {
+        const rect = overlay.getBoundingClientRect();
+        const { width, height, pixelsPerMm } = this.getPage();
+        return {
+          x: (((e.clientX - rect.left) / rect.width) * width) / pixelsPerMm,
+          y: (((e.clientY - rect.top) / rect.height) * height) / pixelsPerMm,
+        };
+      };
+
+      overlay.addEventListener("pointerdown", (e) => {
+        if (!this.painting || e.button !== 0) return;
+        this.beginStroke(toMm(e));
+        overlay.setPointerCapture(e.pointerId);
+        e.preventDefault();
+      });
+      overlay.addEventListener("pointermove", (e) => {
+        if (this.stroke) this.extendStroke(toMm(e));
+      });
+      const end = () => {
+        if (!this.stroke) return;
+        this.stroke = null;
+        this.onChange(this.target);
+      };
+      overlay.addEventListener("pointerup", end);
+      overlay.addEventListener("pointercancel", end);
+    }
+
+    // Strokes are painted onto a copy of the mask as they are drawn; the
+    // saved stroke renders the same way later (see ImageMask.render)
+    beginStroke(point) {
+      const page = this.getPage();
+      const base = this.getTargetValues(this.target, page.width, page.height) ||
+        new Float32Array(page.width * page.height).fill(1);
+      const stroke = { ...this.brush, points: [point] };
+
+      if (!this.masks[this.target]) this.masks[this.target] = ImageMask.create();
+      this.masks[this.target].strokes.push(stroke);
+
+      const values = base.slice();
+      this.cache.set(this.target, { width: page.width, height: page.height, values });
+      this.stroke = {
+        stroke,
+        page,
+        base,
+        values,
+        coverage: new Float32Array(page.width * page.height),
+      };
+      this.paintTo(point, point);
+    }
+
+    extendStroke(point) {
+      const { points, size } = this.stroke.stroke;
+      const last = points[points.length - 1];
+      // Skip points too close to matter
+      if (Math.hypot(point.x - last.x, point.y - last.y) < size / 8) return;
+      points.push(point);
+      this.paintTo(last, point);
+    }
+
+    paintTo(from, to) {
+      const { stroke, page, base, values, coverage } = this.stroke;
+      const { width, height, pixelsPerMm } = page;
+      const toPx = (point) => ({ x: point.x * pixelsPerMm, y: point.y * pixelsPerMm });
+      const area = ImageMask.paintSegment(
+        coverage,
+        width,
+        height,
+        toPx(from),
+        toPx(to),
+        (stroke.size / 2) * pixelsPerMm,
+        stroke.feather * pixelsPerMm
+      );
+      if (!area) return;
+      ImageMask.blend(values, base, coverage, stroke.mode === "include" ? 1 : 0, area, width);
+      this.drawOverlay(area);
+    }
+
+    // Rendered mask of one target, or null if it changes nothing
+    getTargetValues(target, width, height) {
+      const cached = this.cache.get(target);
+      if (cached && cached.width === width && cached.height === height) return cached.values;
+
+      const mask = this.masks[target];
+      let values = null;
+      if (!ImageMask.isEmpty(mask)) {
+        const { pixelsPerMm } = this.getPage();
+        values = ImageMask.render(mask, width, height, pixelsPerMm, this.getImageValues(mask.image, width, height));
+      }
+      this.cache.set(target, { width, height, values });
+      return values;
+    }
+
+    // Effective mask values for a channel or layer, or null when unmasked
+    getValues(target, width, height) {
+      const shared = this.getTargetValues("all", width, height);
+      if (target === "all") return shared;
+      return ImageMask.combine(shared, this.getTargetValues(target, width, height));
+    }
+
+    // Mask image pixels stretched over the page. Images decode
+    // asynchronously; the masks using one are re-rendered once it has.
+    getImageValues(url, width, height) {
+      if (!url) return null;
+      const image = this.images.get(url);
+      if (!image) {
+        const img = new Image();
+        this.images.set(url, img);
+        img.onload = () => {
+          Object.keys(this.masks)
+            .filter((target) => this.masks[target].image === url)
+            .forEach((target) => this.changed(target));
+        };
+        img.src = url;
+        return null;
+      }
+      if (!image.complete || !image.naturalWidth) return null;
+
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d");
+      ctx.drawImage(image, 0, 0, width, height);
+      return ImageMask.fromImageData(ctx.getImageData(0, 0, width, height));
+    }
+
+    // Tint the excluded parts of the current target's mask while painting.
+    // `area` limits the redraw to the pixels a stroke just changed.
+    drawOverlay(area = null) {
+      const overlay = this.overlay;
+      overlay.classList.toggle("active", this.painting);
+      if (!this.painting) return;
+
+      const { width, height } = this.getPage();
+      if (overlay.width !== width || overlay.height !== height) {
+        overlay.width = width;
+        overlay.height = height;
+        area = null;
+      }
+      const ctx = overlay.getContext("2d");
+      const values = this.getTargetValues(this.target, width, height);
+      if (!area) {
+        ctx.clearRect(0, 0, width, height);
+        if (!values) return;
+        area = { x0: 0, y0: 0, x1: width - 1, y1: height - 1 };
+      }
+
+      const areaWidth = area.x1 - area.x0 + 1;
+      const areaHeight = area.y1 - area.y0 + 1;
+      const image = ctx.createImageData(areaWidth, areaHeight);
+      for (let y = 0; y < areaHeight; y++) {
+        for (let x = 0; x < areaWidth; x++) {
+          const value = values[(area.y0 + y) * width + area.x0 + x];
+          const i = (y * areaWidth + x) * 4;
+          image.data[i] = OVERLAY_COLOR[0];
+          image.data[i + 1] = OVERLAY_COLOR[1];
+          image.data[i + 2] = OVERLAY_COLOR[2];
+          image.data[i + 3] = (1 - value) * OVERLAY_ALPHA * 255;
+        }
+      }
+      ctx.putImageData(image, area.x0, area.y0);
+    }
+
+    // Masks that change something, keyed by target, for saving
+    getMasks() {
+      const masks = {};
+      Object.entries(this.masks).forEach(([target, mask]) => {
+        if (!ImageMask.isEmpty(mask)) masks[target] = ImageMask.normalize(mask);
+      });
+      return masks;
+    }
+
+    // Replaces every mask without calling onChange, e.g. when loading a
+    // configuration
+    setMasks(masks) {
+      this.masks = { all: ImageMask.create() };
+      Object.entries(masks && typeof masks === "object" ? masks : {}).forEach(([target, mask]) => {
+        this.masks[target] = ImageMask.normalize(mask);
+      });
+      this.cache.clear();
+      this.drawOverlay();
+    }
+  }
+
+  global.ImageMask = ImageMask;
+  global.MaskPanel = MaskPanel;
+})(typeof window !== "undefined" ? window : globalThis);
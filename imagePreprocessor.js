@@ -0,0 +1,470 @@
+(function (global) {
+  // Step types in the order they are offered. `params` describe the number
+  // inputs; the tone curve edits its points with CurveEditor instead.
+  const STEP_TYPES = {
+    levels: {
+      label: "Levels",
+      params: [
+        { name: "black", label: "Black", min: 0, max: 254, step: 1, value: 0 },
+        { name: "white", label: "White", min: 1, max: 255, step: 1, value: 255 },
+        { name: "gamma", label: "Gamma", min: 0.1, max: 10, step: 0.05, value: 1 },
+      ],
+    },
+    curve: { label: "Tone Curve", params: [] },
+    blur: {
+      label: "Gaussian Blur",
+      params: [{ name: "radius", label: "Radius", unit: "px", min: 0.5, max: 50, step: 0.5, value: 2 }],
+    },
+    unsharp: {
+      label: "Unsharp Mask",
+      params: [
+        { name: "radius", label: "Radius", unit: "px", min: 0.5, max: 50, step: 0.5, value: 2 },
+        { name: "amount", label: "Amount", min: 0, max: 5, step: 0.1, value: 1 },
+      ],
+    },
+    posterize: {
+      label: "Posterize",
+      params: [{ name: "levels", label: "Levels", min: 2, max: 32, step: 1, value: 4 }],
+    },
+    invert: { label: "Invert", params: [] },
+    equalize: { label: "Equalize Histogram", params: [] },
+  };
+
+  const IDENTITY_CURVE = [
+    { x: 0, y: 0 },
+    { x: 1, y: 1 },
+  ];
+
+  // Stackable image adjustments that run on the fitted image before the
+  // tools map it to line intensity. Steps are plain objects such as
+  // { type: "blur", enabled: true, radius: 2 } so they save with the
+  // configuration as they are. Only RGB is changed; alpha is kept.
+  class ImagePreprocessor {
+    static get stepTypes() {
+      return STEP_TYPES;
+    }
+
+    static createStep(type) {
+      const step = { type, enabled: true };
+      STEP_TYPES[type].params.forEach((param) => {
+        step[param.name] = param.value;
+      });
+      if (type === "curve") step.points = IDENTITY_CURVE.map((point) => ({ ...point }));
+      return step;
+    }
+
+    // One-line summary for G-code metadata, e.g. "Levels 10-245 γ1 > Invert"
+    static describe(steps = []) {
+      const active = steps.filter((step) => step && step.enabled !== false && STEP_TYPES[step.type]);
+      if (!active.length) return "none";
+      return active
+        .map((step) => {
+          switch (step.type) {
+            case "levels":
+              return `Levels ${step.black}-${step.white} γ${step.gamma}`;
+            case "blur":
+              return `Blur ${step.radius}px`;
+            case "unsharp":
+              return `Unsharp ${step.radius}px ×${step.amount}`;
+            case "posterize":
+              return `Posterize ${step.levels}`;
+            default:
+              return STEP_TYPES[step.type].label;
+          }
+        })
+        .join(" > ");
+    }
+
+    // Returns a new image with every enabled step applied in order. With
+    // `bounds` ({ x, y, width, height }) only that area is processed, so the
+    // white margins around a fitted image stay white. `coverage` (0-255 per
+    // pixel) does the same for shaped images: uncovered pixels are blended
+    // back to white afterwards.
+    static apply(imageData, steps = [], bounds = null, coverage = null) {
+      const { width, height } = imageData;
+      const data = new Uint8ClampedArray(imageData.data);
+      const active = steps.filter((step) => step && step.enabled !== false && STEP_TYPES[step.type]);
+
+      const area = ImagePreprocessor.clampBounds(bounds, width, height);
+      if (active.length && area.width > 0 && area.height > 0) {
+        let region = ImagePreprocessor.crop(data, width, area);
+        active.forEach((step) => {
+          region = ImagePreprocessor.applyStep(region, area.width, area.height, step);
+        });
+        ImagePreprocessor.paste(data, width, region, area);
+
+        if (coverage) {
+          for (let i = 0; i < coverage.length; i++) {
+            const alpha = coverage[i];
+            if (alpha === 255) continue;
+            for (let c = 0; c < 3; c++) {
+              data[i * 4 + c] = Math.round((data[i * 4 + c] * alpha + 255 * (255 - alpha)) / 255);
+            }
+          }
+        }
+      }
+
+      return typeof ImageData !== "undefined"
+        ? new ImageData(data, width, height)
+        : { width, height, data };
+    }
+
+    static applyStep(data, width, height, step) {
+      switch (step.type) {
+        case "levels":
+          return ImagePreprocessor.applyLut(
+            data,
+            ImagePreprocessor.levelsLut(step.black, step.white, step.gamma)
+          );
+        case "curve":
+          return ImagePreprocessor.applyLut(data, ImagePreprocessor.curveLut(step.points));
+        case "blur":
+          return ImagePreprocessor.gaussianBlur(data, width, height, step.radius);
+        case "unsharp":
+          return ImagePreprocessor.unsharpMask(data, width, height, step.radius, step.amount);
+        case "posterize":
+          return ImagePreprocessor.applyLut(data, ImagePreprocessor.posterizeLut(step.levels));
+        case "invert":
+          return ImagePreprocessor.applyLut(data, ImagePreprocessor.invertLut());
+        case "equalize":
+          return ImagePreprocessor.applyLut(data, ImagePreprocessor.equalizeLut(data));
+        default:
+          return data;
+      }
+    }
+
+    static clampBounds(bounds, width, height) {
+      if (!bounds) return { x: 0, y: 0, width, height };
+      const x = Math.max(0, Math.round(bounds.x));
+      const y = Math.max(0, Math.round(bounds.y));
+      return {
+        x,
+        y,
+        width: Math.min(width, Math.round(bounds.x + bounds.width)) - x,
+        height: Math.min(height, Math.round(bounds.y + bounds.height)) - y,
+      };
+    }
+
+    static crop(data, width, area) {
+      const region = new Uint8ClampedArray(area.width * area.height * 4);
+      for (let row = 0; row < area.height; row++) {
+        const start = ((area.y + row) * width + area.x) * 4;
+        region.set(data.subarray(start, start + area.width * 4), row * area.width * 4);
+      }
+      return region;
+    }
+
+    static paste(data, width, region, area) {
+      for (let row = 0; row < area.height; row++) {
+        const start = row * area.width * 4;
+        data.set(region.subarray(start, start + area.width * 4), ((area.y + row) * width + area.x) * 4);
+      }
+    }
+
+    // Maps R, G and B through a 256-entry table, in place
+    static applyLut(data, lut) {
+      for (let i = 0; i < data.length; i += 4) {
+        data[i] = lut[data[i]];
+        data[i + 1] = lut[data[i + 1]];
+        data[i + 2] = lut[data[i + 2]];
+      }
+      return data;
+    }
+
+    static levelsLut(black = 0, white = 255, gamma = 1) {
+      const low = Math.min(black, white - 1);
+      const range = Math.max(1, white - low);
+      const exponent = 1 / Math.max(0.01, gamma);
+      return ImagePreprocessor.buildLut((value) => {
+        const normalized = Math.min(1, Math.max(0, (value - low) / range));
+        return Math.pow(normalized, exponent) * 255;
+      });
+    }
+
+    // Uses CurveEditor's interpolation so the result matches the curve drawn
+    // in the panel
+    static curveLut(points = IDENTITY_CURVE) {
+      const controlPoints = points.map((point) => ({ x: point.x, y: point.y }));
+      controlPoints.sort((a, b) => a.x - b.x);
+      const curve = { controlPoints };
+      return ImagePreprocessor.buildLut(
+        (value) => global.CurveEditor.prototype.evaluate.call(curve, value / 255) * 255
+      );
+    }
+
+    static posterizeLut(levels = 4) {
+      const steps = Math.max(1, Math.round(levels) - 1);
+      return ImagePreprocessor.buildLut(
+        (value) => (Math.round((value / 255) * steps) / steps) * 255
+      );
+    }
+
+    static invertLut() {
+      return ImagePreprocessor.buildLut((value) => 255 - value);
+    }
+
+    // Spreads the luminance histogram over the full range; every channel is
+    // mapped through the same table so colours keep their balance
+    static equalizeLut(data) {
+      const histogram = new Uint32Array(256);
+      for (let i = 0; i < data.length; i += 4) {
+        histogram[
+          Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])
+        ]++;
+      }
+
+      const cdf = new Uint32Array(256);
+      let total = 0;
+      for (let value = 0; value < 256; value++) {
+        total += histogram[value];
+        cdf[value] = total;
+      }
+      const cdfMin = cdf.find((count) => count > 0) || 0;
+      if (total === cdfMin) return ImagePreprocessor.buildLut((value) => value);
+
+      return ImagePreprocessor.buildLut(
+        (value) => (Math.max(0, cdf[value] - cdfMin) / (total - cdfMin)) * 255
+      );
+    }
+
+    static buildLut(map) {
+      const lut = new Uint8ClampedArray(256);
+      for (let value = 0; value < 256; value++) {
+        lut[value] = Math.round(map(value));
+      }
+      return lut;
+    }
+
+    // Separable gaussian with sigma = radius and clamped edges
+    static gaussianBlur(data, width, height, radius = 2) {
+      const sigma = Math.max(0.1, radius);
+      const half = Math.ceil(sigma * 3);
+      const kernel = new Float32Array(half * 2 + 1);
+      let kernelSum = 0;
+      for (let i = -half; i <= half; i++) {
+        kernel[i + half] = Math.exp(-(i * i) / (2 * sigma * sigma));
+        kernelSum += kernel[i + half];
+      }
+      kernel.forEach((weight, i) => (kernel[i] = weight / kernelSum));
+
+      const temp = new Float32Array(data.length);
+      const result = new Uint8ClampedArray(data);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          for (let c = 0; c < 3; c++) {
+            let sum = 0;
+            for (let k = -half; k <= half; k++) {
+              const sx = Math.min(width - 1, Math.max(0, x + k));
+              sum += kernel[k + half] * data[(y * width + sx) * 4 + c];
+            }
+            temp[(y * width + x) * 4 + c] = sum;
+          }
+        }
+      }
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          for (let c = 0; c < 3; c++) {
+            let sum = 0;
+            for (let k = -half; k <= half; k++) {
+              const sy = Math.min(height - 1, Math.max(0, y + k));
+              sum += kernel[k + half] * temp[(sy * width + x) * 4 + c];
+            }
+            result[(y * width + x) * 4 + c] = Math.round(sum);
+          }
+        }
+      }
+
+      return result;
+    }
+
+    // Adds back `amount` times the detail removed by a gaussian blur
+    static unsharpMask(data, width, height, radius = 2, amount = 1) {
+      const blurred = ImagePreprocessor.gaussianBlur(data, width, height, radius);
+      const result = new Uint8ClampedArray(data);
+      for (let i = 0; i < data.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+          result[i + c] = Math.round(data[i + c] + amount * (data[i + c] - blurred[i + c]));
+        }
+      }
+      return result;
+    }
+  }
+
+  // Renders the preprocessing chain into `container`: before/after
+  // thumbnails, one block per step and a picker to add steps. `onChange`
+  // gets the step list after every edit; the tool reruns the chain.
+  class PreprocessPanel {
+    constructor(container, options = {}) {
+      this.container = container;
+      this.onChange = options.onChange || (() => {});
+      this.thumbnailWidth = options.thumbnailWidth || 120;
+      this.steps = [];
+      this.curveEditors = [];
+
+      this.render();
+    }
+
+    render() {
+      this.container.classList.add("preprocess-panel");
+      this.container.innerHTML = `
+        <h3>Preprocessing</h3>
+        <div class="preprocess-preview">
+          <figure>
+            <canvas data-preview="before"></canvas>
+            <figcaption>Before</figcaption>
+          </figure>
+          <figure>
+            <canvas data-preview="after"></canvas>
+            <figcaption>After</figcaption>
+          </figure>
+        </div>
+        <div class="preprocess-steps"></div>
+        <div class="input-row">
+          <select data-field="stepType">
+            ${Object.entries(STEP_TYPES)
+              .map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+              .join("")}
+          </select>
+          <button type="button" class="action-btn" data-action="add">Add Step</button>
+        </div>
+      `;
+
+      this.stepList = this.container.querySelector(".preprocess-steps");
+      this.container.querySelector('[data-action="add"]').addEventListener("click", () => {
+        const type = this.container.querySelector('[data-field="stepType"]').value;
+        this.steps.push(ImagePreprocessor.createStep(type));
+        this.renderSteps();
+        this.notify();
+      });
+
+      this.renderSteps();
+    }
+
+    renderSteps() {
+      this.curveEditors.forEach((editor) => editor.destroy());
+      this.curveEditors = [];
+      this.stepList.innerHTML = "";
+
+      this.steps.forEach((step, index) => {
+        const type = STEP_TYPES[step.type];
+        const block = document.createElement("div");
+        block.className = "preprocess-step";
+        block.innerHTML = `
+          <div class="preprocess-step-header">
+            <label><input type="checkbox" data-field="enabled"> ${type.label}</label>
+            <button type="button" data-action="up" title="Move up">▲</button>
+            <button type="button" data-action="down" title="Move down">▼</button>
+            <button type="button" data-action="remove" title="Remove">✕</button>
+          </div>
+          ${type.params
+            .map(
+              (param) => `
+          <div class="input-row">
+            <label>${param.label}:</label>
+            <input type="number" data-param="${param.name}" min="${param.min}" max="${param.max}" step="${param.step}">
+            ${param.unit ? `<span class="unit-label">${param.unit}</span>` : ""}
+          </div>`
+            )
+            .join("")}
+        `;
+
+        const enabled = block.querySelector('[data-field="enabled"]');
+        enabled.checked = step.enabled !== false;
+        enabled.addEventListener("change", () => {
+          step.enabled = enabled.checked;
+          this.notify();
+        });
+
+        type.params.forEach((param) => {
+          const input = block.querySelector(`[data-param="${param.name}"]`);
+          input.value = step[param.name] ?? param.value;
+          input.addEventListener("input", () => {
+            const value = parseFloat(input.value);
+            if (!Number.isFinite(value)) return;
+            step[param.name] = value;
+            this.notify();
+          });
+        });
+
+        if (step.type === "curve") {
+          const curveContainer = document.createElement("div");
+          curveContainer.className = "preprocess-curve";
+          block.appendChild(curveContainer);
+          const editor = new global.CurveEditor(curveContainer, {
+            width: 160,
+            height: 120,
+            backgroundColor: "#ffffff",
+          });
+          editor.setCurve(step.points || IDENTITY_CURVE);
+          editor.on("change", (curveData) => {
+            step.points = curveData.points;
+            this.notify();
+          });
+          this.curveEditors.push(editor);
+        }
+
+        block.querySelector('[data-action="up"]').disabled = index === 0;
+        block.querySelector('[data-action="down"]').disabled = index === this.steps.length - 1;
+        block.querySelector('[data-action="up"]').addEventListener("click", () => this.moveStep(index, -1));
+        block.querySelector('[data-action="down"]').addEventListener("click", () => this.moveStep(index, 1));
+        block.querySelector('[data-action="remove"]').addEventListener("click", () => {
+          this.steps.splice(index, 1);
+          this.renderSteps();
+          this.notify();
+        });
+
+        this.stepList.appendChild(block);
+      });
+    }
+
+    moveStep(index, direction) {
+      const target = index + direction;
+      if (target < 0 || target >= this.steps.length) return;
+      [this.steps[index], this.steps[target]] = [this.steps[target], this.steps[index]];
+      this.renderSteps();
+      this.notify();
+    }
+
+    notify() {
+      this.onChange(this.getSteps());
+    }
+
+    getSteps() {
+      return this.steps.map((step) => ({
+        ...step,
+        ...(step.points ? { points: step.points.map((point) => ({ ...point })) } : {}),
+      }));
+    }
+
+    // Replaces the chain without calling onChange, e.g. when loading a
+    // configuration. Unknown step types are dropped.
+    setSteps(steps) {
+      this.steps = (Array.isArray(steps) ? steps : [])
+        .filter((step) => step && STEP_TYPES[step.type])
+        .map((step) => ({ ...ImagePreprocessor.createStep(step.type), ...step }));
+      this.renderSteps();
+    }
+
+    setPreview(before, after) {
+      this.drawThumbnail(this.container.querySelector('[data-preview="before"]'), before);
+      this.drawThumbnail(this.container.querySelector('[data-preview="after"]'), after);
+    }
+
+    drawThumbnail(canvas, imageData) {
+      if (!imageData) return;
+      const scratch = document.createElement("canvas");
+      scratch.width = imageData.width;
+      scratch.height = imageData.height;
+      scratch.getContext("2d").putImageData(imageData, 0, 0);
+
+      canvas.width = this.thumbnailWidth;
+      canvas.height = Math.max(1, Math.round((this.thumbnailWidth * imageData.height) / imageData.width));
+      canvas.getContext("2d").drawImage(scratch, 0, 0, canvas.width, canvas.height);
+    }
+  }
+
+  global.ImagePreprocessor = ImagePreprocessor;
+  global.PreprocessPanel = PreprocessPanel;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -8,6 +8,7 @@ class InteractiveCanvas {
       enablePan: true,
       enableZoom: true,
       fitOnResize: true,
+      inkControls: true,
       ...options,
     };
 
@@ -28,11 +29,22 @@ class InteractiveCanvas {
     // Content element - this will hold the actual content to be transformed
     this.content = null;
 
+    // Simulated ink preview settings, or null when off. Renderers (see
+    // PreviewCanvas.attach) draw it themselves; SVG previews get it from
+    // CSS (.ink-simulation in tool-styles.css), at the pen width for strokes
+    // inside an .ink-pen element.
+    this.inkSimulation = null;
+    this.inkRenderers = [];
+    this.inkControls = null;
+
     this.init();
   }
 
   init() {
     this.setupContainer();
+    if (this.options.inkControls) {
+      this.setupInkControls();
+    }
     this.setupEventListeners();
   }
 
@@ -65,6 +77,44 @@ class InteractiveCanvas {
     this.content = this.contentWrapper;
   }
 
+  // "Simulate ink" toggle with pen transparency, bleed and paper texture,
+  // kept outside the transformed content so it stays put
+  setupInkControls() {
+    this.inkControls = document.createElement("div");
+    this.inkControls.className = "ink-simulation-control";
+    this.inkControls.innerHTML = `
+      <label><input type="checkbox" data-ink="enabled"> Simulate ink</label>
+      <div class="ink-simulation-options">
+        <label>Ink <input type="range" data-ink="opacity" min="0.3" max="1" step="0.05" value="0.85" title="Pen colour coverage"></label>
+        <label>Bleed <input type="range" data-ink="bleed" min="0" max="1" step="0.05" value="0" title="Ink spreading into the paper"></label>
+        <label><input type="checkbox" data-ink="paperTexture"> Paper texture</label>
+      </div>
+    `;
+    this.container.appendChild(this.inkControls);
+
+    // Keep clicks and drags on the controls from reaching the canvas
+    ["mousedown", "pointerdown", "touchstart", "wheel"].forEach((type) => {
+      this.inkControls.addEventListener(type, (e) => e.stopPropagation(), {
+        passive: true,
+      });
+    });
+
+    const field = (name) => this.inkControls.querySelector(`[data-ink="${name}"]`);
+    const update = () => {
+      this.setInkSimulation(
+        field("enabled").checked
+          ? {
+              opacity: parseFloat(field("opacity").value),
+              bleed: parseFloat(field("bleed").value),
+              paperTexture: field("paperTexture").checked,
+            }
+          : null
+      );
+    };
+    this.inkControls.addEventListener("input", update);
+    this.inkControls.addEventListener("change", update);
+  }
+
   setupEventListeners() {
     // Mouse events for right-click panning
     this.container.addEventListener(
@@ -446,6 +496,63 @@ class InteractiveCanvas {
     }
   }
 
+  // Turns the simulated ink preview on with `settings` ({ opacity, bleed,
+  // paperTexture }) or off with null, for the attached renderers and any
+  // SVG content, and emits an "inkSimulation" event
+  setInkSimulation(settings) {
+    this.inkSimulation = settings ? { ...settings } : null;
+    this.inkRenderers.forEach((renderer) =>
+      renderer.setInkSimulation(this.inkSimulation)
+    );
+
+    // The CSS fallback is only for previews without a renderer
+    const css = Boolean(this.inkSimulation) && this.inkRenderers.length === 0;
+    this.container.classList.toggle("ink-simulation", css);
+    this.container.classList.toggle(
+      "ink-paper",
+      css && Boolean(this.inkSimulation.paperTexture)
+    );
+    this.container.classList.toggle(
+      "ink-bleed",
+      css && this.inkSimulation.bleed > 0
+    );
+    if (this.inkSimulation) {
+      this.container.style.setProperty(
+        "--ink-opacity",
+        this.inkSimulation.opacity ?? 0.85
+      );
+      this.container.style.setProperty("--ink-bleed", this.inkSimulation.bleed || 0);
+    }
+    this.syncInkControls();
+
+    this.container.dispatchEvent(
+      new CustomEvent("inkSimulation", { detail: this.inkSimulation })
+    );
+  }
+
+  getInkSimulation() {
+    return this.inkSimulation ? { ...this.inkSimulation } : null;
+  }
+
+  // Called by renderers that draw simulated ink themselves
+  addInkRenderer(renderer) {
+    this.inkRenderers.push(renderer);
+    this.setInkSimulation(this.inkSimulation);
+  }
+
+  syncInkControls() {
+    if (!this.inkControls) return;
+
+    const field = (name) => this.inkControls.querySelector(`[data-ink="${name}"]`);
+    const settings = this.inkSimulation;
+    field("enabled").checked = Boolean(settings);
+    this.inkControls.classList.toggle("active", Boolean(settings));
+    if (!settings) return;
+    if (settings.opacity !== undefined) field("opacity").value = settings.opacity;
+    if (settings.bleed !== undefined) field("bleed").value = settings.bleed;
+    field("paperTexture").checked = Boolean(settings.paperTexture);
+  }
+
   enable() {
     this.container.style.pointerEvents = "auto";
     this.options.enablePan = true;
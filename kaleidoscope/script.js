@@ -25,7 +25,14 @@ class Kaleidoscope {
             canvasHeight: 200,
             penDiameter: 0.5,
             inputSmoothing: 0.5,
-            showSections: false
+            showSections: false,
+            penDownZ: 0,
+            penUpZ: 2,
+            preventZhop: 0.5,
+            feedRate: 1500,
+            pauseBetweenLayers: true,
+            arcFitting: false,
+            arcTolerance: 0.02
         };
 
         this.pixelsPerMm = 4; // Scaling factor for SVG units
@@ -77,6 +84,22 @@ class Kaleidoscope {
         // Pen settings
         document.getElementById('penDiameterValue').addEventListener('input', (e) => {
             this.settings.penDiameter = parseFloat(e.target.value);
+            this.updateInkPenWidth();
+        });
+
+        // G-code settings
+        ['penDownZ', 'penUpZ', 'preventZhop', 'feedRate', 'arcTolerance'].forEach(settingName => {
+            document.getElementById(settingName + 'Value').addEventListener('input', (e) => {
+                this.settings[settingName] = parseFloat(e.target.value);
+            });
+        });
+
+        document.getElementById('pauseBetweenLayersValue').addEventListener('change', (e) => {
+            this.settings.pauseBetweenLayers = e.target.checked;
+        });
+
+        document.getElementById('arcFittingValue').addEventListener('change', (e) => {
+            this.settings.arcFitting = e.target.checked;
         });
 
         // Display options
@@ -100,6 +123,14 @@ class Kaleidoscope {
         // Download handlers  
         document.getElementById('downloadSvgBtn').addEventListener('click', () => this.downloadCombinedSVG());
         document.getElementById('downloadIndividualSvgBtn').addEventListener('click', () => this.downloadIndividualSVGs());
+        document.getElementById('downloadGcodeBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.downloadCombinedGcode();
+        });
+        document.getElementById('downloadIndividualGcodeBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.downloadIndividualGcodes();
+        });
         // Config management
         document.getElementById('saveConfigBtn').addEventListener('click', () => this.saveConfiguration());
         document.getElementById('loadConfigBtn').addEventListener('click', () => this.loadConfiguration());
@@ -133,6 +164,13 @@ class Kaleidoscope {
         this.settings.penDiameter = parseFloat(document.getElementById('penDiameterValue').value) || 0.5;
         this.settings.inputSmoothing = parseFloat(document.getElementById('inputSmoothingValue').value) || 0.5;
         this.settings.showSections = document.getElementById('showSectionsValue').checked || false;
+        this.settings.penDownZ = this.readNumberInput('penDownZValue', 0);
+        this.settings.penUpZ = this.readNumberInput('penUpZValue', 2);
+        this.settings.preventZhop = this.readNumberInput('preventZhopValue', 0.5);
+        this.settings.feedRate = this.readNumberInput('feedRateValue', 1500);
+        this.settings.pauseBetweenLayers = document.getElementById('pauseBetweenLayersValue').checked;
+        this.settings.arcFitting = document.getElementById('arcFittingValue').checked;
+        this.settings.arcTolerance = this.readNumberInput('arcToleranceValue', 0.02);
         
         // Sync sliders with their input counterparts
         const repetitionsSlider = document.getElementById('repetitionsSlider');
@@ -142,6 +180,11 @@ class Kaleidoscope {
         if (inputSmoothingSlider) inputSmoothingSlider.value = this.settings.inputSmoothing;
     }
 
+    readNumberInput(id, fallback) {
+        const value = parseFloat(document.getElementById(id).value);
+        return Number.isFinite(value) ? value : fallback;
+    }
+
     setupSliderSync(settingName) {
         const slider = document.getElementById(settingName + 'Slider');
         const input = document.getElementById(settingName + 'Value');
@@ -273,7 +316,7 @@ class Kaleidoscope {
             // Create new SVG for this layer
             const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
             svg.id = `kaleidoscopeLayer${index}`;
-            svg.classList.add("layer-svg");
+            svg.classList.add("layer-svg", "ink-pen");
             svg.setAttribute("viewBox", `0 0 ${this.settings.canvasWidth * this.pixelsPerMm} ${this.settings.canvasHeight * this.pixelsPerMm}`);
             svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
             svg.style.position = "absolute";
@@ -289,12 +332,25 @@ class Kaleidoscope {
             layer.svg = svg;
         });
 
+        this.updateInkPenWidth();
+
         // Set up InteractiveCanvas with the SVG stack
         if (this.interactiveCanvas) {
             this.interactiveCanvas.setContent(svgContainer);
         }
     }
 
+    // Simulated ink draws the layers at the current pen width (see .ink-pen
+    // in tool-styles.css), also the strokes drawn before it was changed
+    updateInkPenWidth() {
+        const penWidth = `${this.settings.penDiameter * this.pixelsPerMm}px`;
+        this.layers.forEach(layer => {
+            if (layer.svg) {
+                layer.svg.style.setProperty('--ink-pen-width', penWidth);
+            }
+        });
+    }
+
     updateLayerPanel() {
         this.layerList.innerHTML = '';
         
@@ -778,6 +834,96 @@ class Kaleidoscope {
         return svg;
     }
 
+    downloadCombinedGcode() {
+        const gcode = this.buildGcodeForLayers(this.layers.filter(layer => layer.visible));
+        if (!gcode) {
+            alert('No G-code to export yet. Draw something first.');
+            return;
+        }
+        this.downloadTextFile(gcode, `kaleidoscope-combined-${this.settings.repetitions}x-${this.settings.canvasWidth}x${this.settings.canvasHeight}mm.gcode`);
+    }
+
+    downloadIndividualGcodes() {
+        this.layers.forEach((layer, index) => {
+            if (!layer.visible) return;
+            const gcode = this.buildGcodeForLayers([layer]);
+            if (!gcode) return;
+            this.downloadTextFile(gcode, `kaleidoscope-layer${index + 1}-${this.settings.repetitions}x-${this.settings.canvasWidth}x${this.settings.canvasHeight}mm.gcode`);
+        });
+    }
+
+    // Flattens the layer's Bézier strokes, including the rotated copies, into
+    // millimeter polylines.
+    getLayerPolylines(layer) {
+        return SvgPathFlattener.flattenElement(layer.group, {
+            matrix: SvgPathFlattener.scale(1 / this.pixelsPerMm),
+            tolerance: 0.05
+        });
+    }
+
+    buildGcodeForLayers(layers) {
+        if (typeof GCodeGenerator === 'undefined' || typeof SvgPathFlattener === 'undefined') {
+            alert('G-code generator not available.');
+            return '';
+        }
+
+        const generator = new GCodeGenerator({
+            toolName: 'Kaleidoscope',
+            canvasWidth: this.settings.canvasWidth,
+            canvasHeight: this.settings.canvasHeight,
+            feedRate: Number.isFinite(this.settings.feedRate) ? this.settings.feedRate : 1500,
+            penDownZ: Number.isFinite(this.settings.penDownZ) ? this.settings.penDownZ : 0,
+            penUpZ: Number.isFinite(this.settings.penUpZ) ? this.settings.penUpZ : 2,
+            preventZhop: Number.isFinite(this.settings.preventZhop) ? this.settings.preventZhop : 0.5,
+            arcFitting: this.settings.arcFitting === true,
+            arcTolerance: this.settings.arcTolerance > 0 ? this.settings.arcTolerance : 0.02
+        });
+
+        generator.beginProgram({
+            headerLines: [
+                `Repetitions: ${this.settings.repetitions}`,
+                `Layers: ${layers.map(layer => layer.name).join(', ')}`
+            ]
+        });
+
+        let drawnLayers = 0;
+        layers.forEach(layer => {
+            const polylines = GCodeGenerator.optimizePolylineOrder(
+                this.getLayerPolylines(layer),
+                generator.currentX,
+                generator.currentY
+            );
+            if (polylines.length === 0) return;
+
+            if (drawnLayers > 0 && this.settings.pauseBetweenLayers) {
+                generator.pauseProgram(`Change pen for ${layer.name} (${layer.color})`);
+            }
+            generator.addComment(`--- ${layer.name} (${layer.color}) ---`);
+            polylines.forEach(polyline => generator.drawPolyline(polyline));
+            generator.ensurePenUp({ force: true });
+            drawnLayers++;
+        });
+
+        if (drawnLayers === 0) return '';
+
+        generator.finishProgram();
+        return generator.toString();
+    }
+
+    downloadTextFile(content, filename) {
+        const blob = new Blob([content], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+
     downloadSVGFile(svg, filename) {
         const serializer = new XMLSerializer();
         const svgString = serializer.serializeToString(svg);
@@ -853,6 +999,8 @@ class Kaleidoscope {
         
         // Update checkboxes
         document.getElementById('showSectionsValue').checked = this.settings.showSections;
+        document.getElementById('pauseBetweenLayersValue').checked = this.settings.pauseBetweenLayers !== false;
+        document.getElementById('arcFittingValue').checked = this.settings.arcFitting === true;
     }
 
     checkForUrlConfig() {
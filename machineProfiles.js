@@ -0,0 +1,317 @@
+(function (global) {
+  // Shipped with every tool and never written to storage. Blank pen commands
+  // fall back to GCodeGenerator's Z moves using the tool's pen up/down Z.
+  const BUILT_IN_PROFILES = [
+    {
+      id: "builtin-z-axis",
+      name: "Z-axis pen lift (default)",
+      penUpCommand: "",
+      penDownCommand: "",
+      penDwell: 0,
+      dwellUnits: "seconds",
+      homeCommand: "G28 ; Home all axes",
+      headerTemplate: "",
+      footerTemplate: "",
+      invertX: false,
+      invertY: false,
+      travelRate: 3000,
+      acceleration: 500,
+      penLiftTime: 0.3,
+    },
+    {
+      id: "builtin-grbl-servo",
+      name: "GRBL servo pen lift",
+      penUpCommand: "M5",
+      penDownCommand: "M3 S90",
+      penDwell: 0.15,
+      dwellUnits: "seconds",
+      homeCommand: "$H",
+      headerTemplate: "",
+      footerTemplate: "M5\nG0 X0 Y0",
+      invertX: false,
+      invertY: false,
+      travelRate: 5000,
+      acceleration: 1000,
+      penLiftTime: 0.1,
+    },
+    {
+      id: "builtin-marlin",
+      name: "Marlin Z-axis",
+      penUpCommand: "",
+      penDownCommand: "",
+      penDwell: 0,
+      dwellUnits: "milliseconds",
+      homeCommand: "G28 X Y",
+      headerTemplate: "",
+      footerTemplate: "M84 ; Disable steppers",
+      invertX: false,
+      invertY: false,
+      travelRate: 3000,
+      acceleration: 500,
+      penLiftTime: 0.3,
+    },
+  ];
+
+  const PROFILE_FIELDS = [
+    "penUpCommand",
+    "penDownCommand",
+    "penDwell",
+    "dwellUnits",
+    "homeCommand",
+    "headerTemplate",
+    "footerTemplate",
+    "invertX",
+    "invertY",
+    "travelRate",
+    "acceleration",
+    "penLiftTime",
+  ];
+
+  // Renders the machine profile controls into `container` and turns the
+  // current selection into GCodeGenerator options. Edits apply to the next
+  // export straight away; "Save Profile" stores them through ConfigManager.
+  class MachineProfilePanel {
+    constructor(container, options = {}) {
+      this.container = container;
+      this.toolId = options.toolId || "default";
+      this.configManager = options.configManager || new ConfigManager();
+      this.onChange = options.onChange || (() => {});
+
+      this.render();
+      this.refreshProfiles();
+      this.selectProfile(
+        this.configManager.getSelectedMachineProfileId(this.toolId) || BUILT_IN_PROFILES[0].id,
+        { notify: false }
+      );
+    }
+
+    static get builtInProfiles() {
+      return BUILT_IN_PROFILES.map((profile) => ({ ...profile, builtIn: true }));
+    }
+
+    render() {
+      this.container.classList.add("machine-profile-panel");
+      this.container.innerHTML = `
+        <h3>Machine Profile</h3>
+        <div class="input-row">
+          <label>Profile:</label>
+          <select data-field="profile"></select>
+        </div>
+        <div class="input-row">
+          <label>Pen Up Cmd:</label>
+          <input type="text" data-field="penUpCommand" placeholder="G0 Z{penUpZ}">
+        </div>
+        <div class="input-row">
+          <label>Pen Down Cmd:</label>
+          <input type="text" data-field="penDownCommand" placeholder="G1 Z{penDownZ}">
+        </div>
+        <div class="input-row">
+          <label>Pen Dwell:</label>
+          <input type="number" data-field="penDwell" min="0" max="10" step="0.01" value="0">
+          <span class="unit-label">s</span>
+          <select data-field="dwellUnits">
+            <option value="seconds">G4 P in seconds (GRBL)</option>
+            <option value="milliseconds">G4 P in ms (Marlin)</option>
+          </select>
+        </div>
+        <div class="input-row">
+          <label>Home Cmd:</label>
+          <input type="text" data-field="homeCommand" placeholder="None">
+        </div>
+        <div class="input-row">
+          <label>Header:</label>
+          <textarea data-field="headerTemplate" rows="2" placeholder="Extra start-up lines"></textarea>
+        </div>
+        <div class="input-row">
+          <label>Footer:</label>
+          <textarea data-field="footerTemplate" rows="2" placeholder="Extra end lines"></textarea>
+        </div>
+        <div class="input-row">
+          <label>Invert Axes:</label>
+          <label class="machine-profile-checkbox"><input type="checkbox" data-field="invertX"> X</label>
+          <label class="machine-profile-checkbox"><input type="checkbox" data-field="invertY"> Y</label>
+        </div>
+        <div class="input-row">
+          <label>Travel Rate:</label>
+          <input type="number" data-field="travelRate" min="1" max="50000" step="100" value="3000">
+          <span class="unit-label">mm/min</span>
+        </div>
+        <div class="input-row">
+          <label>Acceleration:</label>
+          <input type="number" data-field="acceleration" min="0" max="20000" step="50" value="500">
+          <span class="unit-label">mm/s²</span>
+        </div>
+        <div class="input-row">
+          <label>Pen Lift Time:</label>
+          <input type="number" data-field="penLiftTime" min="0" max="10" step="0.05" value="0.3">
+          <span class="unit-label">s</span>
+        </div>
+        <div class="button-row">
+          <button type="button" class="action-btn" data-action="save">Save Profile</button>
+          <button type="button" class="action-btn" data-action="delete">Delete</button>
+        </div>
+        <p class="machine-profile-hint">
+          Placeholders: {penUpZ} {penDownZ} {feedRate} {canvasWidth} {canvasHeight} {toolName}
+        </p>
+      `;
+
+      this.select = this.field("profile");
+      this.deleteButton = this.container.querySelector('[data-action="delete"]');
+
+      this.select.addEventListener("change", () => {
+        this.selectProfile(this.select.value);
+        this.configManager.setSelectedMachineProfileId(this.toolId, this.select.value);
+      });
+
+      PROFILE_FIELDS.forEach((name) => {
+        const input = this.field(name);
+        const eventName = input.type === "checkbox" || input.tagName === "SELECT" ? "change" : "input";
+        input.addEventListener(eventName, () => this.onChange(this.getProfile()));
+      });
+
+      this.container
+        .querySelector('[data-action="save"]')
+        .addEventListener("click", () => this.saveProfile());
+      this.deleteButton.addEventListener("click", () => this.deleteProfile());
+    }
+
+    field(name) {
+      return this.container.querySelector(`[data-field="${name}"]`);
+    }
+
+    getAllProfiles() {
+      return [...MachineProfilePanel.builtInProfiles, ...this.configManager.getMachineProfiles()];
+    }
+
+    refreshProfiles() {
+      const selectedId = this.select.value;
+      this.select.innerHTML = "";
+      this.getAllProfiles().forEach((profile) => {
+        const option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.name;
+        this.select.appendChild(option);
+      });
+      if (selectedId) this.select.value = selectedId;
+    }
+
+    selectProfile(profileId, options = {}) {
+      const profiles = this.getAllProfiles();
+      const profile = profiles.find((item) => item.id === profileId) || profiles[0];
+
+      this.select.value = profile.id;
+      this.selectedProfile = profile;
+      this.deleteButton.disabled = Boolean(profile.builtIn);
+      this.setFields(profile);
+
+      if (options.notify !== false) this.onChange(this.getProfile());
+    }
+
+    // Restores a profile snapshot saved with a tool configuration. The stored
+    // profile is selected when it still exists; the snapshot's values win.
+    applyProfile(snapshot) {
+      if (!snapshot) return;
+      this.selectProfile(snapshot.id, { notify: false });
+      this.setFields(snapshot);
+      this.onChange(this.getProfile());
+    }
+
+    setFields(profile) {
+      PROFILE_FIELDS.forEach((name) => {
+        const input = this.field(name);
+        const value = profile[name] ?? BUILT_IN_PROFILES[0][name];
+        if (input.type === "checkbox") {
+          input.checked = Boolean(value);
+        } else {
+          input.value = value;
+        }
+      });
+    }
+
+    // Current field values, which may differ from the stored profile until saved
+    getProfile() {
+      const profile = {
+        id: this.selectedProfile.id,
+        name: this.selectedProfile.name,
+      };
+      PROFILE_FIELDS.forEach((name) => {
+        const input = this.field(name);
+        if (input.type === "checkbox") {
+          profile[name] = input.checked;
+        } else if (input.type === "number") {
+          const value = parseFloat(input.value);
+          profile[name] = Number.isFinite(value) && value > 0 ? value : 0;
+        } else {
+          profile[name] = input.value;
+        }
+      });
+      return profile;
+    }
+
+    getSelectedProfileId() {
+      return this.selectedProfile.id;
+    }
+
+    getGeneratorOptions() {
+      return MachineProfilePanel.toGeneratorOptions(this.getProfile());
+    }
+
+    // Machine speeds used by PlotTimeEstimator; they don't change the G-code
+    getEstimatorOptions() {
+      const profile = this.getProfile();
+      return {
+        travelRate: profile.travelRate || undefined,
+        acceleration: profile.acceleration,
+        penLiftTime: profile.penLiftTime,
+      };
+    }
+
+    static toGeneratorOptions(profile) {
+      const homeCommand = (profile.homeCommand || "").trim();
+      return {
+        machineProfileName: profile.name,
+        penUpCommand: profile.penUpCommand || "",
+        penDownCommand: profile.penDownCommand || "",
+        penDwell: Number(profile.penDwell) || 0,
+        dwellUnits: profile.dwellUnits === "milliseconds" ? "milliseconds" : "seconds",
+        includeHome: homeCommand.length > 0,
+        homeCommand,
+        headerTemplate: profile.headerTemplate || "",
+        footerTemplate: profile.footerTemplate || "",
+        invertX: Boolean(profile.invertX),
+        invertY: Boolean(profile.invertY),
+      };
+    }
+
+    saveProfile() {
+      const current = this.getProfile();
+      const suggestedName = this.selectedProfile.builtIn ? "" : this.selectedProfile.name;
+      const name = prompt("Enter a name for this machine profile:", suggestedName);
+      if (!name || !name.trim()) return;
+
+      // Saving under the same name updates the profile; a new name makes a copy
+      const overwrite = !this.selectedProfile.builtIn && name.trim() === this.selectedProfile.name;
+      const profileId = this.configManager.saveMachineProfile({
+        ...current,
+        id: overwrite ? current.id : null,
+        name: name.trim(),
+      });
+
+      this.configManager.setSelectedMachineProfileId(this.toolId, profileId);
+      this.refreshProfiles();
+      this.selectProfile(profileId);
+    }
+
+    deleteProfile() {
+      const profile = this.selectedProfile;
+      if (profile.builtIn) return;
+      if (!confirm(`Are you sure you want to delete "${profile.name}"?`)) return;
+
+      this.configManager.deleteMachineProfile(profile.id);
+      this.refreshProfiles();
+      this.selectProfile(BUILT_IN_PROFILES[0].id);
+    }
+  }
+
+  global.MachineProfilePanel = MachineProfilePanel;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,23 @@
+// Hatches one moiré layer off the main thread. Receives a job from
+// HatchMoireConverter.generateLayer() and answers with progress messages and
+// the packed layer lines (see WorkerRunner).
+importScripts(
+  "../flowField.js",
+  "../waveLines.js",
+  "../workerRunner.js",
+  "script.js"
+);
+
+self.onmessage = (e) => {
+  const job = e.data;
+  const converter = Object.create(HatchMoireConverter.prototype);
+  converter.pixelsPerMm = job.pixelsPerMm;
+
+  const result = converter.generateLayerLines(job, (progress) =>
+    self.postMessage({ type: "progress", progress })
+  );
+  self.postMessage(
+    { type: "result", result },
+    WorkerRunner.transferList(result)
+  );
+};
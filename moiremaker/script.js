@@ -4,6 +4,9 @@ class HatchMoireConverter {
     this.originalCtx = this.originalCanvas.getContext("2d");
     this.thumbnail = document.getElementById("imageThumbnail");
     this.imageData = null;
+    this.sourceImageData = null; // Fitted image before preprocessing
+    this.imageBounds = null;
+    this.preprocessingChanged = false;
     this.originalImage = null;
     this.originalFilename = null;
     this.pixelsPerMm = 96 / 25.4;
@@ -12,9 +15,13 @@ class HatchMoireConverter {
     this.layers = [];
     this.numLayers = 2; // Default number of layers
 
-    // Chunked processing state
+    // Processing state. Layers are hatched in workers (moireWorker.js), or
+    // on the main thread where workers are unavailable.
     this.isProcessing = false;
     this.processingCancelled = false;
+    this.layerWorkers = new WorkerRunner("moireWorker.js", (job, onProgress) =>
+      this.generateLayerLines(job, onProgress)
+    );
 
     // Debouncing for input changes
     this.debounceTimer = null;
@@ -25,6 +32,32 @@ class HatchMoireConverter {
     this.configManager = new ConfigManager();
     this.toolId = "moiremaker";
 
+    // Levels, curves, blur etc. applied before grayscale conversion
+    this.preprocessPanel = new PreprocessPanel(
+      document.getElementById("preprocessPanel"),
+      {
+        onChange: () => {
+          this.preprocessingChanged = true;
+          this.debouncedGenerateMoire();
+        },
+      }
+    );
+
+    // Brush-painted or loaded masks that fade a layer's image towards white
+    this.maskOverlay = document.getElementById("maskOverlay");
+    this.maskPanel = new MaskPanel(document.getElementById("maskPanel"), {
+      overlay: this.maskOverlay,
+      getPage: () => ({
+        width: Math.round(this.getCanvasWidth() * this.pixelsPerMm),
+        height: Math.round(this.getCanvasHeight() * this.pixelsPerMm),
+        pixelsPerMm: this.pixelsPerMm,
+      }),
+      onChange: (target) =>
+        target === "all"
+          ? this.debouncedGenerateMoire()
+          : this.debouncedGenerateSingleLayer(Number(target)),
+    });
+
     // Initialize InteractiveCanvas for preview area
     this.previewArea = document.querySelector(".preview-area");
     this.interactiveCanvas = new InteractiveCanvas(this.previewArea, {
@@ -34,6 +67,12 @@ class HatchMoireConverter {
       enableZoom: true,
     });
 
+    // Layers are drawn to one canvas; see previewCanvas.js
+    this.previewCanvas = document.getElementById("previewCanvas");
+    this.preview = new PreviewCanvas(this.previewCanvas).attach(
+      this.interactiveCanvas
+    );
+
     this.setupEventListeners();
     this.updateSvgSize();
     this.initializeLayers();
@@ -74,6 +113,26 @@ class HatchMoireConverter {
     this.setupNumberInput("baseMaxMergeDistanceValue", () => {
       this.debouncedGenerateMoire();
     });
+    document
+      .getElementById("baseHatchDirection")
+      .addEventListener("change", () => {
+        this.debouncedGenerateMoire();
+      });
+    this.setupNumberInput("baseFlowSmoothingValue", () => {
+      this.debouncedGenerateMoire();
+    });
+    document.getElementById("baseLineStyle").addEventListener("change", (e) => {
+      this.setLineStyle(e.target.value);
+      this.debouncedGenerateMoire();
+    });
+    document
+      .getElementById("baseWaveModulation")
+      .addEventListener("change", () => {
+        this.debouncedGenerateMoire();
+      });
+    ["baseWaveAmplitudeValue", "baseWaveWavelengthValue"].forEach((id) => {
+      this.setupNumberInput(id, () => this.debouncedGenerateMoire());
+    });
 
     // Layer management will be handled by individual add/delete buttons
 
@@ -104,6 +163,29 @@ class HatchMoireConverter {
         this.downloadIndividualSvgs();
       });
 
+    document
+      .getElementById("downloadGcodeBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadCombinedGcode();
+      });
+
+    document
+      .getElementById("downloadIndividualGcodeBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadIndividualGcodes();
+      });
+
+    // Z-hop threshold also decides which travel moves are drawn in the
+    // preview; neither it nor the pen width changes the lines themselves
+    this.setupNumberInput("preventZhopValue", () => {
+      this.updatePreviewLayers();
+    });
+    this.setupNumberInput("penDiameterValue", () => {
+      this.updatePreviewLayers();
+    });
+
     // Config save/load
     document.getElementById("saveConfigBtn").addEventListener("click", () => {
       this.saveConfiguration();
@@ -159,9 +241,6 @@ class HatchMoireConverter {
     this.layers = [];
     for (let i = 0; i < this.numLayers; i++) {
       this.layers.push({
-        svg: null,
-        group: null,
-        svgContent: "",
         dragLines: [],
         color: this.getLayerColor(i),
         offsetX: 0,
@@ -172,7 +251,8 @@ class HatchMoireConverter {
         lineSpacing: 0.1, // Much tighter line spacing
       });
     }
-    this.updateSvgStack();
+    this.updatePreviewLayers();
+    this.updateMaskTargets();
 
     // Set up InteractiveCanvas with the SVG stack
     const svgStack = document.getElementById("svgStack");
@@ -197,52 +277,31 @@ class HatchMoireConverter {
     return colors[index % colors.length];
   }
 
-  updateSvgStack() {
-    const svgStack = document.getElementById("svgStack");
-    svgStack.innerHTML = "";
-
-    for (let i = 0; i < this.layers.length; i++) {
-      const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-      svg.id = `outputSvgLayer${i}`;
-      svg.classList.add("layer-svg");
-      svg.setAttribute(
-        "viewBox",
-        `0 0 ${this.getCanvasWidth()} ${this.getCanvasHeight()}`
-      );
-      svg.setAttribute("preserveAspectRatio", "xMidYMid meet");
-
-      if (i > 0) {
-        svg.style.display = "block";
-      }
-
-      const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
-      group.id = `pen-plotter-lines-Layer${i}`;
-      group.setAttribute("stroke", this.layers[i].color);
-      group.setAttribute("fill", "none");
-      group.setAttribute("stroke-linecap", "round");
-      group.setAttribute("stroke-linejoin", "round");
-
-      if (i > 0) {
-        group.setAttribute("opacity", "0.8");
-      }
-
-      if (i === 0) {
-        const rect = document.createElementNS(
-          "http://www.w3.org/2000/svg",
-          "rect"
-        );
-        rect.setAttribute("width", "100%");
-        rect.setAttribute("height", "100%");
-        rect.setAttribute("fill", "white");
-        svg.appendChild(rect);
-      }
+  // One preview layer per moiré layer, bottom first; the layers above the
+  // first let it show through
+  updatePreviewLayers() {
+    this.preview.clear();
+    this.layers.forEach((layer, i) => {
+      this.preview.setLayer(i, {
+        lines: this.getPreviewLines(layer.dragLines),
+        color: layer.color,
+        lineWidth: this.getPenWidth(),
+        opacity: i > 0 ? 0.8 : 1,
+      });
+    });
+  }
 
-      svg.appendChild(group);
-      svgStack.appendChild(svg);
+  // Each layer can have its own mask, keyed by layer index
+  updateMaskTargets() {
+    this.maskPanel.setTargets(
+      this.layers.map((layer, i) => ({ id: String(i), name: `Layer ${i + 1}` }))
+    );
+  }
 
-      this.layers[i].svg = svg;
-      this.layers[i].group = group;
-    }
+  getPenWidth() {
+    return (
+      parseFloat(document.getElementById("penDiameterValue").value) || 0.5
+    );
   }
 
   updateLayerControls() {
@@ -475,13 +534,10 @@ class HatchMoireConverter {
     this.layers[layerIndex].color =
       document.getElementById(`layer${layerIndex}Color`).value || "#000000";
 
-    // Update SVG stroke color
-    if (this.layers[layerIndex].group) {
-      this.layers[layerIndex].group.setAttribute(
-        "stroke",
-        this.layers[layerIndex].color
-      );
-    }
+    // Update preview color
+    this.preview.updateLayer(layerIndex, {
+      color: this.layers[layerIndex].color,
+    });
 
     // Only regenerate this specific layer
     this.debouncedGenerateSingleLayer(layerIndex);
@@ -523,9 +579,6 @@ class HatchMoireConverter {
     // Add new layer data to layers array
     const newLayerIndex = this.numLayers - 1;
     this.layers.push({
-      svg: null,
-      group: null,
-      svgContent: "",
       dragLines: [],
       color: this.getLayerColor(newLayerIndex),
       offsetX: 0,
@@ -537,7 +590,8 @@ class HatchMoireConverter {
     });
 
     this.updateLayerControls();
-    this.updateSvgStack();
+    this.updatePreviewLayers();
+    this.updateMaskTargets();
 
     // Restore previous configurations
     currentConfigs.forEach((config, i) => {
@@ -598,7 +652,18 @@ class HatchMoireConverter {
     this.layers.splice(layerIndex, 1);
     this.numLayers--;
     this.updateLayerControls();
-    this.updateSvgStack();
+    this.updatePreviewLayers();
+
+    // Masks of the later layers move down with them
+    const masks = this.maskPanel.getMasks();
+    const shiftedMasks = {};
+    Object.entries(masks).forEach(([target, mask]) => {
+      const index = Number(target);
+      if (target === "all" || index < layerIndex) shiftedMasks[target] = mask;
+      else if (index > layerIndex) shiftedMasks[index - 1] = mask;
+    });
+    this.maskPanel.setMasks(shiftedMasks);
+    this.updateMaskTargets();
 
     // Restore configurations for remaining layers
     currentConfigs.forEach((config, newIndex) => {
@@ -677,25 +742,13 @@ class HatchMoireConverter {
     this.isProcessing = true;
     this.showProgressIndicator(`Regenerating Layer ${layerIndex + 1}...`);
 
-    const baseSettings = {
-      lineSpacing:
-        parseFloat(document.getElementById("baseLineSpacingValue").value) ||
-        0.1,
-      minLineLength:
-        parseFloat(document.getElementById("baseMinLineLengthValue").value) ||
-        2,
-      contrast:
-        parseFloat(document.getElementById("baseContrastValue").value) || 1,
-      maxMergeDistance:
-        parseFloat(
-          document.getElementById("baseMaxMergeDistanceValue").value
-        ) || 2,
-    };
+    const baseSettings = this.getBaseSettings();
 
     try {
       await this.generateLayer(layerIndex, baseSettings);
       this.updateStats();
     } catch (error) {
+      if (WorkerRunner.isCancellation(error)) return;
       console.error(`Error generating layer ${layerIndex}:`, error);
       this.showStatus(`Error generating layer ${layerIndex + 1}`, "error");
     } finally {
@@ -704,11 +757,21 @@ class HatchMoireConverter {
     }
   }
 
+  // Stop the running generation so the next one starts from fresh settings
+  cancelProcessing() {
+    if (this.isProcessing) {
+      this.processingCancelled = true;
+      this.layerWorkers.cancelAll();
+    }
+  }
+
   debouncedGenerateMoire() {
     if (this.debounceTimer) {
       clearTimeout(this.debounceTimer);
     }
+    this.cancelProcessing();
     this.debounceTimer = setTimeout(() => {
+      if (this.preprocessingChanged) this.applyPreprocessing();
       if (this.originalImage) {
         this.generateMoire();
       }
@@ -719,6 +782,7 @@ class HatchMoireConverter {
     if (this.singleLayerDebounceTimer) {
       clearTimeout(this.singleLayerDebounceTimer);
     }
+    this.cancelProcessing();
     this.singleLayerDebounceTimer = setTimeout(() => {
       if (this.originalImage) {
         this.generateSingleLayer(layerIndex);
@@ -784,7 +848,23 @@ class HatchMoireConverter {
     this.originalCtx.drawImage(img, drawX, drawY, drawWidth, drawHeight);
 
     // Get image data for processing (entire canvas including white areas)
-    this.imageData = this.originalCtx.getImageData(0, 0, canvasWidth, canvasHeight);
+    this.sourceImageData = this.originalCtx.getImageData(0, 0, canvasWidth, canvasHeight);
+    this.imageBounds = { x: drawX, y: drawY, width: drawWidth, height: drawHeight };
+    this.applyPreprocessing();
+  }
+
+  // Run the preprocessing chain over the image area and refresh the
+  // before/after thumbnails
+  applyPreprocessing() {
+    this.preprocessingChanged = false;
+    if (!this.sourceImageData) return;
+
+    this.imageData = ImagePreprocessor.apply(
+      this.sourceImageData,
+      this.preprocessPanel.getSteps(),
+      this.imageBounds
+    );
+    this.preprocessPanel.setPreview(this.sourceImageData, this.imageData);
   }
 
   showImageThumbnail(src) {
@@ -808,13 +888,12 @@ class HatchMoireConverter {
     const width = this.getCanvasWidth();
     const height = this.getCanvasHeight();
 
-    this.layers.forEach((layer) => {
-      if (layer.svg) {
-        layer.svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
-        layer.svg.style.width = `${width * 2}px`;
-        layer.svg.style.height = `${height * 2}px`;
-      }
+    this.preview.setViewBox(0, 0, width, height);
+    [this.previewCanvas, this.maskOverlay].forEach((canvas) => {
+      canvas.style.width = `${width * 2}px`;
+      canvas.style.height = `${height * 2}px`;
     });
+    this.maskPanel.drawOverlay();
 
     // Only fit to content on initial setup, not on updates
     if (this.interactiveCanvas && !this.originalImage) {
@@ -831,40 +910,34 @@ class HatchMoireConverter {
 
     try {
       // Clear existing content
-      this.layers.forEach((layer) => {
-        if (layer.group) {
-          layer.group.innerHTML = "";
-        }
-        layer.svgContent = "";
-    layer.dragLines = [];
+      this.layers.forEach((layer, i) => {
+        layer.dragLines = [];
+        this.preview.setLayer(i, { lines: [] });
       });
 
       // Get base pattern settings
-      const baseSettings = {
-        lineSpacing:
-          parseFloat(document.getElementById("baseLineSpacingValue").value) ||
-          0.4,
-        minLineLength:
-          parseFloat(document.getElementById("baseMinLineLengthValue").value) ||
-          2,
-        contrast:
-          parseFloat(document.getElementById("baseContrastValue").value) || 1,
-        maxMergeDistance:
-          parseFloat(
-            document.getElementById("baseMaxMergeDistanceValue").value
-          ) || 2,
-      };
-
-      // Generate each layer
-      for (let i = 0; i < this.layers.length; i++) {
-        if (this.processingCancelled) break;
-
-        await this.generateLayer(i, baseSettings);
-      }
+      const baseSettings = this.getBaseSettings();
+
+      // Generate all layers side by side, one worker each
+      const progress = this.layers.map(() => 0);
+      await Promise.all(
+        this.layers.map((layer, i) =>
+          this.generateLayer(i, baseSettings, (value) => {
+            progress[i] = value;
+            const done = progress.reduce((sum, p) => sum + p, 0);
+            this.showProgressIndicator(
+              `Generating Moiré Effect... ${Math.round(
+                (done / this.layers.length) * 100
+              )}%`
+            );
+          })
+        )
+      );
 
       this.updateStats();
       // Don't reset canvas position/zoom when regenerating
     } catch (error) {
+      if (WorkerRunner.isCancellation(error)) return;
       console.error("Error generating moiré effect:", error);
       this.showStatus("Error generating moiré effect", "error");
     } finally {
@@ -873,44 +946,123 @@ class HatchMoireConverter {
     }
   }
 
-  async generateLayer(layerIndex, baseSettings) {
+  // Settings shared by every layer, from the Base Pattern controls
+  getBaseSettings() {
+    const wave =
+      document.getElementById("baseLineStyle").value === "wave"
+        ? {
+            modulation: document.getElementById("baseWaveModulation").value,
+            amplitude:
+              parseFloat(
+                document.getElementById("baseWaveAmplitudeValue").value
+              ) || 0,
+            wavelength:
+              parseFloat(
+                document.getElementById("baseWaveWavelengthValue").value
+              ) || 2,
+          }
+        : null;
+
+    return {
+      lineSpacing:
+        parseFloat(document.getElementById("baseLineSpacingValue").value) ||
+        0.1,
+      minLineLength:
+        parseFloat(document.getElementById("baseMinLineLengthValue").value) ||
+        2,
+      contrast:
+        parseFloat(document.getElementById("baseContrastValue").value) || 1,
+      maxMergeDistance:
+        parseFloat(
+          document.getElementById("baseMaxMergeDistanceValue").value
+        ) || 2,
+      hatchDirection: document.getElementById("baseHatchDirection").value,
+      flowSmoothing:
+        parseFloat(document.getElementById("baseFlowSmoothingValue").value) ||
+        0,
+      wave,
+    };
+  }
+
+  // Straight hatch lines or continuous wave lines; shows the wave controls
+  setLineStyle(style) {
+    const lineStyle = style === "wave" ? "wave" : "straight";
+    document.getElementById("baseLineStyle").value = lineStyle;
+    document.getElementById("baseWaveControls").style.display =
+      lineStyle === "wave" ? "block" : "none";
+  }
+
+  async generateLayer(layerIndex, baseSettings, onProgress) {
     const layer = this.layers[layerIndex];
-    const canvasWidth = this.getCanvasWidth();
-    const canvasHeight = this.getCanvasHeight();
+    const flow = baseSettings.hatchDirection === "flow";
+    const { width, height } = this.imageData;
 
-    // Convert image to grayscale for this layer
+    // Convert image to grayscale for this layer, faded to white where the
+    // layer is masked out
     const grayData = this.convertToGrayscale(this.imageData);
+    const mask = this.maskPanel.getValues(String(layerIndex), width, height);
+    if (mask) ImageMask.multiplyDarkness(grayData, mask);
 
-    // Generate hatching lines with layer-specific parameters
-    const layerSettings = {
-      lineSpacing: layer.lineSpacing,
-      minLineLength: baseSettings.minLineLength,
-      contrast: baseSettings.contrast,
-      maxMergeDistance: baseSettings.maxMergeDistance,
-      whitePoint: layer.whitePoint,
-      angle: layer.angle,
-      offsetX: layer.offsetX,
-      offsetY: layer.offsetY,
-      skew: layer.skew,
+    // Everything the worker needs as plain data and typed arrays
+    const job = {
+      grayData,
+      imgWidth: width,
+      imgHeight: height,
+      canvasWidth: this.getCanvasWidth(),
+      canvasHeight: this.getCanvasHeight(),
+      pixelsPerMm: this.pixelsPerMm,
+      // Generate hatching lines with layer-specific parameters
+      settings: {
+        lineSpacing: layer.lineSpacing,
+        minLineLength: baseSettings.minLineLength,
+        contrast: baseSettings.contrast,
+        maxMergeDistance: baseSettings.maxMergeDistance,
+        whitePoint: layer.whitePoint,
+        angle: layer.angle,
+        offsetX: layer.offsetX,
+        offsetY: layer.offsetY,
+        skew: layer.skew,
+        // Contour-following lines settle on the layer angle where the image
+        // is flat, so layers still cross and form moiré there
+        luminance: flow ? FlowField.luminance(this.imageData) : null,
+        flowSmoothing: flow ? baseSettings.flowSmoothing : null,
+        // Wave lines instead of on/off hatching (see traceWaveLine)
+        wave: baseSettings.wave,
+      },
     };
+    const transfer = [job.grayData.buffer];
+    if (job.settings.luminance) transfer.push(job.settings.luminance.buffer);
 
-    const lines = await this.generateHatchingLines(
-      grayData,
-      this.imageData.width,
-      this.imageData.height,
-      layerSettings,
-      canvasWidth,
-      canvasHeight
-    );
+    const result = await this.layerWorkers.run(job, { transfer, onProgress });
+    const lines = WorkerRunner.unpackPolylines(result);
 
-    // Convert lines to SVG lines with travel moves shown
-    layer.svgContent = this.linesToSvgWithTravelMoves(lines);
-    layer.dragLines = lines;
+    // Order once so the preview's travel moves match the exported G-code
+    const orderedLines = this.optimizeGcodePath(lines);
 
-    // Update SVG display
-    if (layer.group) {
-      layer.group.innerHTML = layer.svgContent;
-    }
+    layer.dragLines = orderedLines;
+
+    // Update preview; the SVG is built from the same lines on export
+    this.preview.setLayer(layerIndex, {
+      lines: this.getPreviewLines(orderedLines),
+      color: layer.color,
+      lineWidth: this.getPenWidth(),
+    });
+  }
+
+  // Hatch lines for one layer job (see generateLayer) as packed polylines.
+  // Reads nothing from the DOM so it can run in a worker.
+  generateLayerLines(job, onProgress = () => {}) {
+    return WorkerRunner.packPolylines(
+      this.generateHatchingLines(
+        job.grayData,
+        job.imgWidth,
+        job.imgHeight,
+        job.settings,
+        job.canvasWidth,
+        job.canvasHeight,
+        onProgress
+      )
+    );
   }
 
   convertToGrayscale(imageData) {
@@ -929,13 +1081,14 @@ class HatchMoireConverter {
     return grayData;
   }
 
-  async generateHatchingLines(
+  generateHatchingLines(
     grayData,
     imgWidth,
     imgHeight,
     settings,
     canvasWidth,
-    canvasHeight
+    canvasHeight,
+    onProgress = () => {}
   ) {
     const lines = [];
     const pixelsPerMm = this.pixelsPerMm;
@@ -947,6 +1100,63 @@ class HatchMoireConverter {
     // Line spacing in pixels - convert mm to pixels directly like HatchMaker
     const spacingPx = settings.lineSpacing * pixelsPerMm;
 
+    // Transform and add segments
+    const addSegments = (lineSegments) => {
+      lineSegments.forEach((segment) => {
+        if (segment.length >= 2) {
+          const transformedSegment = segment.map((point) => ({
+            x: point.x * scaleX + settings.offsetX,
+            y: point.y * scaleY + settings.offsetY,
+          }));
+
+          // Apply skew if specified
+          if (settings.skew !== 0) {
+            const skewRad = (settings.skew * Math.PI) / 180;
+            transformedSegment.forEach((point) => {
+              const originalX = point.x;
+              point.x = originalX + point.y * Math.tan(skewRad);
+            });
+          }
+
+          lines.push(transformedSegment);
+        }
+      });
+    };
+
+    if (settings.luminance) {
+      const streamlines = FlowField.fromLuminance(
+        settings.luminance,
+        imgWidth,
+        imgHeight,
+        {
+          baseAngle: settings.angle,
+          smoothing: settings.flowSmoothing * pixelsPerMm,
+        }
+      ).streamlines({ separation: spacingPx });
+      for (let lineIndex = 0; lineIndex < streamlines.length; lineIndex++) {
+        addSegments(
+          settings.wave
+            ? this.traceWaveLine(
+                grayData,
+                imgWidth,
+                imgHeight,
+                streamlines[lineIndex],
+                settings
+              )
+            : this.traceFlowLine(
+                grayData,
+                imgWidth,
+                imgHeight,
+                streamlines[lineIndex],
+                settings
+              )
+        );
+
+        if (lineIndex % 50 === 0) onProgress(lineIndex / streamlines.length);
+      }
+      return lines;
+    }
+
     // Calculate line direction
     const angleRad = (settings.angle * Math.PI) / 180;
     const dx = Math.cos(angleRad);
@@ -961,8 +1171,6 @@ class HatchMoireConverter {
     const numLines = Math.ceil((diagonal * 2) / spacingPx); // Double the coverage
 
     for (let lineIndex = 0; lineIndex < numLines; lineIndex++) {
-      if (this.processingCancelled) break;
-
       // Starting point for this line - extend range to cover entire image
       const t = (lineIndex - numLines / 2) * spacingPx;
       const centerX = imgWidth / 2;
@@ -973,42 +1181,34 @@ class HatchMoireConverter {
       const startY = centerY + t * perpDy - diagonal * dy;
 
       // Trace line through image
-      const lineSegments = this.traceLine(
-        grayData,
-        imgWidth,
-        imgHeight,
-        startX,
-        startY,
-        dx,
-        dy,
-        settings
-      );
-
-      // Transform and add segments
-      lineSegments.forEach((segment) => {
-        if (segment.length >= 2) {
-          const transformedSegment = segment.map((point) => ({
-            x: point.x * scaleX + settings.offsetX,
-            y: point.y * scaleY + settings.offsetY,
-          }));
-
-          // Apply skew if specified
-          if (settings.skew !== 0) {
-            const skewRad = (settings.skew * Math.PI) / 180;
-            transformedSegment.forEach((point) => {
-              const originalX = point.x;
-              point.x = originalX + point.y * Math.tan(skewRad);
-            });
-          }
+      const lineSegments = settings.wave
+        ? this.traceWaveLine(
+            grayData,
+            imgWidth,
+            imgHeight,
+            [
+              { x: startX, y: startY },
+              {
+                x: startX + diagonal * 2 * dx,
+                y: startY + diagonal * 2 * dy,
+              },
+            ],
+            settings
+          )
+        : this.traceLine(
+            grayData,
+            imgWidth,
+            imgHeight,
+            startX,
+            startY,
+            dx,
+            dy,
+            settings
+          );
 
-          lines.push(transformedSegment);
-        }
-      });
+      addSegments(lineSegments);
 
-      // Yield control periodically
-      if (lineIndex % 10 === 0) {
-        await new Promise((resolve) => setTimeout(resolve, 0));
-      }
+      if (lineIndex % 50 === 0) onProgress(lineIndex / numLines);
     }
 
     return lines;
@@ -1071,6 +1271,88 @@ class HatchMoireConverter {
     });
   }
 
+  // Like traceLine, but along a curved flow line. Runs keep their points so
+  // the curve survives merging.
+  traceFlowLine(grayData, imgWidth, imgHeight, points, settings) {
+    const runs = [];
+    let currentRun = null;
+
+    points.forEach((point, index) => {
+      const pixelIndex =
+        Math.min(imgHeight - 1, Math.floor(point.y)) * imgWidth +
+        Math.min(imgWidth - 1, Math.floor(point.x));
+      const adjustedGray = Math.pow(
+        grayData[pixelIndex] / 255,
+        1 / settings.contrast
+      );
+
+      if (adjustedGray < 1.0 - settings.whitePoint) {
+        if (!currentRun) {
+          currentRun = {
+            startX: point.x,
+            startY: point.y,
+            startT: index,
+            points: [],
+          };
+          runs.push(currentRun);
+        }
+        currentRun.endX = point.x;
+        currentRun.endY = point.y;
+        currentRun.endT = index;
+        currentRun.points.push({ x: point.x, y: point.y });
+      } else {
+        currentRun = null;
+      }
+    });
+
+    // First apply merging, then filter by minimum length
+    const maxMergeDistancePx = (settings.maxMergeDistance || 2) * this.pixelsPerMm;
+    const minLengthPx = settings.minLineLength * this.pixelsPerMm;
+    return this.mergeCloseSegments(runs, maxMergeDistancePx)
+      .map((run) => run.points)
+      .filter(
+        (segment) =>
+          segment.length >= 2 &&
+          this.calculateSegmentLength(segment) >= minLengthPx
+      );
+  }
+
+  // One continuous squiggle along `points` (see WaveLines), as a list of
+  // at most one segment so it can stand in for traceLine's runs. Amplitude
+  // and wavelength are multiples of the layer's line spacing, so layers
+  // with different spacings keep the same look.
+  traceWaveLine(grayData, imgWidth, imgHeight, points, settings) {
+    const { modulation, amplitude, wavelength } = settings.wave;
+    const spacingPx = settings.lineSpacing * this.pixelsPerMm;
+    const wave = WaveLines.trace(
+      points,
+      (x, y) =>
+        this.sampleIntensity(x, y, grayData, imgWidth, imgHeight, settings),
+      {
+        amplitude: amplitude * spacingPx,
+        wavelength: wavelength * spacingPx,
+        modulation,
+        width: imgWidth,
+        height: imgHeight,
+      }
+    );
+    return wave.length >= 2 ? [wave] : [];
+  }
+
+  // Darkness (0-1) at one pixel after contrast: 0 at the layer's white
+  // point threshold and lighter, 1 at black
+  sampleIntensity(x, y, grayData, imgWidth, imgHeight, settings) {
+    const pixelIndex =
+      Math.min(imgHeight - 1, Math.floor(y)) * imgWidth +
+      Math.min(imgWidth - 1, Math.floor(x));
+    const adjustedGray = Math.pow(
+      grayData[pixelIndex] / 255,
+      1 / settings.contrast
+    );
+    const threshold = 1.0 - settings.whitePoint;
+    return threshold > 0 ? Math.max(0, 1 - adjustedGray / threshold) : 0;
+  }
+
   calculateSegmentLength(segment) {
     let length = 0;
     for (let i = 1; i < segment.length; i++) {
@@ -1131,17 +1413,38 @@ class HatchMoireConverter {
     return svg;
   }
 
+  // Ordered lines as the pen draws them: lines joined by a travel move that
+  // keeps the pen down (see linesToSvgWithTravelMoves) become one polyline
+  getPreviewLines(lines) {
+    const preventZhopDistance = this.getPreventZhopDistance();
+    const strokes = [];
+    let current = null;
+
+    lines.forEach((line) => {
+      if (line.length < 2) return;
+
+      if (current) {
+        const last = current[current.length - 1];
+        const travelDistance = Math.hypot(line[0].x - last.x, line[0].y - last.y);
+        if (travelDistance <= preventZhopDistance) {
+          current.push(...line);
+          return;
+        }
+      }
+      current = [...line];
+      strokes.push(current);
+    });
+    return strokes;
+  }
+
   linesToSvgWithTravelMoves(lines) {
     let svg = "";
     const penWidthMm = parseFloat(document.getElementById("penDiameterValue").value) || 0.5;
-    const preventZhopDistance = 2;
-    
-    // Optimize the path first to maintain smooth travel moves
-    const optimizedLines = this.optimizeGcodePath(lines);
-    
+    const preventZhopDistance = this.getPreventZhopDistance();
     let lastEndPoint = null;
     
-    optimizedLines.forEach((line, index) => {
+    // Lines arrive already ordered by optimizeGcodePath
+    lines.forEach((line, index) => {
       if (line.length >= 2) {
         const startPoint = line[0];
         const endPoint = line[line.length - 1];
@@ -1201,6 +1504,11 @@ class HatchMoireConverter {
         currentSegment.endX = nextSegment.endX;
         currentSegment.endY = nextSegment.endY;
         currentSegment.endT = nextSegment.endT;
+        if (currentSegment.points && nextSegment.points) {
+          currentSegment.points = currentSegment.points.concat(
+            nextSegment.points
+          );
+        }
       } else {
         // Gap is too large, finish current segment and start new one
         mergedSegments.push(currentSegment);
@@ -1215,104 +1523,13 @@ class HatchMoireConverter {
   }
 
   optimizeGcodePath(lines) {
-    if (lines.length === 0) return lines;
-    
-    const optimizedLines = [];
-    const remainingLines = [...lines];
-    let currentPosition = { x: 0, y: 0 }; // Start at origin
-    
-    // Always start with the line closest to origin
-    let closestIndex = 0;
-    let minDistance = Infinity;
-    
-    for (let i = 0; i < remainingLines.length; i++) {
-      const line = remainingLines[i];
-      if (line.length < 2) continue;
-      
-      const startPoint = line[0];
-      const endPoint = line[line.length - 1];
-      
-      // Check distance to both start and end of line
-      const distToStart = Math.sqrt(
-        Math.pow(startPoint.x - currentPosition.x, 2) + 
-        Math.pow(startPoint.y - currentPosition.y, 2)
-      );
-      const distToEnd = Math.sqrt(
-        Math.pow(endPoint.x - currentPosition.x, 2) + 
-        Math.pow(endPoint.y - currentPosition.y, 2)
-      );
-      
-      const minDistToLine = Math.min(distToStart, distToEnd);
-      if (minDistToLine < minDistance) {
-        minDistance = minDistToLine;
-        closestIndex = i;
-      }
-    }
-    
-    // Process lines using nearest neighbor strategy
-    while (remainingLines.length > 0) {
-      const selectedLine = remainingLines[closestIndex];
-      remainingLines.splice(closestIndex, 1);
-      
-      if (selectedLine.length < 2) continue;
-      
-      const startPoint = selectedLine[0];
-      const endPoint = selectedLine[selectedLine.length - 1];
-      
-      // Determine if we should draw the line forward or backward
-      const distToStart = Math.sqrt(
-        Math.pow(startPoint.x - currentPosition.x, 2) + 
-        Math.pow(startPoint.y - currentPosition.y, 2)
-      );
-      const distToEnd = Math.sqrt(
-        Math.pow(endPoint.x - currentPosition.x, 2) + 
-        Math.pow(endPoint.y - currentPosition.y, 2)
-      );
-      
-      let optimizedLine;
-      if (distToStart <= distToEnd) {
-        // Draw line forward (start to end)
-        optimizedLine = [...selectedLine];
-        currentPosition = { x: endPoint.x, y: endPoint.y };
-      } else {
-        // Draw line backward (end to start) 
-        optimizedLine = [...selectedLine].reverse();
-        currentPosition = { x: startPoint.x, y: startPoint.y };
-      }
-      
-      optimizedLines.push(optimizedLine);
-      
-      // Find next closest line
-      if (remainingLines.length > 0) {
-        closestIndex = 0;
-        minDistance = Infinity;
-        
-        for (let i = 0; i < remainingLines.length; i++) {
-          const line = remainingLines[i];
-          if (line.length < 2) continue;
-          
-          const lineStart = line[0];
-          const lineEnd = line[line.length - 1];
-          
-          const distToStart = Math.sqrt(
-            Math.pow(lineStart.x - currentPosition.x, 2) + 
-            Math.pow(lineStart.y - currentPosition.y, 2)
-          );
-          const distToEnd = Math.sqrt(
-            Math.pow(lineEnd.x - currentPosition.x, 2) + 
-            Math.pow(lineEnd.y - currentPosition.y, 2)
-          );
-          
-          const minDistToLine = Math.min(distToStart, distToEnd);
-          if (minDistToLine < minDistance) {
-            minDistance = minDistToLine;
-            closestIndex = i;
-          }
-        }
-      }
-    }
-    
-    return optimizedLines;
+    // Start at the origin, drawing each line in whichever direction is closer
+    return PathOptimizer.orderPolylines(lines, 0, 0);
+  }
+
+  getPreventZhopDistance() {
+    const value = parseFloat(document.getElementById("preventZhopValue").value);
+    return Number.isFinite(value) ? value : 2;
   }
 
   updateStats() {
@@ -1334,11 +1551,11 @@ class HatchMoireConverter {
     svg += `  <rect width="100%" height="100%" fill="white"/>\n`;
 
     this.layers.forEach((layer, index) => {
-      if (layer.svgContent) {
+      if (layer.dragLines.length > 0) {
         svg += `  <g id="layer-${index + 1}" stroke="${
           layer.color
         }" fill="none" stroke-linecap="round" stroke-linejoin="round">\n`;
-        svg += `    ${layer.svgContent}\n`;
+        svg += `    ${this.linesToSvgWithTravelMoves(layer.dragLines)}\n`;
         svg += `  </g>\n`;
       }
     });
@@ -1351,7 +1568,7 @@ class HatchMoireConverter {
 
   downloadIndividualSvgs() {
     this.layers.forEach((layer, index) => {
-      if (layer.svgContent) {
+      if (layer.dragLines.length > 0) {
         const width = this.getCanvasWidth();
         const height = this.getCanvasHeight();
 
@@ -1363,7 +1580,7 @@ class HatchMoireConverter {
         }
 
         svg += `  <g stroke="${layer.color}" fill="none" stroke-linecap="round" stroke-linejoin="round">\n`;
-        svg += `    ${layer.svgContent}\n`;
+        svg += `    ${this.linesToSvgWithTravelMoves(layer.dragLines)}\n`;
         svg += `  </g>\n`;
         svg += `</svg>`;
 
@@ -1375,6 +1592,89 @@ class HatchMoireConverter {
     });
   }
 
+  buildGcodeForLayers(layerIndices) {
+    if (typeof GCodeGenerator === "undefined") {
+      alert("G-code generator not available.");
+      return "";
+    }
+
+    const penDownZ = parseFloat(
+      document.getElementById("penDownZValue").value
+    );
+    const penUpZ = parseFloat(document.getElementById("penUpZValue").value);
+    const arcTolerance = parseFloat(
+      document.getElementById("arcToleranceValue").value
+    );
+    const feedRate = parseFloat(document.getElementById("feedRateValue").value);
+    const pauseBetweenLayers =
+      document.getElementById("pauseBetweenLayers").checked;
+
+    const generator = new GCodeGenerator({
+      feedRate: Number.isFinite(feedRate) && feedRate > 0 ? feedRate : 1500,
+      penDownZ: Number.isFinite(penDownZ) ? penDownZ : 0,
+      penUpZ: Number.isFinite(penUpZ) ? penUpZ : 2,
+      preventZhop: this.getPreventZhopDistance(),
+      arcFitting: document.getElementById("arcFittingEnabled").checked,
+      arcTolerance: arcTolerance > 0 ? arcTolerance : 0.02,
+      toolName: "HatchMoiréMaker",
+      canvasWidth: this.getCanvasWidth(),
+      canvasHeight: this.getCanvasHeight(),
+    });
+
+    generator.beginProgram({
+      headerLines: [
+        `Layers: ${layerIndices.map((index) => index + 1).join(", ")}`,
+      ],
+    });
+
+    let drawnLayers = 0;
+    layerIndices.forEach((layerIndex) => {
+      const layer = this.layers[layerIndex];
+      if (!layer || !layer.dragLines.length) return;
+
+      const label = `Layer ${layerIndex + 1} (${layer.color})`;
+      if (drawnLayers > 0 && pauseBetweenLayers) {
+        generator.pauseProgram(`Change pen for ${label}`);
+      }
+      generator.addComment(`--- ${label} ---`);
+
+      // Same ordering as the preview, so the travel moves shown there match
+      layer.dragLines.forEach((line) => {
+        generator.drawPolyline(line);
+      });
+      generator.ensurePenUp({ force: true });
+      drawnLayers++;
+    });
+
+    if (drawnLayers === 0) return "";
+
+    generator.finishProgram();
+    return generator.toString();
+  }
+
+  downloadCombinedGcode() {
+    const gcode = this.buildGcodeForLayers(this.layers.map((_, index) => index));
+    if (!gcode || !gcode.trim()) {
+      alert("No G-code to export yet. Generate the moiré effect first.");
+      return;
+    }
+
+    const filename = `${this.originalFilename || "hatchmoire"}_combined.gcode`;
+    this.downloadFile(filename, gcode, "text/plain");
+  }
+
+  downloadIndividualGcodes() {
+    this.layers.forEach((layer, index) => {
+      const gcode = this.buildGcodeForLayers([index]);
+      if (!gcode) return;
+
+      const filename = `${this.originalFilename || "hatchmoire"}_layer${
+        index + 1
+      }.gcode`;
+      this.downloadFile(filename, gcode, "text/plain");
+    });
+  }
+
   downloadFile(filename, content, mimeType) {
     const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
@@ -1459,6 +1759,13 @@ class HatchMoireConverter {
 
       // Pen settings
       penDiameter: document.getElementById("penDiameterValue").value,
+      penDownZ: document.getElementById("penDownZValue").value,
+      penUpZ: document.getElementById("penUpZValue").value,
+      preventZhop: document.getElementById("preventZhopValue").value,
+      arcFitting: document.getElementById("arcFittingEnabled").checked,
+      arcTolerance: document.getElementById("arcToleranceValue").value,
+      feedRate: document.getElementById("feedRateValue").value,
+      pauseBetweenLayers: document.getElementById("pauseBetweenLayers").checked,
 
       // Base pattern settings
       baseLineSpacing: document.getElementById("baseLineSpacingValue").value,
@@ -1467,6 +1774,20 @@ class HatchMoireConverter {
       baseContrast: document.getElementById("baseContrastValue").value,
       baseMaxMergeDistance: document.getElementById("baseMaxMergeDistanceValue")
         .value,
+      baseHatchDirection: document.getElementById("baseHatchDirection").value,
+      baseFlowSmoothing: document.getElementById("baseFlowSmoothingValue").value,
+      baseLineStyle: document.getElementById("baseLineStyle").value,
+      baseWaveModulation: document.getElementById("baseWaveModulation").value,
+      baseWaveAmplitude: document.getElementById("baseWaveAmplitudeValue")
+        .value,
+      baseWaveWavelength: document.getElementById("baseWaveWavelengthValue")
+        .value,
+
+      // Preprocessing chain, applied in order before grayscale conversion
+      preprocessing: this.preprocessPanel.getSteps(),
+
+      // Include/exclude masks keyed by layer index, or "all"
+      masks: this.maskPanel.getMasks(),
 
       // Number of layers
       numLayers: this.numLayers,
@@ -1510,6 +1831,17 @@ class HatchMoireConverter {
     // Apply pen settings
     document.getElementById("penDiameterValue").value =
       params.penDiameter || "0.5";
+    document.getElementById("penDownZValue").value = params.penDownZ ?? "0";
+    document.getElementById("penUpZValue").value = params.penUpZ ?? "2";
+    document.getElementById("preventZhopValue").value =
+      params.preventZhop ?? "2";
+    document.getElementById("arcFittingEnabled").checked =
+      params.arcFitting || false;
+    document.getElementById("arcToleranceValue").value =
+      params.arcTolerance ?? "0.02";
+    document.getElementById("feedRateValue").value = params.feedRate ?? "1500";
+    document.getElementById("pauseBetweenLayers").checked =
+      params.pauseBetweenLayers !== false;
 
     // Apply base pattern settings
     document.getElementById("baseLineSpacingValue").value =
@@ -1520,6 +1852,24 @@ class HatchMoireConverter {
       params.baseContrast || "1";
     document.getElementById("baseMaxMergeDistanceValue").value =
       params.baseMaxMergeDistance || "2";
+    document.getElementById("baseHatchDirection").value =
+      params.baseHatchDirection || "straight";
+    document.getElementById("baseFlowSmoothingValue").value =
+      params.baseFlowSmoothing || "2";
+    this.setLineStyle(params.baseLineStyle);
+    document.getElementById("baseWaveModulation").value =
+      WaveLines.normalizeModulation(params.baseWaveModulation);
+    document.getElementById("baseWaveAmplitudeValue").value =
+      params.baseWaveAmplitude ?? "0.45";
+    document.getElementById("baseWaveWavelengthValue").value =
+      params.baseWaveWavelength || "2";
+
+    // Apply preprocessing chain
+    this.preprocessPanel.setSteps(params.preprocessing || []);
+    this.preprocessingChanged = true;
+
+    // Apply masks (older configs have none)
+    this.maskPanel.setMasks(params.masks);
 
     // Apply number of layers (if different, rebuild layer controls)
     if (params.numLayers !== this.numLayers) {
@@ -1655,6 +2005,13 @@ class HatchMoireConverter {
 }
 
 // Initialize the converter when the page loads
-document.addEventListener("DOMContentLoaded", () => {
-  window.hatchMoireConverter = new HatchMoireConverter();
-});
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", () => {
+    window.hatchMoireConverter = new HatchMoireConverter();
+  });
+}
+
+// Export for headless use (tests)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HatchMoireConverter;
+}
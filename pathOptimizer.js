@@ -0,0 +1,516 @@
+(function (global) {
+  const DEFAULT_TIME_BUDGET_MS = 250;
+  const NEIGHBOUR_COUNT = 8;
+  const MAX_OR_OPT_CHAIN = 3;
+  const EPSILON = 1e-9;
+
+  const now = () =>
+    typeof performance !== "undefined" ? performance.now() : Date.now();
+
+  // Uniform grid over endpoints for nearest-neighbour lookups. Point `id`
+  // lives at coords[2 * id], coords[2 * id + 1]; points can be removed as
+  // the greedy pass consumes them.
+  class PointGrid {
+    constructor(coords, ids) {
+      this.coords = coords;
+      this.remaining = ids.length;
+
+      let minX = Infinity;
+      let minY = Infinity;
+      let maxX = -Infinity;
+      let maxY = -Infinity;
+      ids.forEach((id) => {
+        const x = coords[2 * id];
+        const y = coords[2 * id + 1];
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+      });
+
+      const width = Math.max(maxX - minX, EPSILON);
+      const height = Math.max(maxY - minY, EPSILON);
+      const count = Math.max(1, ids.length);
+      // Aim for about two points per cell without letting thin inputs
+      // (e.g. all points on one line) explode the number of cells
+      let cellSize = Math.sqrt((width * height * 2) / count);
+      cellSize = Math.max(cellSize, Math.max(width, height) / (count * 2), EPSILON);
+
+      this.minX = minX;
+      this.minY = minY;
+      this.cellSize = cellSize;
+      this.cols = Math.min(Math.floor(width / cellSize) + 1, 4096);
+      this.rows = Math.min(Math.floor(height / cellSize) + 1, 4096);
+
+      const cellTotal = this.cols * this.rows;
+      const pointTotal = coords.length / 2;
+      this.cellStart = new Int32Array(cellTotal + 1);
+      this.cellCount = new Int32Array(cellTotal);
+      this.items = new Int32Array(ids.length);
+      this.slot = new Int32Array(pointTotal).fill(-1);
+      this.cellOf = new Int32Array(pointTotal).fill(-1);
+
+      ids.forEach((id) => {
+        const cell = this.cellIndex(coords[2 * id], coords[2 * id + 1]);
+        this.cellOf[id] = cell;
+        this.cellCount[cell]++;
+      });
+      for (let cell = 0; cell < cellTotal; cell++) {
+        this.cellStart[cell + 1] = this.cellStart[cell] + this.cellCount[cell];
+      }
+      const fill = new Int32Array(cellTotal);
+      ids.forEach((id) => {
+        const cell = this.cellOf[id];
+        const index = this.cellStart[cell] + fill[cell]++;
+        this.items[index] = id;
+        this.slot[id] = index;
+      });
+    }
+
+    column(x) {
+      const column = Math.floor((x - this.minX) / this.cellSize);
+      return Math.max(0, Math.min(this.cols - 1, column));
+    }
+
+    row(y) {
+      const row = Math.floor((y - this.minY) / this.cellSize);
+      return Math.max(0, Math.min(this.rows - 1, row));
+    }
+
+    cellIndex(x, y) {
+      return this.row(y) * this.cols + this.column(x);
+    }
+
+    remove(id) {
+      const cell = this.cellOf[id];
+      if (cell < 0 || this.slot[id] < 0) return;
+      const last = this.cellStart[cell] + this.cellCount[cell] - 1;
+      const index = this.slot[id];
+      const moved = this.items[last];
+      this.items[index] = moved;
+      this.slot[moved] = index;
+      this.items[last] = id;
+      this.slot[id] = -1;
+      this.cellCount[cell]--;
+      this.remaining--;
+    }
+
+    // Visits cells ring by ring around (x, y). `visit(id)` is called for every
+    // live point; `done(ring)` decides when nothing closer can remain.
+    scanRings(x, y, visit, done) {
+      const column = this.column(x);
+      const row = this.row(y);
+      const maxRing = Math.max(this.cols, this.rows);
+
+      for (let ring = 0; ring <= maxRing; ring++) {
+        const top = row - ring;
+        const bottom = row + ring;
+        for (let r = Math.max(0, top); r <= Math.min(this.rows - 1, bottom); r++) {
+          const edgeRow = r === top || r === bottom;
+          const step = edgeRow ? 1 : 2 * ring;
+          for (let c = column - ring; c <= column + ring; c += Math.max(1, step)) {
+            if (c < 0 || c >= this.cols) continue;
+            const cell = r * this.cols + c;
+            const start = this.cellStart[cell];
+            const end = start + this.cellCount[cell];
+            for (let i = start; i < end; i++) visit(this.items[i]);
+          }
+        }
+        if (done(ring)) return;
+      }
+    }
+
+    distanceTo(id, x, y) {
+      const dx = this.coords[2 * id] - x;
+      const dy = this.coords[2 * id + 1] - y;
+      return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    nearest(x, y) {
+      if (this.remaining <= 0) return -1;
+      let best = -1;
+      let bestDistance = Infinity;
+      this.scanRings(
+        x,
+        y,
+        (id) => {
+          const distance = this.distanceTo(id, x, y);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            best = id;
+          }
+        },
+        (ring) => best >= 0 && bestDistance <= ring * this.cellSize
+      );
+      return best;
+    }
+
+    // Up to `k` nearest points, skipping any for which `exclude(id)` is true
+    nearestK(x, y, k, exclude) {
+      const found = [];
+      this.scanRings(
+        x,
+        y,
+        (id) => {
+          if (exclude(id)) return;
+          const distance = this.distanceTo(id, x, y);
+          if (found.length === k && distance >= found[k - 1].distance) return;
+          let index = found.length;
+          while (index > 0 && found[index - 1].distance > distance) index--;
+          found.splice(index, 0, { id, distance });
+          if (found.length > k) found.pop();
+        },
+        (ring) => found.length === k && found[k - 1].distance <= ring * this.cellSize
+      );
+      return found.map((entry) => entry.id);
+    }
+  }
+
+  // Orders paths to keep pen-up travel short. A greedy nearest-neighbour pass
+  // (backed by a spatial grid, so it stays fast on 100k+ paths) builds the
+  // route, then 2-opt and Or-opt moves improve it until `timeBudget` runs out.
+  // Paths may be drawn in either direction when `reverse` is given.
+  class PathOptimizer {
+    static order(items, options = {}) {
+      if (!Array.isArray(items) || items.length === 0) return [];
+
+      const { getStart, getEnd } = options;
+      const reverse = typeof options.reverse === "function" ? options.reverse : null;
+      const startX = Number.isFinite(options.startX) ? options.startX : 0;
+      const startY = Number.isFinite(options.startY) ? options.startY : 0;
+      const timeBudget = Number.isFinite(options.timeBudget)
+        ? options.timeBudget
+        : DEFAULT_TIME_BUDGET_MS;
+      const deadline = now() + Math.max(0, timeBudget);
+
+      // Point 2i is the start of item i and point 2i + 1 its end
+      const count = items.length;
+      const coords = new Float64Array(count * 4);
+      items.forEach((item, index) => {
+        const start = getStart(item);
+        const end = getEnd(item);
+        coords[4 * index] = start.x;
+        coords[4 * index + 1] = start.y;
+        coords[4 * index + 2] = end.x;
+        coords[4 * index + 3] = end.y;
+      });
+
+      const route = new Route(coords, count, startX, startY, Boolean(reverse));
+      route.buildGreedy();
+      if (options.improve !== false) route.improve(deadline);
+
+      return route.tour.map((index) =>
+        route.flipped[index] ? reverse(items[index]) : items[index]
+      );
+    }
+
+    // Segments are { x1, y1, x2, y2, ... }; reversed copies swap the ends
+    static orderSegments(segments, startX = 0, startY = 0, options = {}) {
+      if (!Array.isArray(segments)) return [];
+      const valid = segments.filter(
+        (segment) =>
+          segment &&
+          Number.isFinite(segment.x1) &&
+          Number.isFinite(segment.y1) &&
+          Number.isFinite(segment.x2) &&
+          Number.isFinite(segment.y2)
+      );
+      return PathOptimizer.order(valid, {
+        getStart: (segment) => ({ x: segment.x1, y: segment.y1 }),
+        getEnd: (segment) => ({ x: segment.x2, y: segment.y2 }),
+        reverse: (segment) => ({
+          ...segment,
+          x1: segment.x2,
+          y1: segment.y2,
+          x2: segment.x1,
+          y2: segment.y1,
+        }),
+        startX,
+        startY,
+        ...options,
+      });
+    }
+
+    // Polylines are arrays of { x, y }; ones with fewer than two points are dropped
+    static orderPolylines(polylines, startX = 0, startY = 0, options = {}) {
+      if (!Array.isArray(polylines)) return [];
+      const valid = polylines.filter(
+        (polyline) => Array.isArray(polyline) && polyline.length >= 2
+      );
+      return PathOptimizer.order(valid, {
+        getStart: (polyline) => polyline[0],
+        getEnd: (polyline) => polyline[polyline.length - 1],
+        reverse: (polyline) => [...polyline].reverse(),
+        startX,
+        startY,
+        ...options,
+      });
+    }
+
+    // Points ({ x, y }) in visiting order, e.g. stipple dots to tap one
+    // after another or to join into one continuous line
+    static orderPoints(points, startX = 0, startY = 0, options = {}) {
+      if (!Array.isArray(points)) return [];
+      const valid = points.filter(
+        (point) => point && Number.isFinite(point.x) && Number.isFinite(point.y)
+      );
+      return PathOptimizer.order(valid, {
+        getStart: (point) => point,
+        getEnd: (point) => point,
+        startX,
+        startY,
+        ...options,
+      });
+    }
+
+    // Total pen-up distance of an ordering, starting from (startX, startY)
+    static travelDistance(items, getStart, getEnd, startX = 0, startY = 0) {
+      let x = startX;
+      let y = startY;
+      let total = 0;
+      (items || []).forEach((item) => {
+        const start = getStart(item);
+        const end = getEnd(item);
+        total += Math.hypot(start.x - x, start.y - y);
+        x = end.x;
+        y = end.y;
+      });
+      return total;
+    }
+  }
+
+  // An open route through every item, stored as a tour of item indices plus a
+  // per-item flag for items drawn end-to-start.
+  class Route {
+    constructor(coords, count, startX, startY, reversible) {
+      this.coords = coords;
+      this.count = count;
+      this.startX = startX;
+      this.startY = startY;
+      this.reversible = reversible;
+      this.tour = [];
+      this.flipped = new Uint8Array(count);
+      this.position = new Int32Array(count);
+      this.neighbours = new Array(count * 2);
+      this.grid = null;
+    }
+
+    buildGreedy() {
+      const ids = [];
+      for (let index = 0; index < this.count; index++) {
+        ids.push(2 * index);
+        if (this.reversible) ids.push(2 * index + 1);
+      }
+      const grid = new PointGrid(this.coords, ids);
+
+      let x = this.startX;
+      let y = this.startY;
+      while (grid.remaining > 0) {
+        const point = grid.nearest(x, y);
+        const index = point >> 1;
+        const flipped = point & 1;
+        grid.remove(2 * index);
+        if (this.reversible) grid.remove(2 * index + 1);
+
+        this.flipped[index] = flipped;
+        this.position[index] = this.tour.length;
+        this.tour.push(index);
+
+        const exit = 2 * index + (1 - flipped);
+        x = this.coords[2 * exit];
+        y = this.coords[2 * exit + 1];
+      }
+    }
+
+    startPoint(index) {
+      return 2 * index + this.flipped[index];
+    }
+
+    endPoint(index) {
+      return 2 * index + 1 - this.flipped[index];
+    }
+
+    // Distance between two points; -1 stands for the route's starting position
+    distance(a, b) {
+      const ax = a < 0 ? this.startX : this.coords[2 * a];
+      const ay = a < 0 ? this.startY : this.coords[2 * a + 1];
+      const bx = b < 0 ? this.startX : this.coords[2 * b];
+      const by = b < 0 ? this.startY : this.coords[2 * b + 1];
+      const dx = ax - bx;
+      const dy = ay - by;
+      return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    // End point of the item at `position`, or the starting position before it
+    exitBefore(position) {
+      return position <= 0 ? -1 : this.endPoint(this.tour[position - 1]);
+    }
+
+    entryAt(position) {
+      return this.startPoint(this.tour[position]);
+    }
+
+    exitAt(position) {
+      return this.endPoint(this.tour[position]);
+    }
+
+    neighboursOf(point) {
+      if (!this.neighbours[point]) {
+        if (!this.grid) {
+          const ids = [];
+          for (let id = 0; id < this.count * 2; id++) ids.push(id);
+          this.grid = new PointGrid(this.coords, ids);
+        }
+        const item = point >> 1;
+        this.neighbours[point] = this.grid.nearestK(
+          this.coords[2 * point],
+          this.coords[2 * point + 1],
+          NEIGHBOUR_COUNT,
+          (id) => id >> 1 === item
+        );
+      }
+      return this.neighbours[point];
+    }
+
+    improve(deadline) {
+      if (this.count < 3) return;
+      let improved = true;
+      while (improved && now() < deadline) {
+        improved = false;
+        for (let position = 0; position < this.count; position++) {
+          if ((position & 31) === 0 && now() >= deadline) return;
+          if (this.reversible && this.tryTwoOpt(position)) improved = true;
+          if (this.tryOrOpt(position)) improved = true;
+        }
+      }
+    }
+
+    // Reversing positions first..last replaces the travels into and out of
+    // that block; every item in it is then drawn the other way round.
+    twoOptGain(first, last) {
+      const before = this.exitBefore(first);
+      let gain = this.distance(before, this.entryAt(first)) - this.distance(before, this.exitAt(last));
+      if (last < this.count - 1) {
+        const after = this.entryAt(last + 1);
+        gain += this.distance(this.exitAt(last), after) - this.distance(this.entryAt(first), after);
+      }
+      return gain;
+    }
+
+    reverseBlock(first, last) {
+      for (let i = first, j = last; i <= j; i++, j--) {
+        const a = this.tour[i];
+        const b = this.tour[j];
+        this.tour[i] = b;
+        this.tour[j] = a;
+        this.flipped[b] ^= 1;
+        if (a !== b) this.flipped[a] ^= 1;
+        this.position[b] = i;
+        this.position[a] = j;
+      }
+    }
+
+    tryTwoOpt(position) {
+      // Bring an item whose end lies near the previous exit to this position
+      if (position > 0) {
+        const anchor = this.exitBefore(position);
+        for (const point of this.neighboursOf(anchor)) {
+          const item = point >> 1;
+          const last = this.position[item];
+          if (last < position || point !== this.endPoint(item)) continue;
+          if (this.twoOptGain(position, last) > EPSILON) {
+            this.reverseBlock(position, last);
+            return true;
+          }
+        }
+      }
+
+      // Or end an earlier block next to this item's entry
+      const anchor = this.entryAt(position);
+      for (const point of this.neighboursOf(anchor)) {
+        const item = point >> 1;
+        const first = this.position[item];
+        if (first >= position || point !== this.startPoint(item)) continue;
+        if (this.twoOptGain(first, position - 1) > EPSILON) {
+          this.reverseBlock(first, position - 1);
+          return true;
+        }
+      }
+      return false;
+    }
+
+    // Cost of placing a chain (entering at `entry`, leaving at `exit`) right
+    // after `position` (-1 for the very beginning of the route)
+    insertionCost(position, entry, exit) {
+      const before = position < 0 ? -1 : this.exitAt(position);
+      let cost = this.distance(before, entry);
+      if (position + 1 < this.count) {
+        const after = this.entryAt(position + 1);
+        cost += this.distance(exit, after) - this.distance(before, after);
+      }
+      return cost;
+    }
+
+    tryOrOpt(position) {
+      for (let length = 1; length <= MAX_OR_OPT_CHAIN; length++) {
+        const last = position + length - 1;
+        if (last >= this.count) return false;
+
+        const entry = this.entryAt(position);
+        const exit = this.exitAt(last);
+        const before = this.exitBefore(position);
+        let removalGain = this.distance(before, entry);
+        if (last + 1 < this.count) {
+          const after = this.entryAt(last + 1);
+          removalGain += this.distance(exit, after) - this.distance(before, after);
+        }
+
+        // Slots are "after position p"; the chain's own neighbours are excluded
+        const candidates = [];
+        const addSlot = (slot, reversed) => {
+          if (slot >= position - 1 && slot <= last) return;
+          candidates.push({ slot, reversed });
+        };
+        for (const point of this.neighboursOf(entry)) {
+          const item = point >> 1;
+          if (point === this.endPoint(item)) addSlot(this.position[item], false);
+          else if (this.reversible) addSlot(this.position[item] - 1, true);
+        }
+        for (const point of this.neighboursOf(exit)) {
+          const item = point >> 1;
+          if (point === this.startPoint(item)) addSlot(this.position[item] - 1, false);
+          else if (this.reversible) addSlot(this.position[item], true);
+        }
+
+        for (const { slot, reversed } of candidates) {
+          const cost = reversed
+            ? this.insertionCost(slot, exit, entry)
+            : this.insertionCost(slot, entry, exit);
+          if (removalGain - cost > EPSILON) {
+            this.moveChain(position, last, slot, reversed);
+            return true;
+          }
+        }
+      }
+      return false;
+    }
+
+    moveChain(first, last, slot, reversed) {
+      const chain = this.tour.splice(first, last - first + 1);
+      if (reversed) {
+        chain.reverse();
+        chain.forEach((item) => {
+          this.flipped[item] ^= 1;
+        });
+      }
+      const insertAt = slot > last ? slot - chain.length + 1 : slot + 1;
+      this.tour.splice(insertAt, 0, ...chain);
+
+      const from = Math.min(first, insertAt);
+      const to = Math.min(this.count - 1, Math.max(last, slot));
+      for (let i = from; i <= to; i++) this.position[this.tour[i]] = i;
+    }
+  }
+
+  global.PathOptimizer = PathOptimizer;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -14,8 +14,24 @@ class PipeMazeGenerator {
       penDiameter: 0.5,
       showSolution: false,
       showRawPath: false,
+      penDownZ: 0,
+      penUpZ: 2,
+      preventZhop: 0.5,
+      feedRate: 1500,
+      pauseBetweenLayers: true,
+      arcFitting: false,
+      arcTolerance: 0.02,
     };
 
+    // Numeric G-code settings, each bound to an input with id `${name}Value`
+    this.gcodeNumberSettings = [
+      "penDownZ",
+      "penUpZ",
+      "preventZhop",
+      "feedRate",
+      "arcTolerance",
+    ];
+
     this.layers = [];
     this.currentLayerId = null;
     this.layerIdCounter = 1;
@@ -267,6 +283,27 @@ class PipeMazeGenerator {
       });
     }
 
+    // G-code settings
+    this.gcodeNumberSettings.forEach((setting) => {
+      document
+        .getElementById(setting + "Value")
+        .addEventListener("input", (e) => {
+          this.settings[setting] = parseFloat(e.target.value);
+        });
+    });
+
+    document
+      .getElementById("pauseBetweenLayersCheckbox")
+      .addEventListener("change", (e) => {
+        this.settings.pauseBetweenLayers = e.target.checked;
+      });
+
+    document
+      .getElementById("arcFittingCheckbox")
+      .addEventListener("change", (e) => {
+        this.settings.arcFitting = e.target.checked;
+      });
+
     // Show solution checkbox
     document
       .getElementById("showSolutionCheckbox")
@@ -383,11 +420,37 @@ class PipeMazeGenerator {
         this.downloadSVG(true);
       });
 
+    // G-code downloads
+    document
+      .getElementById("gcodeDownloadBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        const dropdown = document.getElementById("gcodeDropdown");
+        dropdown.style.display =
+          dropdown.style.display === "block" ? "none" : "block";
+      });
+
+    document
+      .getElementById("downloadGcodeBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadGcode(false);
+      });
+
+    document
+      .getElementById("downloadIndividualGcodeBtn")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.downloadGcode(true);
+      });
+
     // Close dropdowns when clicking outside
     document.addEventListener("click", (e) => {
       if (!e.target.closest(".download-dropdown")) {
         const svgDropdown = document.getElementById("svgDropdown");
         if (svgDropdown) svgDropdown.style.display = "none";
+        const gcodeDropdown = document.getElementById("gcodeDropdown");
+        if (gcodeDropdown) gcodeDropdown.style.display = "none";
       }
     });
   }
@@ -415,6 +478,17 @@ class PipeMazeGenerator {
 
   // Maze Generation Algorithm - Walking Fill Algorithm
   generateMaze() {
+    this.buildMaze();
+
+    // Render the maze
+    this.renderMaze();
+
+    this.updateMazeInfo();
+  }
+
+  // Fills this.maze from the current settings; deterministic for a given seed
+  // and independent of the DOM
+  buildMaze() {
     this.seedRandom(this.settings.seed);
 
     const size = this.settings.gridSize;
@@ -439,11 +513,6 @@ class PipeMazeGenerator {
 
     // Determine pipe types for each cell
     this.determinePipeTypes();
-
-    // Render the maze
-    this.renderMaze();
-
-    this.updateMazeInfo();
   }
 
   generateWalkingFillMaze() {
@@ -965,6 +1034,8 @@ class PipeMazeGenerator {
     let pathClass = "maze-pipe";
     if (this.currentLayerId) {
       pathClass += ` maze-pipe-${this.currentLayerId}`;
+      // The layer style sets the pen width for simulated ink
+      group.setAttribute("class", "ink-pen");
     }
     path.setAttribute("class", pathClass);
 
@@ -1007,6 +1078,7 @@ class PipeMazeGenerator {
           stroke: ${layer.color};
           fill: none;
           stroke-width: ${actualStrokeWidth}px;
+          --ink-pen-width: ${actualStrokeWidth}px;
           stroke-linecap: round;
           stroke-linejoin: round;
         }
@@ -1650,6 +1722,17 @@ class PipeMazeGenerator {
     this.settings.showRawPath = document.getElementById(
       "showRawPathCheckbox"
     ).checked;
+    this.gcodeNumberSettings.forEach((setting) => {
+      const value = parseFloat(
+        document.getElementById(setting + "Value").value
+      );
+      if (Number.isFinite(value)) this.settings[setting] = value;
+    });
+    this.settings.pauseBetweenLayers = document.getElementById(
+      "pauseBetweenLayersCheckbox"
+    ).checked;
+    this.settings.arcFitting =
+      document.getElementById("arcFittingCheckbox").checked;
 
     this.updatePlacementControls();
     this.updateManualPlacementLimits();
@@ -1692,6 +1775,14 @@ class PipeMazeGenerator {
         this.settings.showSolution;
       document.getElementById("showRawPathCheckbox").checked =
         this.settings.showRawPath;
+      this.gcodeNumberSettings.forEach((setting) => {
+        document.getElementById(setting + "Value").value =
+          this.settings[setting];
+      });
+      document.getElementById("pauseBetweenLayersCheckbox").checked =
+        this.settings.pauseBetweenLayers !== false;
+      document.getElementById("arcFittingCheckbox").checked =
+        this.settings.arcFitting === true;
     }
 
     if (config.layers) {
@@ -1815,6 +1906,124 @@ class PipeMazeGenerator {
   }
 
 
+  downloadGcode(individual) {
+    if (!this.maze) {
+      alert("Please generate a maze first");
+      return;
+    }
+
+    const visibleLayers = this.layers.filter((layer) => layer.visible);
+    if (individual) {
+      visibleLayers.forEach((layer) => {
+        this.downloadFile(
+          `pipe-maze-${layer.name.replace(/\s+/g, "-").toLowerCase()}.gcode`,
+          this.generateGcode([layer]),
+          "text/plain"
+        );
+      });
+    } else {
+      this.downloadFile(
+        "pipe-maze-combined.gcode",
+        this.generateGcode(visibleLayers),
+        "text/plain"
+      );
+    }
+  }
+
+  // Flattens every pipe cell into millimeter polylines, applying the same
+  // translate/scale/rotate chain the SVG export writes as a transform.
+  getMazePolylines() {
+    const size = this.settings.gridSize;
+    const cellSize = this.settings.canvasWidth / size;
+    const scale = cellSize / 200;
+    const polylines = [];
+
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const cell = this.maze[y][x];
+        if (!cell.visited || !cell.type) continue;
+
+        const pipeSection = this.pipeSections[cell.type];
+        if (!pipeSection) continue;
+
+        const rotation = this.calculatePipeRotation(
+          cell.connections,
+          cell.type
+        );
+        const matrix = SvgPathFlattener.multiply(
+          SvgPathFlattener.translate(x * cellSize, y * cellSize),
+          SvgPathFlattener.multiply(
+            SvgPathFlattener.scale(scale),
+            SvgPathFlattener.rotate(rotation, 100, 100)
+          )
+        );
+
+        polylines.push(
+          ...SvgPathFlattener.flattenPathData(pipeSection.path, {
+            matrix,
+            tolerance: 0.05,
+          })
+        );
+      }
+    }
+
+    return polylines;
+  }
+
+  generateGcode(layers) {
+    if (
+      typeof GCodeGenerator === "undefined" ||
+      typeof SvgPathFlattener === "undefined"
+    ) {
+      alert("G-code generator not available.");
+      return "";
+    }
+
+    const generator = new GCodeGenerator({
+      toolName: "Pipe Maze",
+      canvasWidth: this.settings.canvasWidth,
+      canvasHeight: this.settings.canvasHeight,
+      feedRate: Number.isFinite(this.settings.feedRate)
+        ? this.settings.feedRate
+        : 1500,
+      penDownZ: Number.isFinite(this.settings.penDownZ)
+        ? this.settings.penDownZ
+        : 0,
+      penUpZ: Number.isFinite(this.settings.penUpZ) ? this.settings.penUpZ : 2,
+      preventZhop: Number.isFinite(this.settings.preventZhop)
+        ? this.settings.preventZhop
+        : 0.5,
+      arcFitting: this.settings.arcFitting === true,
+      arcTolerance:
+        this.settings.arcTolerance > 0 ? this.settings.arcTolerance : 0.02,
+    });
+
+    generator.beginProgram({
+      headerLines: [
+        `Seed: ${this.settings.seed}, grid: ${this.settings.gridSize}x${this.settings.gridSize}`,
+        `Layers: ${layers.map((layer) => layer.name).join(", ")}`,
+      ],
+    });
+
+    const mazePolylines = this.getMazePolylines();
+    layers.forEach((layer, index) => {
+      if (index > 0 && this.settings.pauseBetweenLayers) {
+        generator.pauseProgram(`Change pen for ${layer.name} (${layer.color})`);
+      }
+      generator.addComment(`--- ${layer.name} (${layer.color}) ---`);
+
+      GCodeGenerator.optimizePolylineOrder(
+        mazePolylines,
+        generator.currentX,
+        generator.currentY
+      ).forEach((polyline) => generator.drawPolyline(polyline));
+      generator.ensurePenUp({ force: true });
+    });
+
+    generator.finishProgram();
+    return generator.toString();
+  }
+
   downloadFile(filename, content, mimeType) {
     const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
@@ -2075,6 +2284,13 @@ class PipeMazeGenerator {
 }
 
 // Initialize the application
-document.addEventListener("DOMContentLoaded", () => {
-  new PipeMazeGenerator();
-});
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", () => {
+    new PipeMazeGenerator();
+  });
+}
+
+// Export for headless use (tests)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = PipeMazeGenerator;
+}
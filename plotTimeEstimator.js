@@ -0,0 +1,356 @@
+(function (global) {
+  const DEFAULT_JUNCTION_DEVIATION = 0.01;
+  const PEN_COMMANDS = new Set(["M3", "M4", "M5", "M280"]);
+
+  // Estimates how long a G-code program takes to plot. Moves are planned the
+  // way GRBL/Marlin do it: each move accelerates and decelerates with a
+  // trapezoidal speed profile, and the speed carried through a corner is
+  // limited by the junction deviation. Pen lifts, pen commands and G4 dwells
+  // bring the machine to a stop. G0 moves count as travel, G1/G2/G3 as drawing.
+  // Lines are tokenised with GCodeParser, so gcodeParser.js must be loaded first.
+  class PlotTimeEstimator {
+    constructor(options = {}) {
+      const defaults = {
+        feedRate: 1500, // mm/min, used until the program sets F
+        travelRate: 3000, // mm/min for G0 moves
+        acceleration: 500, // mm/s², 0 disables acceleration modelling
+        penLiftTime: 0.2, // seconds per pen lift or lower
+        junctionDeviation: DEFAULT_JUNCTION_DEVIATION,
+        dwellUnits: "seconds", // how G4 P is read, matching GCodeGenerator
+      };
+      this.options = { ...defaults };
+      Object.keys(options).forEach((key) => {
+        if (options[key] !== undefined && options[key] !== null) {
+          this.options[key] = options[key];
+        }
+      });
+    }
+
+    // Estimates a generator's program, reporting a total for every section
+    // started with generator.beginSection(). Lines before the first section
+    // (units, homing, first pen up) only count towards the overall total.
+    static fromGenerator(generator, options = {}) {
+      generator.flushPendingDraws();
+      const estimator = new PlotTimeEstimator({
+        feedRate: generator.options.feedRate,
+        dwellUnits: generator.options.dwellUnits,
+        ...options,
+      });
+      return estimator.estimate(generator.commands, generator.sections || []);
+    }
+
+    estimate(lines, sections = []) {
+      const buckets = [PlotTimeEstimator.createTotals("Setup")];
+      const sectionStarts = [...sections].sort((a, b) => a.commandIndex - b.commandIndex);
+      let nextSection = 0;
+
+      const state = {
+        unitScale: 1,
+        x: 0,
+        y: 0,
+        z: null,
+        motion: "G0",
+        relative: false,
+        feedRate: Number(this.options.feedRate) || 1500,
+      };
+      const run = [];
+
+      const flushRun = () => {
+        this.planRun(run);
+        run.forEach((block) => {
+          const totals = buckets[block.bucket];
+          if (block.travel) {
+            totals.travelTime += block.time;
+            totals.travelDistance += block.length;
+          } else {
+            totals.drawTime += block.time;
+            totals.drawDistance += block.length;
+          }
+        });
+        run.length = 0;
+      };
+
+      (lines || []).forEach((rawLine, index) => {
+        while (nextSection < sectionStarts.length && sectionStarts[nextSection].commandIndex <= index) {
+          buckets.push(PlotTimeEstimator.createTotals(sectionStarts[nextSection].name));
+          nextSection++;
+        }
+        const bucket = buckets.length - 1;
+        const words = GCodeParser.parseLine(rawLine);
+        if (!words.length) return;
+
+        const codes = words.filter((word) => word.letter === "G" || word.letter === "M");
+        const value = (letter) => {
+          const word = words.find((item) => item.letter === letter);
+          return word ? word.value : undefined;
+        };
+
+        let motion = null;
+        codes.forEach((word) => {
+          const code = `${word.letter}${word.value}`;
+          if (code === "G20") state.unitScale = 25.4;
+          else if (code === "G21") state.unitScale = 1;
+          else if (code === "G90") state.relative = false;
+          else if (code === "G91") state.relative = true;
+          else if (["G0", "G1", "G2", "G3"].includes(code)) motion = code;
+        });
+
+        const f = value("F");
+        if (f !== undefined && f > 0) {
+          state.feedRate = f * state.unitScale;
+        }
+
+        const gCode = codes.find((word) => word.letter === "G");
+        if (gCode && gCode.value === 4) {
+          flushRun();
+          buckets[bucket].dwellTime += this.dwellSeconds(value("P"), value("S"));
+          return;
+        }
+        if (gCode && gCode.value === 28) {
+          // Homing time depends on the machine; only the new position matters
+          flushRun();
+          state.x = 0;
+          state.y = 0;
+          return;
+        }
+
+        const mCode = codes.find((word) => word.letter === "M");
+        if (mCode) {
+          const code = `M${mCode.value}`;
+          if (PEN_COMMANDS.has(code)) {
+            flushRun();
+            buckets[bucket].penTime += Number(this.options.penLiftTime) || 0;
+            buckets[bucket].penActions += 1;
+          } else if (code === "M0" || code === "M1") {
+            flushRun();
+            buckets[bucket].pauses += 1;
+          }
+          return;
+        }
+
+        if (motion) state.motion = motion;
+
+        const x = value("X");
+        const y = value("Y");
+        const z = value("Z");
+        const hasXY = x !== undefined || y !== undefined;
+
+        if (!hasXY) {
+          if (z !== undefined) {
+            // A Z-only move is a pen lift or lower
+            const targetZ = state.relative ? (state.z || 0) + z * state.unitScale : z * state.unitScale;
+            if (state.z === null || Math.abs(targetZ - state.z) > 1e-9) {
+              flushRun();
+              buckets[bucket].penTime += Number(this.options.penLiftTime) || 0;
+              buckets[bucket].penActions += 1;
+            }
+            state.z = targetZ;
+          }
+          return;
+        }
+
+        const scale = state.unitScale;
+        const targetX = x === undefined ? state.x : state.relative ? state.x + x * scale : x * scale;
+        const targetY = y === undefined ? state.y : state.relative ? state.y + y * scale : y * scale;
+        if (z !== undefined) {
+          state.z = state.relative ? (state.z || 0) + z * scale : z * scale;
+        }
+
+        const block = this.createBlock(state, targetX, targetY, {
+          i: value("I"),
+          j: value("J"),
+          scale,
+        });
+        state.x = targetX;
+        state.y = targetY;
+        if (!block) return;
+
+        block.bucket = bucket;
+        run.push(block);
+      });
+
+      flushRun();
+
+      const total = PlotTimeEstimator.createTotals("Total");
+      buckets.forEach((bucket) => PlotTimeEstimator.addTotals(total, bucket));
+
+      return {
+        ...PlotTimeEstimator.finishTotals(total),
+        sections: buckets.slice(1).map((bucket) => PlotTimeEstimator.finishTotals(bucket)),
+      };
+    }
+
+    createBlock(state, targetX, targetY, arc) {
+      const travel = state.motion === "G0";
+      const rate = travel ? Number(this.options.travelRate) || state.feedRate : state.feedRate;
+      const maxSpeed = rate / 60;
+
+      if (state.motion === "G2" || state.motion === "G3") {
+        const centerX = state.x + (arc.i || 0) * arc.scale;
+        const centerY = state.y + (arc.j || 0) * arc.scale;
+        const radius = Math.hypot(state.x - centerX, state.y - centerY);
+        if (radius < 1e-9) return null;
+
+        const clockwise = state.motion === "G2";
+        const startAngle = Math.atan2(state.y - centerY, state.x - centerX);
+        const endAngle = Math.atan2(targetY - centerY, targetX - centerX);
+        let sweep = clockwise ? startAngle - endAngle : endAngle - startAngle;
+        while (sweep <= 1e-9) sweep += Math.PI * 2;
+
+        const tangent = (angle) =>
+          clockwise
+            ? { x: Math.sin(angle), y: -Math.cos(angle) }
+            : { x: -Math.sin(angle), y: Math.cos(angle) };
+        const acceleration = Number(this.options.acceleration);
+        // Centripetal acceleration caps the speed around tight arcs
+        const arcLimit = acceleration > 0 ? Math.sqrt(acceleration * radius) : Infinity;
+
+        return {
+          travel,
+          length: radius * sweep,
+          maxSpeed: Math.min(maxSpeed, arcLimit),
+          startDirection: tangent(startAngle),
+          endDirection: tangent(endAngle),
+          time: 0,
+        };
+      }
+
+      const dx = targetX - state.x;
+      const dy = targetY - state.y;
+      const length = Math.hypot(dx, dy);
+      if (length < 1e-9) return null;
+      const direction = { x: dx / length, y: dy / length };
+
+      return {
+        travel,
+        length,
+        maxSpeed,
+        startDirection: direction,
+        endDirection: direction,
+        time: 0,
+      };
+    }
+
+    // Fills in `time` for a run of moves that starts and ends at rest.
+    planRun(blocks) {
+      if (!blocks.length) return;
+      const acceleration = Number(this.options.acceleration);
+
+      if (!(acceleration > 0)) {
+        blocks.forEach((block) => {
+          block.time = block.maxSpeed > 0 ? block.length / block.maxSpeed : 0;
+        });
+        return;
+      }
+
+      const count = blocks.length;
+      const entry = new Array(count + 1).fill(0);
+      for (let i = 1; i < count; i++) {
+        entry[i] = Math.min(
+          blocks[i - 1].maxSpeed,
+          blocks[i].maxSpeed,
+          this.junctionSpeed(blocks[i - 1].endDirection, blocks[i].startDirection, acceleration)
+        );
+      }
+
+      // Backward pass: make sure every move can slow down in time
+      for (let i = count - 1; i >= 0; i--) {
+        const reachable = Math.sqrt(entry[i + 1] * entry[i + 1] + 2 * acceleration * blocks[i].length);
+        entry[i] = Math.min(entry[i], reachable);
+      }
+      // Forward pass: make sure every move can actually reach its exit speed
+      for (let i = 0; i < count; i++) {
+        const reachable = Math.sqrt(entry[i] * entry[i] + 2 * acceleration * blocks[i].length);
+        entry[i + 1] = Math.min(entry[i + 1], reachable);
+      }
+
+      blocks.forEach((block, i) => {
+        block.time = PlotTimeEstimator.trapezoidTime(
+          block.length,
+          entry[i],
+          entry[i + 1],
+          block.maxSpeed,
+          acceleration
+        );
+      });
+    }
+
+    junctionSpeed(incoming, outgoing, acceleration) {
+      const cosTheta = -(incoming.x * outgoing.x + incoming.y * outgoing.y);
+      if (cosTheta < -0.999999) return Infinity; // straight on
+      if (cosTheta > 0.999999) return 0; // full reversal
+      const sinHalfTheta = Math.sqrt(0.5 * (1 - cosTheta));
+      const deviation = Number(this.options.junctionDeviation) || DEFAULT_JUNCTION_DEVIATION;
+      return Math.sqrt((acceleration * deviation * sinHalfTheta) / (1 - sinHalfTheta));
+    }
+
+    dwellSeconds(p, s) {
+      if (s !== undefined) return Math.max(0, s);
+      if (p === undefined) return 0;
+      return Math.max(0, this.options.dwellUnits === "milliseconds" ? p / 1000 : p);
+    }
+
+    static trapezoidTime(length, entrySpeed, exitSpeed, maxSpeed, acceleration) {
+      if (!(maxSpeed > 0)) return 0;
+      const accelDistance = (maxSpeed * maxSpeed - entrySpeed * entrySpeed) / (2 * acceleration);
+      const decelDistance = (maxSpeed * maxSpeed - exitSpeed * exitSpeed) / (2 * acceleration);
+
+      if (accelDistance + decelDistance <= length) {
+        const cruise = length - accelDistance - decelDistance;
+        return (
+          (maxSpeed - entrySpeed) / acceleration +
+          (maxSpeed - exitSpeed) / acceleration +
+          cruise / maxSpeed
+        );
+      }
+
+      // Too short to reach full speed: accelerate to a peak, then slow down
+      const peak = Math.sqrt(
+        (2 * acceleration * length + entrySpeed * entrySpeed + exitSpeed * exitSpeed) / 2
+      );
+      return (
+        Math.max(0, peak - entrySpeed) / acceleration +
+        Math.max(0, peak - exitSpeed) / acceleration
+      );
+    }
+
+    static createTotals(name) {
+      return {
+        name,
+        drawTime: 0,
+        travelTime: 0,
+        penTime: 0,
+        dwellTime: 0,
+        drawDistance: 0,
+        travelDistance: 0,
+        penActions: 0,
+        pauses: 0,
+      };
+    }
+
+    static addTotals(target, source) {
+      Object.keys(target).forEach((key) => {
+        if (typeof target[key] === "number") target[key] += source[key];
+      });
+    }
+
+    static finishTotals(totals) {
+      return {
+        ...totals,
+        totalTime: totals.drawTime + totals.travelTime + totals.penTime + totals.dwellTime,
+      };
+    }
+
+    static formatDuration(seconds) {
+      const total = Math.max(0, Math.round(Number(seconds) || 0));
+      const hours = Math.floor(total / 3600);
+      const minutes = Math.floor((total % 3600) / 60);
+      const secs = total % 60;
+      if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+      if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, "0")}s`;
+      return `${secs}s`;
+    }
+  }
+
+  global.PlotTimeEstimator = PlotTimeEstimator;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,536 @@
+(function (global) {
+  // Backing-store pixels per CSS pixel are kept to powers of two, so the
+  // preview only redraws when the zoom crosses a level, not on every step
+  const MIN_LEVEL = 1 / 8;
+  const DEFAULT_MAX_PIXELS = 16 * 1024 * 1024;
+  const MAX_DIMENSION = 8192;
+  // Points closer than this many device pixels are merged when drawing
+  const DETAIL_TOLERANCE = 0.5;
+  const REFRESH_DELAY = 120;
+
+  // Simulated ink (see setInkSimulation): how far bleed spreads the line,
+  // as a fraction of the pen width, and how soft it makes the edge
+  const BLEED_SPREAD = 0.5;
+  const BLEED_BLUR = 0.35;
+  const MIN_BLUR = 0.25; // Device pixels
+  const PAPER_TEXTURE_SIZE = 256;
+  const DEFAULT_INK = {
+    opacity: 0.85,
+    bleed: 0,
+    paperTexture: false,
+    paperColor: "#fdfcf8",
+  };
+
+  // Draws a tool's line layers to a 2D canvas instead of one SVG element per
+  // segment, so previews with hundreds of thousands of segments stay quick to
+  // pan and zoom. The canvas sits in the InteractiveCanvas content like the
+  // SVG it replaces: its CSS box maps to `viewBox` the way an SVG with
+  // preserveAspectRatio="xMidYMid meet" would. The backing store follows the
+  // on-screen zoom (level of detail), and the tools build their SVG only when
+  // exporting.
+  //
+  // Layers are drawn bottom to top in the order they were added (see
+  // setLayerOrder). Each holds polylines, either as arrays of { x, y } or
+  // packed as { points, starts } (see WorkerRunner.packPolylines), plus
+  // `color`, `lineWidth` (viewBox units), `opacity`, `visible` and `dash`.
+  // Single-point polylines are dots, drawn `dotSize` across (default: the
+  // line width).
+  //
+  // With ink simulation on, lines are drawn the way the plot will look
+  // instead: at the layer's `penWidth` (default: the line width), each
+  // layer multiplied onto the paper with the pen's transparency so
+  // overlapping colours darken like ink, optionally with bleed and paper
+  // texture. Layers with `ink: false` (e.g. travel moves)
+  // are left out.
+  class PreviewCanvas {
+    constructor(canvas, options = {}) {
+      this.canvas = canvas;
+      this.ctx = canvas.getContext("2d");
+      this.options = {
+        maxPixels: DEFAULT_MAX_PIXELS,
+        ...options,
+      };
+      this.viewBox = { x: 0, y: 0, width: 200, height: 200 };
+      this.layers = new Map();
+      this.level = null;
+      this.inkSimulation = null;
+      this.paperPattern = null;
+      this.scratch = null;
+      this.renderFrame = null;
+      this.refreshTimer = null;
+
+      // CSS zoom transitions end without a transform event
+      if (canvas.addEventListener) {
+        canvas.addEventListener("transitionend", () => this.refresh());
+      }
+    }
+
+    // Re-render at the right level of detail whenever the InteractiveCanvas
+    // pans or zooms. Zooming shows the scaled old frame until it settles.
+    // The InteractiveCanvas also switches ink simulation on and off.
+    attach(interactiveCanvas) {
+      interactiveCanvas.container.addEventListener("canvasTransform", () =>
+        this.scheduleRefresh()
+      );
+      if (interactiveCanvas.addInkRenderer) {
+        interactiveCanvas.addInkRenderer(this);
+      }
+      return this;
+    }
+
+    // `settings` ({ opacity, bleed, paperTexture, paperColor }, see
+    // normalizeInk) turns ink simulation on; null turns it off
+    setInkSimulation(settings) {
+      this.inkSimulation = settings ? PreviewCanvas.normalizeInk(settings) : null;
+      this.scheduleRender();
+    }
+
+    setViewBox(x, y, width, height) {
+      this.viewBox = { x, y, width, height };
+      this.scheduleRender();
+    }
+
+    setLayer(id, layer) {
+      const previous = this.layers.get(id) || {};
+      this.layers.set(id, {
+        color: "#000000",
+        lineWidth: 1,
+        opacity: 1,
+        visible: true,
+        dash: null,
+        dotSize: null,
+        ...previous,
+        ...layer,
+        lines: PreviewCanvas.pack(layer.lines || previous.lines || []),
+      });
+      this.scheduleRender();
+    }
+
+    // Change how a layer is drawn (colour, visibility...) without new lines
+    updateLayer(id, properties) {
+      const layer = this.layers.get(id);
+      if (!layer) return;
+      Object.assign(layer, properties);
+      this.scheduleRender();
+    }
+
+    removeLayer(id) {
+      if (this.layers.delete(id)) this.scheduleRender();
+    }
+
+    clear() {
+      this.layers.clear();
+      this.scheduleRender();
+    }
+
+    // `ids` from bottom to top; layers not listed keep their place below
+    setLayerOrder(ids) {
+      const ordered = new Map();
+      this.layers.forEach((layer, id) => {
+        if (!ids.includes(id)) ordered.set(id, layer);
+      });
+      ids.forEach((id) => {
+        if (this.layers.has(id)) ordered.set(id, this.layers.get(id));
+      });
+      this.layers = ordered;
+      this.scheduleRender();
+    }
+
+    getSegmentCount() {
+      let count = 0;
+      this.layers.forEach(({ lines }) => {
+        count += lines.points.length / 2 - (lines.starts.length - 1);
+      });
+      return count;
+    }
+
+    scheduleRender() {
+      if (this.renderFrame !== null) return;
+      const frame =
+        typeof requestAnimationFrame === "function"
+          ? requestAnimationFrame
+          : (callback) => setTimeout(callback, 0);
+      this.renderFrame = frame(() => {
+        this.renderFrame = null;
+        this.render();
+      });
+    }
+
+    scheduleRefresh() {
+      clearTimeout(this.refreshTimer);
+      this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+    }
+
+    // Redraw only if the on-screen zoom now needs another level of detail
+    refresh() {
+      if (this.getLevel() !== this.level) this.render();
+    }
+
+    // Backing-store pixels per CSS pixel for the current on-screen size
+    getLevel() {
+      const cssWidth = this.canvas.clientWidth;
+      const cssHeight = this.canvas.clientHeight;
+      if (!cssWidth || !cssHeight) return null;
+
+      const displayScale =
+        this.canvas.getBoundingClientRect().width / cssWidth || 1;
+      const pixelRatio =
+        (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+      return PreviewCanvas.chooseLevel(
+        displayScale * pixelRatio,
+        cssWidth,
+        cssHeight,
+        this.options.maxPixels
+      );
+    }
+
+    render() {
+      const level = this.getLevel();
+      if (level === null) return;
+      this.level = level;
+
+      const cssWidth = this.canvas.clientWidth;
+      const cssHeight = this.canvas.clientHeight;
+      const width = Math.max(1, Math.round(cssWidth * level));
+      const height = Math.max(1, Math.round(cssHeight * level));
+      if (this.canvas.width !== width) this.canvas.width = width;
+      if (this.canvas.height !== height) this.canvas.height = height;
+
+      const ctx = this.ctx;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+
+      const fit = PreviewCanvas.fitViewBox(this.viewBox, width, height);
+      const transform = [
+        fit.scale,
+        0,
+        0,
+        fit.scale,
+        fit.offsetX - this.viewBox.x * fit.scale,
+        fit.offsetY - this.viewBox.y * fit.scale,
+      ];
+      ctx.setTransform(...transform);
+      ctx.lineCap = "round";
+      ctx.lineJoin = "round";
+      if (this.inkSimulation) this.renderPaper(transform);
+
+      const tolerance = DETAIL_TOLERANCE / fit.scale;
+      this.layers.forEach((layer) => {
+        if (!layer.visible || layer.lines.starts.length < 2) return;
+        if (this.inkSimulation && layer.ink === false) return;
+
+        const { points, starts } = PreviewCanvas.levelOfDetail(
+          layer.lines,
+          tolerance
+        );
+        if (this.inkSimulation) {
+          this.renderInkLayer(layer, points, starts, transform);
+          return;
+        }
+
+        ctx.globalAlpha = layer.opacity;
+        ctx.strokeStyle = layer.color;
+        ctx.lineWidth = layer.lineWidth;
+        ctx.setLineDash(layer.dash || []);
+        const dotRadius = (layer.dotSize ?? layer.lineWidth) / 2;
+        const dots = [];
+        ctx.beginPath();
+        for (let i = 0; i < starts.length - 1; i++) {
+          if (starts[i + 1] - starts[i] === 1) {
+            dots.push(starts[i]);
+            continue;
+          }
+          ctx.moveTo(points[starts[i] * 2], points[starts[i] * 2 + 1]);
+          for (let p = starts[i] + 1; p < starts[i + 1]; p++) {
+            ctx.lineTo(points[p * 2], points[p * 2 + 1]);
+          }
+        }
+        ctx.stroke();
+
+        if (!dots.length) return;
+        ctx.fillStyle = layer.color;
+        ctx.beginPath();
+        dots.forEach((p) => {
+          ctx.moveTo(points[p * 2] + dotRadius, points[p * 2 + 1]);
+          ctx.arc(points[p * 2], points[p * 2 + 1], dotRadius, 0, Math.PI * 2);
+        });
+        ctx.fill();
+      });
+      ctx.globalAlpha = 1;
+      ctx.globalCompositeOperation = "source-over";
+      ctx.setLineDash([]);
+    }
+
+    // Paper colour over the view box, with the grain multiplied in when
+    // paper texture is on. The grain is in device pixels so it stays fine
+    // at any zoom.
+    renderPaper(transform) {
+      const ctx = this.ctx;
+      const { x, y, width, height } = this.viewBox;
+      ctx.globalAlpha = 1;
+      ctx.globalCompositeOperation = "source-over";
+      ctx.fillStyle = this.inkSimulation.paperColor;
+      ctx.fillRect(x, y, width, height);
+
+      const pattern = this.inkSimulation.paperTexture && this.getPaperPattern();
+      if (!pattern) return;
+      const [scale, , , , offsetX, offsetY] = transform;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalCompositeOperation = "multiply";
+      ctx.fillStyle = pattern;
+      ctx.fillRect(offsetX + x * scale, offsetY + y * scale, width * scale, height * scale);
+      ctx.setTransform(...transform);
+    }
+
+    // One layer as ink: its lines and its dots each go on as a single path,
+    // so layers of hundreds of thousands of polylines take two draw calls,
+    // and each layer is multiplied over the ones below it. With bleed the
+    // layer is drawn to a scratch canvas first and blurred onto the preview
+    // as a whole.
+    renderInkLayer(layer, points, starts, transform) {
+      const { opacity, bleed } = this.inkSimulation;
+      const penWidth = layer.penWidth ?? layer.lineWidth;
+      const spread = penWidth * bleed * BLEED_SPREAD;
+      const blur = penWidth * bleed * BLEED_BLUR * transform[0];
+      const scratch = blur >= MIN_BLUR ? this.getScratchContext() : null;
+      const ctx = scratch || this.ctx;
+
+      if (scratch) {
+        scratch.setTransform(1, 0, 0, 1, 0, 0);
+        scratch.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        scratch.setTransform(...transform);
+        scratch.lineCap = "round";
+        scratch.lineJoin = "round";
+      }
+      ctx.globalCompositeOperation = "multiply";
+      ctx.globalAlpha = opacity;
+      ctx.strokeStyle = layer.color;
+      ctx.fillStyle = layer.color;
+      ctx.lineWidth = penWidth + spread;
+      ctx.setLineDash([]);
+
+      const dotRadius = ((layer.dotSize ?? penWidth) + spread) / 2;
+      const lines = new Path2D();
+      const dots = new Path2D();
+      let lineCount = 0;
+      let dotCount = 0;
+      for (let i = 0; i < starts.length - 1; i++) {
+        const first = starts[i];
+        if (starts[i + 1] - first === 1) {
+          dots.moveTo(points[first * 2] + dotRadius, points[first * 2 + 1]);
+          dots.arc(points[first * 2], points[first * 2 + 1], dotRadius, 0, Math.PI * 2);
+          dotCount++;
+          continue;
+        }
+        lines.moveTo(points[first * 2], points[first * 2 + 1]);
+        for (let p = first + 1; p < starts[i + 1]; p++) {
+          lines.lineTo(points[p * 2], points[p * 2 + 1]);
+        }
+        lineCount++;
+      }
+      if (lineCount) ctx.stroke(lines);
+      if (dotCount) ctx.fill(dots);
+
+      if (!scratch) return;
+      const target = this.ctx;
+      target.setTransform(1, 0, 0, 1, 0, 0);
+      target.globalCompositeOperation = "multiply";
+      target.globalAlpha = 1;
+      target.filter = `blur(${blur}px)`;
+      target.drawImage(scratch.canvas, 0, 0);
+      target.filter = "none";
+      target.setTransform(...transform);
+    }
+
+    // Offscreen context the size of the preview, or null where offscreen
+    // canvases are unavailable (bleed is then left out)
+    getScratchContext() {
+      const { width, height } = this.canvas;
+      if (!this.scratch) {
+        const canvas = PreviewCanvas.createCanvas(width, height);
+        this.scratch = canvas && canvas.getContext("2d");
+      }
+      if (!this.scratch) return null;
+      if (this.scratch.canvas.width !== width) this.scratch.canvas.width = width;
+      if (this.scratch.canvas.height !== height) this.scratch.canvas.height = height;
+      return this.scratch;
+    }
+
+    getPaperPattern() {
+      if (this.paperPattern) return this.paperPattern;
+      const canvas = PreviewCanvas.createCanvas(PAPER_TEXTURE_SIZE, PAPER_TEXTURE_SIZE);
+      if (!canvas) return null;
+
+      const context = canvas.getContext("2d");
+      const image = context.createImageData(PAPER_TEXTURE_SIZE, PAPER_TEXTURE_SIZE);
+      PreviewCanvas.paperGrain(PAPER_TEXTURE_SIZE).forEach((value, i) => {
+        image.data[i * 4] = value;
+        image.data[i * 4 + 1] = value;
+        image.data[i * 4 + 2] = value;
+        image.data[i * 4 + 3] = 255;
+      });
+      context.putImageData(image, 0, 0);
+      this.paperPattern = this.ctx.createPattern(canvas, "repeat");
+      return this.paperPattern;
+    }
+
+    // Ink settings with defaults filled in and values clamped: `opacity`
+    // (0-1) is how much a single pass of the pen covers, `bleed` (0-1) how
+    // far the ink spreads into the paper
+    static normalizeInk(settings = {}) {
+      const clamp = (value, min, max, fallback) =>
+        Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+      return {
+        opacity: clamp(settings.opacity, 0.05, 1, DEFAULT_INK.opacity),
+        bleed: clamp(settings.bleed, 0, 1, DEFAULT_INK.bleed),
+        paperTexture: Boolean(settings.paperTexture),
+        paperColor: settings.paperColor || DEFAULT_INK.paperColor,
+      };
+    }
+
+    // Tileable paper grain as size x size gray values (255 = white): soft
+    // blotches from smoothed value noise plus fine speckle. Deterministic,
+    // so the paper does not shimmer between renders.
+    static paperGrain(size, seed = 1) {
+      let state = seed;
+      const random = () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+      };
+
+      const cell = 8;
+      const cells = Math.max(1, Math.round(size / cell));
+      const lattice = Array.from({ length: cells * cells }, random);
+      const at = (column, row) =>
+        lattice[(row % cells) * cells + (column % cells)];
+      const smooth = (t) => t * t * (3 - 2 * t);
+
+      const grain = new Uint8ClampedArray(size * size);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const gx = (x / size) * cells;
+          const gy = (y / size) * cells;
+          const column = Math.floor(gx);
+          const row = Math.floor(gy);
+          const tx = smooth(gx - column);
+          const ty = smooth(gy - row);
+          const top = at(column, row) + (at(column + 1, row) - at(column, row)) * tx;
+          const bottom =
+            at(column, row + 1) + (at(column + 1, row + 1) - at(column, row + 1)) * tx;
+          const blotch = top + (bottom - top) * ty;
+          grain[y * size + x] = 255 - blotch * 12 - random() ** 3 * 16;
+        }
+      }
+      return grain;
+    }
+
+    // A canvas for offscreen drawing, or null outside the browser
+    static createCanvas(width, height) {
+      if (typeof OffscreenCanvas !== "undefined") {
+        return new OffscreenCanvas(width, height);
+      }
+      if (typeof document === "undefined") return null;
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+
+    // Polylines as { points, starts } typed arrays; packed input is kept
+    static pack(lines) {
+      if (lines.points && lines.starts) return lines;
+
+      const total = lines.reduce((sum, line) => sum + line.length, 0);
+      const points = new Float64Array(total * 2);
+      const starts = new Uint32Array(lines.length + 1);
+      let offset = 0;
+      lines.forEach((line, index) => {
+        starts[index] = offset;
+        line.forEach((point) => {
+          points[offset * 2] = point.x;
+          points[offset * 2 + 1] = point.y;
+          offset++;
+        });
+      });
+      starts[lines.length] = offset;
+      return { points, starts };
+    }
+
+    // The polylines as they look at `tolerance` (viewBox units, about half
+    // a device pixel): points closer than that to the last kept point are
+    // dropped. Both ends are always kept, so a line shorter than a pixel
+    // still shows as a dot of its line width. Single points (dots) are kept.
+    static levelOfDetail({ points, starts }, tolerance) {
+      const keptPoints = new Float64Array(points.length);
+      const keptStarts = new Uint32Array(starts.length);
+      const toleranceSq = tolerance * tolerance;
+      let count = 0;
+      let lineCount = 0;
+
+      for (let i = 0; i < starts.length - 1; i++) {
+        const first = starts[i];
+        const last = starts[i + 1] - 1;
+        if (last < first) continue;
+
+        keptStarts[lineCount++] = count;
+        let x = points[first * 2];
+        let y = points[first * 2 + 1];
+        keptPoints[count * 2] = x;
+        keptPoints[count * 2 + 1] = y;
+        count++;
+
+        const lineStart = count - 1;
+        for (let p = first + 1; p <= last; p++) {
+          const px = points[p * 2];
+          const py = points[p * 2 + 1];
+          const near = (px - x) ** 2 + (py - y) ** 2 < toleranceSq;
+          if (near && p < last) continue;
+
+          // The end replaces a kept point it is too close to, unless that
+          // point is the start
+          if (near && count - lineStart > 1) count--;
+          keptPoints[count * 2] = px;
+          keptPoints[count * 2 + 1] = py;
+          count++;
+          x = px;
+          y = py;
+        }
+      }
+      keptStarts[lineCount] = count;
+
+      return {
+        points: keptPoints.subarray(0, count * 2),
+        starts: keptStarts.subarray(0, lineCount + 1),
+      };
+    }
+
+    // Scale and offset that fit `viewBox` centred into width x height, like
+    // preserveAspectRatio="xMidYMid meet"
+    static fitViewBox(viewBox, width, height) {
+      const scale = Math.min(
+        width / (viewBox.width || 1),
+        height / (viewBox.height || 1)
+      );
+      return {
+        scale,
+        offsetX: (width - viewBox.width * scale) / 2,
+        offsetY: (height - viewBox.height * scale) / 2,
+      };
+    }
+
+    // Power-of-two backing-store scale for a canvas of cssWidth x cssHeight
+    // shown at `deviceScale` device pixels per CSS pixel, capped so the
+    // backing store stays within `maxPixels` and the browser's size limit
+    static chooseLevel(deviceScale, cssWidth, cssHeight, maxPixels) {
+      const cap = Math.min(
+        Math.sqrt(maxPixels / (cssWidth * cssHeight)),
+        MAX_DIMENSION / Math.max(cssWidth, cssHeight)
+      );
+      let level = 2 ** Math.ceil(Math.log2(Math.max(deviceScale, MIN_LEVEL)));
+      while (level > cap && level > MIN_LEVEL) level /= 2;
+      return level;
+    }
+  }
+
+  global.PreviewCanvas = PreviewCanvas;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,190 @@
+(function (global) {
+  const DEFAULT_ITERATIONS = 20;
+  const MAX_DOTS = 100000;
+  // Density samples per dot; coarser images are sampled at every pixel
+  const SAMPLES_PER_DOT = 24;
+
+  // Deterministic random numbers, so the same settings give the same dots
+  const seededRandom = (seed) => {
+    let state = Math.max(1, Math.floor(seed) % 2147483647);
+    return () => {
+      state = (state * 16807) % 2147483647;
+      return state / 2147483647;
+    };
+  };
+
+  // Places stipple dots whose density follows an intensity map (0-1, 1 =
+  // darkest), using weighted Voronoi stippling: dots start at random
+  // positions drawn from the intensities, then Lloyd relaxation moves each
+  // one to the intensity-weighted centroid of the pixels nearest to it,
+  // which spreads them evenly while keeping the tone.
+  class Stippler {
+    // Dots as a Float64Array of x, y pairs in pixels. `spacing` (px) is the
+    // distance between dots where the intensity is 1; lighter areas get
+    // proportionally fewer dots.
+    static stipple(intensities, width, height, options = {}) {
+      const spacing = Math.max(0.5, options.spacing || 4);
+      const iterations = options.iterations ?? DEFAULT_ITERATIONS;
+      const onProgress = options.onProgress || (() => {});
+      const random = seededRandom(options.seed || 1);
+
+      let total = 0;
+      for (let i = 0; i < intensities.length; i++) total += intensities[i];
+      const dotCount = Math.min(options.maxDots || MAX_DOTS, Math.round(total / (spacing * spacing)));
+      if (dotCount < 1) return new Float64Array(0);
+
+      const samples = Stippler.sampleDensity(
+        intensities,
+        width,
+        height,
+        Math.max(1, Math.floor(Math.sqrt((width * height) / (dotCount * SAMPLES_PER_DOT))))
+      );
+      let dots = Stippler.seedDots(samples, dotCount, random);
+
+      for (let iteration = 0; iteration < iterations; iteration++) {
+        dots = Stippler.relax(dots, samples, width, height);
+        onProgress((iteration + 1) / iterations);
+      }
+      return dots;
+    }
+
+    // Intensity summed over stride x stride blocks, as { x, y, weights }
+    // with x, y at the block centres (px)
+    static sampleDensity(intensities, width, height, stride) {
+      const columns = Math.ceil(width / stride);
+      const rows = Math.ceil(height / stride);
+      const x = new Float64Array(columns * rows);
+      const y = new Float64Array(columns * rows);
+      const weights = new Float64Array(columns * rows);
+
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          const index = row * columns + column;
+          const x0 = column * stride;
+          const y0 = row * stride;
+          const x1 = Math.min(width, x0 + stride);
+          const y1 = Math.min(height, y0 + stride);
+          let weight = 0;
+          for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) weight += intensities[py * width + px];
+          }
+          x[index] = (x0 + x1) / 2;
+          y[index] = (y0 + y1) / 2;
+          weights[index] = weight;
+        }
+      }
+      return { x, y, weights, stride };
+    }
+
+    // Random starting dots, each in a sample block picked with probability
+    // proportional to its weight
+    static seedDots(samples, count, random) {
+      const cumulative = new Float64Array(samples.weights.length);
+      let sum = 0;
+      samples.weights.forEach((weight, i) => {
+        sum += weight;
+        cumulative[i] = sum;
+      });
+
+      const dots = new Float64Array(count * 2);
+      for (let i = 0; i < count; i++) {
+        const target = random() * sum;
+        let low = 0;
+        let high = cumulative.length - 1;
+        while (low < high) {
+          const middle = (low + high) >> 1;
+          if (cumulative[middle] < target) low = middle + 1;
+          else high = middle;
+        }
+        dots[i * 2] = samples.x[low] + (random() - 0.5) * samples.stride;
+        dots[i * 2 + 1] = samples.y[low] + (random() - 0.5) * samples.stride;
+      }
+      return dots;
+    }
+
+    // One Lloyd step: every dot moves to the weighted centroid of the
+    // samples nearest to it. Dots left without weight (e.g. stranded in a
+    // blank area) are dropped.
+    static relax(dots, samples, width, height) {
+      const count = dots.length / 2;
+      // Cells about the average gap between dots
+      const grid = Stippler.buildGrid(dots, Math.sqrt((width * height) / count));
+      const sumX = new Float64Array(count);
+      const sumY = new Float64Array(count);
+      const sumWeight = new Float64Array(count);
+
+      for (let i = 0; i < samples.weights.length; i++) {
+        const weight = samples.weights[i];
+        if (weight <= 0) continue;
+        const dot = Stippler.nearest(grid, dots, samples.x[i], samples.y[i]);
+        sumX[dot] += samples.x[i] * weight;
+        sumY[dot] += samples.y[i] * weight;
+        sumWeight[dot] += weight;
+      }
+
+      const relaxed = [];
+      for (let dot = 0; dot < count; dot++) {
+        if (sumWeight[dot] <= 0) continue;
+        relaxed.push(sumX[dot] / sumWeight[dot], sumY[dot] / sumWeight[dot]);
+      }
+      return Float64Array.from(relaxed);
+    }
+
+    // Dots bucketed into square cells for nearest-dot lookups
+    static buildGrid(dots, cellSize) {
+      let maxX = 0;
+      let maxY = 0;
+      for (let i = 0; i < dots.length; i += 2) {
+        maxX = Math.max(maxX, dots[i]);
+        maxY = Math.max(maxY, dots[i + 1]);
+      }
+      const columns = Math.floor(maxX / cellSize) + 1;
+      const rows = Math.floor(maxY / cellSize) + 1;
+      const cellOf = (x, y) =>
+        Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize))) * columns +
+        Math.min(columns - 1, Math.max(0, Math.floor(x / cellSize)));
+
+      const cellStart = new Int32Array(columns * rows + 1);
+      const cells = new Int32Array(dots.length / 2);
+      for (let i = 0; i < cells.length; i++) cellStart[cellOf(dots[i * 2], dots[i * 2 + 1]) + 1]++;
+      for (let cell = 0; cell < columns * rows; cell++) cellStart[cell + 1] += cellStart[cell];
+      const fill = cellStart.slice(0, -1);
+      for (let i = 0; i < cells.length; i++) cells[fill[cellOf(dots[i * 2], dots[i * 2 + 1])]++] = i;
+
+      return { cellSize, columns, rows, cellStart, cells };
+    }
+
+    // Index of the dot nearest to (x, y), searching rings of cells outwards
+    // until no closer dot can remain
+    static nearest(grid, dots, x, y) {
+      const { cellSize, columns, rows, cellStart, cells } = grid;
+      const column = Math.min(columns - 1, Math.max(0, Math.floor(x / cellSize)));
+      const row = Math.min(rows - 1, Math.max(0, Math.floor(y / cellSize)));
+      let best = -1;
+      let bestDistance = Infinity;
+
+      for (let ring = 0; ring <= Math.max(columns, rows); ring++) {
+        for (let r = Math.max(0, row - ring); r <= Math.min(rows - 1, row + ring); r++) {
+          const edgeRow = r === row - ring || r === row + ring;
+          const step = edgeRow ? 1 : Math.max(1, 2 * ring);
+          for (let c = column - ring; c <= column + ring; c += step) {
+            if (c < 0 || c >= columns) continue;
+            const cell = r * columns + c;
+            for (let i = cellStart[cell]; i < cellStart[cell + 1]; i++) {
+              const dot = cells[i];
+              const distance = (dots[dot * 2] - x) ** 2 + (dots[dot * 2 + 1] - y) ** 2;
+              if (distance < bestDistance) {
+                bestDistance = distance;
+                best = dot;
+              }
+            }
+          }
+        }
+        if (best >= 0 && Math.sqrt(bestDistance) <= ring * cellSize) break;
+      }
+      return best;
+    }
+  }
+
+  global.Stippler = Stippler;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -1,6 +1,7 @@
 const PROCESSING_SLICE_MS = 12;
 const PROCESSING_TOTAL_LIMIT_MS = Infinity;
 const YIELD_CHECK_INTERVAL = 64;
+const GCODE_EXTENSIONS = [".gcode", ".gco", ".gc", ".nc", ".ngc"];
 
 class SvgToGcodeTool {
   constructor() {
@@ -13,8 +14,6 @@ class SvgToGcodeTool {
 
     this.previewArea = document.querySelector(".preview-area");
     this.previewSvg = document.getElementById("previewSvg");
-    this.drawGroup = document.getElementById("drawGroup");
-    this.travelGroup = document.getElementById("travelGroup");
     this.penUpGroup = document.getElementById("penUpGroup");
     this.penDownGroup = document.getElementById("penDownGroup");
 
@@ -25,6 +24,15 @@ class SvgToGcodeTool {
     this.segmentCountEl = document.getElementById("segmentCount");
     this.drawLengthEl = document.getElementById("drawLength");
     this.travelLengthEl = document.getElementById("travelLength");
+    this.plotTimeEl = document.getElementById("plotTime");
+    this.layerTimesEl = document.getElementById("layerTimeEstimates");
+
+    this.replayGroup = document.getElementById("replayGroup");
+    this.replayHead = document.getElementById("replayHead");
+    this.replayScrubber = document.getElementById("replayScrubber");
+    this.replayPlayBtn = document.getElementById("replayPlayBtn");
+    this.replayShowAllBtn = document.getElementById("replayShowAllBtn");
+    this.replayInfo = document.getElementById("replayInfo");
 
     this.interactiveCanvas = new InteractiveCanvas(this.previewArea, {
       minZoom: 0.05,
@@ -32,13 +40,43 @@ class SvgToGcodeTool {
       zoomSpeed: 0.05,
     });
 
+    // Draw and travel moves are drawn to a canvas under the preview SVG,
+    // which keeps the pen markers and replay; see previewCanvas.js
+    this.preview = new PreviewCanvas(
+      document.getElementById("previewCanvas")
+    ).attach(this.interactiveCanvas);
+    this.preview.setLayer("travel", {
+      color: "#ff6b6b",
+      lineWidth: 0.4,
+      dash: [4, 2],
+      ink: false, // Travel moves leave no ink
+    });
+    this.preview.setLayer("draw", {
+      color: "#2ecc71",
+      lineWidth: 0.4,
+      penWidth: this.getPenDiameter(), // Simulated ink, in mm like the preview
+    });
+
+    this.machineProfilePanel = new MachineProfilePanel(
+      document.getElementById("machineProfilePanel"),
+      { toolId: "svg2gcode", onChange: () => this.debounceRecompute() }
+    );
+
     this.sourceSvgMarkup = "";
+    this.sourceGcode = "";
     this.generatedGcode = "";
-    this.previewSvgMarkup = "";
+    this.previewExport = null; // Polylines and pen events for "Download SVG"
     this.lines = [];
     this.polylines = [];
     this.fileName = "toolpath";
 
+    // Toolpath moves in execution order, replayed with the scrubber
+    this.replayMoves = [];
+    this.replayIndex = 0;
+    this.replayElements = [];
+    this.replayFrame = null;
+    this.replayArrowSize = 1.5;
+
     this.debounceTimer = null;
     this.debounceDelay = 200;
     this.statusTimer = null;
@@ -284,8 +322,16 @@ class SvgToGcodeTool {
     });
 
     this.downloadSvgBtn.addEventListener("click", () => {
-      if (!this.previewSvgMarkup) return;
-      const blob = new Blob([this.previewSvgMarkup], {
+      if (!this.previewExport) return;
+      const { polylines, bounds, penDownEvents, penUpEvents } =
+        this.previewExport;
+      const markup = this.buildPreviewSvg(
+        polylines,
+        bounds,
+        penDownEvents,
+        penUpEvents
+      );
+      const blob = new Blob([markup], {
         type: "image/svg+xml",
       });
       const url = URL.createObjectURL(blob);
@@ -305,11 +351,14 @@ class SvgToGcodeTool {
       "offsetYInput",
       "segmentLengthInput",
       "circleSegmentsInput",
+      "joinToleranceInput",
+      "simplifyToleranceInput",
       "feedRateInput",
       "travelRateInput",
       "penDownInput",
       "penUpInput",
       "preventZhopInput",
+      "arcToleranceInput",
       "startXInput",
       "startYInput",
     ];
@@ -320,29 +369,139 @@ class SvgToGcodeTool {
       element.addEventListener("input", () => this.debounceRecompute());
     });
 
-    ["autoOriginInput", "flipYInput", "optimizeInput"].forEach((id) => {
+    // The pen diameter only changes how simulated ink looks
+    document.getElementById("penDiameterInput").addEventListener("input", () => {
+      this.preview.updateLayer("draw", { penWidth: this.getPenDiameter() });
+    });
+
+    [
+      "autoOriginInput",
+      "flipYInput",
+      "optimizeInput",
+      "cleanupInput",
+      "arcFittingInput",
+    ].forEach((id) => {
       const element = document.getElementById(id);
       if (!element) return;
       element.addEventListener("change", () => this.debounceRecompute());
     });
+
+    this.replayScrubber.addEventListener("input", () => {
+      this.stopReplay();
+      this.setReplayIndex(parseInt(this.replayScrubber.value, 10));
+    });
+
+    this.replayPlayBtn.addEventListener("click", () => {
+      if (this.replayFrame) {
+        this.stopReplay();
+      } else {
+        this.startReplay();
+      }
+    });
+
+    this.replayShowAllBtn.addEventListener("click", () => {
+      this.stopReplay();
+      this.setReplayIndex(this.replayMoves.length);
+    });
   }
 
   async loadFile(file) {
     try {
-      if (!file.name.toLowerCase().endsWith(".svg")) {
-        this.showStatus("Please select an SVG file.", "error");
+      const name = file.name.toLowerCase();
+      const isGcode = GCODE_EXTENSIONS.some((extension) => name.endsWith(extension));
+      if (!name.endsWith(".svg") && !isGcode) {
+        this.showStatus("Please select an SVG or G-code file.", "error");
         return;
       }
 
       const text = await file.text();
-      this.sourceSvgMarkup = text;
-      this.fileName = file.name.replace(/\.svg$/i, "");
+      this.fileName = file.name.replace(/\.[^.]+$/, "");
       this.fileNameDisplay.textContent = file.name;
+      clearTimeout(this.debounceTimer);
+
+      if (isGcode) {
+        this.sourceSvgMarkup = "";
+        this.sourceGcode = text;
+        this.loadGcode(text);
+        return;
+      }
+
+      this.sourceSvgMarkup = text;
+      this.sourceGcode = "";
       this.showStatus(`Loaded ${file.name}`, "complete");
       this.recompute();
     } catch (error) {
       console.error(error);
-      this.showStatus("Failed to load SVG file.", "error");
+      this.showStatus("Failed to load file.", "error");
+    }
+  }
+
+  // Shows an existing G-code file in the preview. The SVG settings don't
+  // apply to it; the file is kept as-is for download.
+  async loadGcode(text) {
+    const token = this.beginProcessing("Parsing G-code…");
+
+    try {
+      const parsed = GCodeParser.parse(text);
+      this.assertProcessingActive(token);
+      this.setProcessingProgress(token, 30, "Parsing G-code");
+
+      if (!parsed.moves.length || !parsed.bounds) {
+        this.resetPreview();
+        this.failProcessing(token, "No moves found in G-code file.");
+        return;
+      }
+
+      const toolpath = {
+        ...parsed,
+        gcode: text,
+        estimate: new PlotTimeEstimator(
+          this.machineProfilePanel.getEstimatorOptions()
+        ).estimate(text.split(/\r?\n/)),
+      };
+
+      this.generatedGcode = text;
+      this.lines = [];
+      this.polylines = parsed.strokes;
+      this.previewExport = {
+        polylines: parsed.strokes,
+        bounds: parsed.bounds,
+        penDownEvents: parsed.penDownEvents,
+        penUpEvents: parsed.penUpEvents,
+      };
+
+      const renderProgress = this.createStageProgressUpdater(
+        token,
+        0.3,
+        0.7,
+        "Rendering preview"
+      );
+      await this.renderPreview(token, toolpath, parsed.bounds, renderProgress);
+      renderProgress(1);
+
+      this.assertProcessingActive(token);
+      this.updateStats(parsed.strokes.length, parsed.draws.length, toolpath);
+      this.setReplayMoves(parsed.moves, parsed.bounds);
+      this.updateButtons();
+
+      await this.yieldProcessing(token, true);
+      this.interactiveCanvas.fitToContent();
+
+      const penNote = {
+        z: "pen state from Z heights",
+        servo: "pen state from servo commands",
+        motion: "no pen commands found, G0 shown as travel",
+      }[parsed.penMode];
+      this.completeProcessing(token, `G-code loaded (${penNote}).`, "complete");
+    } catch (error) {
+      if (this.isProcessingCancellation(error)) {
+        return;
+      }
+      console.error(error);
+      this.resetPreview();
+      this.failProcessing(token, "Failed to read G-code file.");
+    } finally {
+      this.endProcessing(token);
     }
   }
 
@@ -373,10 +532,8 @@ class SvgToGcodeTool {
         steps[0].weight,
         steps[0].label
       );
-      const { polylines, bounds } = await this.extractGeometry(
-        token,
-        extractProgress
-      );
+      const { polylines, bounds, polylineLayers, layerNames } =
+        await this.extractGeometry(token, extractProgress);
       this.assertProcessingActive(token);
       extractProgress(1);
       this.polylines = polylines;
@@ -419,6 +576,7 @@ class SvgToGcodeTool {
       this.assertProcessingActive(token);
       segmentProgress(1);
       this.lines = lines;
+      const layers = this.buildToolpathLayers(lines, polylineLayers, layerNames);
       offset += steps[2].weight;
 
       const toolpathProgress = this.createStageProgressUpdater(
@@ -429,7 +587,7 @@ class SvgToGcodeTool {
       );
       const toolpath = await this.generateToolpath(
         token,
-        lines,
+        layers,
         transformed.bounds,
         toolpathProgress
       );
@@ -438,13 +596,12 @@ class SvgToGcodeTool {
       offset += steps[3].weight;
 
       this.generatedGcode = toolpath.gcode;
-      await this.yieldProcessing(token);
-      this.previewSvgMarkup = this.buildPreviewSvg(
-        transformed.polylines,
-        transformed.bounds,
-        toolpath.penDownEvents,
-        toolpath.penUpEvents
-      );
+      this.previewExport = {
+        polylines: transformed.polylines,
+        bounds: transformed.bounds,
+        penDownEvents: toolpath.penDownEvents,
+        penUpEvents: toolpath.penUpEvents,
+      };
 
       const renderProgress = this.createStageProgressUpdater(
         token,
@@ -458,6 +615,7 @@ class SvgToGcodeTool {
 
       this.assertProcessingActive(token);
       this.updateStats(transformed.polylines.length, lines.length, toolpath);
+      this.setReplayMoves(toolpath.moves, transformed.bounds);
       this.updateButtons();
 
       await this.yieldProcessing(token, true);
@@ -545,7 +703,31 @@ class SvgToGcodeTool {
       svg.querySelectorAll("path, line, polyline, polygon, rect, circle, ellipse")
     );
 
+    // Top-level groups (e.g. Inkscape layers) are drawn and estimated as
+    // separate layers; shapes outside any group share one
+    const layerNames = [];
+    const layerIndices = new Map();
+    const getLayerIndex = (element) => {
+      let topLevel = element;
+      while (topLevel.parentElement && topLevel.parentElement !== svg) {
+        topLevel = topLevel.parentElement;
+      }
+      const group = topLevel.tagName.toLowerCase() === "g" ? topLevel : null;
+      if (!layerIndices.has(group)) {
+        layerIndices.set(group, layerNames.length);
+        layerNames.push(
+          group
+            ? group.getAttribute("inkscape:label") ||
+                group.getAttribute("id") ||
+                `Layer ${layerNames.length + 1}`
+            : "Ungrouped"
+        );
+      }
+      return layerIndices.get(group);
+    };
+
     const polylines = [];
+    const polylineLayers = [];
     const total = Math.max(1, elements.length);
     let processed = 0;
 
@@ -591,6 +773,7 @@ class SvgToGcodeTool {
         curves.forEach((curve) => {
           if (curve.length >= 2) {
             polylines.push(curve);
+            polylineLayers.push(getLayerIndex(element));
           }
         });
 
@@ -610,7 +793,7 @@ class SvgToGcodeTool {
     this.assertProcessingActive(token);
     const bounds = this.computeBounds(polylines);
 
-    return { polylines, bounds };
+    return { polylines, bounds, polylineLayers, layerNames };
   }
 
   async transformPolylines(token, polylines, originalBounds, onProgress) {
@@ -759,8 +942,43 @@ class SvgToGcodeTool {
     return segments;
   }
 
-  async generateToolpath(token, segments, bounds, onProgress) {
-    if (!segments.length) {
+  // Joins segments that share endpoints into polylines (dropping duplicates
+  // and overlaps) so each chain is drawn in one pen-down
+  buildToolpathPolylines(segments) {
+    if (!document.getElementById("cleanupInput").checked) {
+      return segments.map((segment) => [
+        { x: segment.x1, y: segment.y1 },
+        { x: segment.x2, y: segment.y2 },
+      ]);
+    }
+
+    return GeometryCleanup.cleanup(segments, {
+      joinTolerance: Math.max(0, this.getNumber("joinToleranceInput", 0.01)),
+      simplifyTolerance: Math.max(0, this.getNumber("simplifyToleranceInput", 0.01)),
+    });
+  }
+
+  // Splits the segments by SVG layer (see extractGeometry) and joins each
+  // layer's segments into polylines, keeping the layers in document order
+  buildToolpathLayers(segments, polylineLayers, layerNames) {
+    const layerSegments = layerNames.map(() => []);
+    segments.forEach((segment) => {
+      layerSegments[polylineLayers[segment.pathIndex]].push(segment);
+    });
+    return layerNames
+      .map((name, index) => ({
+        name,
+        polylines: layerSegments[index].length
+          ? this.buildToolpathPolylines(layerSegments[index])
+          : [],
+      }))
+      .filter((layer) => layer.polylines.length);
+  }
+
+  // Draws the layers one after another, each ordered on its own and started
+  // as a G-code section so the plot time estimate is broken down per layer
+  async generateToolpath(token, layers, bounds, onProgress) {
+    if (!layers.length) {
       if (typeof onProgress === "function") {
         onProgress(1);
       }
@@ -773,6 +991,7 @@ class SvgToGcodeTool {
         travelLength: 0,
         penDownEvents: [],
         penUpEvents: [],
+        moves: [],
       };
     }
 
@@ -784,6 +1003,8 @@ class SvgToGcodeTool {
     const startX = this.getNumber("startXInput", 0);
     const startY = this.getNumber("startYInput", 0);
     const optimize = document.getElementById("optimizeInput").checked;
+    const arcFitting = document.getElementById("arcFittingInput").checked;
+    const arcTolerance = this.getNumber("arcToleranceInput", 0.02);
 
     const generator = new GCodeGenerator({
       feedRate,
@@ -792,38 +1013,53 @@ class SvgToGcodeTool {
       preventZhop,
       startX,
       startY,
+      arcFitting,
+      arcTolerance: arcTolerance > 0 ? arcTolerance : 0.02,
       toolName: "SVG2GCode",
       canvasWidth: Math.max(bounds.maxX - bounds.minX, 0),
       canvasHeight: Math.max(bounds.maxY - bounds.minY, 0),
+      ...this.machineProfilePanel.getGeneratorOptions(),
     });
 
     generator.beginProgram();
 
-    let orderedSegments = optimize ? segments : [...segments];
+    const orderedLayers = [];
     let optimizationAborted = false;
 
     const optimizationWeight = optimize ? 0.3 : 0;
     const drawingWeight = 1 - optimizationWeight;
 
-    if (optimize) {
-      const result = await this.optimizeSegments(
-        token,
-        segments,
-        startX,
-        startY,
-        (fraction) => {
-          if (typeof onProgress === "function") {
-            const clamped = Math.max(0, Math.min(1, fraction || 0));
-            onProgress(clamped * optimizationWeight);
+    // Each layer's ordering starts where the previous layer ends
+    let layerStartX = startX;
+    let layerStartY = startY;
+    for (const [layerIndex, layer] of layers.entries()) {
+      let orderedPolylines = [...layer.polylines];
+
+      if (optimize) {
+        const result = await this.optimizePolylines(
+          token,
+          layer.polylines,
+          layerStartX,
+          layerStartY,
+          (fraction) => {
+            if (typeof onProgress === "function") {
+              const clamped = Math.max(0, Math.min(1, fraction || 0));
+              onProgress(((layerIndex + clamped) / layers.length) * optimizationWeight);
+            }
           }
-        }
-      );
+        );
 
-      if (result && Array.isArray(result.segments)) {
-        orderedSegments = result.segments;
-      } else if (result && result.aborted) {
-        optimizationAborted = true;
+        if (result && Array.isArray(result.polylines)) {
+          orderedPolylines = result.polylines;
+        } else if (result && result.aborted) {
+          optimizationAborted = true;
+        }
       }
+
+      const lastPolyline = orderedPolylines[orderedPolylines.length - 1];
+      layerStartX = lastPolyline[lastPolyline.length - 1].x;
+      layerStartY = lastPolyline[lastPolyline.length - 1].y;
+      orderedLayers.push({ name: layer.name, polylines: orderedPolylines });
     }
 
     if (optimizationWeight > 0 && typeof onProgress === "function") {
@@ -834,6 +1070,7 @@ class SvgToGcodeTool {
     const travels = [];
     const penDownEvents = [];
     const penUpEvents = [];
+    const moves = [];
     let drawLength = 0;
     let travelLength = 0;
 
@@ -841,92 +1078,106 @@ class SvgToGcodeTool {
     let currentY = startY;
     let penIsDown = false;
 
-    const totalSegments = Math.max(1, orderedSegments.length);
+    const totalPolylines = Math.max(
+      1,
+      orderedLayers.reduce((sum, layer) => sum + layer.polylines.length, 0)
+    );
     let processed = 0;
 
-    for (const segment of orderedSegments) {
-      const distanceToStart = this.distance(
-        { x: currentX, y: currentY },
-        { x: segment.x1, y: segment.y1 }
-      );
+    for (const layer of orderedLayers) {
+      generator.beginSection(layer.name);
+      for (const polyline of layer.polylines) {
+        const start = polyline[0];
+        const distanceToStart = this.distance({ x: currentX, y: currentY }, start);
+
+        const shouldLift = penIsDown && distanceToStart > preventZhop;
+
+        if (distanceToStart > 1e-3) {
+          if (shouldLift) {
+            generator.ensurePenUp({ force: true, feedRate: travelRate });
+            penUpEvents.push({ x: currentX, y: currentY });
+            moves.push({ type: "penUp", point: { x: currentX, y: currentY } });
+            penIsDown = false;
+            travels.push([{ x: currentX, y: currentY }, { x: start.x, y: start.y }]);
+            travelLength += distanceToStart;
+          }
 
-      const shouldLift = penIsDown && distanceToStart > preventZhop;
-
-      if (distanceToStart > 1e-3) {
-        if (shouldLift) {
-          generator.ensurePenUp({ force: true, feedRate: travelRate });
-          penUpEvents.push({ x: currentX, y: currentY });
-          penIsDown = false;
-          travels.push([
-            { x: currentX, y: currentY },
-            { x: segment.x1, y: segment.y1 },
-          ]);
-          travelLength += distanceToStart;
+          const rapid = !penIsDown;
+          generator.moveTo(start.x, start.y, {
+            rapid,
+            feedRate: rapid ? travelRate : feedRate,
+            comment: rapid ? "Move" : "Drag",
+          });
+
+          if (rapid) {
+            travels.push([{ x: currentX, y: currentY }, { x: start.x, y: start.y }]);
+            travelLength += distanceToStart;
+          } else if (!shouldLift && distanceToStart > 1e-5) {
+            draws.push([{ x: currentX, y: currentY }, { x: start.x, y: start.y }]);
+            drawLength += distanceToStart;
+          }
+          moves.push({
+            type: rapid ? "travel" : "draw",
+            from: { x: currentX, y: currentY },
+            to: { x: start.x, y: start.y },
+          });
         }
 
-        const rapid = !penIsDown;
-        generator.moveTo(segment.x1, segment.y1, {
-          rapid,
-          feedRate: rapid ? travelRate : feedRate,
-          comment: rapid ? "Move" : "Drag",
-        });
-
-        if (rapid) {
-          travels.push([
-            { x: currentX, y: currentY },
-            { x: segment.x1, y: segment.y1 },
-          ]);
-          travelLength += distanceToStart;
-        } else if (!shouldLift && distanceToStart > 1e-5) {
-          draws.push([
-            { x: currentX, y: currentY },
-            { x: segment.x1, y: segment.y1 },
-          ]);
-          drawLength += distanceToStart;
+        const wasPenDown = penIsDown;
+        generator.ensurePenDown({ feedRate, penDownZ });
+        if (!wasPenDown) {
+          penDownEvents.push({ x: start.x, y: start.y });
+          moves.push({ type: "penDown", point: { x: start.x, y: start.y } });
+          penIsDown = true;
         }
-      }
 
-      const wasPenDown = penIsDown;
-      generator.ensurePenDown({ feedRate, penDownZ });
-      if (!wasPenDown) {
-        penDownEvents.push({ x: segment.x1, y: segment.y1 });
-        penIsDown = true;
-      }
-      generator.drawLineTo(segment.x2, segment.y2, {
-        feedRate,
-        comment: "Draw",
-      });
-
-      draws.push([
-        { x: segment.x1, y: segment.y1 },
-        { x: segment.x2, y: segment.y2 },
-      ]);
-      drawLength += this.distance(
-        { x: segment.x1, y: segment.y1 },
-        { x: segment.x2, y: segment.y2 }
-      );
+        for (let i = 1; i < polyline.length; i++) {
+          const from = polyline[i - 1];
+          const to = polyline[i];
+          generator.drawLineTo(to.x, to.y, {
+            feedRate,
+            comment: "Draw",
+          });
+
+          draws.push([{ x: from.x, y: from.y }, { x: to.x, y: to.y }]);
+          moves.push({
+            type: "draw",
+            from: { x: from.x, y: from.y },
+            to: { x: to.x, y: to.y },
+          });
+          drawLength += this.distance(from, to);
+        }
 
-      currentX = segment.x2;
-      currentY = segment.y2;
+        const end = polyline[polyline.length - 1];
+        currentX = end.x;
+        currentY = end.y;
 
-      processed += 1;
-      if (processed % YIELD_CHECK_INTERVAL === 0) {
-        await this.yieldProcessing(token);
-        if (typeof onProgress === "function") {
-          const fraction = processed / totalSegments;
-          const progress = optimizationWeight + fraction * drawingWeight;
-          onProgress(Math.min(1, progress));
+        processed += 1;
+        if (processed % YIELD_CHECK_INTERVAL === 0) {
+          await this.yieldProcessing(token);
+          if (typeof onProgress === "function") {
+            const fraction = processed / totalPolylines;
+            const progress = optimizationWeight + fraction * drawingWeight;
+            onProgress(Math.min(1, progress));
+          }
         }
       }
     }
 
     if (penIsDown) {
       penUpEvents.push({ x: currentX, y: currentY });
+      moves.push({ type: "penUp", point: { x: currentX, y: currentY } });
       penIsDown = false;
     }
     generator.ensurePenUp({ force: true, feedRate: travelRate });
     generator.finishProgram();
 
+    // G0 moves carry the travel feed here, so it overrides the profile's rapid rate
+    const estimate = PlotTimeEstimator.fromGenerator(generator, {
+      ...this.machineProfilePanel.getEstimatorOptions(),
+      travelRate,
+    });
+
     if (typeof onProgress === "function") {
       onProgress(1);
     }
@@ -946,121 +1197,48 @@ class SvgToGcodeTool {
       travelLength,
       penDownEvents,
       penUpEvents,
+      moves,
+      estimate,
     };
   }
 
-  async optimizeSegments(token, segments, startX, startY, onProgress) {
-    if (!Array.isArray(segments) || segments.length === 0) {
+  async optimizePolylines(token, polylines, startX, startY, onProgress) {
+    if (!Array.isArray(polylines) || polylines.length === 0) {
       if (typeof onProgress === "function") onProgress(1);
-      return { segments: [] };
+      return { polylines: [] };
     }
 
-    const remaining = segments.map((segment) => ({ ...segment }));
-    const optimized = [];
-    let currentX = startX;
-    let currentY = startY;
+    if (typeof onProgress === "function") onProgress(0);
+    await this.yieldProcessing(token);
 
-    const total = Math.max(1, remaining.length);
-    let processed = 0;
-
-    const report = () => {
-      if (typeof onProgress === "function") {
-        onProgress(Math.min(1, processed / total));
-      }
-    };
-
-    report();
-
-    while (remaining.length > 0) {
-      let bestIndex = 0;
-      let bestDistance = Infinity;
-      let bestReversed = false;
-
-      for (let i = 0; i < remaining.length; i++) {
-        const line = remaining[i];
-        if (!line) continue;
-        const distToStart = GCodeGenerator.distance(
-          currentX,
-          currentY,
-          line.x1,
-          line.y1
-        );
-        if (distToStart < bestDistance) {
-          bestDistance = distToStart;
-          bestIndex = i;
-          bestReversed = false;
-        }
-
-        const distToEnd = GCodeGenerator.distance(
-          currentX,
-          currentY,
-          line.x2,
-          line.y2
-        );
-        if (distToEnd < bestDistance) {
-          bestDistance = distToEnd;
-          bestIndex = i;
-          bestReversed = true;
-        }
-      }
-
-      const bestLine = remaining.splice(bestIndex, 1)[0];
-      if (!bestLine) continue;
-
-      if (bestReversed) {
-        const reversed = {
-          ...bestLine,
-          x1: bestLine.x2,
-          y1: bestLine.y2,
-          x2: bestLine.x1,
-          y2: bestLine.y1,
-        };
-        optimized.push(reversed);
-        currentX = reversed.x2;
-        currentY = reversed.y2;
-      } else {
-        optimized.push(bestLine);
-        currentX = bestLine.x2;
-        currentY = bestLine.y2;
-      }
-
-      processed += 1;
-
-      if (processed % YIELD_CHECK_INTERVAL === 0) {
-        await this.yieldProcessing(token);
-        report();
-      }
-    }
-
-    processed = total;
-    report();
+    // PathOptimizer runs synchronously (its 2-opt pass is time-boxed), so
+    // progress jumps straight from start to finish
+    const optimized = PathOptimizer.orderPolylines(polylines, startX, startY);
 
+    if (typeof onProgress === "function") onProgress(1);
     this.assertProcessingActive(token);
-    return { segments: optimized };
+    return { polylines: optimized };
   }
 
   async renderPreview(token, toolpath, bounds, onProgress) {
-    if (this.drawGroup) this.drawGroup.textContent = "";
-    if (this.travelGroup) this.travelGroup.textContent = "";
     if (this.penUpGroup) this.penUpGroup.textContent = "";
     if (this.penDownGroup) this.penDownGroup.textContent = "";
 
-    const viewBox = `${Math.floor(bounds.minX)} ${Math.floor(
-      bounds.minY
-    )} ${Math.ceil(bounds.maxX - bounds.minX || 1)} ${Math.ceil(
-      bounds.maxY - bounds.minY || 1
-    )}`;
-    this.previewSvg.setAttribute("viewBox", viewBox);
+    const viewBox = [
+      Math.floor(bounds.minX),
+      Math.floor(bounds.minY),
+      Math.ceil(bounds.maxX - bounds.minX || 1),
+      Math.ceil(bounds.maxY - bounds.minY || 1),
+    ];
+    this.previewSvg.setAttribute("viewBox", viewBox.join(" "));
+    this.preview.setViewBox(...viewBox);
 
     const travels = toolpath.travels || [];
     const draws = toolpath.draws || [];
     const penUpEvents = toolpath.penUpEvents || [];
     const penDownEvents = toolpath.penDownEvents || [];
 
-    const totalItems = Math.max(
-      1,
-      travels.length + draws.length + penUpEvents.length + penDownEvents.length
-    );
+    const totalItems = Math.max(1, penUpEvents.length + penDownEvents.length);
     let processed = 0;
 
     const report = () => {
@@ -1073,41 +1251,8 @@ class SvgToGcodeTool {
 
     const arrowSize = this.computeArrowSize(bounds);
 
-    if (this.travelGroup && travels.length) {
-      const travelFragment = document.createDocumentFragment();
-      for (const segment of travels) {
-        const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
-        line.setAttribute("x1", segment[0].x);
-        line.setAttribute("y1", segment[0].y);
-        line.setAttribute("x2", segment[1].x);
-        line.setAttribute("y2", segment[1].y);
-        travelFragment.appendChild(line);
-        processed += 1;
-        if (processed % YIELD_CHECK_INTERVAL === 0) {
-          await this.yieldProcessing(token);
-          report();
-        }
-      }
-      this.travelGroup.appendChild(travelFragment);
-    }
-
-    if (this.drawGroup && draws.length) {
-      const drawFragment = document.createDocumentFragment();
-      for (const segment of draws) {
-        const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
-        line.setAttribute("x1", segment[0].x);
-        line.setAttribute("y1", segment[0].y);
-        line.setAttribute("x2", segment[1].x);
-        line.setAttribute("y2", segment[1].y);
-        drawFragment.appendChild(line);
-        processed += 1;
-        if (processed % YIELD_CHECK_INTERVAL === 0) {
-          await this.yieldProcessing(token);
-          report();
-        }
-      }
-      this.drawGroup.appendChild(drawFragment);
-    }
+    this.preview.setLayer("travel", { lines: travels });
+    this.preview.setLayer("draw", { lines: draws });
 
     if (this.penUpGroup && penUpEvents.length) {
       const penUpFragment = document.createDocumentFragment();
@@ -1141,6 +1286,147 @@ class SvgToGcodeTool {
     this.assertProcessingActive(token);
   }
 
+  setReplayMoves(moves = [], bounds = null) {
+    this.stopReplay();
+    this.replayMoves = moves || [];
+    this.replayArrowSize = this.computeArrowSize(bounds);
+    this.replayHead.setAttribute("r", this.replayArrowSize * 0.4);
+    this.clearReplayGroup();
+
+    const hasMoves = this.replayMoves.length > 0;
+    this.replayScrubber.max = String(this.replayMoves.length);
+    this.replayScrubber.disabled = !hasMoves;
+    this.replayPlayBtn.disabled = !hasMoves;
+    this.replayShowAllBtn.disabled = !hasMoves;
+    this.setReplayIndex(this.replayMoves.length);
+  }
+
+  clearReplayGroup() {
+    this.replayGroup.textContent = "";
+    this.replayElements = [];
+  }
+
+  // Shows the first `index` moves on top of the faded toolpath. Showing every
+  // move leaves replay mode. Only the moves between the old and new position
+  // are added or removed, so scrubbing stays cheap on large files.
+  setReplayIndex(index) {
+    const total = this.replayMoves.length;
+    const target = Math.max(0, Math.min(total, Number.isFinite(index) ? index : total));
+    this.replayIndex = target;
+    this.replayScrubber.value = String(target);
+
+    if (target >= total) {
+      this.clearReplayGroup();
+      this.setToolpathFaded(false);
+      this.replayHead.setAttribute("visibility", "hidden");
+      this.replayInfo.textContent = total
+        ? `${total.toLocaleString()} moves — drag to replay`
+        : "No toolpath loaded";
+      return;
+    }
+
+    this.setToolpathFaded(true);
+
+    if (this.replayElements.length - target > target) {
+      this.clearReplayGroup();
+    }
+    while (this.replayElements.length > target) {
+      const element = this.replayElements.pop();
+      if (element) element.remove();
+    }
+
+    const fragment = document.createDocumentFragment();
+    while (this.replayElements.length < target) {
+      const move = this.replayMoves[this.replayElements.length];
+      let element = null;
+      if (move.type === "draw" || move.type === "travel") {
+        element = document.createElementNS("http://www.w3.org/2000/svg", "line");
+        element.setAttribute("class", move.type === "draw" ? "replay-draw" : "replay-travel");
+        element.setAttribute("x1", move.from.x);
+        element.setAttribute("y1", move.from.y);
+        element.setAttribute("x2", move.to.x);
+        element.setAttribute("y2", move.to.y);
+        fragment.appendChild(element);
+      }
+      this.replayElements.push(element);
+    }
+    this.replayGroup.appendChild(fragment);
+
+    this.updateReplayHead(target);
+  }
+
+  // Fades the canvas layers along with the pen markers (see styles.css)
+  setToolpathFaded(faded) {
+    this.previewSvg.classList.toggle("replaying", faded);
+    const opacity = faded ? 0.15 : 1;
+    this.preview.updateLayer("travel", { opacity });
+    this.preview.updateLayer("draw", { opacity });
+  }
+
+  updateReplayHead(index) {
+    const current = this.replayMoves[index - 1];
+    const upcoming = this.replayMoves[index];
+    let point;
+    if (current) {
+      point = current.to || current.point;
+    } else {
+      point = upcoming.from || upcoming.point;
+    }
+    const penDown = current ? current.type === "draw" || current.type === "penDown" : false;
+
+    this.replayHead.setAttribute("cx", point.x);
+    this.replayHead.setAttribute("cy", point.y);
+    this.replayHead.setAttribute("fill", penDown ? "#2ecc71" : "#e74c3c");
+    this.replayHead.setAttribute("visibility", "visible");
+
+    const labels = {
+      draw: "drawing",
+      travel: "travel",
+      penDown: "pen down",
+      penUp: "pen up",
+    };
+    const parts = [`Move ${index.toLocaleString()} / ${this.replayMoves.length.toLocaleString()}`];
+    if (current) {
+      parts.push(labels[current.type]);
+      if (current.line) parts.push(`line ${current.line}`);
+    }
+    this.replayInfo.textContent = parts.join(" · ");
+  }
+
+  startReplay() {
+    const total = this.replayMoves.length;
+    if (!total) return;
+    if (this.replayIndex >= total) this.setReplayIndex(0);
+
+    this.replayPlayBtn.textContent = "Pause";
+    let position = this.replayIndex;
+    let lastTime = performance.now();
+
+    const step = (now) => {
+      const speed = Math.max(1, this.getNumber("replaySpeedInput", 200));
+      position += ((now - lastTime) / 1000) * speed;
+      lastTime = now;
+
+      const next = Math.min(total, Math.floor(position));
+      if (next !== this.replayIndex) this.setReplayIndex(next);
+      if (next >= total) {
+        this.stopReplay();
+        return;
+      }
+      this.replayFrame = requestAnimationFrame(step);
+    };
+
+    this.replayFrame = requestAnimationFrame(step);
+  }
+
+  stopReplay() {
+    if (this.replayFrame) {
+      cancelAnimationFrame(this.replayFrame);
+      this.replayFrame = null;
+    }
+    this.replayPlayBtn.textContent = "Play";
+  }
+
   computeArrowSize(bounds) {
     if (!bounds) return 1.5;
     const width = Math.max(bounds.maxX - bounds.minX, 1);
@@ -1250,6 +1536,43 @@ class SvgToGcodeTool {
     this.segmentCountEl.textContent = segmentCount;
     this.drawLengthEl.textContent = `${toolpath.drawLength.toFixed(2)} mm`;
     this.travelLengthEl.textContent = `${toolpath.travelLength.toFixed(2)} mm`;
+    this.layerTimesEl.innerHTML = "";
+    if (toolpath.estimate) {
+      const { estimate } = toolpath;
+      this.plotTimeEl.textContent = PlotTimeEstimator.formatDuration(estimate.totalTime);
+      this.plotTimeEl.title = this.describeEstimate(estimate);
+
+      // One row per layer once there is more than one to tell apart
+      if (estimate.sections.length > 1) {
+        estimate.sections.forEach((section) => {
+          const item = document.createElement("div");
+          item.className = "stat-item";
+          item.title = this.describeEstimate(section);
+
+          const label = document.createElement("label");
+          label.textContent = section.name;
+          const value = document.createElement("span");
+          value.textContent = PlotTimeEstimator.formatDuration(section.totalTime);
+
+          item.append(label, value);
+          this.layerTimesEl.appendChild(item);
+        });
+      }
+    } else {
+      this.plotTimeEl.textContent = "–";
+      this.plotTimeEl.title = "";
+    }
+  }
+
+  // Tooltip text splitting an estimate (or one layer of it) into drawing,
+  // travel and pen time
+  describeEstimate(estimate) {
+    return (
+      `Drawing ${PlotTimeEstimator.formatDuration(estimate.drawTime)}, ` +
+      `travel ${PlotTimeEstimator.formatDuration(estimate.travelTime)}, ` +
+      `pen ${PlotTimeEstimator.formatDuration(estimate.penTime + estimate.dwellTime)} ` +
+      `(${estimate.penActions} lifts/lowers)`
+    );
   }
 
   buildPreviewSvg(polylines, bounds, penDownEvents = [], penUpEvents = []) {
@@ -1276,13 +1599,9 @@ class SvgToGcodeTool {
 
   resetPreview() {
     this.generatedGcode = "";
-    this.previewSvgMarkup = "";
-    while (this.drawGroup.firstChild) {
-      this.drawGroup.removeChild(this.drawGroup.firstChild);
-    }
-    while (this.travelGroup.firstChild) {
-      this.travelGroup.removeChild(this.travelGroup.firstChild);
-    }
+    this.previewExport = null;
+    this.preview.setLayer("travel", { lines: [] });
+    this.preview.setLayer("draw", { lines: [] });
     if (this.penUpGroup) {
       while (this.penUpGroup.firstChild) {
         this.penUpGroup.removeChild(this.penUpGroup.firstChild);
@@ -1297,14 +1616,19 @@ class SvgToGcodeTool {
     this.segmentCountEl.textContent = "0";
     this.drawLengthEl.textContent = "0 mm";
     this.travelLengthEl.textContent = "0 mm";
+    this.plotTimeEl.textContent = "–";
+    this.plotTimeEl.title = "";
+    this.layerTimesEl.innerHTML = "";
+    this.setReplayMoves([]);
     this.previewSvg.setAttribute("viewBox", "0 0 200 200");
+    this.preview.setViewBox(0, 0, 200, 200);
     this.updateButtons();
   }
 
   updateButtons() {
     const hasData = Boolean(this.generatedGcode);
     this.downloadGcodeBtn.disabled = !hasData;
-    this.downloadSvgBtn.disabled = !this.previewSvgMarkup;
+    this.downloadSvgBtn.disabled = !this.previewExport;
   }
 
   showStatus(message, type = "info") {
@@ -1543,6 +1867,11 @@ class SvgToGcodeTool {
     return number.toFixed(3);
   }
 
+  // Width in mm that simulated ink draws the pen-down moves at
+  getPenDiameter() {
+    return Math.max(0.01, this.getNumber("penDiameterInput", 0.5));
+  }
+
   getNumber(id, fallback) {
     const element = document.getElementById(id);
     if (!element) return fallback;
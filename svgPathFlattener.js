@@ -0,0 +1,519 @@
+(function (global) {
+  const DEFAULT_TOLERANCE = 0.05;
+  const IDENTITY = { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 };
+  const PARAM_COUNTS = {
+    M: 2,
+    L: 2,
+    H: 1,
+    V: 1,
+    C: 6,
+    S: 4,
+    Q: 4,
+    T: 2,
+    A: 7,
+    Z: 0,
+  };
+
+  // Turns SVG path data and transform attributes into plain polylines so
+  // tools can feed their artwork straight into GCodeGenerator.
+  class SvgPathFlattener {
+    static identity() {
+      return { ...IDENTITY };
+    }
+
+    static multiply(m1, m2) {
+      return {
+        a: m1.a * m2.a + m1.c * m2.b,
+        b: m1.b * m2.a + m1.d * m2.b,
+        c: m1.a * m2.c + m1.c * m2.d,
+        d: m1.b * m2.c + m1.d * m2.d,
+        e: m1.a * m2.e + m1.c * m2.f + m1.e,
+        f: m1.b * m2.e + m1.d * m2.f + m1.f,
+      };
+    }
+
+    static translate(tx, ty = 0) {
+      return { a: 1, b: 0, c: 0, d: 1, e: tx, f: ty };
+    }
+
+    static scale(sx, sy = sx) {
+      return { a: sx, b: 0, c: 0, d: sy, e: 0, f: 0 };
+    }
+
+    static rotate(degrees, cx = 0, cy = 0) {
+      const rad = (degrees * Math.PI) / 180;
+      const cos = Math.cos(rad);
+      const sin = Math.sin(rad);
+      const rotation = { a: cos, b: sin, c: -sin, d: cos, e: 0, f: 0 };
+      if (!cx && !cy) return rotation;
+      return SvgPathFlattener.multiply(
+        SvgPathFlattener.translate(cx, cy),
+        SvgPathFlattener.multiply(rotation, SvgPathFlattener.translate(-cx, -cy))
+      );
+    }
+
+    static applyMatrix(point, matrix) {
+      if (!matrix) return { x: point.x, y: point.y };
+      return {
+        x: matrix.a * point.x + matrix.c * point.y + matrix.e,
+        y: matrix.b * point.x + matrix.d * point.y + matrix.f,
+      };
+    }
+
+    // Parses a transform attribute such as
+    // "translate(10, 20) scale(0.5) rotate(90 100 100)" into one matrix.
+    // Transforms are applied right-to-left, as in the SVG spec.
+    static parseTransform(transform) {
+      let matrix = SvgPathFlattener.identity();
+      if (!transform) return matrix;
+
+      const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+      let match;
+      while ((match = pattern.exec(transform)) !== null) {
+        const values = SvgPathFlattener.parseNumbers(match[2]);
+        let next = null;
+
+        switch (match[1]) {
+          case "matrix":
+            if (values.length === 6) {
+              const [a, b, c, d, e, f] = values;
+              next = { a, b, c, d, e, f };
+            }
+            break;
+          case "translate":
+            next = SvgPathFlattener.translate(values[0] || 0, values[1] || 0);
+            break;
+          case "scale":
+            next = SvgPathFlattener.scale(
+              values[0] ?? 1,
+              values[1] ?? values[0] ?? 1
+            );
+            break;
+          case "rotate":
+            next = SvgPathFlattener.rotate(
+              values[0] || 0,
+              values[1] || 0,
+              values[2] || 0
+            );
+            break;
+          case "skewX":
+            next = { ...IDENTITY, c: Math.tan(((values[0] || 0) * Math.PI) / 180) };
+            break;
+          case "skewY":
+            next = { ...IDENTITY, b: Math.tan(((values[0] || 0) * Math.PI) / 180) };
+            break;
+        }
+
+        if (next) matrix = SvgPathFlattener.multiply(matrix, next);
+      }
+
+      return matrix;
+    }
+
+    static parseNumbers(text) {
+      const matches = String(text).match(
+        /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g
+      );
+      return matches ? matches.map(Number) : [];
+    }
+
+    // Splits path data into commands with their numeric parameters. Implicit
+    // repeats ("L 1 2 3 4") become separate commands, and extra pairs after a
+    // moveto become linetos.
+    static tokenizePath(pathData) {
+      const commands = [];
+      const pattern = /([MmLlHhVvCcSsQqTtAaZz])|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/g;
+      // Numbers stay as source text so packed arc flags keep leading zeros
+      const tokens = [];
+      let match;
+      while ((match = pattern.exec(pathData || "")) !== null) {
+        tokens.push(match[1] ? { command: match[1] } : match[2]);
+      }
+
+      let index = 0;
+      let command = null;
+      while (index < tokens.length) {
+        if (typeof tokens[index] === "object") {
+          command = tokens[index++].command;
+        } else if (!command) {
+          index++;
+          continue;
+        }
+
+        const upper = command.toUpperCase();
+        const count = PARAM_COUNTS[upper];
+        if (count === 0) {
+          commands.push({ type: command, values: [] });
+          // Z takes no parameters and does not repeat: stray numbers after
+          // it are skipped until the next command letter
+          command = null;
+          continue;
+        }
+
+        if (upper === "A") {
+          // Arc flags may be written without separators ("a5 5 0 0110 10")
+          const values = [];
+          while (values.length < count && index < tokens.length) {
+            const token = tokens[index];
+            if (typeof token === "object") break;
+            if ((values.length === 3 || values.length === 4) && /^[01]./.test(token)) {
+              values.push(Number(token[0]));
+              tokens[index] = token.slice(1);
+              continue;
+            }
+            values.push(Number(token));
+            index++;
+          }
+          if (values.length < count) break;
+          commands.push({ type: command, values });
+          continue;
+        }
+
+        const values = tokens.slice(index, index + count);
+        if (values.length < count || values.some((v) => typeof v === "object")) {
+          break;
+        }
+        index += count;
+        commands.push({ type: command, values: values.map(Number) });
+
+        if (upper === "M") {
+          command = command === "M" ? "L" : "l";
+        }
+      }
+
+      return commands;
+    }
+
+    // Returns an array of polylines ([{x, y}, ...]) in the coordinate space
+    // produced by `options.matrix`. `options.tolerance` is the maximum chord
+    // deviation for curves, measured in those output units.
+    static flattenPathData(pathData, options = {}) {
+      const matrix = options.matrix || IDENTITY;
+      const tolerance = options.tolerance > 0 ? options.tolerance : DEFAULT_TOLERANCE;
+      const apply = (x, y) => SvgPathFlattener.applyMatrix({ x, y }, matrix);
+
+      const polylines = [];
+      let current = null;
+      let x = 0;
+      let y = 0;
+      let startX = 0;
+      let startY = 0;
+      let lastControl = null;
+      let lastType = "";
+
+      const beginAt = (px, py) => {
+        if (current && current.length > 1) polylines.push(current);
+        current = [apply(px, py)];
+      };
+      const lineTo = (px, py) => {
+        current.push(apply(px, py));
+      };
+      const cubicTo = (x1, y1, x2, y2, px, py) => {
+        const points = SvgPathFlattener.flattenCubic(
+          apply(x, y),
+          apply(x1, y1),
+          apply(x2, y2),
+          apply(px, py),
+          tolerance
+        );
+        current.push(...points);
+      };
+      const quadTo = (x1, y1, px, py) => {
+        const points = SvgPathFlattener.flattenQuadratic(
+          apply(x, y),
+          apply(x1, y1),
+          apply(px, py),
+          tolerance
+        );
+        current.push(...points);
+      };
+
+      SvgPathFlattener.tokenizePath(pathData).forEach(({ type, values }) => {
+        const relative = type === type.toLowerCase();
+        const upper = type.toUpperCase();
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+        let control = null;
+        // Drawing after Z without a moveto starts at the subpath start
+        if (!current && upper !== "M" && upper !== "Z") current = [apply(x, y)];
+
+        switch (upper) {
+          case "M":
+            x = ox + values[0];
+            y = oy + values[1];
+            startX = x;
+            startY = y;
+            beginAt(x, y);
+            break;
+          case "L":
+            x = ox + values[0];
+            y = oy + values[1];
+            lineTo(x, y);
+            break;
+          case "H":
+            x = ox + values[0];
+            lineTo(x, y);
+            break;
+          case "V":
+            y = oy + values[0];
+            lineTo(x, y);
+            break;
+          case "C": {
+            const [x1, y1, x2, y2, px, py] = values;
+            cubicTo(ox + x1, oy + y1, ox + x2, oy + y2, ox + px, oy + py);
+            control = { x: ox + x2, y: oy + y2 };
+            x = ox + px;
+            y = oy + py;
+            break;
+          }
+          case "S": {
+            const [x2, y2, px, py] = values;
+            const reflected =
+              lastControl && (lastType === "C" || lastType === "S")
+                ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+                : { x, y };
+            cubicTo(reflected.x, reflected.y, ox + x2, oy + y2, ox + px, oy + py);
+            control = { x: ox + x2, y: oy + y2 };
+            x = ox + px;
+            y = oy + py;
+            break;
+          }
+          case "Q": {
+            const [x1, y1, px, py] = values;
+            quadTo(ox + x1, oy + y1, ox + px, oy + py);
+            control = { x: ox + x1, y: oy + y1 };
+            x = ox + px;
+            y = oy + py;
+            break;
+          }
+          case "T": {
+            const [px, py] = values;
+            const reflected =
+              lastControl && (lastType === "Q" || lastType === "T")
+                ? { x: 2 * x - lastControl.x, y: 2 * y - lastControl.y }
+                : { x, y };
+            quadTo(reflected.x, reflected.y, ox + px, oy + py);
+            control = reflected;
+            x = ox + px;
+            y = oy + py;
+            break;
+          }
+          case "A": {
+            const [rx, ry, rotation, largeArc, sweep, px, py] = values;
+            const endX = ox + px;
+            const endY = oy + py;
+            SvgPathFlattener.arcToCubics(
+              x,
+              y,
+              rx,
+              ry,
+              rotation,
+              largeArc,
+              sweep,
+              endX,
+              endY
+            ).forEach((curve) => {
+              cubicTo(...curve);
+              x = curve[4];
+              y = curve[5];
+            });
+            x = endX;
+            y = endY;
+            break;
+          }
+          case "Z":
+            if (current && current.length > 0) {
+              const first = current[0];
+              const last = current[current.length - 1];
+              if (first.x !== last.x || first.y !== last.y) {
+                current.push({ x: first.x, y: first.y });
+              }
+            }
+            x = startX;
+            y = startY;
+            if (current && current.length > 1) polylines.push(current);
+            current = null;
+            break;
+        }
+
+        lastControl = control;
+        lastType = upper;
+      });
+
+      if (current && current.length > 1) polylines.push(current);
+      return polylines;
+    }
+
+    // Wang's formula gives the segment count that keeps a Bézier within
+    // `tolerance` of its chords.
+    static flattenCubic(p0, p1, p2, p3, tolerance = DEFAULT_TOLERANCE) {
+      const ddx = Math.max(
+        Math.abs(p0.x - 2 * p1.x + p2.x),
+        Math.abs(p1.x - 2 * p2.x + p3.x)
+      );
+      const ddy = Math.max(
+        Math.abs(p0.y - 2 * p1.y + p2.y),
+        Math.abs(p1.y - 2 * p2.y + p3.y)
+      );
+      const dd = Math.sqrt(ddx * ddx + ddy * ddy);
+      const steps = Math.max(1, Math.min(512, Math.ceil(Math.sqrt((0.75 * dd) / tolerance))));
+
+      const points = [];
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const mt = 1 - t;
+        const a = mt * mt * mt;
+        const b = 3 * mt * mt * t;
+        const c = 3 * mt * t * t;
+        const d = t * t * t;
+        points.push({
+          x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+          y: a * p0.y + b * p1.y + c * p2.y + d * p3.y,
+        });
+      }
+      return points;
+    }
+
+    static flattenQuadratic(p0, p1, p2, tolerance = DEFAULT_TOLERANCE) {
+      const ddx = p0.x - 2 * p1.x + p2.x;
+      const ddy = p0.y - 2 * p1.y + p2.y;
+      const dd = Math.sqrt(ddx * ddx + ddy * ddy);
+      const steps = Math.max(1, Math.min(512, Math.ceil(Math.sqrt((0.25 * dd) / tolerance))));
+
+      const points = [];
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const mt = 1 - t;
+        points.push({
+          x: mt * mt * p0.x + 2 * mt * t * p1.x + t * t * p2.x,
+          y: mt * mt * p0.y + 2 * mt * t * p1.y + t * t * p2.y,
+        });
+      }
+      return points;
+    }
+
+    // Converts an SVG elliptical arc to cubic Béziers (at most 90° each) so it
+    // survives any affine transform. Returns [x1, y1, x2, y2, x, y] tuples.
+    static arcToCubics(x0, y0, rx, ry, rotation, largeArc, sweep, x, y) {
+      if (x0 === x && y0 === y) return [];
+      rx = Math.abs(rx);
+      ry = Math.abs(ry);
+      if (rx === 0 || ry === 0) return [[x0, y0, x, y, x, y]];
+
+      const phi = (rotation * Math.PI) / 180;
+      const cosPhi = Math.cos(phi);
+      const sinPhi = Math.sin(phi);
+
+      const dx = (x0 - x) / 2;
+      const dy = (y0 - y) / 2;
+      const x1p = cosPhi * dx + sinPhi * dy;
+      const y1p = -sinPhi * dx + cosPhi * dy;
+
+      const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+      if (lambda > 1) {
+        const root = Math.sqrt(lambda);
+        rx *= root;
+        ry *= root;
+      }
+
+      const rx2 = rx * rx;
+      const ry2 = ry * ry;
+      const numerator = rx2 * ry2 - rx2 * y1p * y1p - ry2 * x1p * x1p;
+      const denominator = rx2 * y1p * y1p + ry2 * x1p * x1p;
+      let coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+      if (Boolean(largeArc) === Boolean(sweep)) coefficient = -coefficient;
+
+      const cxp = (coefficient * rx * y1p) / ry;
+      const cyp = (-coefficient * ry * x1p) / rx;
+      const cx = cosPhi * cxp - sinPhi * cyp + (x0 + x) / 2;
+      const cy = sinPhi * cxp + cosPhi * cyp + (y0 + y) / 2;
+
+      const angle = (ux, uy, vx, vy) => {
+        const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+        const dot = ux * vx + uy * vy;
+        const length = Math.sqrt(ux * ux + uy * uy) * Math.sqrt(vx * vx + vy * vy);
+        return sign * Math.acos(Math.max(-1, Math.min(1, dot / length)));
+      };
+
+      const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+      let deltaTheta = angle(
+        (x1p - cxp) / rx,
+        (y1p - cyp) / ry,
+        (-x1p - cxp) / rx,
+        (-y1p - cyp) / ry
+      );
+      if (!sweep && deltaTheta > 0) deltaTheta -= 2 * Math.PI;
+      if (sweep && deltaTheta < 0) deltaTheta += 2 * Math.PI;
+
+      const segments = Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2));
+      const delta = deltaTheta / segments;
+      const kappa = (4 / 3) * Math.tan(delta / 4);
+      const point = (theta) => ({
+        x: cx + rx * Math.cos(theta) * cosPhi - ry * Math.sin(theta) * sinPhi,
+        y: cy + rx * Math.cos(theta) * sinPhi + ry * Math.sin(theta) * cosPhi,
+      });
+      const derivative = (theta) => ({
+        x: -rx * Math.sin(theta) * cosPhi - ry * Math.cos(theta) * sinPhi,
+        y: -rx * Math.sin(theta) * sinPhi + ry * Math.cos(theta) * cosPhi,
+      });
+
+      const curves = [];
+      for (let i = 0; i < segments; i++) {
+        const start = theta1 + i * delta;
+        const end = start + delta;
+        const p0 = point(start);
+        const p3 = i === segments - 1 ? { x, y } : point(end);
+        const d0 = derivative(start);
+        const d3 = derivative(end);
+        curves.push([
+          p0.x + kappa * d0.x,
+          p0.y + kappa * d0.y,
+          p3.x - kappa * d3.x,
+          p3.y - kappa * d3.y,
+          p3.x,
+          p3.y,
+        ]);
+      }
+      return curves;
+    }
+
+    // Collects every <path> below `root`, composing the transform attributes
+    // between it and `root` (the root's own transform is ignored). Hidden
+    // elements are skipped.
+    static flattenElement(root, options = {}) {
+      const baseMatrix = options.matrix || IDENTITY;
+      const polylines = [];
+
+      const visit = (element, matrix) => {
+        if (!element || element.nodeType !== 1) return;
+        if (element.getAttribute("display") === "none") return;
+        if (element.style && element.style.display === "none") return;
+
+        let elementMatrix = matrix;
+        if (element !== root && element.hasAttribute("transform")) {
+          elementMatrix = SvgPathFlattener.multiply(
+            matrix,
+            SvgPathFlattener.parseTransform(element.getAttribute("transform"))
+          );
+        }
+
+        if (element.tagName.toLowerCase() === "path") {
+          polylines.push(
+            ...SvgPathFlattener.flattenPathData(element.getAttribute("d"), {
+              matrix: elementMatrix,
+              tolerance: options.tolerance,
+            })
+          );
+          return;
+        }
+
+        Array.from(element.children).forEach((child) => visit(child, elementMatrix));
+      };
+
+      visit(root, baseMatrix);
+      return polylines;
+    }
+  }
+
+  global.SvgPathFlattener = SvgPathFlattener;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared, loadTool } = require("./helpers");
+
+// CurveEditor exports itself instead of attaching to globalThis under Node
+globalThis.CurveEditor = loadTool("CurveEditor.js");
+loadShared("colorSeparation");
+
+const rgbaPixels = (pixels) =>
+  Uint8ClampedArray.from(pixels.flatMap(([r, g, b]) => [r, g, b, 255]));
+const rounded = (map) => Array.from(map, (value) => +value.toFixed(3));
+
+test("GCR moves the grey component to black and UCR takes it out of CMY", () => {
+  // 25% grey component under a red
+  const [r, g, b] = [0.75, 0.25, 0.25];
+
+  assert.deepEqual(
+    ColorSeparation.separatePixel(r, g, b, 1, 1).map((ink) => +ink.toFixed(3)),
+    [0, 0.5, 0.5, 0.25]
+  );
+  // Without GCR there is no black
+  assert.deepEqual(
+    ColorSeparation.separatePixel(r, g, b, 0, 1).map((ink) => +ink.toFixed(3)),
+    [0.25, 0.75, 0.75, 0]
+  );
+  // Without UCR black is printed on top of the full colour inks
+  assert.deepEqual(
+    ColorSeparation.separatePixel(r, g, b, 0.5, 0).map((ink) => +ink.toFixed(3)),
+    [0.25, 0.75, 0.75, 0.125]
+  );
+});
+
+test("the ink limit scales down the colour inks of the included channels only", () => {
+  const data = rgbaPixels([
+    [0, 0, 0],
+    [255, 255, 255],
+  ]);
+
+  const limited = ColorSeparation.separate(data, 2, 1, { gcr: 50, ucr: 0, inkLimit: 200 });
+  // Black 0.5 stays; C, M and Y share the remaining 1.5
+  assert.deepEqual(rounded(limited.K), [0.5, 0]);
+  ["C", "M", "Y"].forEach((channel) => assert.deepEqual(rounded(limited[channel]), [0.5, 0]));
+
+  // With only C and K enabled the pair fits under the limit
+  const pair = ColorSeparation.separate(data, 2, 1, { gcr: 50, ucr: 0, inkLimit: 200 }, ["C", "K"]);
+  assert.deepEqual(Object.keys(pair), ["C", "K"]);
+  assert.deepEqual(rounded(pair.C), [1, 0]);
+});
+
+test("per-channel tone curves remap the ink before the limit", () => {
+  const data = rgbaPixels([[128, 255, 255]]);
+  const maps = ColorSeparation.separate(data, 1, 1, {
+    curves: {
+      C: [
+        { x: 0, y: 0 },
+        { x: 1, y: 0.5 },
+      ],
+    },
+  });
+
+  assert.ok(Math.abs(maps.C[0] - 0.25) < 0.01, `cyan ${maps.C[0]}`);
+  assert.equal(maps.M[0], 0);
+});
+
+test("normalize fills in defaults and describe summarises the settings", () => {
+  const settings = ColorSeparation.normalize({ gcr: "150", inkLimit: "abc" });
+
+  assert.deepEqual(settings, { gcr: 100, ucr: 100, inkLimit: 300, curves: {} });
+  assert.equal(
+    ColorSeparation.describe({
+      gcr: 60,
+      curves: {
+        K: [
+          { x: 0, y: 0 },
+          { x: 0.5, y: 0.7 },
+          { x: 1, y: 1 },
+        ],
+        C: [
+          { x: 0, y: 0 },
+          { x: 1, y: 1 },
+        ],
+      },
+    }),
+    "GCR 60%, UCR 100%, ink limit 300%, curves K"
+  );
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { headless, loadTool } = require("./helpers");
+
+const CurveEditor = loadTool("CurveEditor.js");
+
+const curve = (controlPoints) => headless(CurveEditor, { controlPoints });
+
+test("two control points interpolate linearly", () => {
+  const editor = curve([
+    { x: 0, y: 1 },
+    { x: 1, y: 0 },
+  ]);
+
+  assert.equal(editor.evaluate(0), 1);
+  assert.equal(editor.evaluate(0.25), 0.75);
+  assert.equal(editor.evaluate(1), 0);
+});
+
+test("inputs outside 0-1 are clamped", () => {
+  const editor = curve([
+    { x: 0, y: 0.2 },
+    { x: 1, y: 0.8 },
+  ]);
+
+  assert.equal(editor.evaluate(-3), 0.2);
+  assert.equal(editor.evaluate(7), 0.8);
+});
+
+test("the curve passes through every control point", () => {
+  const points = [
+    { x: 0, y: 0 },
+    { x: 0.3, y: 0.6 },
+    { x: 0.7, y: 0.4 },
+    { x: 1, y: 1 },
+  ];
+  const editor = curve(points);
+
+  points.forEach((point) => {
+    assert.ok(Math.abs(editor.evaluate(point.x) - point.y) < 1e-9, `at x=${point.x}`);
+  });
+});
+
+test("a monotonic set of points gives a monotonic curve", () => {
+  const editor = curve([
+    { x: 0, y: 0 },
+    { x: 0.5, y: 0.3 },
+    { x: 1, y: 1 },
+  ]);
+
+  let previous = editor.evaluate(0);
+  for (let x = 0.01; x <= 1; x += 0.01) {
+    const value = editor.evaluate(x);
+    assert.ok(value >= previous - 1e-9, `curve dips at x=${x.toFixed(2)}`);
+    previous = value;
+  }
+});
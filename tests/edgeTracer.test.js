@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("edgeTracer");
+
+test("a step edge becomes one line along the boundary", () => {
+  const width = 40;
+  const height = 30;
+  // Dark left of x = 20
+  const luminance = new Float32Array(width * height).fill(1);
+  for (let y = 0; y < height; y++) luminance.fill(0, y * width, y * width + 20);
+
+  const lines = EdgeTracer.trace(luminance, width, height, { blur: 1 });
+
+  assert.equal(lines.length, 1);
+  lines[0].forEach(({ x }) => assert.ok(Math.abs(x - 20) <= 1, `x = ${x}`));
+  const ys = lines[0].map(({ y }) => y);
+  assert.ok(Math.max(...ys) - Math.min(...ys) >= height - 4);
+});
+
+test("hysteresis keeps weak edges only where they touch strong ones", () => {
+  const width = 6;
+  const height = 3;
+  // Row 1: strong, weak, weak, gap, weak, weak
+  const ridges = new Float32Array(width * height);
+  ridges.set([1, 0.3, 0.3, 0, 0.3, 0.3], width);
+
+  const edges = EdgeTracer.hysteresis(ridges, width, height, 0.2, 0.8);
+
+  assert.deepEqual(Array.from(edges.subarray(width, width * 2)), [1, 1, 1, 0, 0, 0]);
+});
+
+test("smoothing rounds pixel steps but keeps open ends and closed loops", () => {
+  const steps = [
+    { x: 0, y: 0 },
+    { x: 1, y: 0 },
+    { x: 1, y: 1 },
+    { x: 2, y: 1 },
+  ];
+  const smooth = EdgeTracer.smooth(steps, 1);
+  assert.deepEqual(smooth[0], steps[0]);
+  assert.deepEqual(smooth[3], steps[3]);
+  assert.deepEqual(smooth[1], { x: 0.75, y: 0.25 });
+
+  const loop = [...steps, { x: 0, y: 0 }];
+  const smoothLoop = EdgeTracer.smooth(loop, 3);
+  assert.deepEqual(smoothLoop[0], smoothLoop[smoothLoop.length - 1]);
+  assert.notDeepEqual(smoothLoop[0], loop[0]);
+});
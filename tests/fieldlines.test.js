@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { headless, loadTool } = require("./helpers");
+
+const FieldLines = loadTool("fieldlines/script.js");
+
+const layer = { maxSegmentLength: 2, offsetX: 0, offsetY: 0 };
+const fieldLines = (points = []) =>
+  headless(FieldLines, { pixelsPerMm: 4, points, drawnLines: [] });
+
+const straightLine = () => [
+  { x: 0, y: 50, originalX: 0, originalY: 50 },
+  { x: 100, y: 50, originalX: 100, originalY: 50 },
+];
+
+test("recursiveSubdivision splits long segments down to the max segment length", () => {
+  const result = fieldLines().recursiveSubdivision(straightLine(), layer);
+  const maxLengthPx = layer.maxSegmentLength * 4;
+
+  assert.deepEqual(result[0], straightLine()[0]);
+  assert.deepEqual(result[result.length - 1], straightLine()[1]);
+  for (let i = 1; i < result.length; i++) {
+    const length = Math.hypot(result[i].x - result[i - 1].x, result[i].y - result[i - 1].y);
+    assert.ok(length <= maxLengthPx + 1e-9, `segment ${i} is ${length}px`);
+    assert.equal(result[i].y, 50);
+  }
+});
+
+test("recursiveSubdivision deforms new midpoints with the field", () => {
+  const repel = {
+    x: 50,
+    y: 55,
+    radius: 30,
+    force: 10,
+    mode: "repel",
+    allowCrossing: true,
+  };
+  const result = fieldLines([repel]).recursiveSubdivision(straightLine(), layer);
+  const middle = result.reduce((closest, point) =>
+    Math.abs(point.originalX - 50) < Math.abs(closest.originalX - 50) ? point : closest
+  );
+
+  // Repelled away from the field point, which sits below the line
+  assert.ok(middle.y < 50);
+});
+
+test("recursiveSubdivision leaves short segments untouched", () => {
+  const line = [
+    { x: 0, y: 0, originalX: 0, originalY: 0 },
+    { x: 4, y: 0, originalX: 4, originalY: 0 },
+  ];
+  assert.deepEqual(fieldLines().recursiveSubdivision(line, layer), line);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("flowField");
+
+// Dark disc in the middle of a white square
+const discLuminance = (size, radius) => {
+  const luminance = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      luminance[y * size + x] = Math.hypot(x - size / 2, y - size / 2) < radius ? 0 : 1;
+    }
+  }
+  return luminance;
+};
+
+// Angle between two orientations, ignoring which way they point
+const orientationError = (a, b) => Math.acos(Math.min(1, Math.abs(a.x * b.x + a.y * b.y)));
+
+test("flow runs along edges instead of across them", () => {
+  const field = FlowField.fromLuminance(discLuminance(100, 30), 100, 100, { baseAngle: 0 });
+
+  // On the left and right of the disc the edge is vertical
+  [
+    [20, 50],
+    [80, 50],
+  ].forEach(([x, y]) => {
+    assert.ok(orientationError(field.direction(x, y), { x: 0, y: 1 }) < 0.1, `${x},${y}`);
+  });
+  // On the top the edge is horizontal
+  assert.ok(orientationError(field.direction(50, 20), { x: 1, y: 0 }) < 0.1);
+});
+
+test("flat areas follow the base angle and its offset", () => {
+  const field = FlowField.fromLuminance(new Float32Array(400).fill(0.5), 20, 20, {
+    baseAngle: 30,
+  });
+  const radians = (degrees) => (degrees * Math.PI) / 180;
+  const along = (degrees) => ({ x: Math.cos(radians(degrees)), y: Math.sin(radians(degrees)) });
+
+  assert.ok(orientationError(field.direction(10, 10), along(30)) < 1e-6);
+  assert.ok(orientationError(field.direction(10, 10, 90), along(120)) < 1e-6);
+});
+
+test("streamlines cover the field and keep their separation", () => {
+  const size = 120;
+  const separation = 10;
+  const field = FlowField.fromLuminance(discLuminance(size, 35), size, size, { baseAngle: 45 });
+  const lines = field.streamlines({ separation });
+
+  assert.ok(lines.length > 5);
+  lines.forEach((line) =>
+    line.forEach(({ x, y }) => assert.ok(x >= 0 && y >= 0 && x < size && y < size))
+  );
+
+  // Every grid cell has a line nearby
+  for (let y = separation / 2; y < size; y += separation) {
+    for (let x = separation / 2; x < size; x += separation) {
+      const near = lines.some((line) =>
+        line.some((point) => Math.hypot(point.x - x, point.y - y) < separation * 1.5)
+      );
+      assert.ok(near, `no line near ${x},${y}`);
+    }
+  }
+
+  // No two lines come closer than the test distance
+  const testDistance = separation * 0.5;
+  lines.forEach((line, i) =>
+    lines.slice(i + 1).forEach((other) =>
+      line.forEach((point) =>
+        other.forEach((otherPoint) =>
+          assert.ok(Math.hypot(point.x - otherPoint.x, point.y - otherPoint.y) >= testDistance - 1e-6)
+        )
+      )
+    )
+  );
+});
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared, seededRandom, assertMatchesGolden, travelDistance } = require("./helpers");
+
+loadShared("pathOptimizer", "gcodeGenerator");
+
+const motionLines = (gcode) => gcode.split("\n").filter((line) => /^G[0-3] /.test(line));
+
+test("beginProgram writes the header, units, positioning and an initial pen lift", () => {
+  const generator = new GCodeGenerator({ toolName: "Test", canvasWidth: 100, canvasHeight: 50 });
+  generator.beginProgram();
+  const lines = generator.toString().split("\n");
+
+  assert.equal(lines[0], "; Generated by Test");
+  assert.equal(lines[1], "; Canvas size: 100mm x 50mm");
+  assert.ok(lines.includes("G21 ; Set units to millimeters"));
+  assert.ok(lines.includes("G90 ; Use absolute coordinates"));
+  assert.ok(lines.includes("G28 ; Home all axes"));
+  assert.ok(lines.some((line) => line.startsWith("G0 Z2.000")));
+});
+
+test("drawPolyline keeps the pen down for short hops and lifts for long ones", () => {
+  const generator = new GCodeGenerator({ preventZhop: 1, includeHome: false });
+  generator.beginProgram();
+  generator.drawPolyline([{ x: 0, y: 0 }, { x: 10, y: 0 }]);
+  generator.drawPolyline([{ x: 10.5, y: 0 }, { x: 20, y: 0 }]);
+  generator.drawPolyline([{ x: 50, y: 50 }, { x: 60, y: 50 }]);
+  const gcode = generator.toString();
+
+  assert.ok(gcode.includes("G1 X10.500 Y0.000 F1500.000 ; Drag to start"));
+  assert.ok(gcode.includes("G0 X50.000 Y50.000 ; Move to start"));
+  const penDowns = gcode.split("\n").filter((line) => line.includes("; Pen down"));
+  assert.equal(penDowns.length, 2);
+});
+
+test("drawDot taps the pen in place and lifts before moving to the next dot", () => {
+  const generator = new GCodeGenerator({ includeHome: false });
+  generator.beginProgram();
+  generator.drawPolyline([{ x: 0, y: 0 }, { x: 5, y: 0 }]);
+  generator.drawDot(10, 10);
+  generator.drawDot(10, 10);
+  const lines = generator.toString().split("\n");
+  const firstDot = lines.indexOf("G0 X10.000 Y10.000 ; Move to dot");
+
+  assert.ok(firstDot > 0);
+  assert.ok(lines[firstDot - 1].startsWith("G0 Z2.000"));
+  assert.deepEqual(lines.slice(firstDot + 1), [
+    "G1 Z0.000 F1500.000 ; Dot",
+    "G0 Z2.000 F1500.000 ; Pen up from dot",
+    "G1 Z0.000 F1500.000 ; Dot",
+    "G0 Z2.000 F1500.000 ; Pen up from dot",
+  ]);
+});
+
+test("formatNumber honours the configured precision", () => {
+  const generator = new GCodeGenerator({ decimals: 2 });
+  assert.equal(generator.formatNumber(1.23456), "1.23");
+  assert.equal(generator.formatNumber(7), "7.00");
+});
+
+test("arc fitting replaces points on a circle with G2/G3 moves", () => {
+  const points = [];
+  for (let i = 0; i <= 36; i++) {
+    const angle = (i / 36) * Math.PI;
+    points.push({ x: 50 + 20 * Math.cos(angle), y: 50 + 20 * Math.sin(angle) });
+  }
+
+  const generator = new GCodeGenerator({
+    canvasWidth: 100,
+    canvasHeight: 100,
+    arcFitting: true,
+    arcTolerance: 0.05,
+  });
+  generator.drawPolyline(points);
+  generator.finishProgram();
+  const motion = motionLines(generator.toString());
+
+  const arcs = motion.filter((line) => /^G[23] /.test(line));
+  assert.ok(arcs.length >= 1 && arcs.length <= 2, `expected one or two arcs, got ${arcs.length}`);
+  assert.ok(arcs[0].startsWith("G3"), "counter-clockwise arc in machine coordinates");
+  assert.ok(!motion.some((line) => line.startsWith("G1 X")), "no straight draw moves remain");
+});
+
+test("machine profile options swap Z moves for pen commands with a dwell", () => {
+  const generator = new GCodeGenerator({
+    penUpCommand: "M5",
+    penDownCommand: "M3 S{penDownZ}",
+    penDownZ: 90,
+    penDwell: 0.15,
+    includeHome: false,
+  });
+  generator.drawPolyline([{ x: 0, y: 0 }, { x: 5, y: 0 }]);
+  generator.finishProgram();
+  const gcode = generator.toString();
+
+  assert.ok(gcode.includes("M3 S90 ; Pen down\nG4 P0.150"));
+  assert.ok(gcode.includes("M5 ; Pen up\nG4 P0.150"));
+  assert.ok(!/G[01] Z/.test(gcode));
+});
+
+test("invertX mirrors coordinates across the canvas width", () => {
+  const generator = new GCodeGenerator({ canvasWidth: 100, canvasHeight: 100, invertX: true });
+  generator.drawPolyline([{ x: 10, y: 20 }, { x: 30, y: 20 }]);
+  const motion = motionLines(generator.toString());
+
+  assert.ok(motion.includes("G0 X90.000 Y20.000 ; Move to start"));
+  assert.ok(motion.some((line) => line.startsWith("G1 X70.000 Y20.000")));
+});
+
+test("optimizeLineOrder keeps every segment and reverses where it shortens travel", () => {
+  const ordered = GCodeGenerator.optimizeLineOrder(
+    [
+      { x1: 10, y1: 0, x2: 0, y2: 0, id: "a" },
+      { x1: 30, y1: 0, x2: 20, y2: 0, id: "b" },
+    ],
+    0,
+    0
+  );
+
+  assert.deepEqual(
+    ordered.map((segment) => [segment.id, segment.x1, segment.x2]),
+    [
+      ["a", 0, 10],
+      ["b", 20, 30],
+    ]
+  );
+});
+
+test("optimizeLineOrder shortens travel compared with the input order", () => {
+  const random = seededRandom(7);
+  const segments = Array.from({ length: 400 }, () => {
+    const x = random() * 200;
+    const y = random() * 200;
+    return { x1: x, y1: y, x2: x + random() * 5, y2: y + random() * 5 };
+  });
+
+  const ordered = GCodeGenerator.optimizeLineOrder(segments, 0, 0);
+  assert.equal(ordered.length, segments.length);
+  assert.ok(travelDistance(ordered) < travelDistance(segments) / 4);
+});
+
+test("a small program matches its golden G-code", () => {
+  const generator = new GCodeGenerator({
+    toolName: "Golden",
+    canvasWidth: 40,
+    canvasHeight: 40,
+    preventZhop: 2,
+  });
+  generator.beginProgram({ headerLines: ["Fixture: square and zigzag"] });
+  generator.drawPolyline([
+    { x: 5, y: 5 },
+    { x: 15, y: 5 },
+    { x: 15, y: 15 },
+    { x: 5, y: 15 },
+    { x: 5, y: 5 },
+  ]);
+  generator.pauseProgram("Change pen");
+  generator.renderLineSegments([
+    { x1: 30, y1: 30, x2: 35, y2: 35 },
+    { x1: 20, y1: 20, x2: 25, y2: 25 },
+    { x1: 25, y1: 26, x2: 30, y2: 29 },
+  ]);
+  generator.finishProgram();
+
+  assertMatchesGolden("gcode-generator-basic.gcode", generator.toString());
+});
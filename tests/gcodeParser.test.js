@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("pathOptimizer", "gcodeGenerator", "gcodeParser", "plotTimeEstimator");
+
+test("G-code from the generator parses back to the same strokes", () => {
+  const generator = new GCodeGenerator({ canvasWidth: 100, canvasHeight: 100 });
+  generator.drawPolyline([{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 40 }]);
+  generator.drawPolyline([{ x: 60, y: 60 }, { x: 70, y: 60 }]);
+  generator.finishProgram();
+
+  const parsed = GCodeParser.parse(generator.toString());
+  assert.equal(parsed.penMode, "z");
+  assert.equal(parsed.strokes.length, 2);
+  assert.ok(Math.abs(parsed.drawLength - 80) < 1e-6);
+  assert.deepEqual(parsed.bounds, { minX: 0, minY: 0, maxX: 70, maxY: 60 });
+});
+
+test("servo pen commands are detected from M3/M5", () => {
+  const parsed = GCodeParser.parse(
+    ["G0 X10 Y10", "M3 S90", "G1 X20 Y10", "M5", "G0 X0 Y0"].join("\n")
+  );
+
+  assert.equal(parsed.penMode, "servo");
+  assert.equal(parsed.draws.length, 1);
+  assert.equal(parsed.travels.length, 2);
+});
+
+test("arcs given by radius are flattened onto the circle", () => {
+  const parsed = GCodeParser.parse("G1 Z-1\nG2 X10 Y0 R5\nG1 Z1", { arcSegmentLength: 0.5 });
+  const points = parsed.strokes[0];
+
+  assert.ok(points.length > 10);
+  points.forEach((point) => {
+    assert.ok(Math.abs(Math.hypot(point.x - 5, point.y) - 5) < 1e-6);
+  });
+});
+
+test("plot time accounts for acceleration on a straight draw", () => {
+  const estimator = new PlotTimeEstimator({ feedRate: 1500, acceleration: 500, penLiftTime: 0 });
+  const estimate = estimator.estimate(["G0 Z0", "G1 X100 F1500"]);
+
+  // 25 mm/s cruise with 0.05 s ramps at each end: 4 s + 0.05 s
+  assert.ok(Math.abs(estimate.drawTime - 4.05) < 1e-6);
+  assert.equal(PlotTimeEstimator.formatDuration(125), "2m 05s");
+});
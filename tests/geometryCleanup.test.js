@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("geometryCleanup");
+
+const rounded = (polylines) =>
+  polylines.map((polyline) => polyline.map((point) => [+point.x.toFixed(3), +point.y.toFixed(3)]));
+
+test("segments sharing endpoints are joined into one polyline", () => {
+  const polylines = GeometryCleanup.cleanup(
+    [
+      { x1: 0, y1: 0, x2: 10, y2: 0 },
+      { x1: 10, y1: 5, x2: 10, y2: 0 },
+      { x1: 10, y1: 5, x2: 20, y2: 5.004 },
+    ],
+    { joinTolerance: 0.01, simplifyTolerance: 0 }
+  );
+
+  assert.deepEqual(rounded(polylines), [
+    [
+      [0, 0],
+      [10, 0],
+      [10, 5],
+      [20, 5.004],
+    ],
+  ]);
+});
+
+test("duplicate and overlapping collinear segments are merged", () => {
+  const polylines = GeometryCleanup.cleanup([
+    { x1: 0, y1: 0, x2: 10, y2: 0 },
+    { x1: 10, y1: 0, x2: 0, y2: 0 },
+    { x1: 4, y1: 0, x2: 14, y2: 0 },
+  ]);
+
+  assert.deepEqual(rounded(polylines), [
+    [
+      [0, 0],
+      [14, 0],
+    ],
+  ]);
+});
+
+test("vertical segments drifting either way are merged", () => {
+  const polylines = GeometryCleanup.cleanup([
+    { x1: 0, y1: 0, x2: 0, y2: 10 },
+    // Leans left going up, so it used to point at -π/2 instead of +π/2
+    { x1: 0, y1: 5, x2: -1e-7, y2: 15 },
+  ]);
+
+  assert.deepEqual(rounded(polylines), [
+    [
+      [0, 0],
+      [0, 15],
+    ],
+  ]);
+});
+
+test("collinear segments either side of a bucket edge are merged", () => {
+  // Offsets of 0.0049 and 0.0051 round into neighbouring 0.01 buckets
+  const offsets = GeometryCleanup.cleanup([
+    { x1: 0, y1: 0.0049, x2: 10, y2: 0.0049 },
+    { x1: 15, y1: 0.0051, x2: 5, y2: 0.0051 },
+  ]);
+  assert.deepEqual(rounded(offsets), [
+    [
+      [0, 0.005],
+      [15, 0.005],
+    ],
+  ]);
+
+  // Directions just either side of half an angle bucket
+  const angles = GeometryCleanup.cleanup([
+    { x1: 0, y1: 0, x2: 10, y2: 10 * Math.tan(0.000049) },
+    { x1: 5, y1: 0, x2: 15, y2: 10 * Math.tan(0.000051) },
+  ]);
+  assert.deepEqual(rounded(angles), [
+    [
+      [0, 0],
+      [15, 0.001],
+    ],
+  ]);
+});
+
+test("closed shapes come back as a single closed loop", () => {
+  const polylines = GeometryCleanup.cleanupPolylines([
+    [
+      { x: 0, y: 0 },
+      { x: 5, y: 0 },
+      { x: 5, y: 5 },
+    ],
+    [
+      { x: 5, y: 5 },
+      { x: 0, y: 5 },
+      { x: 0, y: 0 },
+    ],
+  ]);
+
+  assert.equal(polylines.length, 1);
+  assert.equal(polylines[0].length, 5);
+  assert.deepEqual(polylines[0][0], polylines[0][4]);
+});
+
+test("simplify drops points within tolerance of the chord", () => {
+  const points = [
+    { x: 0, y: 0 },
+    { x: 1, y: 0.005 },
+    { x: 2, y: -0.004 },
+    { x: 3, y: 2 },
+    { x: 4, y: 0 },
+  ];
+
+  assert.deepEqual(GeometryCleanup.simplify(points, 0.01), [points[0], points[2], points[3], points[4]]);
+});
@@ -0,0 +1,23 @@
+; Generated by Golden
+; Canvas size: 40mm x 40mm
+; Fixture: square and zigzag
+G21 ; Set units to millimeters
+G90 ; Use absolute coordinates
+G28 ; Home all axes
+G0 Z2.000 F1500.000 ; Pen up
+G0 X5.000 Y5.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X15.000 Y5.000 F1500.000 ; Draw
+G1 X15.000 Y15.000 F1500.000 ; Draw
+G1 X5.000 Y15.000 F1500.000 ; Draw
+G1 X5.000 Y5.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up for pause
+M0 ; Change pen
+G0 X20.000 Y20.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X25.000 Y25.000 F1500.000 ; Draw line
+G1 X25.000 Y26.000 F1500.000 ; Drag to start
+G1 X30.000 Y29.000 F1500.000 ; Draw line
+G1 X30.000 Y30.000 F1500.000 ; Drag to start
+G1 X35.000 Y35.000 F1500.000 ; Draw line
+G0 Z2.000 F1500.000 ; Pen up
\ No newline at end of file
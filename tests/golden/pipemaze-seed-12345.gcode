@@ -0,0 +1,190 @@
+; Generated by Pipe Maze
+; Canvas size: 60mm x 60mm
+; Seed: 12345, grid: 6x6
+; Layers: Layer 1
+G21 ; Set units to millimeters
+G90 ; Use absolute coordinates
+G28 ; Home all axes
+G0 Z2.000 F1500.000 ; Pen up
+; --- Layer 1 (#000000) ---
+G0 X0.500 Y5.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X5.000 Y5.000 F1500.000 ; Draw
+G1 X5.000 Y9.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X5.000 Y10.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X5.000 Y19.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X5.000 Y20.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X5.000 Y29.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X5.000 Y30.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X5.000 Y39.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X5.000 Y40.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X5.000 Y49.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X5.000 Y50.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X5.000 Y55.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X10.500 Y45.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X15.000 Y45.000 F1500.000 ; Draw
+G1 X15.000 Y49.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X15.000 Y59.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X15.000 Y55.000 F1500.000 ; Draw
+G1 X19.500 Y55.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X20.500 Y55.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X25.000 Y55.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X35.000 Y55.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X39.500 Y55.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X40.500 Y55.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X45.000 Y55.000 F1500.000 ; Draw
+G1 X45.000 Y50.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X45.000 Y55.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X49.500 Y55.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X59.500 Y55.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X55.000 Y55.000 F1500.000 ; Draw
+G1 X55.000 Y50.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X55.000 Y49.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X55.000 Y40.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X55.000 Y39.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X55.000 Y35.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X59.500 Y25.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X55.000 Y25.000 F1500.000 ; Draw
+G1 X55.000 Y20.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X55.000 Y19.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X55.000 Y10.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X55.000 Y0.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X55.000 Y5.000 F1500.000 ; Draw
+G1 X50.500 Y5.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X40.500 Y5.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X45.000 Y5.000 F1500.000 ; Draw
+G1 X45.000 Y9.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X45.000 Y10.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X45.000 Y15.000 F1500.000 ; Draw
+G1 X49.500 Y15.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X39.500 Y15.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X35.000 Y15.000 F1500.000 ; Draw
+G1 X35.000 Y19.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X25.000 Y20.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X25.000 Y25.000 F1500.000 ; Draw
+G1 X29.500 Y25.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X35.000 Y25.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X35.000 Y29.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X35.000 Y30.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X35.000 Y35.000 F1500.000 ; Draw
+G1 X39.500 Y35.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X35.000 Y39.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X35.000 Y35.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X40.500 Y25.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X45.000 Y25.000 F1500.000 ; Draw
+G1 X45.000 Y29.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X45.000 Y30.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X45.000 Y35.000 F1500.000 ; Draw
+G1 X49.500 Y35.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X45.000 Y40.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X45.000 Y45.000 F1500.000 ; Draw
+G1 X40.500 Y45.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X39.500 Y45.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X35.000 Y45.000 F1500.000 ; Draw
+G1 X35.000 Y49.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X29.500 Y45.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X25.000 Y45.000 F1500.000 ; Draw
+G1 X25.000 Y40.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X25.000 Y30.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X25.000 Y35.000 F1500.000 ; Draw
+G1 X20.500 Y35.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X19.500 Y35.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X15.000 Y35.000 F1500.000 ; Draw
+G1 X15.000 Y39.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X15.000 Y29.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X15.000 Y25.000 F1500.000 ; Draw
+G1 X10.500 Y25.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X15.000 Y19.500 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X15.000 Y15.000 F1500.000 ; Draw
+G1 X19.500 Y15.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X20.500 Y15.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X25.000 Y15.000 F1500.000 ; Draw
+G1 X25.000 Y10.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X30.500 Y5.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X35.000 Y5.000 F1500.000 ; Draw
+G1 X35.000 Y0.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X29.500 Y5.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X20.500 Y5.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X19.500 Y5.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X15.000 Y5.000 F1500.000 ; Draw
+G1 X15.000 Y9.500 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 X15.000 Y5.000 ; Move to start
+G1 Z0.000 F1500.000 ; Pen down
+G1 X10.500 Y5.000 F1500.000 ; Draw
+G0 Z2.000 F1500.000 ; Pen up
+G0 Z2.000 ; Pen up
\ No newline at end of file
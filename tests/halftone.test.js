@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("halftone");
+
+const distance = (point, cx, cy) => Math.hypot(point.x - cx, point.y - cy);
+
+test("gridCells covers the area with cells a cell size apart at the angle", () => {
+  const cells = Halftone.gridCells(100, 50, 10);
+  assert.equal(cells.length, 50);
+  assert.ok(cells.some((cell) => cell.x === 50 && cell.y === 25));
+
+  const rotated = Halftone.gridCells(100, 100, 10, 45);
+  // The nearest neighbour of the centre cell lies along the 45° diagonal
+  const centre = rotated.find((cell) => cell.x === 50 && cell.y === 50);
+  const neighbour = rotated
+    .filter((cell) => cell !== centre)
+    .sort((a, b) => distance(a, 50, 50) - distance(b, 50, 50))[0];
+  assert.ok(Math.abs(distance(neighbour, 50, 50) - 10) < 1e-9);
+  assert.ok(Math.abs(Math.abs(neighbour.x - 50) - Math.abs(neighbour.y - 50)) < 1e-9);
+});
+
+test("dotRadius gives dots covering the tone's share of the cell", () => {
+  const radius = Halftone.dotRadius(0.5, 10);
+  assert.ok(Math.abs(Math.PI * radius * radius - 50) < 1e-9);
+  assert.equal(Halftone.dotRadius(0, 10), 0);
+});
+
+test("dot spirals fill out to the radius with turns one pitch apart", () => {
+  const spiral = Halftone.dotSpiral(20, 20, 5, 1);
+  assert.ok(distance(spiral[0], 20, 20) < 1e-9);
+  spiral.forEach((point) => assert.ok(distance(point, 20, 20) <= 5 + 1e-9));
+  // The closing circle keeps to the radius
+  assert.ok(Math.abs(distance(spiral[spiral.length - 1], 20, 20) - 5) < 1e-9);
+  // Crossings of the +x axis before the closing circle are 1 apart
+  const crossings = spiral
+    .filter((point, i) => i > 0 && point.y >= 20 && spiral[i - 1].y < 20)
+    .map((point) => distance(point, 20, 20));
+  for (let i = 1; i < crossings.length - 1; i++) {
+    assert.ok(Math.abs(crossings[i] - crossings[i - 1] - 1) < 0.1);
+  }
+
+  const circle = Halftone.circle(0, 0, 3);
+  assert.deepEqual(circle[0], circle[circle.length - 1]);
+});
+
+test("clipToBounds splits a polyline where it leaves the area", () => {
+  const line = [-2, -1, 0, 1, 2, 11, 12, 3, 4, 5].map((x) => ({ x, y: 5 }));
+  const pieces = Halftone.clipToBounds(line, 10, 10);
+  assert.deepEqual(
+    pieces.map((piece) => piece.map((point) => point.x)),
+    [
+      [0, 1, 2],
+      [3, 4, 5],
+    ]
+  );
+});
@@ -0,0 +1,827 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { headless, loadShared, loadTool } = require("./helpers");
+
+globalThis.CurveEditor = loadTool("CurveEditor.js");
+loadShared("workerRunner", "flowField", "stippler", "waveLines", "halftone", "edgeTracer", "geometryCleanup", "pathOptimizer", "colorSeparation", "imageMask");
+
+const PenPlotterConverter = loadTool("hatchmaker/script.js");
+const hatchMaker = () => headless(PenPlotterConverter, { pixelsPerMm: 96 / 25.4 });
+
+// Minimal DOM for methods that read their settings from inputs
+const withDocument = (t, values) => {
+  globalThis.document = {
+    getElementById: (id) => ({ value: values[id], checked: values[id] === true }),
+    createElementNS: () => ({ setAttribute() {} }),
+  };
+  t.after(() => delete globalThis.document);
+};
+
+const roundPoints = (points) => points.map(({ x, y }) => [+x.toFixed(6), +y.toFixed(6)]);
+
+test("clipLineToCanvas clips a horizontal line to the left and right edges", () => {
+  const points = hatchMaker().clipLineToCanvas(50, 20, 1, 0, 100, 40);
+  assert.deepEqual(roundPoints(points), [
+    [0, 20],
+    [100, 20],
+  ]);
+});
+
+test("clipLineToCanvas clips a vertical line to the top and bottom edges", () => {
+  const points = hatchMaker().clipLineToCanvas(30, 20, 0, 1, 100, 40);
+  assert.deepEqual(roundPoints(points), [
+    [30, 0],
+    [30, 40],
+  ]);
+});
+
+test("clipLineToCanvas orders diagonal intersections along the direction", () => {
+  const direction = Math.SQRT1_2;
+  const points = hatchMaker().clipLineToCanvas(50, 50, direction, direction, 100, 100);
+  assert.deepEqual(roundPoints(points), [
+    [0, 0],
+    [100, 100],
+  ]);
+  assert.ok(points[0].t < points[1].t);
+});
+
+test("mergeCloseSegments joins gaps within the merge distance only", () => {
+  const segment = (startT, startX, endX) => ({
+    startT,
+    endT: startT + 1,
+    startX,
+    startY: 0,
+    endX,
+    endY: 0,
+  });
+  const merged = hatchMaker().mergeCloseSegments(
+    [segment(2, 22, 30), segment(0, 0, 10), segment(1, 11, 20)],
+    1.5
+  );
+
+  assert.deepEqual(
+    merged.map(({ startX, endX }) => [startX, endX]),
+    [
+      [0, 20],
+      [22, 30],
+    ]
+  );
+});
+
+test("getChannelScreen uses per-channel overrides and falls back to shared values", (t) => {
+  const values = {
+    lineAngleCValue: "15",
+    lineAngleKValue: "45",
+    lineSpacingCValue: "0.8",
+    lineSpacingKValue: "",
+    sectionWidthCValue: "",
+    sectionWidthKValue: "12",
+    lineSpacingValue: "0.4",
+    sectionWidthValue: "5",
+  };
+  withDocument(t, values);
+
+  assert.deepEqual(hatchMaker().getChannelScreen("C"), {
+    angle: 15,
+    lineSpacing: 0.8,
+    sectionWidth: 5,
+  });
+  assert.deepEqual(hatchMaker().getChannelScreen("K"), {
+    angle: 45,
+    lineSpacing: 0.4,
+    sectionWidth: 12,
+  });
+});
+
+test("getHatchPasses offsets cross-hatch passes from the screen angle", (t) => {
+  withDocument(t, {
+    crossHatchEnabled: true,
+    crossHatchAngle1Value: "0",
+    crossHatchAngle2Value: "90",
+    crossHatchAngle3Value: "-45",
+    crossHatchThreshold1Value: "0",
+    crossHatchThreshold2Value: "0.33",
+    crossHatchThreshold3Value: "",
+  });
+
+  assert.deepEqual(hatchMaker().getHatchPasses(45), [
+    { angle: 45, threshold: 0 },
+    { angle: 135, threshold: 0.33 },
+  ]);
+});
+
+test("getHatchPasses uses a single stacked pass when cross-hatch is off", (t) => {
+  withDocument(t, { crossHatchEnabled: false });
+  assert.deepEqual(hatchMaker().getHatchPasses(15), [{ angle: 15, threshold: null }]);
+});
+
+test("traceCrossHatchRuns only draws where the tone passes the threshold", () => {
+  // Tone 0.2 on the left half, 0.8 on the right half
+  const width = 100;
+  const height = 10;
+  const intensityMap = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      intensityMap[y * width + x] = x < 50 ? 0.2 : 0.8;
+    }
+  }
+
+  const maker = hatchMaker();
+  const samples = maker.sampleLineIntensities(0, 5, 99, 5, intensityMap, width, height);
+  const runs = maker.traceCrossHatchRuns(samples, 0.5, 2, {
+    pixelsPerMm: maker.pixelsPerMm,
+    maxMergeDistance: 0,
+    minLineLength: 0,
+  });
+
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].points.length, 2);
+  assert.ok(runs[0].points[0].x >= 49 && runs[0].points[0].x <= 52);
+  assert.equal(runs[0].points[1].x, 99);
+  assert.equal(runs[0].lineOrder, 2);
+});
+
+test("samplePolylineIntensities samples every 2px and shifts along each segment's normal", () => {
+  const width = 40;
+  const height = 40;
+  const intensityMap = new Float32Array(width * height).fill(0.5);
+  // An L-shaped flow line: right along y = 10, then down along x = 30
+  const points = [
+    { x: 10, y: 10 },
+    { x: 30, y: 10 },
+    { x: 30, y: 30 },
+  ];
+  const samples = hatchMaker().samplePolylineIntensities(
+    points,
+    intensityMap,
+    width,
+    height,
+    3
+  );
+
+  assert.equal(samples.length, 21);
+  assert.deepEqual(samples.map(({ t }) => t).slice(0, 3), [0, 2, 4]);
+  // Left of travel is +y on the first leg and -x on the second
+  assert.deepEqual([samples[1].x, samples[1].y], [12, 13]);
+  assert.deepEqual([samples[15].x, samples[15].y], [27, 20]);
+  samples.forEach(({ intensity }) => assert.equal(intensity, 0.5));
+});
+
+test("curved cross-hatch runs are exported as one polyline", (t) => {
+  withDocument(t, {
+    canvasWidthValue: "10",
+    canvasHeightValue: "10",
+    penDiameterValue: "0.3",
+  });
+
+  const width = 40;
+  const height = 40;
+  const intensityMap = new Float32Array(width * height).fill(0.8);
+  const points = [
+    { x: 10, y: 10 },
+    { x: 30, y: 10 },
+    { x: 30, y: 30 },
+  ];
+
+  const maker = hatchMaker();
+  const previewLayers = {};
+  maker.imageData = { width, height };
+  maker.channels = { K: { color: "#000000", renderColor: "#000000" } };
+  maker.preview = { setLayer: (id, layer) => (previewLayers[id] = layer) };
+  const samples = maker.samplePolylineIntensities(points, intensityMap, width, height);
+  const runs = maker.traceCrossHatchRuns(
+    samples,
+    0.5,
+    0,
+    { pixelsPerMm: maker.pixelsPerMm, maxMergeDistance: 0, minLineLength: 0 },
+    true
+  );
+  maker.renderChannelHatch(
+    "K",
+    WorkerRunner.packPolylines(
+      runs.map((run) => run.points),
+      runs.map((run) => run.lineOrder)
+    )
+  );
+
+  const { lineSegments, lineCount, hatch } = maker.channels.K;
+  const svgContent = maker.buildChannelSvg("K");
+  assert.equal(lineCount, 1);
+  assert.equal((svgContent.match(/<polyline /g) || []).length, 1);
+  assert.equal((svgContent.match(/<line /g) || []).length, 0);
+  assert.equal(previewLayers.K.lines, hatch);
+  assert.equal(previewLayers.K.color, "#000000");
+  assert.equal(lineSegments.length, samples.length - 1);
+  assert.deepEqual(
+    [lineSegments[lineSegments.length - 1].x2, lineSegments[lineSegments.length - 1].y2],
+    [30, 30]
+  );
+});
+
+test("generateChannelHatch stacks more lines where the tone is darker", () => {
+  const width = 80;
+  const height = 40;
+  // Tone 0.25 on the left half, 1 on the right half
+  const intensityMap = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    intensityMap.fill(0.25, y * width, y * width + 40);
+    intensityMap.fill(1, y * width + 40, (y + 1) * width);
+  }
+
+  const maker = hatchMaker();
+  const progress = [];
+  // 20mm sections leave a single hatch line, through the middle of the image
+  const hatch = maker.generateChannelHatch(
+    {
+      width,
+      height,
+      intensityMap,
+      luminance: null,
+      flowSmoothing: null,
+      pixelsPerMm: maker.pixelsPerMm,
+      channelIndex: 0,
+      totalChannels: 1,
+      lineAngle: 0,
+      lineSpacing: 0.5,
+      sectionWidth: 20,
+      passes: [{ angle: 0, threshold: null }],
+      maxLinesPerChannel: 4,
+      maxMergeDistance: 0,
+      minLineLength: 0,
+    },
+    (value) => progress.push(value)
+  );
+
+  const lines = WorkerRunner.unpackPolylines(hatch);
+  // The centre line crosses both halves; the other 3 of the stack only the
+  // dark one
+  assert.deepEqual(Array.from(hatch.tags).sort(), [0, 1, 2, 3]);
+  lines.forEach((line, index) => {
+    const startX = Math.min(line[0].x, line[1].x);
+    if (hatch.tags[index] === 0) assert.ok(startX < 2);
+    else assert.ok(startX > 35 && startX < 43);
+  });
+  assert.ok(progress.length > 0 && progress.every((value) => value >= 0 && value <= 1));
+});
+
+test("cross-hatch passes draw denser lines where the tone is darker", () => {
+  const width = 80;
+  const height = 40;
+  // Tone 0.25 on the left half, 1 on the right half
+  const intensityMap = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    intensityMap.fill(0.25, y * width, y * width + 40);
+    intensityMap.fill(1, y * width + 40, (y + 1) * width);
+  }
+
+  const hatch = hatchMaker().generateChannelHatch({
+    width,
+    height,
+    intensityMap,
+    luminance: null,
+    flowSmoothing: null,
+    pixelsPerMm: 1,
+    channelIndex: 0,
+    totalChannels: 1,
+    lineAngle: 0,
+    lineSpacing: 1,
+    sectionWidth: 20,
+    passes: [{ angle: 0, threshold: 0 }],
+    maxLinesPerChannel: 4,
+    maxMergeDistance: 0,
+    minLineLength: 0,
+  });
+
+  // Rows of the pass that cover a point on each half
+  const rowsAt = (x) =>
+    WorkerRunner.unpackPolylines(hatch)
+      .filter((line) => {
+        const xs = line.map((point) => point.x);
+        return Math.min(...xs) <= x && Math.max(...xs) >= x;
+      })
+      .map((line) => Math.round(line[0].y))
+      .sort((a, b) => a - b);
+  const light = rowsAt(20);
+  const dark = rowsAt(60);
+
+  // Every 1mm row at full tone, every 4th at a quarter
+  assert.deepEqual(dark, Array.from({ length: dark.length }, (_, i) => dark[0] + i));
+  assert.ok(dark.length >= 39);
+  assert.equal(light.length, Math.ceil(dark.length / 4));
+  light.slice(1).forEach((y, i) => assert.equal(y - light[i], 4));
+  assert.deepEqual(Array.from(new Set(hatch.tags)), [0]);
+});
+
+test("flow cross-hatch lines take their level from where they sit, not tracing order", () => {
+  const width = 80;
+  const height = 40;
+  const intensityMap = new Float32Array(width * height).fill(0.25);
+
+  // Flat luminance: the streamlines run straight along the line angle, but
+  // are traced outwards from the first one rather than top to bottom
+  const hatch = hatchMaker().generateChannelHatch({
+    width,
+    height,
+    intensityMap,
+    luminance: new Float32Array(width * height).fill(0.5),
+    flowSmoothing: 0,
+    pixelsPerMm: 1,
+    channelIndex: 0,
+    totalChannels: 1,
+    lineAngle: 0,
+    lineSpacing: 1,
+    sectionWidth: 20,
+    passes: [{ angle: 0, threshold: 0 }],
+    maxLinesPerChannel: 4,
+    maxMergeDistance: 0,
+    minLineLength: 0,
+  });
+
+  const rows = WorkerRunner.unpackPolylines(hatch)
+    .map((line) => Math.round(line[0].y))
+    .sort((a, b) => a - b);
+  // A quarter tone draws every 4th row, evenly spaced
+  assert.ok(rows.length >= 9);
+  rows.slice(1).forEach((y, i) => assert.equal(y - rows[i], 4));
+});
+
+test("getCrossHatchLevels spreads the lines of a run evenly as the tone rises", () => {
+  const maker = hatchMaker();
+
+  assert.deepEqual(maker.getCrossHatchLevels(1), [0]);
+  assert.deepEqual(maker.getCrossHatchLevels(4), [0, 0.5, 0.25, 0.75]);
+  // The second line of a run lands halfway along it and every line gets
+  // its own level
+  const levels = maker.getCrossHatchLevels(6);
+  assert.equal(levels[0], 0);
+  assert.equal(levels[3], 1 / 6);
+  assert.deepEqual(
+    levels.map((level) => Math.round(level * 6)).sort(),
+    [0, 1, 2, 3, 4, 5]
+  );
+});
+
+test("wave mode draws one unbroken squiggle per row over the inked part", () => {
+  const width = 80;
+  const height = 40;
+  // Dark on the left half, blank on the right
+  const intensityMap = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) intensityMap.fill(1, y * width, y * width + 40);
+
+  const maker = hatchMaker();
+  const pixelsPerMm = 1;
+  const waves = maker.generateChannelHatch({
+    width,
+    height,
+    intensityMap,
+    luminance: null,
+    pixelsPerMm,
+    channelIndex: 0,
+    totalChannels: 1,
+    lineAngle: 0,
+    stipple: null,
+    wave: { spacing: 10, amplitude: 3, wavelength: 6, modulation: "amplitude" },
+  });
+
+  const rows = WorkerRunner.unpackPolylines(waves);
+  // Rows at y = 10, 20 and 30 (y = 0 and 40 lie on the edges)
+  assert.ok(rows.length >= 3 && rows.length <= 5, `${rows.length} rows`);
+  rows.forEach((row) => {
+    const ys = row.map((point) => point.y);
+    const centre = (Math.max(...ys) + Math.min(...ys)) / 2;
+    assert.ok(Math.max(...ys) - Math.min(...ys) <= 6.01);
+    assert.ok(Math.abs(centre - Math.round(centre / 10) * 10) < 0.5);
+    // Trimmed where the image turns blank
+    assert.ok(Math.max(...row.map((point) => point.x)) < 44);
+  });
+});
+
+test("halftone mode sizes grid dots by tone or wobbles one spiral", () => {
+  const width = 80;
+  const height = 40;
+  // Tone 0.25 on the left half, 1 on the right half
+  const intensityMap = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    intensityMap.fill(0.25, y * width, y * width + 40);
+    intensityMap.fill(1, y * width + 40, (y + 1) * width);
+  }
+  const job = (style) => ({
+    width,
+    height,
+    intensityMap,
+    luminance: null,
+    pixelsPerMm: 1,
+    channelIndex: 0,
+    totalChannels: 1,
+    lineAngle: 0,
+    halftone: { style, cellSize: 10, wobbleWavelength: 2, penWidth: 1 },
+  });
+  const maker = hatchMaker();
+
+  // A circle per 10px cell, with 4x the area where the tone is 4x darker
+  const circles = WorkerRunner.unpackPolylines(maker.generateChannelHatch(job("circles")));
+  assert.equal(circles.length, 32);
+  const radius = (circle) => {
+    const xs = circle.map((point) => point.x);
+    return (Math.max(...xs) - Math.min(...xs)) / 2;
+  };
+  const leftCircle = circles.find((circle) => circle[0].x < 20);
+  const rightCircle = circles.find((circle) => circle[0].x > 60);
+  assert.ok(Math.abs(radius(rightCircle) / radius(leftCircle) - 2) < 0.05);
+
+  const spirals = WorkerRunner.unpackPolylines(maker.generateChannelHatch(job("spirals")));
+  assert.equal(spirals.length, 32);
+  assert.ok(spirals[0].length > circles[0].length);
+
+  // One spiral, cut only where its outer turns leave the page
+  const spiral = WorkerRunner.unpackPolylines(maker.generateChannelHatch(job("spiral")));
+  assert.ok(spiral[0].length > 500);
+  assert.ok(spiral.length < 10, `${spiral.length} pieces`);
+});
+
+test("the outline channel traces the image's edges into smooth closed lines", () => {
+  const width = 80;
+  const height = 80;
+  // A dark square on white, excluded by the mask on the right half
+  const luminance = new Float32Array(width * height).fill(1);
+  for (let y = 20; y < 60; y++) luminance.fill(0, y * width + 20, y * width + 60);
+  const outline = {
+    luminance,
+    mask: null,
+    blur: 1,
+    low: 0.1,
+    high: 0.25,
+    minLength: 5,
+    smoothing: 2,
+    simplify: 0.1,
+  };
+  const job = { channel: "O", width, height, pixelsPerMm: 1, outline };
+  const maker = hatchMaker();
+
+  const [square, ...rest] = WorkerRunner.unpackPolylines(maker.generateChannelHatch(job));
+  assert.equal(rest.length, 0);
+  assert.deepEqual(square[0], square[square.length - 1]);
+  // Traced along the square's border, and simplified from one point per pixel
+  square.forEach(({ x, y }) => {
+    const border = Math.min(Math.abs(x - 20), Math.abs(x - 60), Math.abs(y - 20), Math.abs(y - 60));
+    assert.ok(border < 2, `(${x}, ${y})`);
+  });
+  assert.ok(square.length < 80, `${square.length} points`);
+
+  const mask = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) mask.fill(1, y * width, y * width + 40);
+  const masked = WorkerRunner.unpackPolylines(
+    maker.generateChannelHatch({ ...job, outline: { ...outline, mask } })
+  );
+  assert.ok(masked.length >= 1);
+  masked.forEach((line) => line.forEach(({ x }) => assert.ok(x < 41)));
+});
+
+test("hatching the outline twice with an all-channel mask keeps the cached mask", async (t) => {
+  withDocument(t, {});
+  const width = 4;
+  const height = 2;
+  const values = new Float32Array(width * height).fill(1);
+  const maskPanel = headless(MaskPanel, {
+    masks: {},
+    cache: new Map([
+      ["all", { width, height, values }],
+      ["O", { width, height, values: null }],
+    ]),
+  });
+  const masks = [];
+  const maker = headless(PenPlotterConverter, {
+    pixelsPerMm: 1,
+    imageData: { width, height, data: new Uint8ClampedArray(width * height * 4).fill(255) },
+    channels: { O: { definition: { outline: true } } },
+    maskPanel,
+    // Transfers detach buffers the way posting to a worker does
+    hatchWorkers: {
+      run: async (job, { transfer }) => {
+        structuredClone(job, { transfer });
+        masks.push(job.outline.mask.length);
+        return WorkerRunner.packPolylines([]);
+      },
+    },
+    renderChannelHatch() {},
+  });
+
+  await maker.hatchChannel("O", 0, 1);
+  await maker.hatchChannel("O", 0, 1);
+
+  assert.deepEqual(masks, [width * height, width * height]);
+  assert.equal(maskPanel.getValues("C", width, height).length, width * height);
+});
+
+test("stipple mode places dots, or one connected line, and exports circles", (t) => {
+  withDocument(t, {
+    canvasWidthValue: "20",
+    canvasHeightValue: "20",
+    penDiameterValue: "0.3",
+    stippleDotSizeValue: "1",
+  });
+
+  const width = 60;
+  const height = 60;
+  const job = {
+    width,
+    height,
+    intensityMap: new Float32Array(width * height).fill(1),
+    pixelsPerMm: 96 / 25.4,
+    channelIndex: 0,
+    stipple: { spacing: 2, iterations: 5, connect: false },
+  };
+
+  const maker = hatchMaker();
+  const dots = maker.generateChannelHatch(job);
+  const dotCount = dots.starts.length - 1;
+  // 60 x 60 px at 2mm (about 7.6px) spacing
+  assert.ok(Math.abs(dotCount - 63) <= 2, `${dotCount} dots`);
+  assert.ok(Array.from(dots.starts).every((start, i) => i === 0 || start - dots.starts[i - 1] === 1));
+
+  const connected = maker.generateChannelHatch({
+    ...job,
+    stipple: { ...job.stipple, connect: true },
+  });
+  assert.equal(connected.starts.length, 2);
+  assert.equal(connected.starts[1], dotCount);
+
+  maker.imageData = { width, height };
+  maker.channels = { K: { color: "#000000", renderColor: "#000000" } };
+  maker.preview = { setLayer() {} };
+  maker.renderChannelHatch("K", dots);
+  const svg = maker.buildChannelSvg("K");
+  assert.equal((svg.match(/<circle /g) || []).length, dotCount);
+  assert.ok(svg.includes(`r="${(maker.pixelsPerMm / 2).toFixed(3)}"`));
+  assert.equal(maker.channels.K.lineSegments.length, 0);
+  assert.equal(maker.getChannelDotsInMm("K").length, dotCount);
+});
+
+test("mergeCloseSegments joins the points of curved runs", () => {
+  const merged = hatchMaker().mergeCloseSegments(
+    [
+      {
+        startT: 0,
+        endT: 2,
+        startX: 0,
+        startY: 0,
+        endX: 2,
+        endY: 2,
+        points: [
+          { x: 0, y: 0 },
+          { x: 2, y: 2 },
+        ],
+      },
+      {
+        startT: 3,
+        endT: 4,
+        startX: 3,
+        startY: 2,
+        endX: 4,
+        endY: 0,
+        points: [
+          { x: 3, y: 2 },
+          { x: 4, y: 0 },
+        ],
+      },
+    ],
+    1.5
+  );
+
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].points.map(({ x }) => x), [0, 2, 3, 4]);
+});
+
+// RGBA pixels from [r, g, b] triples in 0-255
+const rgbaPixels = (colors) =>
+  Uint8ClampedArray.from(colors.flatMap(([r, g, b]) => [r, g, b, 255]));
+
+const brown = [0x8b / 255, 0x45 / 255, 0x13 / 255];
+const darkBlue = [0x1f / 255, 0x3a / 255, 0x93 / 255];
+
+test("separatePalette colour match gives each pixel to its closest pen", () => {
+  const data = rgbaPixels([
+    [255, 255, 255],
+    [0x8b, 0x45, 0x13],
+    [0x1f, 0x3a, 0x93],
+    [0x8f, 0x9d, 0xc9], // Halfway between paper and the blue pen
+  ]);
+  const [brownMap, blueMap] = hatchMaker().separatePalette(data, 4, 1, [brown, darkBlue]);
+
+  assert.deepEqual(Array.from(brownMap.slice(0, 3)), [0, 1, 0]);
+  assert.deepEqual(Array.from(blueMap.slice(0, 3)), [0, 0, 1]);
+  assert.equal(brownMap[3], 0);
+  assert.ok(Math.abs(blueMap[3] - 0.5) < 0.01);
+});
+
+test("separatePalette error diffusion covers a tint in proportion to its tone", () => {
+  const size = 20;
+  // Halfway between paper and the blue pen
+  const tint = darkBlue.map((value) => Math.round(((1 + value) / 2) * 255));
+  const data = rgbaPixels(Array.from({ length: size * size }, () => tint));
+  const [brownMap, blueMap] = hatchMaker().separatePalette(
+    data,
+    size,
+    size,
+    [brown, darkBlue],
+    "dither"
+  );
+
+  const coverage = (map) => map.reduce((sum, value) => sum + value, 0) / map.length;
+  assert.ok(Math.abs(coverage(blueMap) - 0.5) < 0.1, `blue ${coverage(blueMap)}`);
+  assert.ok(coverage(brownMap) < 0.1, `brown ${coverage(brownMap)}`);
+  blueMap.forEach((value) => assert.ok(value === 0 || value === 1));
+});
+
+test("CMYK intensity maps come from the cached separation, toned per channel", (t) => {
+  withDocument(t, {
+    enableC: true,
+    enableM: true,
+    enableY: true,
+    enableK: true,
+    whitePointCValue: "0",
+    whitePointKValue: "0.5",
+  });
+  const previews = [];
+  const imageData = { width: 2, height: 1, data: rgbaPixels([[64, 64, 64], [0, 255, 255]]) };
+  const maker = headless(PenPlotterConverter, {
+    imageData,
+    channels: { C: { definition: {} }, K: { definition: {} } },
+    separationPanel: {
+      getSettings: () => ColorSeparation.normalize(),
+      setPreview: (maps) => previews.push(maps),
+    },
+  });
+
+  const black = maker.createChannelIntensityMap(imageData.data, 2, 1, "K", 1);
+  const cyan = maker.createChannelIntensityMap(imageData.data, 2, 1, "C", 1);
+
+  // Grey goes to black only, rescaled above its white point
+  assert.deepEqual(Array.from(black, (value) => +value.toFixed(3)), [0.498, 0]);
+  assert.deepEqual(Array.from(cyan), [0, 1]);
+  assert.equal(previews.length, 1);
+  // Maps are copies, so masking one leaves the cache alone
+  black[0] = 0;
+  assert.ok(maker.getCmykIntensityMaps().K[0] > 0.7);
+});
+
+test("sanitizeChannelOrder keeps K at the base only when it is a channel", () => {
+  const cmyk = headless(PenPlotterConverter, { channels: { C: {}, M: {}, Y: {}, K: {} } });
+  assert.deepEqual(cmyk.sanitizeChannelOrder(["K", "Y", "Y", "X"]), ["Y", "C", "M", "K"]);
+
+  const pens = headless(PenPlotterConverter, { channels: { P1: {}, P2: {}, P3: {} } });
+  assert.deepEqual(pens.sanitizeChannelOrder(["P3", "C", "P1"]), ["P3", "P1", "P2"]);
+
+  // A new outline channel starts on top
+  const outlined = headless(PenPlotterConverter, { channels: { C: {}, K: {}, O: {} } });
+  assert.deepEqual(outlined.sanitizeChannelOrder(["C", "K"]), ["O", "C", "K"]);
+  assert.deepEqual(outlined.sanitizeChannelOrder(["C", "O", "K"]), ["C", "O", "K"]);
+});
+
+test("pen names with markup characters are shown as text in the channel controls", (t) => {
+  const name = '<b>"Red" & co</b>';
+  // Elements keep whatever markup is written into them; the ones looked up
+  // afterwards stand in for the nodes that markup would create
+  const elements = new Map();
+  const markup = [];
+  const element = () => ({
+    style: {},
+    dataset: {},
+    parts: new Map(),
+    insertAdjacentHTML: (position, html) => markup.push(html),
+    set innerHTML(html) {
+      markup.push(html);
+    },
+    appendChild() {},
+    querySelector(selector) {
+      if (!this.parts.has(selector)) this.parts.set(selector, element());
+      return this.parts.get(selector);
+    },
+    get nextElementSibling() {
+      return (this.sibling ??= element());
+    },
+  });
+  globalThis.document = {
+    querySelectorAll: () => [],
+    getElementById: (id) => {
+      if (!elements.has(id)) elements.set(id, element());
+      return elements.get(id);
+    },
+    createElement: () => {
+      const created = element();
+      elements.set(`created${elements.size}`, created);
+      return created;
+    },
+  };
+  t.after(() => delete globalThis.document);
+
+  const maker = headless(PenPlotterConverter, {
+    separationMode: "palette",
+    palette: [{ name, color: "#c0392b" }],
+    channelOrder: [],
+    preview: { clear() {}, setLayer() {} },
+    maskPanel: { setTargets() {} },
+    applyChannelOrder() {},
+    setupChannelControls() {},
+    updateSvgSize() {},
+    updateChannelVisibility() {},
+  });
+  maker.buildChannels();
+
+  assert.ok(markup.every((html) => !html.includes("<b>") && !html.includes("&")));
+  const enableName = elements.get("enableP1").nextElementSibling;
+  assert.equal(enableName.textContent, name);
+  assert.equal(enableName.style.color, "#c0392b");
+  assert.equal(elements.get("lineAngleP1Value").title, `${name} screen angle (°)`);
+  assert.equal(elements.get("downloadP1Btn").textContent, `${name} SVG`);
+  assert.equal(elements.get("downloadP1GcodeBtn").textContent, `${name} G-code`);
+  assert.ok(
+    Array.from(elements.values()).some(
+      (row) => row.parts.get(".channel-order-name")?.textContent === `P1 (${name})`
+    )
+  );
+});
+
+const placement = (overrides = {}) => ({
+  scale: 100,
+  offsetX: 0,
+  offsetY: 0,
+  rotation: 0,
+  flipX: false,
+  flipY: false,
+  cropShape: "none",
+  cropLeft: 0,
+  cropTop: 0,
+  cropRight: 0,
+  cropBottom: 0,
+  margin: 0,
+  ...overrides,
+});
+
+test("getPlacementGeometry centre-fits the image by default", () => {
+  const geometry = hatchMaker().getPlacementGeometry(placement(), 400, 200, 100, 100);
+
+  assert.deepEqual(geometry.crop, { x: 0, y: 0, width: 400, height: 200 });
+  assert.equal(geometry.scale, 0.25);
+  assert.deepEqual([geometry.centerX, geometry.centerY], [50, 50]);
+  assert.deepEqual(hatchMaker().getPlacementBounds(geometry, 100, 100), {
+    x: 0,
+    y: 25,
+    width: 100,
+    height: 50,
+  });
+});
+
+test("getPlacementGeometry fits the crop inside the margins and applies scale and offset", () => {
+  const maker = hatchMaker();
+  const geometry = maker.getPlacementGeometry(
+    placement({
+      cropShape: "ellipse",
+      cropLeft: 25,
+      cropRight: 25,
+      margin: 10 / maker.pixelsPerMm,
+      scale: 50,
+      offsetX: 5 / maker.pixelsPerMm,
+    }),
+    400,
+    200,
+    100,
+    100
+  );
+
+  assert.deepEqual(geometry.crop, { x: 100, y: 0, width: 200, height: 200 });
+  assert.equal(geometry.shape, "ellipse");
+  assert.ok(Math.abs(geometry.margin - 10) < 1e-9);
+  // 80px inside the margins for a 200px crop, then halved
+  assert.ok(Math.abs(geometry.scale - 0.2) < 1e-9);
+  assert.ok(Math.abs(geometry.centerX - 55) < 1e-9);
+});
+
+test("getPlacementBounds covers the rotated image and stops at the margins", () => {
+  const maker = hatchMaker();
+  const geometry = maker.getPlacementGeometry(placement({ rotation: 90 }), 400, 200, 100, 100);
+  const bounds = maker.getPlacementBounds(geometry, 100, 100);
+
+  // Turned upright: 50px wide, 100px tall
+  assert.ok(Math.abs(bounds.x - 25) < 1e-9 && Math.abs(bounds.width - 50) < 1e-9);
+  assert.ok(Math.abs(bounds.y) < 1e-9 && Math.abs(bounds.height - 100) < 1e-9);
+
+  const shifted = maker.getPlacementGeometry(
+    placement({ offsetX: 80 / maker.pixelsPerMm, margin: 5 / maker.pixelsPerMm }),
+    100,
+    100,
+    100,
+    100
+  );
+  const clipped = maker.getPlacementBounds(shifted, 100, 100);
+  assert.ok(Math.abs(clipped.x + clipped.width - 95) < 1e-9);
+});
+
+test("getPlacementTransform maps the crop centre to the placement centre with flips", () => {
+  const maker = hatchMaker();
+  const geometry = maker.getPlacementGeometry(placement({ flipX: true }), 200, 100, 100, 100);
+  assert.equal(
+    maker.getPlacementTransform(geometry),
+    "translate(50 50) rotate(0) scale(-0.5 0.5) translate(-100 -50)"
+  );
+});
@@ -0,0 +1,70 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const assert = require("node:assert/strict");
+
+const ROOT = path.resolve(__dirname, "..");
+const GOLDEN_DIR = path.join(__dirname, "golden");
+
+// Shared modules attach themselves to globalThis, the same way they attach
+// to window in the browser
+function loadShared(...names) {
+  names.forEach((name) => require(path.join(ROOT, `${name}.js`)));
+}
+
+function loadTool(relativePath) {
+  return require(path.join(ROOT, relativePath));
+}
+
+// An instance of a tool class that skips its DOM-bound constructor, for
+// calling methods that only depend on the fields passed in
+function headless(ToolClass, fields = {}) {
+  return Object.assign(Object.create(ToolClass.prototype), fields);
+}
+
+// Deterministic random numbers for generated test input
+function seededRandom(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+// Compares output with tests/golden/<name>. Run with UPDATE_GOLDEN=1 to
+// (re)write the file after an intentional output change.
+function assertMatchesGolden(name, actual) {
+  const file = path.join(GOLDEN_DIR, name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+
+  assert.ok(
+    fs.existsSync(file),
+    `Missing golden file ${name}; run "UPDATE_GOLDEN=1 npm test" to create it`
+  );
+  assert.equal(actual, fs.readFileSync(file, "utf8"), `Output differs from golden file ${name}`);
+}
+
+function travelDistance(segments, startX = 0, startY = 0) {
+  let x = startX;
+  let y = startY;
+  let total = 0;
+  segments.forEach((segment) => {
+    total += Math.hypot(segment.x1 - x, segment.y1 - y);
+    x = segment.x2;
+    y = segment.y2;
+  });
+  return total;
+}
+
+module.exports = {
+  ROOT,
+  loadShared,
+  loadTool,
+  headless,
+  seededRandom,
+  assertMatchesGolden,
+  travelDistance,
+};
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("imageMask");
+
+const at = (values, width, x, y) => values[y * width + x];
+
+test("an exclude stroke clears its area and feathers the edge", () => {
+  // 1 px per mm: a 10 mm brush with 4 mm of feather around (20, 20)
+  const mask = {
+    ...ImageMask.create(),
+    strokes: [{ mode: "exclude", size: 10, feather: 4, points: [{ x: 20, y: 20 }] }],
+  };
+  const values = ImageMask.render(mask, 40, 40, 1);
+
+  assert.equal(at(values, 40, 20, 20), 0);
+  assert.equal(at(values, 40, 5, 5), 1);
+  const edge = at(values, 40, 23, 20); // 3.5 px from the centre
+  assert.ok(edge > 0 && edge < 1, `feathered value ${edge}`);
+});
+
+test("include strokes paint onto an excluded mask along the whole stroke", () => {
+  const mask = {
+    ...ImageMask.create(0),
+    strokes: [
+      {
+        mode: "include",
+        size: 4,
+        feather: 0,
+        points: [
+          { x: 5, y: 10 },
+          { x: 15, y: 10 },
+          { x: 25, y: 10 },
+        ],
+      },
+    ],
+  };
+  const values = ImageMask.render(mask, 30, 20, 1);
+
+  [5, 10, 15, 20, 25].forEach((x) => assert.equal(at(values, 30, x, 10), 1));
+  assert.equal(at(values, 30, 15, 18), 0);
+});
+
+test("overlapping segments of one stroke do not build up the feather", () => {
+  const stroke = (points) => ({
+    ...ImageMask.create(),
+    strokes: [{ mode: "exclude", size: 10, feather: 4, points }],
+  });
+  const single = ImageMask.render(stroke([{ x: 10, y: 10 }]), 20, 20, 1);
+  const repeated = ImageMask.render(
+    stroke([
+      { x: 10, y: 10 },
+      { x: 10, y: 10 },
+      { x: 10, y: 10 },
+    ]),
+    20,
+    20,
+    1
+  );
+
+  assert.deepEqual(repeated, single);
+});
+
+test("brush sizes and points are in mm", () => {
+  const mask = {
+    ...ImageMask.create(),
+    strokes: [{ mode: "exclude", size: 2, feather: 0, points: [{ x: 5, y: 5 }] }],
+  };
+  const values = ImageMask.render(mask, 40, 40, 4);
+
+  // (5, 5) mm at 4 px/mm, with a 4 px radius
+  assert.equal(at(values, 40, 20, 20), 0);
+  assert.equal(at(values, 40, 23, 20), 0);
+  assert.equal(at(values, 40, 24, 20), 1);
+});
+
+test("mask images map white to included and transparent to white", () => {
+  const values = ImageMask.fromImageData({
+    width: 3,
+    height: 1,
+    data: Uint8ClampedArray.from([255, 255, 255, 255, 0, 0, 0, 255, 0, 0, 0, 0]),
+  });
+
+  assert.deepEqual(Array.from(values), [1, 0, 1]);
+
+  const mask = { ...ImageMask.create(), image: "data:image/png;base64," };
+  assert.deepEqual(Array.from(ImageMask.render(mask, 3, 1, 1, values)), [1, 0, 1]);
+});
+
+test("masks scale intensities and fade grayscale towards white", () => {
+  const mask = Float32Array.from([1, 0.5, 0]);
+
+  assert.deepEqual(
+    Array.from(ImageMask.multiply(Float32Array.from([0.8, 0.8, 0.8]), mask)),
+    [Math.fround(0.8), Math.fround(0.4), 0]
+  );
+  assert.deepEqual(
+    Array.from(ImageMask.multiplyDarkness(Uint8ClampedArray.from([55, 55, 55]), mask)),
+    [55, 155, 255]
+  );
+  assert.deepEqual(Array.from(ImageMask.combine(mask, Float32Array.from([0.5, 0.5, 0.5]))), [0.5, 0.25, 0]);
+  assert.equal(ImageMask.combine(null, mask), mask);
+});
+
+test("normalize keeps valid saved masks and drops malformed strokes", () => {
+  const mask = ImageMask.normalize({
+    fill: 0,
+    strokes: [
+      { mode: "include", size: 5, feather: 1, points: [{ x: 1, y: 2 }] },
+      { mode: "exclude", size: 5, points: [] },
+      null,
+    ],
+  });
+
+  assert.deepEqual(mask, {
+    fill: 0,
+    image: null,
+    strokes: [{ mode: "include", size: 5, feather: 1, points: [{ x: 1, y: 2 }] }],
+  });
+  assert.equal(ImageMask.isEmpty(ImageMask.normalize(undefined)), true);
+  assert.equal(ImageMask.isEmpty(mask), false);
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared, loadTool } = require("./helpers");
+
+// CurveEditor exports itself instead of attaching to globalThis under Node
+globalThis.CurveEditor = loadTool("CurveEditor.js");
+loadShared("imagePreprocessor");
+
+// RGBA image from a list of gray values
+const grayImage = (values, width = values.length, height = 1) => ({
+  width,
+  height,
+  data: Uint8ClampedArray.from(values.flatMap((value) => [value, value, value, 255])),
+});
+const grays = (image) => Array.from(image.data.filter((_, i) => i % 4 === 0));
+
+test("steps run in order and disabled steps are skipped", () => {
+  const image = grayImage([0, 100, 200]);
+  const steps = [
+    { type: "invert", enabled: true },
+    { type: "posterize", enabled: false, levels: 2 },
+    { type: "levels", enabled: true, black: 55, white: 255, gamma: 1 },
+  ];
+
+  assert.deepEqual(grays(ImagePreprocessor.apply(image, steps)), [255, 128, 0]);
+  // The source image is left alone
+  assert.deepEqual(grays(image), [0, 100, 200]);
+});
+
+test("bounds keep the margins around the image untouched", () => {
+  const image = grayImage([255, 10, 20, 255]);
+  const result = ImagePreprocessor.apply(image, [{ type: "invert", enabled: true }], {
+    x: 1,
+    y: 0,
+    width: 2,
+    height: 1,
+  });
+  assert.deepEqual(grays(result), [255, 245, 235, 255]);
+});
+
+test("coverage blends uncovered pixels back to paper white", () => {
+  const image = grayImage([0, 0, 0]);
+  const result = ImagePreprocessor.apply(
+    image,
+    [{ type: "levels", black: 0, white: 255, gamma: 1 }],
+    null,
+    Uint8ClampedArray.from([255, 0, 51])
+  );
+  assert.deepEqual(grays(result), [0, 255, 204]);
+});
+
+test("tone curve follows CurveEditor's interpolation", () => {
+  const identity = ImagePreprocessor.curveLut([
+    { x: 0, y: 0 },
+    { x: 1, y: 1 },
+  ]);
+  assert.deepEqual(Array.from(identity.slice(0, 5)), [0, 1, 2, 3, 4]);
+
+  const editor = Object.create(CurveEditor.prototype);
+  editor.controlPoints = [
+    { x: 0, y: 0 },
+    { x: 0.5, y: 0.8 },
+    { x: 1, y: 1 },
+  ];
+  const lut = ImagePreprocessor.curveLut(editor.controlPoints);
+  assert.equal(lut[128], Math.round(editor.evaluate(128 / 255) * 255));
+  assert.ok(lut[128] > 190);
+});
+
+test("posterize snaps tones to evenly spaced levels", () => {
+  const lut = ImagePreprocessor.posterizeLut(3);
+  assert.deepEqual([lut[0], lut[60], lut[100], lut[200], lut[255]], [0, 0, 128, 255, 255]);
+});
+
+test("histogram equalization spreads a narrow range over 0-255", () => {
+  const image = grayImage([100, 100, 110, 110, 120, 120, 130, 130]);
+  const result = grays(ImagePreprocessor.apply(image, [{ type: "equalize", enabled: true }]));
+  assert.deepEqual(result, [0, 0, 85, 85, 170, 170, 255, 255]);
+});
+
+test("gaussian blur keeps flat areas and softens edges; unsharp mask sharpens them", () => {
+  const width = 20;
+  const values = Array.from({ length: width * 5 }, (_, i) => (i % width < 10 ? 0 : 200));
+  const image = grayImage(values, width, 5);
+
+  const blurred = grays(ImagePreprocessor.apply(image, [{ type: "blur", radius: 1.5 }]));
+  assert.equal(blurred[0], 0);
+  assert.equal(blurred[width - 1], 200);
+  assert.ok(blurred[9] > 0 && blurred[10] < 200);
+
+  const sharpened = grays(
+    ImagePreprocessor.apply(image, [{ type: "unsharp", radius: 1.5, amount: 1 }])
+  );
+  assert.equal(sharpened[9], 0);
+  assert.equal(sharpened[10], 255);
+});
+
+test("describe summarizes the enabled steps", () => {
+  assert.equal(ImagePreprocessor.describe([]), "none");
+  assert.equal(
+    ImagePreprocessor.describe([
+      ImagePreprocessor.createStep("levels"),
+      { type: "blur", enabled: false, radius: 2 },
+      ImagePreprocessor.createStep("invert"),
+    ]),
+    "Levels 0-255 γ1 > Invert"
+  );
+});
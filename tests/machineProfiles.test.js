@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { headless, loadShared, loadTool } = require("./helpers");
+
+const ConfigManager = loadTool("configManager.js");
+loadShared("gcodeGenerator", "machineProfiles");
+
+// localStorage backed by a Map, cleared after the test
+const withStorage = (t, entries = {}) => {
+  const items = new Map(Object.entries(entries));
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+  t.after(() => delete globalThis.localStorage);
+  return items;
+};
+
+// A panel with stand-in inputs for every profile field, skipping render()
+const headlessPanel = (configManager) => {
+  const inputs = {};
+  const numberFields = ["penDwell", "travelRate", "acceleration", "penLiftTime"];
+  return headless(MachineProfilePanel, {
+    toolId: "hatchmaker",
+    configManager,
+    onChange: () => {},
+    select: { value: "" },
+    deleteButton: { disabled: false },
+    field: (name) =>
+      (inputs[name] ??= {
+        type: name.startsWith("invert") ? "checkbox" : numberFields.includes(name) ? "number" : "text",
+        value: "",
+        checked: false,
+      }),
+  });
+};
+
+test("profile templates fill in the placeholders and keep unknown ones", () => {
+  const options = MachineProfilePanel.toGeneratorOptions({
+    name: "Servo",
+    penUpCommand: "M3 S{penUpZ}",
+    penDownCommand: "M3 S{penDownZ}",
+    homeCommand: "  $H  ",
+    headerTemplate: "; {toolName} on {canvasWidth}x{canvasHeight}\n\nM117 F{feedRate} {unknown}",
+    footerTemplate: "M5 ; up at {penUpZ}",
+  });
+  const generator = new GCodeGenerator({
+    ...options,
+    toolName: "HatchMaker",
+    canvasWidth: 210,
+    canvasHeight: 297,
+    feedRate: 1200,
+    penUpZ: 30,
+    penDownZ: 90,
+  });
+  generator.drawPolyline([
+    { x: 0, y: 0 },
+    { x: 5, y: 0 },
+  ]);
+  generator.finishProgram();
+  const lines = generator.toString().split("\n");
+
+  assert.equal(options.homeCommand, "$H");
+  assert.ok(lines.includes("; Machine profile: Servo"));
+  assert.ok(lines.includes("; HatchMaker on 210x297"));
+  assert.ok(lines.includes("M117 F1200 {unknown}"));
+  assert.ok(lines.includes("$H"));
+  assert.ok(lines.includes("M3 S90 ; Pen down"));
+  assert.ok(lines.includes("M3 S30 ; Pen up"));
+  assert.ok(lines.includes("M5 ; up at 30"));
+});
+
+test("machine profiles survive a save, load and delete round trip", (t) => {
+  withStorage(t);
+  const manager = new ConfigManager();
+
+  const id = manager.saveMachineProfile({ id: null, name: "Plotter", penDwell: 0.2, invertY: true });
+  manager.setSelectedMachineProfileId("hatchmaker", id);
+  manager.setSelectedMachineProfileId("svg2gcode", "builtin-marlin");
+
+  // A fresh manager reads the same store back
+  const loaded = new ConfigManager().getMachineProfile(id);
+  assert.equal(loaded.name, "Plotter");
+  assert.equal(loaded.penDwell, 0.2);
+  assert.equal(loaded.invertY, true);
+  assert.equal(new ConfigManager().getSelectedMachineProfileId("hatchmaker"), id);
+
+  // Saving with the same ID replaces the profile instead of adding one
+  manager.saveMachineProfile({ ...loaded, penDwell: 0.5 });
+  assert.equal(manager.getMachineProfiles().length, 1);
+  assert.equal(manager.getMachineProfile(id).penDwell, 0.5);
+
+  manager.deleteMachineProfile(id);
+  assert.deepEqual(manager.getMachineProfiles(), []);
+  assert.equal(manager.getSelectedMachineProfileId("hatchmaker"), null);
+  assert.equal(manager.getSelectedMachineProfileId("svg2gcode"), "builtin-marlin");
+});
+
+test("a malformed profile store loads as empty and drops unusable entries", (t) => {
+  const items = withStorage(t, { penPlotterMachineProfiles: "{not json" });
+  t.mock.method(console, "error", () => {});
+  const manager = new ConfigManager();
+
+  assert.deepEqual(manager.getMachineProfileStore(), { profiles: [], selectedByTool: {} });
+
+  items.set(
+    "penPlotterMachineProfiles",
+    JSON.stringify({
+      profiles: [null, "Plotter", { name: "No ID" }, { id: "p1", name: "Kept" }],
+      selectedByTool: "hatchmaker",
+    })
+  );
+  assert.deepEqual(manager.getMachineProfileStore(), {
+    profiles: [{ id: "p1", name: "Kept" }],
+    selectedByTool: {},
+  });
+});
+
+test("the panel falls back to the default profile when the stored one is missing", (t) => {
+  withStorage(t, {
+    penPlotterMachineProfiles: JSON.stringify({
+      profiles: [{ id: "p1", name: "Partial", penDownCommand: "M3" }, null],
+      selectedByTool: { hatchmaker: "deleted-profile" },
+    }),
+  });
+  const manager = new ConfigManager();
+  const panel = headlessPanel(manager);
+
+  panel.selectProfile(manager.getSelectedMachineProfileId("hatchmaker"), { notify: false });
+  assert.equal(panel.getSelectedProfileId(), "builtin-z-axis");
+  assert.equal(panel.select.value, "builtin-z-axis");
+  assert.equal(panel.deleteButton.disabled, true);
+
+  // A saved profile missing fields takes them from the default profile
+  panel.selectProfile("p1", { notify: false });
+  const profile = panel.getProfile();
+  assert.equal(profile.penDownCommand, "M3");
+  assert.equal(profile.travelRate, 3000);
+  assert.equal(profile.homeCommand, "G28 ; Home all axes");
+  assert.equal(panel.deleteButton.disabled, false);
+
+  // So does a configuration's snapshot of a profile that no longer exists
+  panel.applyProfile({ id: "gone", name: "Gone", penDwell: 0.4 });
+  assert.equal(panel.getSelectedProfileId(), "builtin-z-axis");
+  assert.equal(panel.getProfile().penDwell, 0.4);
+});
@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { headless, loadShared, loadTool } = require("./helpers");
+
+loadShared("workerRunner", "waveLines", "gcodeGenerator");
+
+const HatchMoireConverter = loadTool("moiremaker/script.js");
+const moireMaker = () => headless(HatchMoireConverter, { pixelsPerMm: 96 / 25.4 });
+
+const settings = {
+  contrast: 1,
+  whitePoint: 0.1,
+  maxMergeDistance: 0.5,
+  minLineLength: 1,
+};
+
+// Left half black, right half white
+const halfDarkImage = (width, height) => {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      gray[y * width + x] = x < width / 2 ? 0 : 255;
+    }
+  }
+  return gray;
+};
+
+test("traceLine only draws over dark pixels", () => {
+  const gray = halfDarkImage(100, 20);
+  const lines = moireMaker().traceLine(gray, 100, 20, 0, 10, 1, 0, settings);
+
+  assert.equal(lines.length, 1);
+  const [start, end] = [lines[0][0], lines[0][lines[0].length - 1]];
+  assert.equal(start.x, 0);
+  assert.ok(end.x < 50 && end.x >= 49);
+  lines[0].forEach((point) => assert.equal(point.y, 10));
+});
+
+test("traceWaveLine draws one squiggle over the dark half, sized by the line spacing", () => {
+  const gray = halfDarkImage(100, 20);
+  const maker = moireMaker();
+  const spacingPx = 1 * maker.pixelsPerMm;
+  const lines = maker.traceWaveLine(
+    gray,
+    100,
+    20,
+    [
+      { x: -50, y: 10 },
+      { x: 150, y: 10 },
+    ],
+    {
+      ...settings,
+      lineSpacing: 1,
+      wave: { modulation: "amplitude", amplitude: 0.5, wavelength: 2 },
+    }
+  );
+
+  assert.equal(lines.length, 1);
+  const xs = lines[0].map((point) => point.x);
+  const ys = lines[0].map((point) => point.y);
+  assert.ok(Math.min(...xs) >= 0 && Math.max(...xs) < 50);
+  assert.ok(Math.abs(Math.max(...ys) - 10 - spacingPx / 2) < 0.05);
+});
+
+test("traceLine drops dashes shorter than the minimum line length", () => {
+  const width = 100;
+  const gray = new Uint8ClampedArray(width).fill(255);
+  gray.fill(0, 10, 12);
+  gray.fill(0, 40, 80);
+
+  const lines = moireMaker().traceLine(gray, width, 1, 0, 0.5, 1, 0, {
+    ...settings,
+    minLineLength: 5,
+  });
+
+  assert.equal(lines.length, 1);
+  assert.ok(lines[0][0].x >= 40);
+});
+
+test("mergeCloseSegments bridges small gaps between consecutive segments", () => {
+  const merged = moireMaker().mergeCloseSegments(
+    [
+      { startT: 0, endT: 1, startX: 0, startY: 0, endX: 5, endY: 0 },
+      { startT: 1, endT: 2, startX: 5.5, startY: 0, endX: 9, endY: 0 },
+      { startT: 2, endT: 3, startX: 20, startY: 0, endX: 25, endY: 0 },
+    ],
+    1
+  );
+
+  assert.deepEqual(
+    merged.map(({ startX, endX }) => [startX, endX]),
+    [
+      [0, 9],
+      [20, 25],
+    ]
+  );
+});
+
+test("traceFlowLine keeps the curve of dark runs along a flow line", () => {
+  const gray = halfDarkImage(100, 100);
+  // Down the dark half, then right across into the light half
+  const points = [];
+  for (let y = 10; y <= 60; y += 2) points.push({ x: 20, y });
+  for (let x = 22; x <= 90; x += 2) points.push({ x, y: 60 });
+
+  const lines = moireMaker().traceFlowLine(gray, 100, 100, points, settings);
+
+  assert.equal(lines.length, 1);
+  const line = lines[0];
+  assert.deepEqual(line[0], { x: 20, y: 10 });
+  assert.ok(line.some((point) => point.x === 20 && point.y === 60), "keeps the corner");
+  assert.ok(line[line.length - 1].x < 50);
+});
+
+test("generateLayerLines packs the layer's lines scaled to the canvas and offset", () => {
+  const progress = [];
+  const packed = moireMaker().generateLayerLines(
+    {
+      grayData: halfDarkImage(100, 100),
+      imgWidth: 100,
+      imgHeight: 100,
+      canvasWidth: 200,
+      canvasHeight: 200,
+      settings: {
+        ...settings,
+        lineSpacing: 5,
+        angle: 0,
+        offsetX: 3,
+        offsetY: 0,
+        skew: 0,
+        luminance: null,
+      },
+    },
+    (value) => progress.push(value)
+  );
+
+  const lines = WorkerRunner.unpackPolylines(packed);
+  assert.ok(lines.length > 0);
+  lines.forEach((line) => {
+    // Dark half of a 100px image drawn twice the size, shifted 3px right
+    line.forEach(({ x }) => assert.ok(x >= 3 && x < 103));
+    assert.equal(line[0].y, line[line.length - 1].y);
+  });
+  assert.ok(progress.length > 0);
+});
+
+test("buildGcodeForLayers draws at the feed rate from the pen settings", (t) => {
+  const values = {
+    penDownZValue: "0",
+    penUpZValue: "0",
+    preventZhopValue: "0",
+    arcToleranceValue: "0.02",
+    feedRateValue: "2400",
+    canvasWidthValue: "100",
+    canvasHeightValue: "100",
+  };
+  globalThis.document = {
+    getElementById: (id) => ({ value: values[id], checked: false }),
+  };
+  t.after(() => delete globalThis.document);
+  const maker = headless(HatchMoireConverter, {
+    layers: [
+      {
+        color: "#000000",
+        dragLines: [
+          [
+            { x: 0, y: 0 },
+            { x: 10, y: 0 },
+          ],
+        ],
+      },
+    ],
+  });
+
+  const gcode = maker.buildGcodeForLayers([0]);
+
+  assert.match(gcode, /F2400/);
+  assert.doesNotMatch(gcode, /F1500/);
+});
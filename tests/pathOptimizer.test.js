@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared, seededRandom, travelDistance } = require("./helpers");
+
+loadShared("pathOptimizer");
+
+const randomSegments = (count, seed) => {
+  const random = seededRandom(seed);
+  return Array.from({ length: count }, (_, id) => {
+    const x = random() * 300;
+    const y = random() * 300;
+    const angle = random() * Math.PI * 2;
+    return { id, x1: x, y1: y, x2: x + Math.cos(angle) * 8, y2: y + Math.sin(angle) * 8 };
+  });
+};
+
+test("orderSegments returns every segment exactly once", () => {
+  const segments = randomSegments(2000, 3);
+  const ordered = PathOptimizer.orderSegments(segments, 0, 0);
+
+  assert.equal(ordered.length, segments.length);
+  assert.equal(new Set(ordered.map((segment) => segment.id)).size, segments.length);
+});
+
+test("the 2-opt pass improves on the greedy route", () => {
+  const segments = randomSegments(1000, 11);
+  const greedy = PathOptimizer.orderSegments(segments, 0, 0, { improve: false });
+  const improved = PathOptimizer.orderSegments(segments, 0, 0, { timeBudget: 2000 });
+
+  assert.ok(travelDistance(improved) < travelDistance(greedy) * 0.95);
+});
+
+test("orderPolylines drops unusable paths and reverses when the far end is closer", () => {
+  const ordered = PathOptimizer.orderPolylines(
+    [[{ x: 9, y: 9 }, { x: 1, y: 1 }], [{ x: 4, y: 4 }], "not a path"],
+    0,
+    0
+  );
+
+  assert.deepEqual(ordered, [[{ x: 1, y: 1 }, { x: 9, y: 9 }]]);
+});
+
+test("orderPoints visits every point once on a shorter route", () => {
+  const random = seededRandom(7);
+  const points = Array.from({ length: 500 }, (_, id) => ({ id, x: random() * 200, y: random() * 200 }));
+  const length = (route) =>
+    route.reduce((sum, point, i) => (i ? sum + Math.hypot(point.x - route[i - 1].x, point.y - route[i - 1].y) : 0), 0);
+  const ordered = PathOptimizer.orderPoints([...points, { x: NaN, y: 0 }], 0, 0);
+
+  assert.equal(ordered.length, points.length);
+  assert.equal(new Set(ordered.map((point) => point.id)).size, points.length);
+  assert.ok(length(ordered) < length(points) / 4);
+});
+
+test("items without a reverse function keep their direction", () => {
+  const segments = randomSegments(300, 5);
+  const ordered = PathOptimizer.order(segments, {
+    getStart: (segment) => ({ x: segment.x1, y: segment.y1 }),
+    getEnd: (segment) => ({ x: segment.x2, y: segment.y2 }),
+  });
+
+  assert.equal(ordered.length, segments.length);
+  ordered.forEach((segment) => assert.equal(segment, segments[segment.id]));
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { headless, loadShared, loadTool, assertMatchesGolden } = require("./helpers");
+
+loadShared("pathOptimizer", "gcodeGenerator", "svgPathFlattener");
+const PipeMazeGenerator = loadTool("pipemaze/script.js");
+
+const DIRECTIONS = { N: [0, -1], S: [0, 1], E: [1, 0], W: [-1, 0] };
+
+// A maze built from the fallback pipe sections, so no SVG files are fetched
+const buildMaze = (settings = {}) => {
+  const maze = headless(PipeMazeGenerator, {
+    settings: {
+      seed: 12345,
+      gridSize: 6,
+      complexity: 70,
+      placementMode: "random",
+      canvasWidth: 60,
+      canvasHeight: 60,
+      penDiameter: 0.5,
+      penDownZ: 0,
+      penUpZ: 2,
+      preventZhop: 0.5,
+      feedRate: 1500,
+      pauseBetweenLayers: true,
+      ...settings,
+    },
+    pipeSections: {
+      N: { path: "" },
+      NS: { path: "" },
+      NE: { path: "" },
+      NSE: { path: "" },
+      NSEW: { path: "" },
+    },
+  });
+  Object.keys(maze.pipeSections).forEach((key) => maze.setFallbackPath(key));
+  maze.buildMaze();
+  return maze;
+};
+
+const serialize = (maze) =>
+  maze.maze.map((row) => row.map((cell) => cell.connections.slice().sort().join("")).join("|"));
+
+test("the same seed always builds the same maze", () => {
+  assert.deepEqual(serialize(buildMaze()), serialize(buildMaze()));
+  assert.notDeepEqual(serialize(buildMaze()), serialize(buildMaze({ seed: 54321 })));
+});
+
+test("every cell is reached and connections are two-way", () => {
+  const { maze, settings } = buildMaze({ gridSize: 8 });
+
+  for (let y = 0; y < settings.gridSize; y++) {
+    for (let x = 0; x < settings.gridSize; x++) {
+      const cell = maze[y][x];
+      assert.ok(cell.visited, `cell ${x},${y} was never visited`);
+      cell.connections.forEach((direction) => {
+        const [dx, dy] = DIRECTIONS[direction];
+        const neighbour = maze[y + dy][x + dx];
+        const opposite = { N: "S", S: "N", E: "W", W: "E" }[direction];
+        assert.ok(neighbour.connections.includes(opposite), `${x},${y} ${direction}`);
+      });
+    }
+  }
+});
+
+test("start and end points sit on the edge of the grid", () => {
+  const maze = buildMaze();
+  const last = maze.settings.gridSize - 1;
+  [maze.startPoint, maze.endPoint].forEach(({ x, y }) => {
+    assert.ok(x === 0 || y === 0 || x === last || y === last);
+  });
+});
+
+test("seeded maze SVG matches its golden file", () => {
+  const maze = buildMaze();
+  const svg = maze.generateLayerSVG({ name: "Layer 1", color: "#000000", visible: true });
+  assertMatchesGolden("pipemaze-seed-12345.svg", svg);
+});
+
+test("seeded maze G-code matches its golden file", () => {
+  const maze = buildMaze();
+  const gcode = maze.generateGcode([{ name: "Layer 1", color: "#000000", visible: true }]);
+  assertMatchesGolden("pipemaze-seed-12345.gcode", gcode);
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("gcodeGenerator", "gcodeParser", "plotTimeEstimator");
+
+const assertClose = (actual, expected, message) =>
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+test("G2/G3 arcs are timed along their length, full circles included", () => {
+  // No acceleration: every move runs at its feed rate
+  const estimator = new PlotTimeEstimator({ acceleration: 0, penLiftTime: 0 });
+  const estimate = estimator.estimate([
+    "G0 X10 Y0",
+    // Clockwise quarter circle of radius 10 around the origin, at 10 mm/s
+    "G2 X0 Y-10 I-10 J0 F600",
+    // Ending where it starts is a full circle
+    "G3 X0 Y-10 I0 J10",
+  ]);
+
+  assertClose(estimate.travelDistance, 10, "travel distance");
+  assertClose(estimate.travelTime, 10 / 50, "travel at 3000 mm/min");
+  assertClose(estimate.drawDistance, 5 * Math.PI + 20 * Math.PI, "arc length");
+  assertClose(estimate.drawTime, (25 * Math.PI) / 10, "arc time");
+});
+
+test("tight arcs are slowed to the speed their centripetal acceleration allows", () => {
+  const estimator = new PlotTimeEstimator({ acceleration: 1 });
+  const block = estimator.createBlock({ x: 10, y: 0, motion: "G2", feedRate: 600 }, 0, -10, {
+    i: -10,
+    j: 0,
+    scale: 1,
+  });
+
+  // v² / r <= a
+  assertClose(block.maxSpeed, Math.sqrt(10), "arc speed");
+});
+
+test("G4 dwells count in the configured units, S always in seconds", () => {
+  const seconds = new PlotTimeEstimator().estimate(["G4 P0.5"]);
+  const milliseconds = new PlotTimeEstimator({ dwellUnits: "milliseconds" }).estimate([
+    "G4 P250",
+    "G4 S2",
+  ]);
+
+  assertClose(seconds.dwellTime, 0.5, "seconds");
+  assertClose(milliseconds.dwellTime, 2.25, "milliseconds");
+  assertClose(milliseconds.totalTime, 2.25, "total");
+});
+
+test("pen lifts, lowers and pen commands each take the pen lift time", () => {
+  const estimator = new PlotTimeEstimator({ acceleration: 0, penLiftTime: 0.3 });
+  const estimate = estimator.estimate([
+    "G0 Z2",
+    "G1 Z0 F300",
+    // Already down: no pen action
+    "G1 Z0",
+    "M3 S90",
+    "M5",
+    "M0 ; Change pen",
+  ]);
+
+  assert.equal(estimate.penActions, 4);
+  assertClose(estimate.penTime, 1.2, "pen time");
+  assert.equal(estimate.pauses, 1);
+  assert.equal(estimate.drawDistance, 0);
+});
+
+test("corners slow down to the junction deviation speed", () => {
+  const acceleration = 100;
+  const estimator = new PlotTimeEstimator({
+    acceleration,
+    junctionDeviation: 0.01,
+    penLiftTime: 0,
+  });
+  const drawTime = (lines) => estimator.estimate(lines).drawTime;
+
+  // Two 10 mm moves at 10 mm/s: 0.1 s ramps, 0.5 mm to reach full speed
+  const straight = drawTime(["G1 X10 F600", "G1 X20"]);
+  assertClose(straight, 0.1 + 0.1 + (20 - 1) / 10, "straight on");
+
+  const reversal = drawTime(["G1 X10 F600", "G1 X0"]);
+  assertClose(reversal, 2 * (0.1 + 0.1 + (10 - 1) / 10), "full reversal");
+
+  // A right angle: v = sqrt(a * deviation * sin(θ/2) / (1 - sin(θ/2)))
+  const sinHalf = Math.SQRT1_2;
+  const corner = Math.sqrt((acceleration * 0.01 * sinHalf) / (1 - sinHalf));
+  const cornerDecel = (100 - corner * corner) / (2 * acceleration);
+  const perMove = 0.1 + (10 - corner) / acceleration + (10 - 0.5 - cornerDecel) / 10;
+  const rightAngle = drawTime(["G1 X10 F600", "G1 X10 Y10"]);
+  assertClose(rightAngle, 2 * perMove, "right angle");
+  assert.ok(straight < rightAngle && rightAngle < reversal);
+});
+
+test("sections get their own totals and the setup before them only counts overall", () => {
+  const estimator = new PlotTimeEstimator({ acceleration: 0, penLiftTime: 0.5 });
+  const estimate = estimator.estimate(
+    ["G21", "G0 X5", "G1 X15 F600", "M5", "G1 X15 Y20"],
+    // Out of order on purpose: sections are sorted by where they start
+    [
+      { name: "Blue", commandIndex: 4 },
+      { name: "Red", commandIndex: 2 },
+    ]
+  );
+
+  assert.deepEqual(
+    estimate.sections.map(({ name, totalTime }) => [name, +totalTime.toFixed(6)]),
+    [
+      ["Red", 1.5],
+      ["Blue", 2],
+    ]
+  );
+  assertClose(estimate.travelTime, 0.1, "setup travel");
+  assertClose(estimate.totalTime, 3.6, "total");
+});
+
+test("fromGenerator reports one section per beginSection call", () => {
+  const generator = new GCodeGenerator({ includeHome: false, feedRate: 600 });
+  generator.beginProgram();
+  generator.beginSection("C");
+  generator.drawPolyline([
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+  ]);
+  generator.beginSection("M");
+  generator.drawPolyline([
+    { x: 10, y: 20 },
+    { x: 30, y: 20 },
+  ]);
+  generator.finishProgram();
+
+  const estimate = PlotTimeEstimator.fromGenerator(generator, { acceleration: 0 });
+  assert.deepEqual(
+    estimate.sections.map(({ name, drawDistance }) => [name, drawDistance]),
+    [
+      ["C", 10],
+      ["M", 20],
+    ]
+  );
+  const sectionTime = estimate.sections.reduce((sum, section) => sum + section.totalTime, 0);
+  assert.ok(sectionTime <= estimate.totalTime);
+});
+
+test("formatDuration rounds to whole seconds and switches units at a minute and an hour", () => {
+  assert.equal(PlotTimeEstimator.formatDuration(0), "0s");
+  assert.equal(PlotTimeEstimator.formatDuration(59.4), "59s");
+  assert.equal(PlotTimeEstimator.formatDuration(59.5), "1m 00s");
+  assert.equal(PlotTimeEstimator.formatDuration(3599), "59m 59s");
+  assert.equal(PlotTimeEstimator.formatDuration(3600), "1h 00m");
+  assert.equal(PlotTimeEstimator.formatDuration(3725), "1h 02m");
+  assert.equal(PlotTimeEstimator.formatDuration(-5), "0s");
+  assert.equal(PlotTimeEstimator.formatDuration("abc"), "0s");
+});
@@ -0,0 +1,257 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("previewCanvas");
+
+// Path2D records its commands the way the fake context below does
+globalThis.Path2D = class {
+  constructor() {
+    this.path = [];
+  }
+  moveTo(x, y) {
+    this.path.push(["M", x, y]);
+  }
+  lineTo(x, y) {
+    this.path.push(["L", x, y]);
+  }
+  arc(x, y, radius) {
+    this.path.push(["A", x, y, radius]);
+  }
+};
+
+// Stand-in for a canvas shown at 100x100 CSS pixels with no zoom; its
+// context records each stroke with the state it was drawn with
+function fakeCanvas() {
+  const strokes = [];
+  let path = [];
+  const ctx = {
+    setTransform() {},
+    clearRect() {},
+    setLineDash(dash) {
+      this.dash = dash;
+    },
+    beginPath() {
+      path = [];
+    },
+    moveTo(x, y) {
+      path.push(["M", x, y]);
+    },
+    lineTo(x, y) {
+      path.push(["L", x, y]);
+    },
+    arc(x, y, radius) {
+      path.push(["A", x, y, radius]);
+    },
+    fill(path2D) {
+      strokes.push({
+        color: this.fillStyle,
+        alpha: this.globalAlpha,
+        dash: "fill",
+        path: path2D ? path2D.path : path,
+        blend: this.globalCompositeOperation,
+      });
+    },
+    fillRect(x, y, width, height) {
+      strokes.push({ color: this.fillStyle, dash: "rect", path: [x, y, width, height] });
+    },
+    stroke(path2D) {
+      strokes.push({
+        color: this.strokeStyle,
+        alpha: this.globalAlpha,
+        dash: this.dash,
+        path: path2D ? path2D.path : path,
+        width: this.lineWidth,
+        blend: this.globalCompositeOperation,
+      });
+    },
+  };
+  const canvas = {
+    clientWidth: 100,
+    clientHeight: 100,
+    width: 0,
+    height: 0,
+    getContext: () => ctx,
+    getBoundingClientRect: () => ({ width: 100, height: 100 }),
+  };
+  return { canvas, strokes };
+}
+
+test("pack turns point lists into typed arrays and keeps packed input", () => {
+  const packed = PreviewCanvas.pack([
+    [
+      { x: 0, y: 0 },
+      { x: 1, y: 2 },
+    ],
+    [
+      { x: 3, y: 4 },
+      { x: 5, y: 6 },
+      { x: 7, y: 8 },
+    ],
+  ]);
+
+  assert.deepEqual(Array.from(packed.points), [0, 0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.deepEqual(Array.from(packed.starts), [0, 2, 5]);
+  assert.equal(PreviewCanvas.pack(packed), packed);
+});
+
+test("levelOfDetail merges points closer than the tolerance and keeps dots", () => {
+  const lines = PreviewCanvas.pack([
+    [
+      { x: 0, y: 0 },
+      { x: 0.1, y: 0 },
+      { x: 0.2, y: 0 },
+      { x: 5, y: 0 },
+      { x: 5.1, y: 0 },
+    ],
+    // Shorter than the tolerance: kept as a dot
+    [
+      { x: 10, y: 10 },
+      { x: 10.1, y: 10 },
+    ],
+    // A single point is a dot
+    [{ x: 20, y: 20 }],
+  ]);
+
+  const { points, starts } = PreviewCanvas.levelOfDetail(lines, 1);
+
+  assert.deepEqual(Array.from(points), [0, 0, 5.1, 0, 10, 10, 10.1, 10, 20, 20]);
+  assert.deepEqual(Array.from(starts), [0, 2, 4, 5]);
+});
+
+test("fitViewBox centres the view box like xMidYMid meet", () => {
+  const fit = PreviewCanvas.fitViewBox(
+    { x: 0, y: 0, width: 200, height: 100 },
+    400,
+    400
+  );
+
+  assert.deepEqual(fit, { scale: 2, offsetX: 0, offsetY: 100 });
+});
+
+test("chooseLevel rounds up to a power of two within the pixel budget", () => {
+  assert.equal(PreviewCanvas.chooseLevel(1, 100, 100, 1e6), 1);
+  assert.equal(PreviewCanvas.chooseLevel(2.5, 100, 100, 1e6), 4);
+  // 1000 x 1000 CSS pixels may only take 4M backing-store pixels
+  assert.equal(PreviewCanvas.chooseLevel(8, 1000, 1000, 4e6), 2);
+  assert.equal(PreviewCanvas.chooseLevel(0.01, 100, 100, 1e6), 1 / 8);
+});
+
+test("render strokes visible layers bottom to top with their style", () => {
+  const { canvas, strokes } = fakeCanvas();
+  const preview = new PreviewCanvas(canvas);
+  preview.renderFrame = 0; // Render explicitly below
+  preview.setViewBox(0, 0, 100, 100);
+
+  const line = [
+    [
+      { x: 10, y: 10 },
+      { x: 90, y: 10 },
+    ],
+  ];
+  preview.setLayer("a", { lines: line, color: "#ff0000" });
+  preview.setLayer("b", { lines: line, color: "#00ff00", dash: [4, 2] });
+  preview.setLayer("c", { lines: line, color: "#0000ff", visible: false });
+  preview.updateLayer("a", { opacity: 0.5 });
+  preview.setLayerOrder(["b", "a"]);
+  preview.render();
+
+  assert.deepEqual(
+    strokes.map(({ color, alpha, dash }) => [color, alpha, dash]),
+    [
+      ["#00ff00", 1, [4, 2]],
+      ["#ff0000", 0.5, []],
+    ]
+  );
+  assert.deepEqual(strokes[0].path, [
+    ["M", 10, 10],
+    ["L", 90, 10],
+  ]);
+  assert.equal(canvas.width, 100);
+  assert.equal(preview.getSegmentCount(), 3);
+});
+
+test("render fills single-point polylines as dots of the layer's dot size", () => {
+  const { canvas, strokes } = fakeCanvas();
+  const preview = new PreviewCanvas(canvas);
+  preview.renderFrame = 0;
+  preview.setViewBox(0, 0, 100, 100);
+  preview.setLayer("dots", {
+    lines: [[{ x: 20, y: 30 }], [{ x: 50, y: 50 }, { x: 60, y: 50 }]],
+    color: "#123456",
+    lineWidth: 1,
+    dotSize: 4,
+  });
+  preview.render();
+
+  assert.deepEqual(
+    strokes.map(({ dash, path }) => [dash, path]),
+    [
+      [[], [["M", 50, 50], ["L", 60, 50]]],
+      ["fill", [["M", 22, 30], ["A", 20, 30, 2]]],
+    ]
+  );
+  assert.equal(strokes[1].color, "#123456");
+});
+
+test("simulated ink strokes each layer at pen width, multiplied onto the paper", () => {
+  const { canvas, strokes } = fakeCanvas();
+  const preview = new PreviewCanvas(canvas);
+  preview.renderFrame = 0;
+  preview.setViewBox(0, 0, 100, 100);
+  const lines = [
+    [{ x: 10, y: 10 }, { x: 90, y: 10 }],
+    [{ x: 10, y: 20 }, { x: 90, y: 20 }],
+    [{ x: 50, y: 50 }],
+  ];
+  preview.setLayer("cyan", { lines, color: "#00ffff", lineWidth: 0.2, penWidth: 2, opacity: 0.5 });
+  preview.setLayer("travel", { lines, color: "#ff0000", ink: false });
+  preview.setInkSimulation({ opacity: 0.7 });
+  preview.render();
+
+  assert.deepEqual(strokes[0], { color: "#fdfcf8", dash: "rect", path: [0, 0, 100, 100] });
+  assert.deepEqual(
+    strokes.slice(1).map(({ color, alpha, dash, width, blend }) => [color, alpha, dash, width, blend]),
+    [
+      ["#00ffff", 0.7, [], 2, "multiply"],
+      ["#00ffff", 0.7, "fill", undefined, "multiply"],
+    ]
+  );
+  // All of the layer's lines in one stroke, its dots in one fill
+  assert.deepEqual(strokes[1].path, [
+    ["M", 10, 10],
+    ["L", 90, 10],
+    ["M", 10, 20],
+    ["L", 90, 20],
+  ]);
+  assert.deepEqual(strokes[2].path, [["M", 51, 50], ["A", 50, 50, 1]]);
+
+  // Switching it off goes back to the hairline preview
+  strokes.length = 0;
+  preview.setInkSimulation(null);
+  preview.render();
+  assert.deepEqual(
+    strokes.map(({ color, alpha, width, blend }) => [color, alpha, width, blend]),
+    [
+      ["#00ffff", 0.5, 0.2, "source-over"],
+      ["#00ffff", 0.5, undefined, "source-over"],
+      ["#ff0000", 1, 1, "source-over"],
+      ["#ff0000", 1, undefined, "source-over"],
+    ]
+  );
+});
+
+test("normalizeInk clamps the settings and paperGrain is a repeatable light texture", () => {
+  assert.deepEqual(PreviewCanvas.normalizeInk({ opacity: 3, bleed: -1, paperTexture: 1 }), {
+    opacity: 1,
+    bleed: 0,
+    paperTexture: true,
+    paperColor: "#fdfcf8",
+  });
+
+  const grain = PreviewCanvas.paperGrain(32);
+  assert.equal(grain.length, 32 * 32);
+  assert.deepEqual(grain, PreviewCanvas.paperGrain(32));
+  assert.ok(Math.min(...grain) >= 225 && Math.max(...grain) <= 255);
+  assert.ok(new Set(grain).size > 10);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("stippler");
+
+// Tone 1 on the left half, 0.25 on the right half
+const halfTone = (width, height) => {
+  const intensities = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    intensities.fill(1, y * width, y * width + width / 2);
+    intensities.fill(0.25, y * width + width / 2, (y + 1) * width);
+  }
+  return intensities;
+};
+
+const countHalves = (dots, width) => {
+  let left = 0;
+  for (let i = 0; i < dots.length; i += 2) if (dots[i] < width / 2) left++;
+  return [left, dots.length / 2 - left];
+};
+
+// Smallest distance from any dot to its nearest neighbour
+const minGap = (dots) => {
+  let gap = Infinity;
+  for (let i = 0; i < dots.length; i += 2) {
+    for (let j = i + 2; j < dots.length; j += 2) {
+      gap = Math.min(gap, Math.hypot(dots[i] - dots[j], dots[i + 1] - dots[j + 1]));
+    }
+  }
+  return gap;
+};
+
+test("dot density follows the intensity", () => {
+  const dots = Stippler.stipple(halfTone(100, 60), 100, 60, { spacing: 5 });
+  const [left, right] = countHalves(dots, 100);
+
+  // 50 x 60 px at one dot per 25 px², and a quarter of that on the right.
+  // Relaxation blurs the edge between the halves a little.
+  assert.ok(Math.abs(left + right - 150) <= 3, `${left + right} dots`);
+  assert.ok(left > right * 2.5, `${left} dark and ${right} light dots`);
+  for (let i = 0; i < dots.length; i += 2) {
+    assert.ok(dots[i] >= 0 && dots[i] <= 100 && dots[i + 1] >= 0 && dots[i + 1] <= 60);
+  }
+});
+
+test("relaxation spreads the random starting dots apart", () => {
+  const intensities = new Float32Array(60 * 60).fill(1);
+  const random = Stippler.stipple(intensities, 60, 60, { spacing: 6, iterations: 0 });
+  const relaxed = Stippler.stipple(intensities, 60, 60, { spacing: 6, iterations: 20 });
+
+  assert.ok(minGap(relaxed) > 3, `relaxed gap ${minGap(relaxed)}`);
+  assert.ok(minGap(relaxed) > minGap(random) * 2);
+});
+
+test("the same seed gives the same dots and blank images none", () => {
+  const intensities = halfTone(40, 40);
+  const progress = [];
+
+  assert.deepEqual(
+    Stippler.stipple(intensities, 40, 40, { spacing: 4, seed: 3 }),
+    Stippler.stipple(intensities, 40, 40, { spacing: 4, seed: 3, onProgress: (p) => progress.push(p) })
+  );
+  assert.equal(progress[progress.length - 1], 1);
+  assert.equal(Stippler.stipple(new Float32Array(400), 20, 20, { spacing: 2 }).length, 0);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("svgPathFlattener");
+
+const rounded = (polylines) =>
+  polylines.map((polyline) => polyline.map((point) => [+point.x.toFixed(3), +point.y.toFixed(3)]));
+
+test("tokenizePath splits implicit repeats and turns pairs after a moveto into linetos", () => {
+  assert.deepEqual(SvgPathFlattener.tokenizePath("M0 0 10 0 l5 5 5 -5 z"), [
+    { type: "M", values: [0, 0] },
+    { type: "L", values: [10, 0] },
+    { type: "l", values: [5, 5] },
+    { type: "l", values: [5, -5] },
+    { type: "z", values: [] },
+  ]);
+});
+
+test("tokenizePath reads arc flags written without separators", () => {
+  assert.deepEqual(SvgPathFlattener.tokenizePath("a5 5 0 0110 10"), [
+    { type: "a", values: [5, 5, 0, 0, 1, 10, 10] },
+  ]);
+});
+
+test("stray numbers after Z are skipped instead of repeating the close", () => {
+  assert.deepEqual(SvgPathFlattener.tokenizePath("M0 0 L10 0 L10 10 Z 5 5 L 20 20"), [
+    { type: "M", values: [0, 0] },
+    { type: "L", values: [10, 0] },
+    { type: "L", values: [10, 10] },
+    { type: "Z", values: [] },
+    { type: "L", values: [20, 20] },
+  ]);
+});
+
+test("flattenPathData closes subpaths and continues from the subpath start after Z", () => {
+  const polylines = SvgPathFlattener.flattenPathData("M0 0 H10 V10 Z L0 20");
+
+  assert.deepEqual(rounded(polylines), [
+    [
+      [0, 0],
+      [10, 0],
+      [10, 10],
+      [0, 0],
+    ],
+    [
+      [0, 0],
+      [0, 20],
+    ],
+  ]);
+});
+
+test("curves stay within the tolerance of the true curve", () => {
+  const [quarter] = SvgPathFlattener.flattenPathData("M10 0 A10 10 0 0 1 0 10", { tolerance: 0.01 });
+
+  assert.ok(quarter.length > 4);
+  assert.deepEqual(rounded([[quarter[quarter.length - 1]]]), [[[0, 10]]]);
+  quarter.forEach(({ x, y }) => assert.ok(Math.abs(Math.hypot(x, y) - 10) < 0.02));
+});
+
+test("parseTransform composes transforms right to left", () => {
+  const matrix = SvgPathFlattener.parseTransform("translate(10, 20) scale(2)");
+
+  assert.deepEqual(SvgPathFlattener.applyMatrix({ x: 1, y: 1 }, matrix), { x: 12, y: 22 });
+  const rotated = SvgPathFlattener.applyMatrix(
+    { x: 10, y: 0 },
+    SvgPathFlattener.parseTransform("rotate(90)")
+  );
+  assert.deepEqual(rounded([[rotated]]), [[[0, 10]]]);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("waveLines");
+
+// A row along y = 10 from x = 0 to 100
+const row = [
+  { x: 0, y: 10 },
+  { x: 100, y: 10 },
+];
+
+// Times the squiggle crosses the row between x0 and x1
+const crossings = (wave, x0, x1) => {
+  let count = 0;
+  for (let i = 1; i < wave.length; i++) {
+    if (wave[i].x < x0 || wave[i].x >= x1) continue;
+    if (Math.sign(wave[i].y - 10) !== Math.sign(wave[i - 1].y - 10)) count++;
+  }
+  return count;
+};
+
+const swing = (wave, x0, x1) =>
+  Math.max(
+    ...wave
+      .filter((point) => point.x >= x0 && point.x < x1)
+      .map((point) => Math.abs(point.y - 10))
+  );
+
+test("amplitude modulation swings wider where the tone is darker", () => {
+  const wave = WaveLines.trace(row, (x) => (x < 50 ? 1 : 0.25), {
+    amplitude: 4,
+    wavelength: 8,
+  });
+
+  assert.ok(wave.length > 50);
+  assert.ok(Math.abs(swing(wave, 0, 50) - 4) < 0.1);
+  assert.ok(Math.abs(swing(wave, 50, 100) - 1) < 0.1);
+  // Same wavelength on both halves
+  assert.ok(Math.abs(crossings(wave, 0, 50) - crossings(wave, 50, 100)) <= 1);
+});
+
+test("frequency modulation wiggles faster where the tone is darker", () => {
+  const wave = WaveLines.trace(row, (x) => (x < 50 ? 1 : 0.25), {
+    amplitude: 4,
+    wavelength: 8,
+    modulation: "frequency",
+  });
+
+  // 50px of full tone at an 8px wavelength crosses about 12 times
+  assert.ok(Math.abs(crossings(wave, 0, 50) - 12) <= 1);
+  assert.ok(crossings(wave, 50, 100) <= 4);
+  assert.ok(swing(wave, 50, 100) > 3);
+});
+
+test("blank row ends are trimmed and blank rows give nothing", () => {
+  const wave = WaveLines.trace(row, (x) => (x >= 30 && x < 60 ? 1 : 0), {
+    amplitude: 2,
+    wavelength: 4,
+  });
+  assert.ok(wave[0].x >= 29 && wave[0].x <= 30);
+  assert.ok(wave[wave.length - 1].x >= 59 && wave[wave.length - 1].x < 60);
+
+  assert.deepEqual(WaveLines.trace(row, () => 0), []);
+  // Outside the image bounds nothing is sampled
+  assert.deepEqual(
+    WaveLines.trace(row, () => assert.fail("sampled"), { width: 100, height: 5 }),
+    []
+  );
+});
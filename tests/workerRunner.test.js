@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./helpers");
+
+loadShared("workerRunner");
+
+// Stand-in for the browser Worker: answers each job once told to, and
+// records whether it was terminated
+class FakeWorker {
+  constructor(url) {
+    this.url = url;
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(job, transfer) {
+    this.job = job;
+    this.transfer = transfer;
+  }
+
+  reply(data) {
+    this.onmessage({ data });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const withWorker = (t) => {
+  FakeWorker.instances = [];
+  globalThis.Worker = FakeWorker;
+  t.after(() => delete globalThis.Worker);
+};
+
+test("packPolylines round-trips polylines and their tags", () => {
+  const polylines = [
+    [
+      { x: 0, y: 1 },
+      { x: 2.5, y: 3 },
+    ],
+    [
+      { x: 4, y: 5 },
+      { x: 6, y: 7 },
+      { x: 8.125, y: 9 },
+    ],
+  ];
+  const packed = WorkerRunner.packPolylines(polylines, [3, 1]);
+
+  assert.deepEqual(Array.from(packed.starts), [0, 2, 5]);
+  assert.deepEqual(Array.from(packed.tags), [3, 1]);
+  assert.deepEqual(WorkerRunner.unpackPolylines(packed), polylines);
+  assert.equal(WorkerRunner.transferList(packed).length, 3);
+});
+
+test("run falls back to the main thread without Worker support", async () => {
+  const progress = [];
+  const runner = new WorkerRunner("worker.js", (job, onProgress) => {
+    onProgress(0.5);
+    return job.value * 2;
+  });
+
+  const result = await runner.run({ value: 21 }, { onProgress: (p) => progress.push(p) });
+
+  assert.equal(result, 42);
+  assert.deepEqual(progress, [0.5]);
+});
+
+test("run relays progress and resolves with the worker's result", async (t) => {
+  withWorker(t);
+  const runner = new WorkerRunner("worker.js");
+  const progress = [];
+  const buffer = new ArrayBuffer(8);
+
+  const pending = runner.run({ buffer }, { transfer: [buffer], onProgress: (p) => progress.push(p) });
+  const [worker] = FakeWorker.instances;
+  assert.equal(worker.url, "worker.js");
+  assert.deepEqual(worker.transfer, [buffer]);
+
+  worker.reply({ type: "progress", progress: 0.25 });
+  worker.reply({ type: "result", result: "done" });
+
+  assert.equal(await pending, "done");
+  assert.deepEqual(progress, [0.25]);
+  assert.ok(worker.terminated);
+});
+
+test("cancelAll terminates running workers and rejects their jobs", async (t) => {
+  withWorker(t);
+  const runner = new WorkerRunner("worker.js");
+  const jobs = [runner.run({}), runner.run({})];
+
+  runner.cancelAll();
+
+  for (const job of jobs) {
+    await assert.rejects(job, (error) => WorkerRunner.isCancellation(error));
+  }
+  assert.ok(FakeWorker.instances.every((worker) => worker.terminated));
+  assert.equal(runner.running.size, 0);
+});
@@ -0,0 +1,85 @@
+(function (global) {
+  // Sample points per wavelength at the highest frequency
+  const STEPS_PER_WAVE = 8;
+  const MIN_STEP = 0.25;
+  // Below this intensity a row end counts as blank paper and is trimmed
+  const BLANK_INTENSITY = 0.02;
+
+  const MODULATIONS = ["amplitude", "frequency", "both"];
+
+  // Turns scan lines into continuous squiggles that show tone without pen
+  // lifts: the line swings from side to side along its normal, with an
+  // amplitude and/or frequency that follow the local intensity (0-1, 1 =
+  // darkest). Blank stretches inside a row are drawn flat; blank ends are
+  // left out.
+  class WaveLines {
+    // One squiggle along `points` (a polyline, e.g. [start, end] of a
+    // straight row or a flow streamline), as an array of { x, y } (empty
+    // when the row is blank). `sample(x, y)` gives the intensity there.
+    //
+    // Options (px): `amplitude` is the largest swing to either side,
+    // `wavelength` the shortest wave (full intensity), `modulation` is
+    // "amplitude", "frequency" or "both". `width`/`height` bound the
+    // image: outside it the row is blank and `sample` is not called.
+    static trace(points, sample, options = {}) {
+      const amplitude = Math.max(0, options.amplitude ?? 2);
+      const wavelength = Math.max(MIN_STEP * 2, options.wavelength || 4);
+      const modulation = WaveLines.normalizeModulation(options.modulation);
+      const step = Math.max(MIN_STEP, wavelength / STEPS_PER_WAVE);
+      const inside = (x, y) =>
+        options.width === undefined ||
+        (x >= 0 && x < options.width && y >= 0 && y < options.height);
+
+      const wave = [];
+      let phase = 0;
+      let first = -1;
+      let last = -1;
+      let travelled = 0;
+      let nextSample = 0;
+
+      for (let i = 1; i < points.length; i++) {
+        const from = points[i - 1];
+        const to = points[i];
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        if (length === 0) continue;
+
+        const nx = -(to.y - from.y) / length;
+        const ny = (to.x - from.x) / length;
+        const isLast = i === points.length - 1;
+        while (
+          nextSample < travelled + length ||
+          (isLast && nextSample <= travelled + length)
+        ) {
+          const along = (nextSample - travelled) / length;
+          const x = from.x + (to.x - from.x) * along;
+          const y = from.y + (to.y - from.y) * along;
+          const intensity = inside(x, y)
+            ? Math.min(1, Math.max(0, sample(x, y)))
+            : 0;
+
+          // Frequency modulation advances the phase faster where it is dark
+          const frequency = modulation === "amplitude" ? 1 : intensity;
+          const swing = modulation === "frequency" ? 1 : intensity;
+          phase += ((2 * Math.PI * step) / wavelength) * frequency;
+          const offset = amplitude * swing * Math.sin(phase);
+
+          if (intensity > BLANK_INTENSITY) {
+            if (first < 0) first = wave.length;
+            last = wave.length;
+          }
+          wave.push({ x: x + nx * offset, y: y + ny * offset });
+          nextSample += step;
+        }
+        travelled += length;
+      }
+
+      return first < 0 ? [] : wave.slice(first, last + 1);
+    }
+
+    static normalizeModulation(modulation) {
+      return MODULATIONS.includes(modulation) ? modulation : "amplitude";
+    }
+  }
+
+  global.WaveLines = WaveLines;
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,112 @@
+(function (global) {
+  // Runs jobs in dedicated workers, one worker per job, so a tool can hatch
+  // its channels or layers side by side and stop them mid-way. The worker
+  // script answers a posted job with { type: "progress", progress } messages
+  // (0-1) and one { type: "result", result }. Where workers are unavailable
+  // `fallback(job, onProgress)` runs the job on the main thread instead.
+  class WorkerRunner {
+    constructor(scriptUrl, fallback) {
+      this.scriptUrl = scriptUrl;
+      this.fallback = fallback;
+      this.running = new Set();
+    }
+
+    run(job, options = {}) {
+      const { transfer = [], onProgress = () => {} } = options;
+
+      if (typeof Worker === "undefined") {
+        return new Promise((resolve) => resolve(this.fallback(job, onProgress)));
+      }
+
+      return new Promise((resolve, reject) => {
+        const worker = new Worker(this.scriptUrl);
+        const entry = {
+          cancel: () => {
+            finish();
+            reject(WorkerRunner.createCancelledError());
+          },
+        };
+        const finish = () => {
+          worker.terminate();
+          this.running.delete(entry);
+        };
+        this.running.add(entry);
+
+        worker.onmessage = (e) => {
+          if (e.data.type === "progress") {
+            onProgress(e.data.progress);
+          } else if (e.data.type === "result") {
+            finish();
+            resolve(e.data.result);
+          }
+        };
+        worker.onerror = (e) => {
+          e.preventDefault();
+          finish();
+          reject(e.error || new Error(e.message || "Worker failed"));
+        };
+
+        worker.postMessage(job, transfer);
+      });
+    }
+
+    // Terminates every running worker; their promises reject with a
+    // ProcessingCancelled error
+    cancelAll() {
+      Array.from(this.running).forEach((entry) => entry.cancel());
+    }
+
+    static createCancelledError() {
+      const error = new Error("Processing cancelled");
+      error.name = "ProcessingCancelled";
+      error.isProcessingCancelled = true;
+      return error;
+    }
+
+    static isCancellation(error) {
+      return Boolean(error && (error.isProcessingCancelled || error.name === "ProcessingCancelled"));
+    }
+
+    // Polylines ([{ x, y }, ...]) as transferable buffers: `points` holds
+    // x,y pairs and polyline i covers points starts[i] to starts[i + 1] - 1.
+    // `tags` keeps one small integer per polyline (e.g. its stack order).
+    static packPolylines(polylines, tags = null) {
+      const total = polylines.reduce((sum, line) => sum + line.length, 0);
+      const points = new Float64Array(total * 2);
+      const starts = new Uint32Array(polylines.length + 1);
+      const packedTags = new Uint16Array(polylines.length);
+
+      let offset = 0;
+      polylines.forEach((line, index) => {
+        starts[index] = offset;
+        if (tags) packedTags[index] = tags[index];
+        line.forEach((point) => {
+          points[offset * 2] = point.x;
+          points[offset * 2 + 1] = point.y;
+          offset++;
+        });
+      });
+      starts[polylines.length] = offset;
+
+      return { points, starts, tags: packedTags };
+    }
+
+    static unpackPolylines({ points, starts }) {
+      const polylines = [];
+      for (let i = 0; i < starts.length - 1; i++) {
+        const line = [];
+        for (let p = starts[i]; p < starts[i + 1]; p++) {
+          line.push({ x: points[p * 2], y: points[p * 2 + 1] });
+        }
+        polylines.push(line);
+      }
+      return polylines;
+    }
+
+    static transferList(buffers) {
+      return [buffers.points.buffer, buffers.starts.buffer, buffers.tags.buffer];
+    }
+  }
+
+  global.WorkerRunner = WorkerRunner;
+})(typeof window !== "undefined" ? window : globalThis);